@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+/**
+ * 请求记录查看与离线重跑
+ * 读取 RECORD_REQUESTS=true 时写出的记录文件（RECORD_DIR/<requestId>.jsonl）：
+ * 列出请求经过的每一步（A2A 任务、LLM 调用、Embedding、向量检索、MCP 工具调用），
+ * 或以回放模式重新执行该请求，LLM / 向量库 / MCP 返回记录的结果，逐步对比重跑与记录是否一致
+ *
+ * 使用方式：
+ *   # 列出记录的时间线
+ *   node scripts/replay.js data/recordings/<requestId>.jsonl
+ *
+ *   # 查看第 12 步的完整输入 / 输出
+ *   node scripts/replay.js data/recordings/<requestId>.jsonl --show 12
+ *
+ *   # 离线重跑：以 REPLAY_FILE 启动 RAG / Planner / Executor（不访问 Gemini、Supabase、MCP Server），
+ *   # 在本进程内用记录的请求调用 Orchestrator，然后逐步对比
+ *   node scripts/replay.js data/recordings/<requestId>.jsonl --run
+ *
+ *   # 逐步查看对比结果（回车进入下一步）
+ *   node scripts/replay.js data/recordings/<requestId>.jsonl --run --step
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline/promises';
+import { fileURLToPath } from 'url';
+import { loadRecording } from '../src/replay/ReplaySource.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SRC_DIR = path.resolve(__dirname, '../src');
+
+const DEFAULT_PORT_BASE = 9200;
+const SUB_AGENTS = ['rag', 'planner', 'executor'];
+const PORT_OFFSETS = { planner: 1, rag: 2, executor: 3 }; // 与默认端口 9001-9003 的排列一致
+const PREVIEW_CHARS = 60;
+
+// 每次运行都会变化的字段，对比时忽略
+const VOLATILE_FIELDS = new Set([
+  'requestId', 'taskId', 'traceId', 'spanId', 'planId', 'idempotencyKey',
+  'timestamp', 'startedAt', 'completedAt', 'createdAt', 'updatedAt', 'lastActiveAt', 'expiresAt',
+  'durationMs', 'totalDurationMs', 'metadata', 'events',
+]);
+
+const colors = {
+  reset: '\x1b[0m',
+  dim: '\x1b[2m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+};
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    file: null,
+    show: null,
+    run: false,
+    step: false,
+    strict: false,
+    verbose: false,
+    portBase: DEFAULT_PORT_BASE,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--show':
+        options.show = parseInt(args[++i]);
+        break;
+      case '--run':
+        options.run = true;
+        break;
+      case '--step':
+        options.step = true;
+        options.run = true;
+        break;
+      case '--strict':
+        options.strict = true;
+        break;
+      case '--verbose':
+      case '-v':
+        options.verbose = true;
+        break;
+      case '--port-base':
+        options.portBase = parseInt(args[++i]) || DEFAULT_PORT_BASE;
+        break;
+      case '--help':
+      case '-h':
+        console.log(`
+用法: node scripts/replay.js <记录文件> [选项]
+
+选项:
+  --show <n>              显示第 n 步的完整输入 / 输出
+  --run                   离线重跑该请求并与记录逐步对比（不一致时退出码为 1）
+  --step                  重跑后逐步显示对比结果，回车进入下一步（隐含 --run）
+  --strict                严格回放：调用输入与记录不一致时直接失败（REPLAY_STRICT）
+  --port-base <n>         重跑时 Agent 使用的端口起点 (默认: ${DEFAULT_PORT_BASE}，即 planner ${DEFAULT_PORT_BASE + 1} / rag ${DEFAULT_PORT_BASE + 2} / executor ${DEFAULT_PORT_BASE + 3})
+  --verbose, -v           显示重跑时各 Agent 的 info 日志
+  --help, -h              显示帮助
+        `);
+        process.exit(0);
+        break;
+      default:
+        options.file = args[i];
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 截断预览文本
+ */
+function preview(value, max = PREVIEW_CHARS) {
+  const text = (typeof value === 'string' ? value : JSON.stringify(value) ?? '').replace(/\s+/g, ' ').trim();
+  return text.length > max ? `${text.substring(0, max)}…` : text;
+}
+
+/**
+ * 一步的简要说明
+ */
+function describe(entry) {
+  const { kind, op, input = {}, output, error } = entry;
+  if (error) {
+    return `${colors.red}✗ ${preview(error.message, 80)}${colors.reset}`;
+  }
+
+  switch (kind) {
+    case 'request':
+      return `"${preview(input.message, 40)}" → ${preview(output?.answer)}`;
+    case 'session':
+      return `${output?.history?.length || 0} 条历史消息`;
+    case 'a2a':
+      return output?.success ? `${entry.agent} ✓` : `${entry.agent} 失败: ${preview(output?.error)}`;
+    case 'llm': {
+      const prompt = input.prompt ?? input.text ?? input.userMessage ?? `${input.texts?.length} 段文本`;
+      const result = Array.isArray(output)
+        ? (Array.isArray(output[0]) ? `${output.length} 个向量` : `${output.length} 维向量`)
+        : preview(output, 40);
+      return `${preview(prompt, 40)} → ${result}`;
+    }
+    case 'vector':
+      return `topK=${input.options?.topK ?? 5} mapId=${input.options?.mapId ?? '-'} → ${output?.length ?? 0} 条命中`;
+    case 'map':
+      return `mapId=${input.mapId ?? '*'} → ${output?.length ?? 0} 个点位`;
+    case 'mcp':
+      return op === 'callTool'
+        ? `${input.tool} ${preview(input.args, 40)} → ${preview(output, 40)}`
+        : `${output?.tools?.length ?? 0} 个工具`;
+    default:
+      return preview(output);
+  }
+}
+
+function formatStep(index, entry) {
+  const label = `${entry.kind} ${entry.op}`.padEnd(22);
+  const service = (entry.service || '-').padEnd(16);
+  return `${String(index).padStart(4)}  ${colors.dim}${service}${colors.reset} ${label} ${describe(entry)}`;
+}
+
+/**
+ * 列出时间线
+ */
+function printTimeline(entries) {
+  const request = entries.find(entry => entry.kind === 'request');
+  console.log(`📼 requestId: ${entries[0]?.requestId || '-'}（${entries.length} 步）`);
+  if (request) {
+    console.log(`   请求: ${request.input?.message}`);
+  } else {
+    console.log(`${colors.yellow}   记录中没有 request 条目（Orchestrator 所在进程未开启 RECORD_REQUESTS），无法重跑${colors.reset}`);
+  }
+  console.log('');
+  entries.forEach((entry, i) => console.log(formatStep(i + 1, entry)));
+}
+
+/**
+ * JSON 输出时把长数值数组（Embedding）折叠
+ */
+function compactReplacer(key, value) {
+  if (Array.isArray(value) && value.length > 16 && value.every(item => typeof item === 'number')) {
+    return `[${value.length} numbers]`;
+  }
+  return value;
+}
+
+/**
+ * 去掉每次运行都会变化的字段
+ */
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !VOLATILE_FIELDS.has(key))
+      .map(([key, item]) => [key, normalize(item)]));
+  }
+  return value;
+}
+
+/**
+ * 第一处差异的路径（相同时返回 null）
+ */
+function firstDifference(a, b, pathName = '') {
+  if (a === b) {
+    return null;
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object' && Array.isArray(a) === Array.isArray(b)) {
+    const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    for (const key of keys) {
+      const diff = firstDifference(a[key], b[key], Array.isArray(a) ? `${pathName}[${key}]` : `${pathName}.${key}`);
+      if (diff) {
+        return diff;
+      }
+    }
+    return null;
+  }
+  return { path: pathName || '(root)', recorded: a, replayed: b };
+}
+
+/**
+ * 对齐的分组键：同一服务、同类调用按出现顺序一一对应（请求与会话在本进程重跑，不区分服务）
+ */
+function alignKey(entry) {
+  const service = ['request', 'session'].includes(entry.kind) ? '' : entry.service;
+  return `${service}|${entry.kind}|${entry.op}`;
+}
+
+/**
+ * 逐步对比记录与重跑结果
+ * @returns {Array<{ index, recorded, replayed, status, diff }>} - status: same | input | output | missing | extra
+ */
+function compare(recorded, replayed) {
+  const queues = new Map();
+  for (const entry of replayed) {
+    const key = alignKey(entry);
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(entry);
+  }
+
+  const steps = recorded.map((entry, i) => {
+    const counterpart = queues.get(alignKey(entry))?.shift();
+    if (!counterpart) {
+      return { index: i + 1, recorded: entry, replayed: null, status: 'missing' };
+    }
+    const inputDiff = firstDifference(normalize(entry.input), normalize(counterpart.input), 'input');
+    if (inputDiff) {
+      return { index: i + 1, recorded: entry, replayed: counterpart, status: 'input', diff: inputDiff };
+    }
+    const outputDiff = firstDifference(
+      normalize({ output: entry.output, error: entry.error }),
+      normalize({ output: counterpart.output, error: counterpart.error })
+    );
+    return { index: i + 1, recorded: entry, replayed: counterpart, status: outputDiff ? 'output' : 'same', diff: outputDiff };
+  });
+
+  for (const queue of queues.values()) {
+    for (const entry of queue) {
+      steps.push({ index: '+', recorded: null, replayed: entry, status: 'extra' });
+    }
+  }
+  return steps;
+}
+
+const STATUS_LABELS = {
+  same: `${colors.green}✓${colors.reset}`,
+  input: `${colors.yellow}≠ 输入${colors.reset}`,
+  output: `${colors.yellow}≠ 结果${colors.reset}`,
+  missing: `${colors.red}✗ 未重现${colors.reset}`,
+  extra: `${colors.red}+ 新增${colors.reset}`,
+};
+
+function printStep(step, detailed) {
+  const entry = step.recorded || step.replayed;
+  console.log(`${STATUS_LABELS[step.status]} ${formatStep(step.index, entry)}`);
+  if (step.diff) {
+    console.log(`       ${colors.dim}首个差异 ${step.diff.path}${colors.reset}`);
+    console.log(`         记录: ${preview(step.diff.recorded, 100)}`);
+    console.log(`         重跑: ${preview(step.diff.replayed, 100)}`);
+  }
+  if (detailed && step.replayed && step.status !== 'extra') {
+    console.log(`       ${colors.dim}重跑: ${describe(step.replayed)}${colors.reset}`);
+  }
+}
+
+/**
+ * 以回放模式重跑记录的请求，返回重跑产生的记录
+ */
+async function rerun(filePath, entries, options) {
+  const request = entries.find(entry => entry.kind === 'request');
+  if (!request) {
+    throw new Error('记录中没有 request 条目（Orchestrator 所在进程需要开启 RECORD_REQUESTS），无法重跑');
+  }
+  const session = entries.find(entry => entry.kind === 'session');
+
+  // 子 Agent 继承这些环境变量：回放记录、把重跑过程记录到临时目录、使用独立端口，不向注册中心自注册
+  const recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dpw-replay-'));
+  const ports = Object.fromEntries(SUB_AGENTS.map(name => [name, options.portBase + PORT_OFFSETS[name]]));
+  Object.assign(process.env, {
+    REPLAY_FILE: filePath,
+    REPLAY_STRICT: String(options.strict),
+    RECORD_REQUESTS: 'true',
+    RECORD_DIR: recordDir,
+    A2A_RAG_PORT: String(ports.rag),
+    A2A_PLANNER_PORT: String(ports.planner),
+    A2A_EXECUTOR_PORT: String(ports.executor),
+    TRACING_EXPORTER: 'none',
+    ...(!options.verbose && { LOG_LEVEL: 'warn', LOG_LEVELS: '' }),
+  });
+  for (const name of ['A2A_AGENTS_FILE', 'A2A_AGENT_URLS', 'A2A_REGISTRY_URL', 'LOG_FILE']) {
+    delete process.env[name];
+  }
+
+  // 环境变量设置后再加载（端口等配置在模块加载时读取）
+  const { Supervisor } = await import('../src/supervisor/index.js');
+  const { OrchestratorAgent } = await import('../src/agents/orchestrator/OrchestratorAgent.js');
+  const { MemorySessionStore } = await import('../src/session/index.js');
+
+  const supervisor = new Supervisor({
+    port: 0,
+    maxRestarts: 0,
+    services: SUB_AGENTS.map(name => ({
+      name,
+      script: path.join(SRC_DIR, `agents/${name}/server.js`),
+      healthUrl: `http://localhost:${ports[name]}/ping`,
+    })),
+  });
+  const stop = () => supervisor.stop().then(() => process.exit(130));
+  process.on('SIGINT', stop);
+
+  let orchestrator = null;
+  try {
+    console.log(`🔁 启动回放 Agent（端口 ${ports.planner}-${ports.executor}）...`);
+    await supervisor.start();
+
+    // 恢复请求开始时的会话，多轮对话上下文与记录时一致
+    const sessionStore = new MemorySessionStore();
+    if (session?.output) {
+      await sessionStore.save(session.output);
+    }
+    orchestrator = new OrchestratorAgent({
+      sessionStore,
+      agentsFile: '',
+      agentUrls: '',
+      ragUrl: `http://localhost:${ports.rag}`,
+      plannerUrl: `http://localhost:${ports.planner}`,
+      executorUrl: `http://localhost:${ports.executor}`,
+    });
+
+    console.log(`🔁 重跑请求: ${request.input.message}\n`);
+    const response = await orchestrator.chat(request.input);
+    const replayPath = path.join(recordDir, `${response.requestId}.jsonl`);
+    return fs.existsSync(replayPath) ? loadRecording(replayPath) : [];
+  } finally {
+    orchestrator?.agentRegistry.stopHealthChecks();
+    process.off('SIGINT', stop);
+    await supervisor.stop();
+  }
+}
+
+async function main() {
+  const options = parseArgs();
+  if (!options.file) {
+    console.error('❌ 请指定记录文件（node scripts/replay.js <记录文件>，--help 查看用法）');
+    process.exit(1);
+  }
+
+  const filePath = path.resolve(options.file);
+  if (!fs.existsSync(filePath)) {
+    console.error(`❌ 文件不存在: ${filePath}`);
+    process.exit(1);
+  }
+  const entries = loadRecording(filePath);
+
+  if (options.show) {
+    const entry = entries[options.show - 1];
+    if (!entry) {
+      console.error(`❌ 没有第 ${options.show} 步（共 ${entries.length} 步）`);
+      process.exit(1);
+    }
+    console.log(JSON.stringify(entry, compactReplacer, 2));
+    return;
+  }
+
+  if (!options.run) {
+    printTimeline(entries);
+    return;
+  }
+
+  const replayed = await rerun(filePath, entries, options);
+  const steps = compare(entries, replayed);
+  const counts = Object.fromEntries(Object.keys(STATUS_LABELS).map(status => [status, 0]));
+  for (const step of steps) {
+    counts[step.status]++;
+  }
+
+  console.log('');
+  const rl = options.step ? readline.createInterface({ input: process.stdin, output: process.stdout }) : null;
+  try {
+    for (const step of steps) {
+      printStep(step, options.step);
+      if (rl && (await rl.question(`${colors.dim}回车继续，q 退出 ${colors.reset}`)).trim() === 'q') {
+        break;
+      }
+    }
+  } finally {
+    rl?.close();
+  }
+
+  console.log('');
+  console.log(`对比结果：${counts.same} 步一致，${counts.input} 步输入不同，${counts.output} 步结果不同，${counts.missing} 步未重现，${counts.extra} 步新增`);
+  const diverged = steps.find(step => step.status !== 'same');
+  if (diverged) {
+    console.log(`首个分叉：第 ${diverged.index} 步（${(diverged.recorded || diverged.replayed).kind} ${(diverged.recorded || diverged.replayed).op}）`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ 回放失败:', error.message);
+  process.exit(1);
+});
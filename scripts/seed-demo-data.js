@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 /**
- * 插入知识数据到 Supabase（支持 Markdown 文件切片 + Gemini embedding）
+ * 插入知识数据到向量库（支持 Markdown 文件切片 + LLM embedding）
+ * 向量库由 VECTOR_STORE 决定（supabase | local），embedding 后端由 LLM_PROVIDER 决定
  * 
  * 使用方式：
  *   # 使用内置示例数据
@@ -19,13 +20,16 @@
  *   GEMINI_API_KEY=xxx
  *   SUPABASE_URL=xxx
  *   SUPABASE_SERVICE_ROLE_KEY=xxx
+ *
+ * 完全离线导入（本地 JSON 向量库）：
+ *   VECTOR_STORE=local LLM_PROVIDER=local node scripts/seed-demo-data.js --file ./docs/map-info.md
  */
 
 import 'dotenv/config';
 import fs from 'fs';
 import path from 'path';
-import { getGeminiProvider } from '../src/llm/GeminiProvider.js';
-import { getSupabaseClient } from '../src/vector/SupabaseClient.js';
+import { getLlmProvider } from '../src/llm/providers.js';
+import { getVectorStore } from '../src/vector/stores.js';
 
 // ==================== 切片策略 ====================
 
@@ -343,8 +347,8 @@ async function main() {
   
   console.log('🚀 开始处理知识数据...\n');
 
-  const gemini = getGeminiProvider();
-  const supabase = getSupabaseClient();
+  const llm = getLlmProvider();
+  const vectorStore = getVectorStore();
 
   let dataToInsert = [];
 
@@ -388,7 +392,7 @@ async function main() {
   }
 
   // 插入数据
-  console.log(`📤 开始插入 ${dataToInsert.length} 条数据到 Supabase...\n`);
+  console.log(`📤 开始插入 ${dataToInsert.length} 条数据到向量库...\n`);
 
   for (let i = 0; i < dataToInsert.length; i++) {
     const item = dataToInsert[i];
@@ -397,12 +401,12 @@ async function main() {
 
     // 生成 embedding
     process.stdout.write('   生成 embedding... ');
-    const embedding = await gemini.embed(item.chunkText);
+    const embedding = await llm.embed(item.chunkText);
     console.log(`✓ (${embedding.length} 维)`);
 
     // 插入数据库
-    process.stdout.write('   插入 Supabase... ');
-    const result = await supabase.insert({
+    process.stdout.write('   插入向量库... ');
+    const result = await vectorStore.insert({
       chunkText: item.chunkText,
       embedding,
       mapId: item.mapId,
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * 导入结构化地图点位表（RAG lookupLandmark 精确解析用）
+ * 从 Markdown 的 ```json 代码块（或纯 JSON 文件）中读取 objects 表，写入 MAP_STORE（supabase | local）
+ *
+ * 使用方式：
+ *   # 默认读取 docs/map-info.md
+ *   node scripts/seed-map-objects.js
+ *
+ *   # 指定文件与 mapId
+ *   node scripts/seed-map-objects.js --file ./docs/map-info.md --map-id my-map-001
+ *
+ *   # 导入前清空该地图已有点位
+ *   node scripts/seed-map-objects.js --map-id my-map-001 --replace
+ *
+ * 完全离线导入（本地 JSON 点位表）：
+ *   MAP_STORE=local node scripts/seed-map-objects.js
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { parseMapDocument } from '../src/map/mapObjects.js';
+import { getMapObjectStore } from '../src/map/stores.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    file: './docs/map-info.md',
+    mapId: 'demo-map-001',
+    replace: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--file':
+      case '-f':
+        options.file = args[++i];
+        break;
+      case '--map-id':
+      case '-m':
+        options.mapId = args[++i];
+        break;
+      case '--replace':
+        options.replace = true;
+        break;
+      case '--help':
+      case '-h':
+        console.log(`
+用法: node scripts/seed-map-objects.js [选项]
+
+选项:
+  --file, -f <path>       Markdown / JSON 文件路径 (默认: ./docs/map-info.md)
+  --map-id, -m <id>       地图 ID (默认: demo-map-001)
+  --replace               导入前清空该地图已有点位
+  --help, -h              显示帮助
+        `);
+        process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs();
+  const filePath = path.resolve(options.file);
+
+  if (!fs.existsSync(filePath)) {
+    console.error(`❌ 文件不存在: ${filePath}`);
+    process.exit(1);
+  }
+
+  console.log(`📄 读取文件: ${filePath}`);
+  const { metadata, objects } = parseMapDocument(fs.readFileSync(filePath, 'utf-8'), { mapId: options.mapId });
+  if (metadata) {
+    console.log(`   地图尺寸: ${metadata.width} x ${metadata.height} ${metadata.coordinate_unit || ''}`);
+  }
+  console.log(`   解析到 ${objects.length} 个点位\n`);
+
+  for (const obj of objects) {
+    console.log(`   [${obj.objectId}] ${obj.name}  x=${obj.x}, z=${obj.z}`);
+  }
+  console.log('');
+
+  const store = getMapObjectStore();
+
+  if (options.replace) {
+    const removed = await store.clear({ mapId: options.mapId });
+    console.log(`🗑️  已清空 ${removed} 个旧点位`);
+  }
+
+  const count = await store.upsert(objects);
+  console.log(`✅ 已写入 ${count} 个点位 (mapId=${options.mapId})`);
+}
+
+main().catch(error => {
+  console.error('❌ 导入失败:', error.message);
+  process.exit(1);
+});
@@ -4,25 +4,124 @@
  */
 
 import { createLogger } from '../utils/logger.js';
-import { createTask } from './types.js';
+import { A2AMessageType, createTask } from './types.js';
+import { AgentRegistry } from './AgentRegistry.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { getTracer, SpanKind, SpanStatusCode } from '../tracing/Tracer.js';
+
+// 请求未送达对端的连接错误：可安全切换到同一技能的其他实例
+const CONNECTION_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'EAI_AGAIN']);
+
+// 传输层错误（含连接中途断开）：幂等技能可以重试
+const TRANSIENT_ERROR_CODES = new Set([...CONNECTION_ERROR_CODES, 'ECONNRESET', 'EPIPE', 'UND_ERR_SOCKET']);
+
+// 对端暂时不可用的 HTTP 状态（重启中 / 网关错误）
+const UNAVAILABLE_STATUS = new Set([502, 503, 504]);
+
+// 默认重试的幂等技能（只读检索 / 规划 / 状态查询，重复调用无副作用）
+const DEFAULT_RETRY_SKILLS = [
+  'retrieve', 'smartRetrieve', 'lookupLandmark', 'retrieveMissing',
+  'plan', 'reflect', 'listTools', 'getDroneState',
+];
+
+// 控制无人机或推进会话状态的技能：重复调用可能重复执行，任何配置下都不重试
+const NON_RETRYABLE_SKILLS = new Set(['execute', 'recover', 'chat', 'approvePlan', 'rejectPlan']);
+
+// 记录任务所在实例的上限（用于查询 / 取消时路由到同一实例）
+const MAX_TASK_LOCATIONS = 1000;
+
+/**
+ * @private
+ */
+function isConnectionError(error) {
+  return CONNECTION_ERROR_CODES.has(error?.cause?.code) || CONNECTION_ERROR_CODES.has(error?.code);
+}
+
+/**
+ * 是否为可重试的瞬时错误（传输层错误、超时、对端不可用）
+ * @private
+ */
+function isTransientError(error) {
+  return TRANSIENT_ERROR_CODES.has(error?.cause?.code)
+    || TRANSIENT_ERROR_CODES.has(error?.code)
+    || error?.name === 'TimeoutError'
+    || UNAVAILABLE_STATUS.has(error?.status);
+}
+
+/**
+ * 可被中止信号打断的等待
+ * @private
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * @private
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
 
 export class AgentClient {
   /**
    * @param {string} name - 客户端名称（用于日志）
+   * @param {Object} [options]
+   * @param {AgentRegistry} [options.registry] - Agent 注册表（默认新建）
+   * @param {string} [options.apiKey] - 调用其他 Agent 时使用的 API Key（默认 A2A_API_KEY）
+   * @param {Object} [options.retry] - 幂等技能的重试配置
+   * @param {number} [options.retry.maxRetries] - 最多重试次数（A2A_RETRY_MAX，默认 2，0 关闭）
+   * @param {number} [options.retry.baseDelayMs] - 首次重试等待（A2A_RETRY_BASE_MS，默认 200，之后指数增长）
+   * @param {number} [options.retry.maxDelayMs] - 单次等待上限（A2A_RETRY_MAX_DELAY_MS，默认 5000）
+   * @param {Array<string>} [options.retry.skills] - 可重试的技能（A2A_RETRY_SKILLS，逗号分隔）
+   * @param {Object} [options.breaker] - 每个 Agent 实例的熔断器配置（见 CircuitBreaker）
    */
-  constructor(name = 'AgentClient') {
+  constructor(name = 'AgentClient', options = {}) {
     this.logger = createLogger(`A2A:${name}`);
-    this.agentRegistry = new Map(); // agentName -> agentUrl
+    this.registry = options.registry || new AgentRegistry();
+    this.apiKey = options.apiKey ?? process.env.A2A_API_KEY;
+    this.tracer = options.tracer || getTracer();
+    this.taskLocations = new Map(); // taskId -> agentUrl
+
+    const retry = options.retry || {};
+    const retrySkills = retry.skills
+      ?? (process.env.A2A_RETRY_SKILLS ? process.env.A2A_RETRY_SKILLS.split(',').map(s => s.trim()).filter(Boolean) : DEFAULT_RETRY_SKILLS);
+    this.retry = {
+      maxRetries: retry.maxRetries ?? envInt('A2A_RETRY_MAX', 2),
+      baseDelayMs: retry.baseDelayMs ?? envInt('A2A_RETRY_BASE_MS', 200),
+      maxDelayMs: retry.maxDelayMs ?? envInt('A2A_RETRY_MAX_DELAY_MS', 5000),
+      skills: new Set(retrySkills.filter(skill => !NON_RETRYABLE_SKILLS.has(skill))),
+    };
+    for (const skill of retrySkills.filter(skill => NON_RETRYABLE_SKILLS.has(skill))) {
+      this.logger.warn(`Skill ${skill} is not idempotent and will never be retried`);
+    }
+
+    this.breakerConfig = options.breaker || {};
+    this.breakers = new Map(); // agentUrl -> CircuitBreaker
   }
 
   /**
-   * 注册已知 Agent
+   * 注册已知 Agent（AgentCard 在首次调用时获取，之后按技能 ID 路由）
    * @param {string} name - Agent 名称
    * @param {string} url - Agent URL
    */
   registerAgent(name, url) {
-    this.agentRegistry.set(name, url);
-    this.logger.debug(`Registered agent: ${name} -> ${url}`);
+    this.registry.register(url, { name });
   }
 
   /**
@@ -61,42 +160,129 @@ export class AgentClient {
    * @param {string} skill - 技能 ID
    * @param {Object} input - 输入参数
    * @param {Object} [options] - 可选配置
+   * @param {string} [options.taskId] - 任务 ID（便于之后查询/取消）
+   * @param {string} [options.sessionId] - 会话 ID
+   * @param {Object} [options.context] - 上下文信息
+   * @param {number} [options.timeout] - 超时（毫秒）
+   * @param {AbortSignal} [options.signal] - 中止信号
+   * @param {Function} [options.onEvent] - 接收被调 Agent 的 StreamLogger 事件 (event) => void（任务结束后按顺序回放结果中的 events）
+   * @param {boolean} [options.bypassBreaker] - 忽略熔断状态直接调用（紧急恢复等安全技能：熔断往往正发生在需要恢复的时候）
    * @returns {Promise<Object>} - 任务结果
    */
   async submitTask(agentNameOrUrl, skill, input, options = {}) {
-    // 解析 URL
-    let agentUrl = agentNameOrUrl;
-    if (!agentNameOrUrl.startsWith('http')) {
-      agentUrl = this.agentRegistry.get(agentNameOrUrl);
-      if (!agentUrl) {
-        throw new Error(`Unknown agent: ${agentNameOrUrl}`);
+    return this._traceTask(agentNameOrUrl, skill, () => this._submitTask(agentNameOrUrl, skill, input, options));
+  }
+
+  /**
+   * @private
+   */
+  async _submitTask(agentNameOrUrl, skill, input, options) {
+    const task = this._createTask(skill, input, options);
+
+    const { response } = await this._postTask(agentNameOrUrl, '/tasks', task, this._createSignal(options), options)
+      .finally(() => this.taskLocations.delete(task.id));
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      // 输入不符合技能 inputSchema（400）时服务端返回结构化的 TaskResult，与处理器失败一样交给调用方处理
+      const rejected = response.status === 400 ? this._parseTaskResult(errorText) : null;
+      if (rejected) {
+        this.logger.warn(`Task ${task.id} rejected (${rejected.code}): ${rejected.error}`);
+        return rejected;
       }
+      throw new Error(`Task submission failed: ${response.status} ${errorText}`);
     }
 
-    const task = createTask({
-      id: options.taskId,
-      skill,
-      input,
-      context: options.context,
-      sessionId: options.sessionId,
-    });
+    const result = await response.json();
+    for (const event of result.events || []) {
+      this._notifyEvent(task.id, options.onEvent, event);
+    }
+    
+    if (!result.success) {
+      this.logger.warn(`Task ${task.id} failed: ${result.error}`);
+    } else {
+      this.logger.debug(`Task ${task.id} completed successfully`);
+    }
 
-    this.logger.debug(`Submitting task ${task.id} to ${agentUrl}, skill: ${skill}`);
+    return result;
+  }
 
-    const response = await fetch(`${agentUrl}/tasks`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(task),
-      signal: options.timeout ? AbortSignal.timeout(options.timeout) : undefined,
+  /**
+   * 以流式模式提交任务到 Agent（NDJSON），在任务执行过程中实时接收进度
+   * @param {string} agentNameOrUrl - Agent 名称或 URL
+   * @param {string} skill - 技能 ID
+   * @param {Object} input - 输入参数
+   * @param {Object} [options] - 可选配置（同 submitTask）
+   * @param {Function} [options.onProgress] - 进度回调 (progress) => void
+   * @param {Function} [options.onEvent] - 被调 Agent 的 StreamLogger 事件回调 (event) => void（实时）
+   * @returns {Promise<Object>} - 任务结果
+   */
+  async submitTaskStream(agentNameOrUrl, skill, input, options = {}) {
+    return this._traceTask(agentNameOrUrl, skill, async () => {
+      const task = this._createTask(skill, input, options);
+      try {
+        return await this._submitTaskStream(agentNameOrUrl, task, options);
+      } finally {
+        this.taskLocations.delete(task.id);
+      }
     });
+  }
+
+  /**
+   * @private
+   */
+  async _submitTaskStream(agentNameOrUrl, task, options) {
+    const { response } = await this._postTask(agentNameOrUrl, '/tasks/stream', task, this._createSignal(options), options);
 
     if (!response.ok) {
       const errorText = await response.text();
       throw new Error(`Task submission failed: ${response.status} ${errorText}`);
     }
 
-    const result = await response.json();
-    
+    let result = null;
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        this.logger.warn(`Ignoring malformed stream line for task ${task.id}`);
+        return;
+      }
+
+      if (message.type === A2AMessageType.TASK_PROGRESS) {
+        if (options.onProgress) {
+          try {
+            options.onProgress(message.progress);
+          } catch (error) {
+            this.logger.warn(`onProgress callback failed for task ${task.id}:`, error.message);
+          }
+        }
+      } else if (message.type === A2AMessageType.TASK_EVENT) {
+        this._notifyEvent(task.id, options.onEvent, message.event);
+      } else if (message.type === A2AMessageType.TASK_RESULT) {
+        result = message.result;
+      }
+    };
+
+    // 按行解析 NDJSON（chunk 边界不保证与行对齐）
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        handleLine(buffer.slice(0, newlineIndex));
+        buffer = buffer.slice(newlineIndex + 1);
+      }
+    }
+    handleLine(buffer + decoder.decode());
+
+    if (!result) {
+      throw new Error(`Task ${task.id} stream ended without a result`);
+    }
+
     if (!result.success) {
       this.logger.warn(`Task ${task.id} failed: ${result.error}`);
     } else {
@@ -106,6 +292,367 @@ export class AgentClient {
     return result;
   }
 
+  /**
+   * 异步提交任务：立即返回任务状态，不等待执行完成
+   * @param {string} agentNameOrUrl - Agent 名称或 URL
+   * @param {string} skill - 技能 ID
+   * @param {Object} input - 输入参数
+   * @param {Object} [options] - 可选配置（同 submitTask）
+   * @returns {Promise<Object>} - 任务状态 { taskId, status, ... }
+   */
+  async submitTaskAsync(agentNameOrUrl, skill, input, options = {}) {
+    return this._traceTask(agentNameOrUrl, skill, () => this._submitTaskAsync(agentNameOrUrl, skill, input, options));
+  }
+
+  /**
+   * @private
+   */
+  async _submitTaskAsync(agentNameOrUrl, skill, input, options) {
+    const task = this._createTask(skill, input, options);
+
+    const { response } = await this._postTask(agentNameOrUrl, '/tasks?async=true', task, AbortSignal.timeout(options.timeout || 15000), options);
+
+    if (!response.ok) {
+      this.taskLocations.delete(task.id);
+      const errorText = await response.text();
+      throw new Error(`Task submission failed: ${response.status} ${errorText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * 查询任务状态
+   * @param {string} agentNameOrUrl - Agent 名称或 URL
+   * @param {string} taskId - 任务 ID
+   * @returns {Promise<Object>} - 任务状态 { taskId, status, result, ... }
+   */
+  async getTaskStatus(agentNameOrUrl, taskId) {
+    const agentUrl = await this._resolveTaskUrl(agentNameOrUrl, taskId);
+
+    const response = await fetch(`${agentUrl}/tasks/${encodeURIComponent(taskId)}`, {
+      method: 'GET',
+      headers: this._headers(),
+      signal: AbortSignal.timeout(15000),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Get task status failed: ${response.status} ${errorText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * 取消任务（不经过熔断器：取消必须总能送达）
+   * @param {string} agentNameOrUrl - Agent 名称或 URL
+   * @param {string} taskId - 任务 ID
+   * @returns {Promise<Object>} - 取消后的任务状态
+   */
+  async cancelTask(agentNameOrUrl, taskId) {
+    const agentUrl = await this._resolveTaskUrl(agentNameOrUrl, taskId);
+
+    this.logger.debug(`Cancelling task ${taskId} on ${agentUrl}`);
+
+    const response = await fetch(`${agentUrl}/tasks/${encodeURIComponent(taskId)}/cancel`, {
+      method: 'POST',
+      headers: this._headers(),
+      signal: AbortSignal.timeout(15000),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Cancel task failed: ${response.status} ${errorText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * 轮询等待异步任务结束
+   * @param {string} agentNameOrUrl - Agent 名称或 URL
+   * @param {string} taskId - 任务 ID
+   * @param {Object} [options]
+   * @param {number} [options.pollIntervalMs=1000] - 轮询间隔
+   * @param {number} [options.timeout] - 最长等待时间
+   * @returns {Promise<Object>} - 任务结果 TaskResult
+   */
+  async waitForTask(agentNameOrUrl, taskId, options = {}) {
+    const { pollIntervalMs = 1000, timeout } = options;
+    const deadline = timeout ? Date.now() + timeout : Infinity;
+
+    while (true) {
+      const status = await this.getTaskStatus(agentNameOrUrl, taskId);
+      if (status.result) {
+        this.taskLocations.delete(taskId);
+        return status.result;
+      }
+
+      if (Date.now() + pollIntervalMs > deadline) {
+        throw new Error(`Timed out waiting for task ${taskId} (status: ${status.status})`);
+      }
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
+  }
+
+  /**
+   * 请求头（配置了 API Key 时附带 Bearer 凭据；处于追踪上下文时附带 traceparent）
+   * @private
+   */
+  _headers(headers = {}) {
+    const traced = this.tracer.inject(headers);
+    return this.apiKey ? { ...traced, Authorization: `Bearer ${this.apiKey}` } : traced;
+  }
+
+  /**
+   * 在 CLIENT Span 中提交任务（重试 / 实例切换记录为 Span 事件，任务失败时 Span 状态为 ERROR）
+   * @private
+   */
+  _traceTask(agentNameOrUrl, skill, fn) {
+    return this.tracer.startActiveSpan(`a2a.call ${skill}`, {
+      kind: SpanKind.CLIENT,
+      attributes: { 'a2a.agent': agentNameOrUrl, 'a2a.skill': skill },
+    }, async (span) => {
+      const result = await fn();
+      if (result?.success === false) {
+        span.setStatus(SpanStatusCode.ERROR, result.error);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * 合并超时与调用方的中止信号
+   * @private
+   */
+  _createSignal(options) {
+    const signals = [];
+    if (options.timeout) signals.push(AbortSignal.timeout(options.timeout));
+    if (options.signal) signals.push(options.signal);
+
+    if (signals.length <= 1) {
+      return signals[0];
+    }
+
+    const controller = new AbortController();
+    for (const signal of signals) {
+      if (signal.aborted) {
+        controller.abort(signal.reason);
+        break;
+      }
+      signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+    return controller.signal;
+  }
+
+  /**
+   * 解析错误响应体中的 TaskResult，不是 TaskResult 时返回 null
+   * @private
+   */
+  _parseTaskResult(text) {
+    try {
+      const body = JSON.parse(text);
+      return body && body.taskId !== undefined && body.success === false ? body : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 各 Agent 实例的熔断器状态
+   * @returns {Object} - { agentUrl: { state, failures, openedAt, lastError } }
+   */
+  getCircuitStates() {
+    const states = {};
+    for (const [agentUrl, breaker] of this.breakers) {
+      states[agentUrl] = breaker.toJSON();
+    }
+    return states;
+  }
+
+  /**
+   * 提交任务请求；幂等技能遇到瞬时错误时按指数退避重试（execute 等有副作用的技能从不重试）
+   * @private
+   */
+  async _postTask(agentNameOrUrl, path, task, signal, options = {}) {
+    const retryable = this.retry.skills.has(task.skill);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._postTaskOnce(agentNameOrUrl, path, task, signal, options);
+      } catch (error) {
+        if (!retryable || attempt >= this.retry.maxRetries || signal?.aborted || !isTransientError(error)) {
+          throw error;
+        }
+        // 指数退避 + 抖动，避免多个请求同时重试
+        const delay = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+        this.logger.warn(`Task ${task.id} (${task.skill}) attempt ${attempt + 1} failed: ${error.cause?.code || error.message}, retrying in ${Math.round(delay)}ms`);
+        this.tracer.getActiveSpan()?.addEvent('retry', { attempt: attempt + 1, error: error.cause?.code || error.message, delayMs: Math.round(delay) });
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * 单次提交：依次尝试提供该技能且未熔断的实例，连接失败时切换到下一个实例
+   * options.bypassBreaker 时熔断的实例同样尝试（结果仍计入熔断器）
+   * @private
+   */
+  async _postTaskOnce(agentNameOrUrl, path, task, signal, options = {}) {
+    const { bypassBreaker = false } = options;
+    const agentUrls = await this._resolveAgentUrls(agentNameOrUrl, task.skill);
+    let lastError = null;
+
+    for (const agentUrl of agentUrls) {
+      const breaker = this._getBreaker(agentUrl);
+      if (!bypassBreaker && !breaker.allowRequest()) {
+        continue;
+      }
+
+      this.logger.debug(`Submitting task ${task.id} to ${agentUrl}${path}, skill: ${task.skill}`);
+      this._rememberTask(task.id, agentUrl);
+      let response;
+      try {
+        response = await fetch(`${agentUrl}${path}`, {
+          method: 'POST',
+          headers: this._headers({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify(task),
+          signal,
+        });
+      } catch (error) {
+        const callerAborted = error.name === 'AbortError';
+        if (callerAborted || !isTransientError(error)) {
+          if (!bypassBreaker) {
+            breaker.release();
+          }
+          throw error;
+        }
+        this._recordFailure(agentUrl, breaker, error);
+        if (!isConnectionError(error)) {
+          // 请求可能已送达（超时 / 中途断开），不切换实例，交给重试逻辑决定
+          throw error;
+        }
+        this.registry.markFailure(agentUrl, error);
+        lastError = error;
+        if (agentUrls.length > 1) {
+          this.logger.warn(`Agent ${agentUrl} unreachable for ${task.skill}, trying next instance`);
+        }
+        continue;
+      }
+
+      if (UNAVAILABLE_STATUS.has(response.status)) {
+        const error = new Error(`Task submission failed: ${response.status} ${await response.text()}`);
+        error.status = response.status;
+        this._recordFailure(agentUrl, breaker, error);
+        throw error;
+      }
+
+      breaker.recordSuccess();
+      this.registry.markSuccess(agentUrl);
+      this.tracer.getActiveSpan()?.setAttribute('server.address', agentUrl);
+      return { agentUrl, response };
+    }
+
+    this.taskLocations.delete(task.id);
+    if (lastError) {
+      throw lastError;
+    }
+    const error = new Error(`Circuit open for ${agentNameOrUrl} (skill ${task.skill}), not calling until it resets`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  /**
+   * @private
+   */
+  _getBreaker(agentUrl) {
+    let breaker = this.breakers.get(agentUrl);
+    if (!breaker) {
+      breaker = new CircuitBreaker(this.breakerConfig);
+      this.breakers.set(agentUrl, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * @private
+   */
+  _recordFailure(agentUrl, breaker, error) {
+    if (breaker.recordFailure(error.cause || error)) {
+      this.logger.warn(`Circuit opened for ${agentUrl} after ${breaker.failures} failures (${breaker.lastError})`);
+    }
+  }
+
+  /**
+   * 解析候选 Agent 地址：URL 直接使用，否则按技能 ID（未获取 AgentCard 时按名称）从注册表选择
+   * @private
+   */
+  async _resolveAgentUrls(agentNameOrUrl, skill) {
+    if (agentNameOrUrl.startsWith('http')) {
+      return [agentNameOrUrl];
+    }
+
+    await this.registry.ensureDiscovered();
+    const instances = this.registry.candidates(skill, agentNameOrUrl);
+    if (instances.length === 0) {
+      throw new Error(`Unknown agent: ${agentNameOrUrl} (no instance provides skill ${skill})`);
+    }
+    return instances.map(instance => instance.url);
+  }
+
+  /**
+   * 任务所在实例（查询 / 取消必须发往提交时的实例）
+   * @private
+   */
+  async _resolveTaskUrl(agentNameOrUrl, taskId) {
+    return this.taskLocations.get(taskId) || (await this._resolveAgentUrls(agentNameOrUrl))[0];
+  }
+
+  /**
+   * @private
+   */
+  _rememberTask(taskId, agentUrl) {
+    this.taskLocations.delete(taskId);
+    this.taskLocations.set(taskId, agentUrl);
+    if (this.taskLocations.size > MAX_TASK_LOCATIONS) {
+      this.taskLocations.delete(this.taskLocations.keys().next().value);
+    }
+  }
+
+  /**
+   * 构造 A2A Task（附带当前 trace 上下文；提供 onEvent 时要求服务端转发 StreamLogger 事件）
+   * @private
+   */
+  _createTask(skill, input, options) {
+    const context = options.onEvent ? { ...options.context, forwardEvents: true } : options.context;
+    const task = createTask({
+      id: options.taskId,
+      skill,
+      input,
+      // trace 上下文也写入 task.context，请求头缺失时服务端据此关联
+      context: this.tracer.inject(context),
+      sessionId: options.sessionId,
+    });
+    this.tracer.getActiveSpan()?.setAttribute('a2a.task_id', task.id);
+    return task;
+  }
+
+  /**
+   * 把被调 Agent 的 StreamLogger 事件交给 onEvent（回调异常不影响任务）
+   * @private
+   */
+  _notifyEvent(taskId, onEvent, event) {
+    if (!onEvent || !event) {
+      return;
+    }
+    try {
+      onEvent(event);
+    } catch (error) {
+      this.logger.warn(`onEvent callback failed for task ${taskId}:`, error.message);
+    }
+  }
+
   /**
    * 便捷方法：调用 RAG Agent
    * @param {string} query - 查询文本
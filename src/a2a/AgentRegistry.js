@@ -0,0 +1,426 @@
+/**
+ * A2A Agent Registry
+ * Agent 发现与实例管理：
+ * - 来源：代码注册、配置文件（A2A_AGENTS_FILE）/ 环境变量（A2A_AGENT_URLS）中的 URL，
+ *   或 Agent 启动后向注册中心自注册（A2A_REGISTRY_URL，见 AgentServer）
+ * - 通过 /.well-known/agent.json 获取 AgentCard，按技能 ID 路由调用
+ * - 定期 /ping 健康检查；同一技能有多个实例时按轮询（round-robin）或主备（failover）排序，调用失败时依次尝试
+ */
+
+import fs from 'fs';
+import express from 'express';
+import { createLogger } from '../utils/logger.js';
+import { Scope, AuthErrorCode } from '../auth/ApiKeyAuth.js';
+import { CircuitState } from './CircuitBreaker.js';
+
+const DEFAULT_HEALTH_CHECK_MS = 30 * 1000;
+const DEFAULT_DISCOVERY_RETRY_MS = 10 * 1000;
+const REQUEST_TIMEOUT_MS = 5000;
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+// 多实例汇总熔断状态时的优先级（取最好的实例）
+const CIRCUIT_RANK = {
+  [CircuitState.CLOSED]: 0,
+  [CircuitState.HALF_OPEN]: 1,
+  [CircuitState.OPEN]: 2,
+};
+
+/**
+ * 多实例选择策略
+ */
+export const LoadBalancing = {
+  ROUND_ROBIN: 'round-robin', // 健康实例轮流使用
+  FAILOVER: 'failover',       // 始终优先使用最早注册的健康实例
+};
+
+/**
+ * 统一 URL 形式（去掉结尾的 /），作为实例的唯一键
+ * @private
+ */
+function normalizeUrl(url) {
+  return String(url).trim().replace(/\/+$/, '');
+}
+
+/**
+ * 请求是否来自本机（使用 TCP 连接地址，不信任 X-Forwarded-For）
+ * @private
+ */
+function isLoopback(req) {
+  return LOOPBACK_ADDRESSES.has(req.socket?.remoteAddress);
+}
+
+/**
+ * 读取整数环境变量（允许 0）
+ * @private
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+export class AgentRegistry {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.strategy] - round-robin | failover（A2A_LOAD_BALANCING，默认 round-robin）
+   * @param {number} [config.healthCheckMs] - 健康检查间隔（A2A_HEALTH_CHECK_MS，默认 30 秒，0 关闭）
+   * @param {number} [config.discoveryRetryMs] - AgentCard 获取失败后的重试间隔（默认 10 秒）
+   */
+  constructor(config = {}) {
+    this.strategy = (config.strategy || process.env.A2A_LOAD_BALANCING || LoadBalancing.ROUND_ROBIN).toLowerCase();
+    if (!Object.values(LoadBalancing).includes(this.strategy)) {
+      throw new Error(`Unknown A2A_LOAD_BALANCING: ${this.strategy} (expected round-robin | failover)`);
+    }
+    this.healthCheckMs = config.healthCheckMs ?? envInt('A2A_HEALTH_CHECK_MS', DEFAULT_HEALTH_CHECK_MS);
+    this.discoveryRetryMs = config.discoveryRetryMs ?? DEFAULT_DISCOVERY_RETRY_MS;
+
+    this.instances = new Map(); // url -> instance
+    this.cursors = new Map();   // skill / agentName -> 轮询计数
+    this.healthTimer = null;
+    this.logger = createLogger('AgentRegistry');
+  }
+
+  /**
+   * 注册 Agent 实例（重复注册同一 URL 会更新名称 / AgentCard）
+   * @param {string} url - Agent URL
+   * @param {Object} [options]
+   * @param {string} [options.name] - Agent 名称（AgentCard 未获取前用于按名称路由）
+   * @param {Object} [options.card] - 已知的 AgentCard（自注册时由 Agent 提供）
+   * @param {string} [options.source] - 来源：static | config | self
+   * @returns {Object} - 实例记录
+   */
+  register(url, options = {}) {
+    const key = normalizeUrl(url);
+    let instance = this.instances.get(key);
+
+    if (!instance) {
+      instance = {
+        url: key,
+        name: null,
+        card: null,
+        skills: new Set(),
+        healthy: null, // null 表示尚未检查
+        source: 'static',
+        failures: 0,
+        lastError: null,
+        registeredAt: new Date().toISOString(),
+        lastSeenAt: null,
+        lastCheckedAt: null,
+        lastDiscoveryAt: 0,
+      };
+      this.instances.set(key, instance);
+      this.logger.info(`Registered agent instance: ${options.name || options.card?.name || '?'} -> ${key}`);
+    }
+
+    if (options.name) instance.name = options.name;
+    if (options.source) instance.source = options.source;
+    if (options.card) {
+      this._applyCard(instance, options.card);
+      this.markSuccess(key);
+    }
+    return instance;
+  }
+
+  /**
+   * 注销 Agent 实例
+   * @param {string} url
+   * @returns {boolean} - 是否存在并已移除
+   */
+  unregister(url) {
+    const removed = this.instances.delete(normalizeUrl(url));
+    if (removed) {
+      this.logger.info(`Unregistered agent instance: ${normalizeUrl(url)}`);
+    }
+    return removed;
+  }
+
+  /**
+   * 从配置文件与环境变量加载 Agent URL
+   * - A2A_AGENTS_FILE：JSON 数组（或 { agents: [...] }），元素为 URL 字符串或 { url, name }
+   * - A2A_AGENT_URLS：逗号分隔的 URL 列表
+   * @param {Object} [config]
+   * @param {string} [config.file] - 配置文件路径（默认 A2A_AGENTS_FILE）
+   * @param {string|Array<string>} [config.urls] - URL 列表（默认 A2A_AGENT_URLS）
+   * @returns {number} - 加载的实例数
+   */
+  loadConfig(config = {}) {
+    const file = config.file ?? process.env.A2A_AGENTS_FILE;
+    const urls = config.urls ?? process.env.A2A_AGENT_URLS;
+    const entries = [];
+
+    if (file) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      entries.push(...(Array.isArray(data) ? data : (data.agents || [])));
+    }
+    if (urls) {
+      const list = Array.isArray(urls) ? urls : String(urls).split(',');
+      entries.push(...list.map(url => url.trim()).filter(Boolean));
+    }
+
+    for (const entry of entries) {
+      if (typeof entry === 'string') {
+        this.register(entry, { source: 'config' });
+      } else if (entry?.url) {
+        this.register(entry.url, { name: entry.name, source: 'config' });
+      } else {
+        this.logger.warn('Ignoring agent config entry without url:', entry);
+      }
+    }
+    return entries.length;
+  }
+
+  /**
+   * 获取实例的 AgentCard（/.well-known/agent.json）
+   * @param {string} url
+   * @returns {Promise<Object>} - 实例记录
+   */
+  async discover(url) {
+    const instance = this.instances.get(normalizeUrl(url)) || this.register(url);
+    instance.lastDiscoveryAt = Date.now();
+
+    try {
+      const response = await fetch(`${instance.url}/.well-known/agent.json`, {
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to get agent card: ${response.status} ${response.statusText}`);
+      }
+      this._applyCard(instance, await response.json());
+      this.markSuccess(instance.url);
+      this.logger.debug(`Discovered ${instance.name} at ${instance.url}: ${[...instance.skills].join(', ')}`);
+    } catch (error) {
+      this.markFailure(instance.url, error);
+      this.logger.debug(`Discovery failed for ${instance.url}: ${error.message}`);
+    }
+    return instance;
+  }
+
+  /**
+   * 为尚无 AgentCard 的实例获取 AgentCard（失败的实例按 discoveryRetryMs 间隔重试）
+   * @returns {Promise<void>}
+   */
+  async ensureDiscovered() {
+    const now = Date.now();
+    const pending = [...this.instances.values()].filter(instance =>
+      !instance.card && now - instance.lastDiscoveryAt >= this.discoveryRetryMs
+    );
+    await Promise.all(pending.map(instance => this.discover(instance.url)));
+  }
+
+  /**
+   * 按技能选择候选实例（已按策略排序，调用方依次尝试实现故障转移）
+   * - 已获取 AgentCard 的实例按技能 ID 匹配
+   * - 尚未获取 AgentCard 的实例按 Agent 名称匹配
+   * - 健康实例在前，不健康的实例排在最后作为兜底
+   * @param {string} [skill] - 技能 ID
+   * @param {string} [agentName] - Agent 名称
+   * @returns {Array<Object>} - 实例记录列表
+   */
+  candidates(skill, agentName) {
+    const matched = [...this.instances.values()].filter(instance => {
+      if (instance.card && skill) {
+        return instance.skills.has(skill);
+      }
+      return Boolean(agentName) && instance.name === agentName;
+    });
+
+    const healthy = matched.filter(instance => instance.healthy !== false);
+    const unhealthy = matched.filter(instance => instance.healthy === false);
+
+    if (this.strategy === LoadBalancing.ROUND_ROBIN && healthy.length > 1) {
+      const key = skill || agentName;
+      const cursor = this.cursors.get(key) || 0;
+      this.cursors.set(key, cursor + 1);
+      const offset = cursor % healthy.length;
+      return [...healthy.slice(offset), ...healthy.slice(0, offset), ...unhealthy];
+    }
+    return [...healthy, ...unhealthy];
+  }
+
+  /**
+   * 记录实例调用成功
+   * @param {string} url
+   */
+  markSuccess(url) {
+    const instance = this.instances.get(normalizeUrl(url));
+    if (!instance) return;
+    if (instance.healthy === false) {
+      this.logger.info(`Agent instance recovered: ${instance.name || '?'} -> ${instance.url}`);
+    }
+    instance.healthy = true;
+    instance.failures = 0;
+    instance.lastError = null;
+    instance.lastSeenAt = new Date().toISOString();
+  }
+
+  /**
+   * 记录实例不可达
+   * @param {string} url
+   * @param {Error} [error]
+   */
+  markFailure(url, error) {
+    const instance = this.instances.get(normalizeUrl(url));
+    if (!instance) return;
+    // fetch 的连接错误只有 "fetch failed"，具体原因在 cause 中
+    const reason = error ? (error.cause?.code || error.cause?.message || error.message) : null;
+    if (instance.healthy !== false) {
+      this.logger.warn(`Agent instance unavailable: ${instance.name || '?'} -> ${instance.url}${reason ? ` (${reason})` : ''}`);
+    }
+    instance.healthy = false;
+    instance.failures++;
+    instance.lastError = reason;
+  }
+
+  /**
+   * 对所有实例执行 /ping 健康检查，恢复的实例补充获取 AgentCard
+   * @returns {Promise<Array<Object>>} - list() 结果
+   */
+  async checkHealth() {
+    await Promise.all([...this.instances.values()].map(async (instance) => {
+      instance.lastCheckedAt = new Date().toISOString();
+      try {
+        const response = await fetch(`${instance.url}/ping`, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        if (!response.ok) {
+          throw new Error(`Ping failed: ${response.status}`);
+        }
+        this.markSuccess(instance.url);
+        if (!instance.card) {
+          await this.discover(instance.url);
+        }
+      } catch (error) {
+        this.markFailure(instance.url, error);
+      }
+    }));
+    return this.list();
+  }
+
+  /**
+   * 启动定时健康检查（healthCheckMs <= 0 时不启动）
+   */
+  startHealthChecks() {
+    if (this.healthTimer || this.healthCheckMs <= 0) {
+      return;
+    }
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch(error => this.logger.warn('Health check failed:', error.message));
+    }, this.healthCheckMs);
+    this.healthTimer.unref?.();
+  }
+
+  /**
+   * 停止定时健康检查
+   */
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * 按 Agent 名称汇总可用性：任一实例健康且未熔断即视为可用
+   * @param {Object} [circuitStates] - AgentClient.getCircuitStates() 的结果 { agentUrl: { state } }
+   * @returns {Object} - { agentName: { available, circuit, instances: [{ url, healthy, circuit }] } }
+   */
+  summarize(circuitStates = {}) {
+    const result = {};
+    for (const instance of this.instances.values()) {
+      const name = instance.name || instance.url;
+      const circuit = circuitStates[instance.url]?.state || CircuitState.CLOSED;
+      const entry = result[name] || (result[name] = { available: false, circuit: null, instances: [] });
+
+      entry.instances.push({ url: instance.url, healthy: instance.healthy, circuit });
+      entry.available = entry.available || (instance.healthy === true && circuit !== CircuitState.OPEN);
+      if (entry.circuit === null || CIRCUIT_RANK[circuit] < CIRCUIT_RANK[entry.circuit]) {
+        entry.circuit = circuit;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 所有实例（JSON 友好）
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.instances.values()].map(instance => ({
+      url: instance.url,
+      name: instance.name,
+      version: instance.card?.version || null,
+      skills: [...instance.skills],
+      healthy: instance.healthy,
+      source: instance.source,
+      failures: instance.failures,
+      lastError: instance.lastError,
+      registeredAt: instance.registeredAt,
+      lastSeenAt: instance.lastSeenAt,
+      lastCheckedAt: instance.lastCheckedAt,
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _applyCard(instance, card) {
+    instance.card = card;
+    instance.name = card.name || instance.name;
+    instance.skills = new Set((card.skills || []).map(skill => skill.id));
+  }
+}
+
+/**
+ * 注册中心 HTTP 接口（挂载到 AgentServer 或 Web 服务器上）
+ * - GET  /agents             已注册实例列表（read）
+ * - POST /agents/register    { url, card?, name? } 自注册 / 心跳，未提供 card 时主动获取（admin）
+ * - POST /agents/deregister  { url } 注销（admin）
+ *
+ * 认证关闭（未提供 auth 或未配置 API_KEYS）时，注册 / 注销只接受来自本机的请求，
+ * 避免任何能访问端口的人登记一个声明 execute / recover 技能的实例
+ * @param {AgentRegistry} registry
+ * @param {Object} [options]
+ * @param {ApiKeyAuth} [options.auth] - API Key 认证，不提供时接口不做认证
+ * @returns {express.Router}
+ */
+export function createRegistryRouter(registry, options = {}) {
+  const router = express.Router();
+  const logger = createLogger('AgentRegistry');
+  const authEnabled = Boolean(options.auth?.enabled);
+  const requireScope = (scope) => options.auth ? options.auth.require(scope) : (req, res, next) => next();
+  const requireAdmin = (req, res, next) => {
+    if (authEnabled || isLoopback(req)) {
+      return requireScope(Scope.ADMIN)(req, res, next);
+    }
+    logger.warn(`Rejected ${req.method} ${req.path} from ${req.socket?.remoteAddress}: authentication disabled`);
+    res.status(403).json({
+      success: false,
+      error: 'Agent registration from remote hosts requires API_KEYS',
+      code: AuthErrorCode.FORBIDDEN,
+    });
+  };
+
+  router.get('/agents', requireScope(Scope.READ), (req, res) => {
+    res.json({ strategy: registry.strategy, agents: registry.list() });
+  });
+
+  router.post('/agents/register', requireAdmin, async (req, res) => {
+    const { url, card, name } = req.body || {};
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const instance = registry.register(url, { card, name, source: 'self' });
+    if (!instance.card) {
+      await registry.discover(url);
+    }
+    res.json(registry.list().find(item => item.url === instance.url));
+  });
+
+  router.post('/agents/deregister', requireAdmin, (req, res) => {
+    const { url } = req.body || {};
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'url is required' });
+    }
+    res.json({ removed: registry.unregister(url) });
+  });
+
+  return router;
+}
@@ -4,8 +4,43 @@
  */
 
 import express from 'express';
-import { createLogger } from '../utils/logger.js';
-import { A2AMessageType, createTaskResult } from './types.js';
+import { createLogger, runWithLogContext } from '../utils/logger.js';
+import { validateSchema, formatSchemaErrors } from '../utils/jsonSchema.js';
+import { A2AErrorCode, A2AMessageType, TaskStatus, createTaskError, createTaskResult } from './types.js';
+import { TaskStore } from './TaskStore.js';
+import { createRegistryRouter } from './AgentRegistry.js';
+import { getApiKeyAuth, Scope } from '../auth/ApiKeyAuth.js';
+import { getTracer, SpanKind, SpanStatusCode } from '../tracing/Tracer.js';
+import { getStreamLogger } from '../utils/StreamLogger.js';
+import { getMetrics } from '../metrics/Metrics.js';
+import { getRecorder } from '../replay/Recorder.js';
+
+const DEFAULT_REGISTRY_HEARTBEAT_MS = 30 * 1000;
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 30 * 1000;
+const DRAIN_POLL_MS = 100;
+const MAX_FORWARDED_EVENTS = 500; // 单个任务随结果带回的 StreamLogger 事件上限
+
+/**
+ * 任务输入校验失败（HTTP 400）
+ * @private
+ */
+function invalidInputError(message, details) {
+  const error = new Error(message);
+  error.code = A2AErrorCode.INVALID_INPUT;
+  error.details = details;
+  return error;
+}
+
+/**
+ * 路由异常 → 结构化 TaskResult 与 HTTP 状态码（输入校验失败为 400，其余为 500）
+ * @private
+ */
+function toErrorResponse(taskId, error) {
+  if (error.code === A2AErrorCode.INVALID_INPUT) {
+    return { status: 400, result: createTaskError(taskId, error.code, error.message, error.details) };
+  }
+  return { status: 500, result: createTaskResult(taskId, false, error.message) };
+}
 
 export class AgentServer {
   /**
@@ -13,11 +48,38 @@ export class AgentServer {
    * @param {Object} config.agentCard - Agent 元数据
    * @param {number} config.port - 服务端口
    * @param {Object} config.skillHandlers - 技能处理函数映射 { skillId: handler }
+   * @param {boolean} [config.validateInput] - 按技能 inputSchema 校验 task.input，不符合时返回 400（A2A_VALIDATE_INPUT，默认开启）
+   * @param {boolean} [config.strictSchemas] - 严格模式：按技能 outputSchema 校验处理器输出，不符合时任务失败（A2A_STRICT_SCHEMAS，默认关闭）
+   * @param {AgentRegistry} [config.registry] - 作为注册中心时提供 /agents 接口（Orchestrator）
+   * @param {string} [config.registryUrl] - 启动后向该注册中心自注册并定期心跳（A2A_REGISTRY_URL）
+   * @param {ApiKeyAuth} [config.auth] - API Key 认证（默认按 API_KEYS 配置）
+   * @param {Tracer} [config.tracer] - 分布式追踪（默认单例，服务名设置为 Agent 名称）
+   * @param {MetricsRegistry} [config.metrics] - Prometheus 指标（默认单例，GET /metrics 输出）
+   * @param {number} [config.shutdownTimeoutMs] - stop() 等待进行中任务完成的最长时间，超时后取消剩余任务（SHUTDOWN_TIMEOUT_MS，默认 30 秒）
    */
   constructor(config) {
     this.agentCard = config.agentCard;
     this.port = config.port;
     this.skillHandlers = config.skillHandlers || {};
+    this.taskStore = config.taskStore || new TaskStore();
+    this.auth = config.auth || getApiKeyAuth();
+    this.tracer = config.tracer || getTracer();
+    this.tracer.setServiceName(this.agentCard.name);
+    this.streamLogger = getStreamLogger();
+    this.metrics = config.metrics || getMetrics();
+    this.taskCounter = this.metrics.counter('a2a_tasks_total', 'A2A tasks handled by skill and final status', ['skill', 'status']);
+    this.taskDuration = this.metrics.histogram('a2a_task_duration_seconds', 'A2A task latency in seconds by skill and final status', ['skill', 'status']);
+    this.metrics.gauge('a2a_tasks_active', 'A2A tasks currently pending or running', [],
+      gauge => gauge.set({}, this.taskStore.listActive().length));
+    this.validateInput = config.validateInput ?? process.env.A2A_VALIDATE_INPUT !== 'false';
+    this.strictSchemas = config.strictSchemas ?? process.env.A2A_STRICT_SCHEMAS === 'true';
+    this.registry = config.registry || null;
+    this.registryUrl = (config.registryUrl ?? process.env.A2A_REGISTRY_URL ?? '').replace(/\/+$/, '');
+    this.registryHeartbeatMs = parseInt(process.env.A2A_REGISTRY_HEARTBEAT_MS) || DEFAULT_REGISTRY_HEARTBEAT_MS;
+    this.heartbeatTimer = null;
+    this.shutdownTimeoutMs = config.shutdownTimeoutMs ?? (parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || DEFAULT_SHUTDOWN_TIMEOUT_MS);
+    this.draining = false;
+    this.stopPromise = null;
     this.logger = createLogger(`A2A:${this.agentCard.name}`);
     
     this.app = express();
@@ -26,30 +88,125 @@ export class AgentServer {
   }
 
   _setupRoutes() {
-    // Agent Card 获取
+    // Agent Card 获取（公开，包含认证方式声明）
     this.app.get('/.well-known/agent.json', (req, res) => {
-      res.json(this.agentCard);
+      res.json(this.getPublicCard());
     });
 
-    // Ping/健康检查
+    // Ping/健康检查（退出中返回 503，注册中心和 Supervisor 据此不再路由新任务）
     this.app.get('/ping', (req, res) => {
-      res.json({ status: 'ok', agent: this.agentCard.name });
+      res.status(this.draining ? 503 : 200).json({
+        status: this.draining ? 'draining' : 'ok',
+        agent: this.agentCard.name,
+        activeTasks: this.taskStore.listActive().length,
+      });
     });
 
+    // Prometheus 指标
+    this.app.get('/metrics', this.auth.require(Scope.READ), this.metrics.handler());
+
     // 任务提交
-    this.app.post('/tasks', async (req, res) => {
+    // - 默认同步：等待处理完成后返回 TaskResult
+    // - ?async=true：立即返回 202 { taskId, status }，之后通过 GET /tasks/:id 查询
+    const requireSkillScope = this.auth.require(req => this._getSkillScope(req.body?.skill));
+    // 安全技能（AgentCard 中 safety: true，如 recover）在排空期间仍然接受；任务取消本身不受排空限制
+    const rejectWhileDraining = (req, res, next) => {
+      if (!this.draining || this._getSkill(req.body?.skill)?.safety) {
+        return next();
+      }
+      res.status(503).json(createTaskError(req.body?.id, A2AErrorCode.SHUTTING_DOWN, `Agent "${this.agentCard.name}" is shutting down`));
+    };
+
+    this.app.post('/tasks', rejectWhileDraining, requireSkillScope, async (req, res) => {
       const task = req.body;
-      this.logger.info(`Received task: ${task.id}, skill: ${task.skill}`);
+      const isAsync = req.query.async === 'true';
+      this.logger.info(`Received ${isAsync ? 'async ' : ''}task: ${task.id}, skill: ${task.skill}`);
+
+      if (isAsync) {
+        try {
+          const record = this._startTask(task, { traceparent: req.get('traceparent') });
+          res.status(202).json(this.taskStore.toJSON(record));
+        } catch (error) {
+          this.logger.error(`Task ${task.id} rejected:`, error.message);
+          const { status, result } = toErrorResponse(task.id, error);
+          res.status(status).json(result);
+        }
+        return;
+      }
       
       try {
-        const result = await this._handleTask(task);
+        const result = await this._handleTask(task, { traceparent: req.get('traceparent') });
         res.json(result);
       } catch (error) {
         this.logger.error(`Task ${task.id} failed:`, error.message);
-        res.status(500).json(createTaskResult(task.id, false, error.message));
+        const { status, result } = toErrorResponse(task.id, error);
+        res.status(status).json(result);
+      }
+    });
+
+    // 任务状态查询
+    this.app.get('/tasks/:taskId', this.auth.require(Scope.READ), (req, res) => {
+      const record = this.taskStore.get(req.params.taskId);
+      if (!record) {
+        return res.status(404).json({ error: `Unknown task: ${req.params.taskId}` });
+      }
+      res.json(this.taskStore.toJSON(record));
+    });
+
+    // 任务取消
+    this.app.post('/tasks/:taskId/cancel', this.auth.require(Scope.EXECUTE), (req, res) => {
+      const record = this.taskStore.cancel(req.params.taskId);
+      if (!record) {
+        return res.status(404).json({ error: `Unknown task: ${req.params.taskId}` });
       }
+      this.logger.info(`Task ${record.id} cancel requested (status: ${record.status})`);
+      res.json(this.taskStore.toJSON(record));
     });
 
+    // 流式任务提交（NDJSON：每行一个 JSON 消息）
+    // - { type: 'task/progress', taskId, progress }  处理器通过 context.onProgress 上报的进度
+    // - { type: 'task/event', taskId, event }        处理器发出的 StreamLogger 事件（task.context.forwardEvents 时）
+    // - { type: 'task/result', result }              最终结果（最后一行）
+    this.app.post('/tasks/stream', rejectWhileDraining, requireSkillScope, async (req, res) => {
+      const task = req.body;
+      this.logger.info(`Received streaming task: ${task.id}, skill: ${task.skill}`);
+
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('X-Accel-Buffering', 'no');
+
+      const writeMessage = (message) => {
+        if (!res.writableEnded) {
+          res.write(`${JSON.stringify(message)}\n`);
+        }
+      };
+
+      const onProgress = (progress) => {
+        writeMessage({ type: A2AMessageType.TASK_PROGRESS, taskId: task.id, progress });
+      };
+
+      const onEvent = (event) => {
+        writeMessage({ type: A2AMessageType.TASK_EVENT, taskId: task.id, event });
+      };
+
+      let result;
+      try {
+        result = await this._handleTask(task, { onProgress, onEvent, traceparent: req.get('traceparent') });
+      } catch (error) {
+        // 流已开始（200），输入校验失败通过结果中的 code / details 体现
+        this.logger.error(`Task ${task.id} failed:`, error.message);
+        result = toErrorResponse(task.id, error).result;
+      }
+
+      writeMessage({ type: A2AMessageType.TASK_RESULT, result });
+      res.end();
+    });
+
+    // 注册中心接口（GET /agents、POST /agents/register、POST /agents/deregister）
+    if (this.registry) {
+      this.app.use(createRegistryRouter(this.registry, { auth: this.auth }));
+    }
+
     // 错误处理
     this.app.use((err, req, res, next) => {
       this.logger.error('Server error:', err);
@@ -57,26 +214,194 @@ export class AgentServer {
     });
   }
 
-  async _handleTask(task) {
-    const { id, skill, input, context, sessionId } = task;
+  /**
+   * 执行任务（同步等待结果）
+   * @param {Object} task - A2A Task
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - 进度回调（仅流式任务提供）
+   * @param {Function} [options.onEvent] - StreamLogger 事件回调（仅流式任务提供；否则事件随结果的 events 返回）
+   * @param {string} [options.traceparent] - 调用方的 trace 上下文（请求头）
+   * @private
+   */
+  async _handleTask(task, options = {}) {
+    const record = this._startTask(task, options);
+    return record.promise;
+  }
+
+  /**
+   * 登记并启动任务，返回任务记录（record.promise 在任务结束时 resolve 为 TaskResult）
+   * @private
+   */
+  _startTask(task, options = {}) {
+    const { skill } = task;
     
     const handler = this.skillHandlers[skill];
     if (!handler) {
       throw new Error(`Unknown skill: ${skill}`);
     }
 
+    if (this.validateInput) {
+      const errors = validateSchema(this._getSkill(skill)?.inputSchema, task.input ?? {}, 'input');
+      if (errors.length > 0) {
+        throw invalidInputError(`Invalid input for skill ${skill}: ${formatSchemaErrors(errors)}`, errors);
+      }
+    }
+
+    if (!task.id) {
+      task.id = crypto.randomUUID();
+    }
+
+    const record = this.taskStore.create(task);
+    record.promise = this._runTask(task, handler, record, options);
+    return record;
+  }
+
+  /**
+   * 运行技能处理器并记录状态
+   * @private
+   */
+  async _runTask(task, handler, record, options) {
+    // 每次技能调用一个 SERVER Span，父 Span 来自 traceparent 请求头（或 task.context.traceparent）；
+    // 处理器内的日志带上调用方的 requestId / sessionId 和 taskId
+    const parent = this.tracer.extract(options.traceparent || task.context?.traceparent);
+    const logFields = { requestId: task.context?.requestId, sessionId: task.sessionId, taskId: task.id };
+    return runWithLogContext(logFields, () => this.tracer.startActiveSpan(`a2a.task ${task.skill}`, {
+      kind: SpanKind.SERVER,
+      parent,
+      attributes: {
+        'a2a.agent': this.agentCard.name,
+        'a2a.skill': task.skill,
+        'a2a.task_id': task.id,
+        'session.id': task.sessionId,
+        'dpw.request_id': task.context?.requestId,
+      },
+    }, async (span) => {
+      const result = await this._executeTask(task, handler, record, options);
+      result.metadata.traceId = span.traceId;
+      span.setAttribute('a2a.status', result.metadata.status);
+      if (!result.success) {
+        span.setStatus(SpanStatusCode.ERROR, result.error);
+      }
+      return result;
+    }));
+  }
+
+  /**
+   * @private
+   */
+  async _executeTask(task, handler, record, options) {
+    const { id, input, context, sessionId } = task;
+    const { signal } = record.abortController;
     const startTime = Date.now();
+
+    this.taskStore.setStatus(id, TaskStatus.RUNNING);
     
+    // 调用方要求转发事件时，处理器内发出的 StreamLogger 事件流式任务实时写回，其余随结果返回
+    const events = [];
+    const runHandler = () => handler(input, { context, sessionId, taskId: id, onProgress: options.onProgress, signal });
+    const invoke = context?.forwardEvents
+      ? () => this.streamLogger.runInScope({
+        requestId: context.requestId,
+        onEvent: options.onEvent || ((event) => {
+          if (events.length < MAX_FORWARDED_EVENTS) events.push(event);
+        }),
+      }, runHandler)
+      : runHandler;
+
+    let result;
     try {
-      const output = await handler(input, { context, sessionId, taskId: id });
-      const result = createTaskResult(id, true, output);
-      result.metadata.durationMs = Date.now() - startTime;
-      return result;
+      const output = await this._raceAbort(invoke, signal);
+      result = this._checkOutput(task.skill, id, output);
     } catch (error) {
-      const result = createTaskResult(id, false, error.message);
-      result.metadata.durationMs = Date.now() - startTime;
-      return result;
+      if (signal.aborted) {
+        result = createTaskResult(id, false, 'Task cancelled');
+      } else if (error.expose && typeof error.code === 'string') {
+        // 处理器通过 createSkillError 抛出的业务错误码（如 IDEMPOTENCY_CONFLICT）随结果返回
+        result = createTaskError(id, error.code, error.message);
+      } else {
+        result = createTaskResult(id, false, error.message);
+      }
+    }
+
+    const status = signal.aborted
+      ? TaskStatus.CANCELLED
+      : (result.success ? TaskStatus.COMPLETED : TaskStatus.FAILED);
+    result.metadata.status = status;
+    result.metadata.durationMs = Date.now() - startTime;
+    this.taskCounter.inc({ skill: task.skill, status });
+    this.taskDuration.observe({ skill: task.skill, status }, result.metadata.durationMs / 1000);
+    if (events.length > 0) {
+      result.events = events;
+    }
+    // 请求记录（RECORD_REQUESTS）：任务输入与结果，回放时用于逐步对比
+    getRecorder().record('a2a', { op: task.skill, agent: this.agentCard.name, input, output: result });
+
+    this.taskStore.setStatus(id, status, result);
+    if (status === TaskStatus.CANCELLED) {
+      // 取消时 setStatus 不会覆盖状态，这里补上结果
+      record.result = result;
     }
+    return result;
+  }
+
+  /**
+   * 严格模式下按 outputSchema 校验处理器输出，不符合时返回 INVALID_OUTPUT 失败结果
+   * @private
+   */
+  _checkOutput(skill, taskId, output) {
+    if (this.strictSchemas) {
+      const errors = validateSchema(this._getSkill(skill)?.outputSchema, output, 'output');
+      if (errors.length > 0) {
+        const message = `Invalid output from skill ${skill}: ${formatSchemaErrors(errors)}`;
+        this.logger.error(`Task ${taskId}: ${message}`);
+        return createTaskError(taskId, A2AErrorCode.INVALID_OUTPUT, message, errors);
+      }
+    }
+    return createTaskResult(taskId, true, output);
+  }
+
+  /**
+   * 对外公开的 AgentCard（附带 API Key 认证方式）
+   * @returns {Object}
+   */
+  getPublicCard() {
+    return { ...this.agentCard, ...this.auth.describe() };
+  }
+
+  /**
+   * 调用技能所需权限（AgentCard 技能的 scope，未声明时按 execute 处理）
+   * @private
+   */
+  _getSkillScope(skillId) {
+    return this._getSkill(skillId)?.scope || Scope.EXECUTE;
+  }
+
+  /**
+   * AgentCard 中的技能描述
+   * @private
+   */
+  _getSkill(skillId) {
+    return this.agentCard.skills?.find(skill => skill.id === skillId);
+  }
+
+  /**
+   * 处理器与取消信号赛跑：取消后立即结束等待（处理器应自行响应 signal 停止工作）
+   * @private
+   */
+  _raceAbort(fn, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new Error('Task cancelled'));
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
   }
 
   /**
@@ -96,16 +421,108 @@ export class AgentServer {
     return new Promise((resolve) => {
       this.server = this.app.listen(this.port, () => {
         this.logger.info(`Agent "${this.agentCard.name}" listening on port ${this.port}`);
+        this._startHeartbeat();
         resolve();
       });
     });
   }
 
   /**
-   * 停止服务器
+   * 向注册中心自注册，并按 A2A_REGISTRY_HEARTBEAT_MS 重复注册作为心跳（注册中心晚于本 Agent 启动时也能被发现）
+   * @private
+   */
+  _startHeartbeat() {
+    if (!this.registryUrl || this.registryUrl === this.agentCard.url) {
+      return;
+    }
+
+    let registered = false;
+    const register = async () => {
+      try {
+        const response = await fetch(`${this.registryUrl}/agents/register`, {
+          method: 'POST',
+          headers: this._registryHeaders(),
+          body: JSON.stringify({ url: this.agentCard.url, card: this.getPublicCard() }),
+          signal: AbortSignal.timeout(5000),
+        });
+        if (!response.ok) {
+          throw new Error(`${response.status} ${await response.text()}`);
+        }
+        if (!registered) {
+          this.logger.info(`Registered with registry ${this.registryUrl}`);
+        }
+        registered = true;
+      } catch (error) {
+        if (registered) {
+          this.logger.warn(`Registry heartbeat failed (${this.registryUrl}): ${error.message}`);
+        } else {
+          this.logger.debug(`Registry ${this.registryUrl} not reachable yet: ${error.message}`);
+        }
+        registered = false;
+      }
+    };
+
+    register();
+    this.heartbeatTimer = setInterval(register, this.registryHeartbeatMs);
+    this.heartbeatTimer.unref?.();
+  }
+
+  /**
+   * 注册中心请求头（注册 / 注销需要 admin 权限的 A2A_API_KEY）
+   * @private
+   */
+  _registryHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.A2A_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.A2A_API_KEY}`;
+    }
+    return headers;
+  }
+
+  /**
+   * 停止心跳并从注册中心注销（尽力而为）
+   * @private
+   */
+  async _stopHeartbeat() {
+    if (!this.heartbeatTimer) {
+      return;
+    }
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    try {
+      await fetch(`${this.registryUrl}/agents/deregister`, {
+        method: 'POST',
+        headers: this._registryHeaders(),
+        body: JSON.stringify({ url: this.agentCard.url }),
+        signal: AbortSignal.timeout(2000),
+      });
+    } catch (error) {
+      this.logger.debug(`Deregister failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 优雅停止：不再接受新任务（503 SHUTTING_DOWN），从注册中心注销，
+   * 等待进行中的任务完成（最多 shutdownTimeoutMs，超时后取消剩余任务）后关闭服务器。重复调用返回同一个 Promise
    * @returns {Promise<void>}
    */
   stop() {
+    if (!this.stopPromise) {
+      this.stopPromise = this._shutdown();
+    }
+    return this.stopPromise;
+  }
+
+  /**
+   * @private
+   */
+  async _shutdown() {
+    this.draining = true;
+    await this._stopHeartbeat();
+    await this._drainTasks();
+    this.taskStore.close();
+    await this.tracer.flush();
     return new Promise((resolve) => {
       if (this.server) {
         this.server.close(() => {
@@ -117,5 +534,31 @@ export class AgentServer {
       }
     });
   }
+
+  /**
+   * 等待进行中的任务结束，超时后取消剩余任务并等待其处理器响应取消
+   * @private
+   */
+  async _drainTasks() {
+    const deadline = Date.now() + this.shutdownTimeoutMs;
+    let active = this.taskStore.listActive();
+    if (active.length > 0) {
+      this.logger.info(`Waiting for ${active.length} active task(s) to finish...`);
+    }
+
+    while (active.length > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_MS));
+      active = this.taskStore.listActive();
+    }
+
+    if (active.length > 0) {
+      this.logger.warn(`Shutdown timeout, cancelling ${active.length} task(s): ${active.map(record => record.id).join(', ')}`);
+      for (const record of active) {
+        this.taskStore.cancel(record.id);
+      }
+      // 给处理器一个事件循环周期写出取消结果（流式响应的最后一行）
+      await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_MS));
+    }
+  }
 }
 
@@ -0,0 +1,104 @@
+/**
+ * Circuit Breaker
+ * 单个 Agent 实例的熔断器：连续失败达到阈值后熔断（open），在冷却期内直接拒绝调用；
+ * 冷却期结束后放行一次试探调用（half_open），成功则恢复（closed），失败则重新熔断
+ */
+
+/** 熔断器状态 */
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 30 * 1000;
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.failureThreshold] - 连续失败多少次后熔断（A2A_BREAKER_THRESHOLD，默认 5）
+   * @param {number} [config.resetTimeoutMs] - 熔断冷却时间（A2A_BREAKER_RESET_MS，默认 30 秒）
+   */
+  constructor(config = {}) {
+    this.failureThreshold = config.failureThreshold ?? (parseInt(process.env.A2A_BREAKER_THRESHOLD) || DEFAULT_FAILURE_THRESHOLD);
+    this.resetTimeoutMs = config.resetTimeoutMs ?? (parseInt(process.env.A2A_BREAKER_RESET_MS) || DEFAULT_RESET_TIMEOUT_MS);
+
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * 是否放行本次调用（冷却期结束后转为 half_open 并只放行一次试探调用）
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === CircuitState.CLOSED) {
+      return true;
+    }
+    if (this.state === CircuitState.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        return false;
+      }
+      this.state = CircuitState.HALF_OPEN;
+    }
+    if (this.trialInFlight) {
+      return false;
+    }
+    this.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * 记录调用成功
+   */
+  recordSuccess() {
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * 记录调用失败（不可达 / 超时 / 服务不可用）
+   * @param {Error} [error]
+   * @returns {boolean} - 本次失败是否导致熔断
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error?.message || null;
+    this.trialInFlight = false;
+
+    if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+      const tripped = this.state !== CircuitState.OPEN;
+      this.state = CircuitState.OPEN;
+      this.openedAt = Date.now();
+      return tripped;
+    }
+    return false;
+  }
+
+  /**
+   * 调用以与实例健康无关的原因结束（如调用方取消），释放试探名额
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * 状态快照（JSON 友好）
+   * @returns {{ state: string, failures: number, openedAt: string|null, lastError: string|null }}
+   */
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastError: this.lastError,
+    };
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * A2A Task Store
+ * 记录 AgentServer 上所有任务的状态，支持状态查询与取消
+ */
+
+import { TaskStatus } from './types.js';
+
+const DEFAULT_RETENTION_MS = 10 * 60 * 1000; // 已结束任务保留 10 分钟
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const FINISHED_STATUSES = new Set([
+  TaskStatus.COMPLETED,
+  TaskStatus.FAILED,
+  TaskStatus.CANCELLED,
+]);
+
+export class TaskStore {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.retentionMs] - 已结束任务的保留时间
+   */
+  constructor(config = {}) {
+    this.retentionMs = config.retentionMs ?? DEFAULT_RETENTION_MS;
+    this.tasks = new Map(); // taskId -> record
+
+    this._pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this._pruneTimer.unref();
+  }
+
+  /**
+   * 登记新任务
+   * @param {Object} task - A2A Task
+   * @returns {Object} - 任务记录
+   */
+  create(task) {
+    const existing = this.tasks.get(task.id);
+    if (existing && !this.isFinished(existing)) {
+      throw new Error(`Task ${task.id} is already ${existing.status}`);
+    }
+
+    const now = Date.now();
+    const record = {
+      id: task.id,
+      skill: task.skill,
+      sessionId: task.sessionId,
+      status: TaskStatus.PENDING,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      abortController: new AbortController(),
+    };
+
+    this.tasks.set(task.id, record);
+    return record;
+  }
+
+  /**
+   * @param {string} taskId
+   * @returns {Object|undefined}
+   */
+  get(taskId) {
+    return this.tasks.get(taskId);
+  }
+
+  /**
+   * 更新任务状态
+   * @param {string} taskId
+   * @param {string} status - TaskStatus
+   * @param {Object} [result] - 任务结果（结束时）
+   */
+  setStatus(taskId, status, result) {
+    const record = this.tasks.get(taskId);
+    if (!record) return;
+
+    // 已取消的任务不会被后续的完成/失败覆盖
+    if (record.status === TaskStatus.CANCELLED) return;
+
+    record.status = status;
+    record.updatedAt = Date.now();
+    if (result !== undefined) {
+      record.result = result;
+    }
+  }
+
+  /**
+   * 取消任务（触发 abort signal）
+   * @param {string} taskId
+   * @returns {Object|null} - 任务记录；不存在时返回 null
+   */
+  cancel(taskId) {
+    const record = this.tasks.get(taskId);
+    if (!record) return null;
+
+    if (!this.isFinished(record)) {
+      record.status = TaskStatus.CANCELLED;
+      record.updatedAt = Date.now();
+      record.abortController.abort(new Error('Task cancelled'));
+    }
+
+    return record;
+  }
+
+  /**
+   * @param {Object} record
+   * @returns {boolean}
+   */
+  isFinished(record) {
+    return FINISHED_STATUSES.has(record.status);
+  }
+
+  /**
+   * 返回未结束的任务记录
+   * @returns {Object[]}
+   */
+  listActive() {
+    return Array.from(this.tasks.values()).filter(r => !this.isFinished(r));
+  }
+
+  /**
+   * 清理过期的已结束任务
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [taskId, record] of this.tasks) {
+      if (this.isFinished(record) && record.updatedAt < cutoff) {
+        this.tasks.delete(taskId);
+      }
+    }
+  }
+
+  /**
+   * 任务记录的对外视图（去掉内部字段）
+   * @param {Object} record
+   * @returns {Object}
+   */
+  toJSON(record) {
+    return {
+      taskId: record.id,
+      skill: record.skill,
+      sessionId: record.sessionId,
+      status: record.status,
+      result: record.result,
+      createdAt: new Date(record.createdAt).toISOString(),
+      updatedAt: new Date(record.updatedAt).toISOString(),
+    };
+  }
+
+  /**
+   * 停止定时清理
+   */
+  close() {
+    clearInterval(this._pruneTimer);
+  }
+}
@@ -5,4 +5,7 @@
 export * from './types.js';
 export { AgentServer } from './AgentServer.js';
 export { AgentClient } from './AgentClient.js';
+export { AgentRegistry, LoadBalancing, createRegistryRouter } from './AgentRegistry.js';
+export { CircuitBreaker, CircuitState } from './CircuitBreaker.js';
+export { TaskStore } from './TaskStore.js';
 
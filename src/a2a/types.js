@@ -11,6 +11,8 @@
  * @property {string} url - Agent 服务地址
  * @property {string} version - Agent 版本
  * @property {AgentSkill[]} skills - Agent 技能列表
+ * @property {Object} [securitySchemes] - 认证方式（启用 API Key 认证时由 AgentServer 附加）
+ * @property {Array<Object>} [security] - 可用的认证方式组合
  */
 
 /**
@@ -19,6 +21,8 @@
  * @property {string} id - 技能 ID
  * @property {string} name - 技能名称
  * @property {string} description - 技能描述
+ * @property {string} [scope] - 调用所需权限：read | execute | admin（未声明时按 execute）
+ * @property {boolean} [safety] - 安全技能（如紧急恢复）：Agent 退出排空期间仍然接受
  * @property {Object} inputSchema - 输入参数 JSON Schema
  * @property {Object} outputSchema - 输出参数 JSON Schema
  */
@@ -29,7 +33,7 @@
  * @property {string} id - 任务 ID
  * @property {string} skill - 要调用的技能 ID
  * @property {Object} input - 输入参数
- * @property {Object} [context] - 上下文信息
+ * @property {Object} [context] - 上下文信息（如 requestId、W3C traceparent；forwardEvents 为 true 时结果附带 StreamLogger 事件）
  * @property {string} [sessionId] - 会话 ID（用于多轮对话）
  */
 
@@ -40,7 +44,10 @@
  * @property {boolean} success - 是否成功
  * @property {Object} [output] - 输出结果
  * @property {string} [error] - 错误信息
- * @property {Object} [metadata] - 元数据（如耗时等）
+ * @property {string} [code] - 错误码（A2AErrorCode，或技能处理器通过 createSkillError 抛出的业务错误码）
+ * @property {Array<Object>} [details] - 错误详情（如 schema 校验错误 [{ path, message }]）
+ * @property {Object} [metadata] - 元数据（耗时、状态、traceId 等）
+ * @property {Array<Object>} [events] - 任务执行期间发出的 StreamLogger 事件（task.context.forwardEvents 时返回）
  */
 
 /**
@@ -52,6 +59,8 @@ export const A2AMessageType = {
   TASK_RESULT: 'task/result',
   TASK_CANCEL: 'task/cancel',
   TASK_STATUS: 'task/status',
+  TASK_PROGRESS: 'task/progress',
+  TASK_EVENT: 'task/event',
   
   // Agent 发现
   AGENT_CARD: 'agent/card',
@@ -73,6 +82,15 @@ export const TaskStatus = {
   CANCELLED: 'cancelled',
 };
 
+/**
+ * Task 错误码
+ */
+export const A2AErrorCode = {
+  INVALID_INPUT: 'INVALID_INPUT',   // task.input 不符合技能 inputSchema
+  INVALID_OUTPUT: 'INVALID_OUTPUT', // 严格模式下处理器输出不符合技能 outputSchema
+  SHUTTING_DOWN: 'SHUTTING_DOWN',   // Agent 正在优雅退出，不再接受新任务（HTTP 503）
+};
+
 /**
  * 创建 AgentCard
  * @param {Object} config
@@ -123,3 +141,33 @@ export function createTaskResult(taskId, success, data) {
   };
 }
 
+
+/**
+ * 创建带错误码的失败 Task Result
+ * @param {string} taskId
+ * @param {string} code - A2AErrorCode 或业务错误码
+ * @param {string} message - 错误信息
+ * @param {Array<Object>} [details] - 错误详情
+ * @returns {A2ATaskResult}
+ */
+export function createTaskError(taskId, code, message, details) {
+  return {
+    ...createTaskResult(taskId, false, message),
+    code,
+    details,
+  };
+}
+
+/**
+ * 创建技能处理器的业务错误：抛出后 AgentServer 把 code 随 TaskResult 返回给调用方
+ * （只有这样标记的错误才会暴露 code；Node 系统错误等其他异常的 code 不对外返回）
+ * @param {string} code - 业务错误码（如 IDEMPOTENCY_CONFLICT）
+ * @param {string} message - 错误信息
+ * @returns {Error}
+ */
+export function createSkillError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.expose = true;
+  return error;
+}
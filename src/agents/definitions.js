@@ -18,6 +18,69 @@ export function getAgentUrl(agentName, port) {
   return `http://localhost:${port || DEFAULT_PORTS[agentName]}`;
 }
 
+/**
+ * 对话上下文（Orchestrator 根据会话构建，供 Planner / RAG 解析“回去”“同样的动作”等指代）
+ */
+const ConversationContextSchema = {
+  type: ['object', 'null'],
+  description: '对话上下文（可选）：最近对话 + 上一轮的计划、已解析点位、最终位置',
+  properties: {
+    recentMessages: {
+      type: 'array',
+      description: '最近的对话（不含本轮请求）',
+      items: {
+        type: 'object',
+        properties: {
+          role: { type: 'string', enum: ['user', 'assistant'] },
+          content: { type: 'string' },
+        },
+      },
+    },
+    previousTurn: {
+      type: ['object', 'null'],
+      description: '上一轮的执行产物',
+      properties: {
+        message: { type: 'string', description: '上一轮用户请求' },
+        answer: { type: 'string', description: '上一轮回答' },
+        status: { type: 'string', description: 'completed | clarification | aborted | error' },
+        plan: { type: 'array', description: '上一轮最终计划的步骤' },
+        targets: { type: 'array', items: { type: 'string' }, description: '上一轮 RAG 解析出的目标点位' },
+        resolvedLocations: {
+          type: 'array',
+          description: '上一轮成功到达/经过的坐标点',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              x: { type: 'number' },
+              y: { type: 'number' },
+              z: { type: 'number' },
+            },
+          },
+        },
+        startPosition: {
+          type: ['object', 'null'],
+          description: '上一轮开始前无人机位置',
+          properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            z: { type: 'number' },
+          },
+        },
+        finalPosition: {
+          type: ['object', 'null'],
+          description: '上一轮结束时无人机位置',
+          properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            z: { type: 'number' },
+          },
+        },
+      },
+    },
+  },
+};
+
 /**
  * Orchestrator Agent Card
  * 统一入口、对话上下文、调度（RAG→Plan→Execute）
@@ -26,11 +89,12 @@ export const OrchestratorAgentCard = createAgentCard({
   name: 'orchestrator',
   description: '无人机控制系统编排 Agent，负责接收用户请求、调度其他 Agent 协作完成任务',
   url: getAgentUrl('orchestrator'),
-  version: '1.0.0',
+  version: '1.2.0',
   skills: [
     {
       id: 'chat',
       name: '对话处理',
+      scope: 'execute',
       description: '处理用户自然语言请求，协调 RAG/Planner/Executor 完成任务',
       inputSchema: {
         type: 'object',
@@ -39,6 +103,8 @@ export const OrchestratorAgentCard = createAgentCard({
           sessionId: { type: 'string', description: '会话 ID' },
           mapId: { type: 'string', description: '地图 ID（可选）' },
           filters: { type: 'object', description: '过滤条件（可选）' },
+          dryRun: { type: 'boolean', description: '只规划并用模拟器预演，不控制无人机（可选）' },
+          requireApproval: { type: 'boolean', description: '要求计划经人工审批后执行（可选；只能开启，APPROVAL_MODE=true 时总是需要审批）' },
         },
         required: ['message'],
       },
@@ -46,12 +112,65 @@ export const OrchestratorAgentCard = createAgentCard({
         type: 'object',
         properties: {
           answer: { type: 'string', description: '回答文本' },
-          plan: { type: 'array', description: '执行计划' },
+          status: { type: 'string', description: '需要审批时为 pendingApproval' },
+          planId: { type: 'string', description: '待审批计划 ID' },
+          plan: { type: ['array', 'null'], description: '执行计划（澄清 / 出错时为 null）' },
+          simulation: { type: 'object', description: 'dryRun 时的逐步预演结果' },
+          estimatedDurationMs: { type: 'number', description: 'dryRun 时的预计耗时（毫秒）' },
+          pathLength: { type: 'number', description: 'dryRun 时的航迹长度（米）' },
           toolCalls: { type: 'array', description: '工具调用记录' },
           ragHits: { type: 'array', description: 'RAG 检索结果' },
         },
       },
     },
+    {
+      id: 'approvePlan',
+      name: '批准计划',
+      scope: 'execute',
+      description: '批准会话中等待审批的计划并执行，可附带修改后的步骤',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sessionId: { type: 'string', description: '会话 ID' },
+          planId: { type: 'string', description: '计划 ID' },
+          steps: { type: 'array', description: '修改后的步骤（可选）' },
+          approvedBy: { type: 'string', description: '审批人（可选）' },
+          comment: { type: 'string', description: '审批备注（可选）' },
+        },
+        required: ['planId'],
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          answer: { type: 'string', description: '回答文本' },
+          plan: { type: 'array', description: '执行计划' },
+          toolCalls: { type: 'array', description: '工具调用记录' },
+        },
+      },
+    },
+    {
+      id: 'rejectPlan',
+      name: '拒绝计划',
+      scope: 'execute',
+      description: '拒绝会话中等待审批的计划，不执行任何操作',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sessionId: { type: 'string', description: '会话 ID' },
+          planId: { type: 'string', description: '计划 ID' },
+          reason: { type: 'string', description: '拒绝原因（可选）' },
+          rejectedBy: { type: 'string', description: '审批人（可选）' },
+        },
+        required: ['planId'],
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          answer: { type: 'string', description: '回答文本' },
+          planId: { type: 'string', description: '计划 ID' },
+        },
+      },
+    },
   ],
 });
 
@@ -68,6 +187,7 @@ export const PlannerAgentCard = createAgentCard({
     {
       id: 'plan',
       name: '任务规划',
+      scope: 'read',
       description: '根据用户意图和地图点位知识，生成无人机控制步骤序列',
       inputSchema: {
         type: 'object',
@@ -98,7 +218,8 @@ export const PlannerAgentCard = createAgentCard({
               },
             },
           },
-          droneState: { type: 'object', description: '无人机当前状态（可选）' },
+          droneState: { type: ['object', 'null'], description: '无人机当前状态（可选，获取失败时为 null）' },
+          conversationContext: ConversationContextSchema,
         },
         required: ['userRequest'],
       },
@@ -119,7 +240,7 @@ export const PlannerAgentCard = createAgentCard({
           },
           reasoning: { type: 'string', description: '规划推理过程' },
           needsClarification: { type: 'boolean', description: '是否需要用户澄清' },
-          clarificationQuestion: { type: 'string', description: '澄清问题' },
+          clarificationQuestion: { type: ['string', 'null'], description: '澄清问题（无需澄清时为 null）' },
           missingLocations: {
             type: 'array',
             items: { type: 'string' },
@@ -131,14 +252,15 @@ export const PlannerAgentCard = createAgentCard({
     {
       id: 'reflect',
       name: '执行反思',
+      scope: 'read',
       description: 'ReAct 模式的反思阶段：检查执行结果是否达成目标，如未达成则生成补救步骤',
       inputSchema: {
         type: 'object',
         properties: {
           originalRequest: { type: 'string', description: '用户原始请求' },
-          previousPlan: { type: 'object', description: '之前执行的计划' },
+          previousPlan: { type: ['object', 'null'], description: '之前执行的计划' },
           executionResult: { type: 'object', description: '执行结果' },
-          currentDroneState: { type: 'object', description: '执行后的无人机状态' },
+          currentDroneState: { type: ['object', 'null'], description: '执行后的无人机状态（获取失败时为 null）' },
           ragHits: { type: 'array', description: 'RAG 检索结果（目标点位信息）' },
           availableTools: { type: 'array', description: '可用工具列表' },
         },
@@ -177,13 +299,14 @@ export const PlannerAgentCard = createAgentCard({
  */
 export const RagAgentCard = createAgentCard({
   name: 'rag',
-  description: 'RAG 检索 Agent，负责将查询转为向量并从 Supabase 检索相关地图点位知识。支持智能意图解析和多目标检索。',
+  description: 'RAG 检索 Agent，负责将查询转为向量并从 Supabase 检索相关地图点位知识。支持智能意图解析、多目标检索，以及结构化点位表的精确坐标解析。',
   url: getAgentUrl('rag'),
-  version: '1.1.0',
+  version: '1.2.0',
   skills: [
     {
       id: 'retrieve',
       name: '知识检索',
+      scope: 'read',
       description: '根据查询文本检索相关的地图点位知识（基础版本）',
       inputSchema: {
         type: 'object',
@@ -214,9 +337,9 @@ export const RagAgentCard = createAgentCard({
                 metadata: {
                   type: 'object',
                   properties: {
-                    worldX: { type: 'number' },
-                    worldY: { type: 'number' },
-                    worldZ: { type: 'number' },
+                    worldX: { type: ['number', 'null'] },
+                    worldY: { type: ['number', 'null'] },
+                    worldZ: { type: ['number', 'null'] },
                     name: { type: 'string' },
                     tags: { type: 'array' },
                   },
@@ -231,6 +354,7 @@ export const RagAgentCard = createAgentCard({
     {
       id: 'smartRetrieve',
       name: '智能知识检索',
+      scope: 'read',
       description: '先用 LLM 解析用户意图，提取所有需要查询的地标/点位，然后针对每个目标分别检索并合并结果',
       inputSchema: {
         type: 'object',
@@ -244,6 +368,7 @@ export const RagAgentCard = createAgentCard({
               threshold: { type: 'number', description: '相似度阈值', default: 0.5 },
             },
           },
+          conversationContext: ConversationContextSchema,
         },
         required: ['query'],
       },
@@ -269,9 +394,42 @@ export const RagAgentCard = createAgentCard({
         },
       },
     },
+    {
+      id: 'lookupLandmark',
+      name: '地标精确解析',
+      scope: 'read',
+      description: '在结构化地图点位表中按编号（"3号"）、别名（"着陆标"、"A点上方"）或颜色+形状（"蓝色圆形"）精确解析地标，hit.metadata 中直接给出 worldX/worldZ',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          targets: { type: 'array', items: { type: 'string' }, description: '地标描述列表' },
+          query: { type: 'string', description: '单个地标描述（未提供 targets 时使用）' },
+          filters: {
+            type: 'object',
+            properties: {
+              mapId: { type: 'string', description: '地图 ID' },
+            },
+          },
+        },
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          hits: { type: 'array', description: '命中的点位（score=1，metadata 含 worldX/worldY/worldZ、objectId、type、color）' },
+          resolved: {
+            type: 'object',
+            description: '每个地标描述对应的候选点位（颜色+形状可能有多个候选）',
+            additionalProperties: { type: 'array' },
+          },
+          unresolved: { type: 'array', items: { type: 'string' }, description: '点位表中找不到的描述' },
+          coordinates: { type: 'array', description: '[{ name, x, y, z }]' },
+        },
+      },
+    },
     {
       id: 'retrieveMissing',
       name: '缺失目标检索',
+      scope: 'read',
       description: '针对 Planner 反馈的缺失地图点位，用多种搜索策略重新检索',
       inputSchema: {
         type: 'object',
@@ -322,6 +480,7 @@ export const ExecutorAgentCard = createAgentCard({
     {
       id: 'execute',
       name: '执行控制命令',
+      scope: 'execute',
       description: '执行一系列无人机控制步骤',
       inputSchema: {
         type: 'object',
@@ -342,6 +501,11 @@ export const ExecutorAgentCard = createAgentCard({
             },
           },
           stopOnError: { type: 'boolean', default: true, description: '遇错是否停止' },
+          idempotencyKey: {
+            type: 'string',
+            minLength: 1,
+            description: '幂等键（如 requestId:iteration）：窗口内重复提交返回首次执行的结果，不会重复调用 MCP 工具',
+          },
         },
         required: ['steps'],
       },
@@ -356,7 +520,7 @@ export const ExecutorAgentCard = createAgentCard({
                 step: { type: 'number' },
                 tool: { type: 'string' },
                 success: { type: 'boolean' },
-                result: { type: 'object' },
+                result: { description: 'MCP 工具返回结果' },
                 error: { type: 'string' },
                 durationMs: { type: 'number' },
               },
@@ -364,12 +528,33 @@ export const ExecutorAgentCard = createAgentCard({
           },
           allSuccess: { type: 'boolean' },
           totalDurationMs: { type: 'number' },
+          aborted: { type: 'boolean', description: '是否因任务取消而中止' },
+          idempotencyKey: { type: 'string' },
+          replayed: { type: 'boolean', description: '是否为重复提交（返回的是首次执行的结果）' },
+        },
+      },
+    },
+    {
+      id: 'recover',
+      name: '紧急恢复',
+      scope: 'execute',
+      safety: true, // 退出排空期间仍接受：中止后的悬停 / 降落不能被拒绝
+      description: '紧急中止后执行安全恢复工具序列（如悬停/降落），工具从 MCP Server 工具列表中发现',
+      inputSchema: { type: 'object', properties: {} },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          results: { type: 'array', description: '每个恢复步骤的执行结果' },
+          allSuccess: { type: 'boolean' },
+          tools: { type: 'array', items: { type: 'string' }, description: '实际使用的恢复工具序列' },
+          airborne: { type: ['boolean', 'null'], description: '恢复前无人机是否在空中（无法读取状态时为 null；在地面时跳过悬停 / 降落）' },
         },
       },
     },
     {
       id: 'listTools',
       name: '发现可用工具',
+      scope: 'read',
       description: '从 MCP Server 动态获取可用工具列表（协议发现）',
       inputSchema: { type: 'object', properties: {} },
       outputSchema: {
@@ -393,6 +578,7 @@ export const ExecutorAgentCard = createAgentCard({
     {
       id: 'getDroneState',
       name: '获取无人机状态',
+      scope: 'read',
       description: '获取无人机当前状态（特例：作为规划的重要上下文，通过 MCP 协议调用 drone.get_state）',
       inputSchema: { type: 'object', properties: {} },
       outputSchema: {
@@ -5,16 +5,55 @@
 
 import { getMcpClient } from './McpClientWrapper.js';
 import { createLogger } from '../../utils/logger.js';
+import { getStreamLogger } from '../../utils/StreamLogger.js';
+import { formatSchemaErrors } from '../../utils/jsonSchema.js';
+import { validateToolArgs } from '../../utils/toolArgs.js';
+import { IdempotencyStore } from './IdempotencyStore.js';
+
+// 紧急中止后的安全恢复工具序列（按顺序调用 MCP Server 实际暴露的工具）
+const DEFAULT_RECOVERY_TOOLS = ['drone.stop', 'drone.hover', 'drone.land'];
+
+// 配置的恢复工具都不存在时，按名称从工具列表中发现（优先级：stop → hover → land）
+const RECOVERY_TOOL_PATTERNS = [/stop/i, /hover/i, /land/i];
+
+// 无人机已在地面时跳过的恢复工具（地面上悬停会失败，降落也没有意义）
+const AIRBORNE_ONLY_RECOVERY_PATTERNS = [/hover/i, /land/i];
+
+/**
+ * 根据 drone.get_state 判断无人机是否在空中
+ * @param {Object} state
+ * @returns {boolean|null} - 无法判断时返回 null
+ */
+function isAirborne(state) {
+  if (typeof state?.flying === 'boolean') {
+    return state.flying;
+  }
+  if (typeof state?.status === 'string') {
+    return state.status !== 'landed';
+  }
+  if (Number.isFinite(state?.position?.y)) {
+    return state.position.y > 0.05;
+  }
+  return null;
+}
 
 export class ExecutorAgent {
   /**
    * @param {Object} [config]
    * @param {McpClientWrapper} [config.mcpClient]
+   * @param {string[]} [config.recoveryTools] - 紧急中止后的恢复工具序列
+   * @param {Object} [config.idempotency] - IdempotencyStore 配置（保留窗口等）
    */
   constructor(config = {}) {
     this.mcpClient = config.mcpClient || getMcpClient();
     this.logger = createLogger('ExecutorAgent');
+    this.streamLogger = getStreamLogger();
     this.initialized = false;
+    this.recoveryTools = config.recoveryTools ||
+      (process.env.EXECUTOR_RECOVERY_TOOLS
+        ? process.env.EXECUTOR_RECOVERY_TOOLS.split(',').map(t => t.trim()).filter(Boolean)
+        : DEFAULT_RECOVERY_TOOLS);
+    this.idempotency = new IdempotencyStore(config.idempotency);
   }
 
   /**
@@ -69,10 +108,34 @@ export class ExecutorAgent {
    * @param {Object} [options]
    * @param {boolean} [options.stopOnError=true] - 遇错是否停止
    * @param {Function} [options.onProgress] - 进度回调
+   * @param {AbortSignal} [options.signal] - 中止信号（步骤之间检查，并传递给进行中的 MCP 调用）
+   * @param {string} [options.idempotencyKey] - 幂等键：窗口内重复提交返回首次执行的结果（replayed: true），不再调用 MCP 工具
    * @returns {Promise<Object>} - 执行结果
    */
   async execute(steps, options = {}) {
-    const { stopOnError = true, onProgress } = options;
+    const { idempotencyKey, stopOnError = true } = options;
+    if (!idempotencyKey) {
+      return this._executeSteps(steps, options);
+    }
+
+    // 重复提交只等待首次执行的结果：进度回调和中止信号都以首次提交为准
+    const { result, replayed } = await this.idempotency.run(
+      idempotencyKey,
+      { steps: steps.map(step => ({ tool: step.tool, args: step.args ?? {} })), stopOnError },
+      () => this._executeSteps(steps, options)
+    );
+    if (replayed) {
+      this.logger.info(`Duplicate execute for idempotency key ${idempotencyKey}, returning original result`);
+    }
+    return { ...result, idempotencyKey, replayed };
+  }
+
+  /**
+   * 逐步执行（execute 的实际实现）
+   * @private
+   */
+  async _executeSteps(steps, options = {}) {
+    const { stopOnError = true, onProgress, signal } = options;
     const startTime = Date.now();
 
     // 确保已初始化
@@ -82,11 +145,19 @@ export class ExecutorAgent {
 
     const results = [];
     let allSuccess = true;
+    let aborted = false;
 
     for (let i = 0; i < steps.length; i++) {
       const step = steps[i];
       const stepStartTime = Date.now();
 
+      if (signal?.aborted) {
+        aborted = true;
+        allSuccess = false;
+        this.logger.warn(`Execution aborted before step ${i + 1}/${steps.length}`);
+        break;
+      }
+
       // 进度回调
       if (onProgress) {
         onProgress({
@@ -97,13 +168,16 @@ export class ExecutorAgent {
         });
       }
 
+      // 记录实际发给 MCP Server 的参数（按 inputSchema 修正后的值），校验失败时为原始参数
+      let args = step.args;
       try {
-        const result = await this._executeStep(step);
+        args = await this._prepareStep(step);
+        const result = await this._executeStep(step, args, { signal });
         
         results.push({
           step: i + 1,
           tool: step.tool,
-          args: step.args,
+          args,
           description: step.description,
           success: true,
           result,
@@ -120,6 +194,7 @@ export class ExecutorAgent {
             step,
             status: 'completed',
             result,
+            durationMs: Date.now() - stepStartTime,
           });
         }
       } catch (error) {
@@ -128,7 +203,7 @@ export class ExecutorAgent {
         results.push({
           step: i + 1,
           tool: step.tool,
-          args: step.args,
+          args,
           description: step.description,
           success: false,
           error: error.message,
@@ -145,9 +220,16 @@ export class ExecutorAgent {
             step,
             status: 'failed',
             error: error.message,
+            durationMs: Date.now() - stepStartTime,
           });
         }
 
+        if (signal?.aborted) {
+          aborted = true;
+          this.logger.warn(`Execution aborted during step ${i + 1}/${steps.length}: ${step.tool}`);
+          break;
+        }
+
         if (stopOnError) {
           this.logger.info('Stopping execution due to error (stopOnError=true)');
           break;
@@ -165,14 +247,97 @@ export class ExecutorAgent {
       totalDurationMs,
       completedSteps: results.filter(r => r.success).length,
       totalSteps: steps.length,
+      aborted,
     };
   }
 
   /**
-   * 执行单个步骤
+   * 紧急恢复：按配置的恢复序列（如悬停/降落）依次调用 MCP 工具
+   * 只调用 MCP Server 实际暴露的工具；配置的工具均不存在时按名称自动发现。
+   * 先读取无人机状态：已在地面时跳过悬停 / 降落（记为成功的 skipped 步骤）；状态读取失败时照常执行整个序列
+   * @returns {Promise<Object>} - { results, allSuccess, tools, airborne }
+   */
+  async recover() {
+    await this.initialize();
+    await this.mcpClient.refreshTools();
+
+    const tools = this._resolveRecoveryTools();
+    if (tools.length === 0) {
+      this.logger.warn('No recovery tools available on MCP Server');
+      return { results: [], allSuccess: false, tools };
+    }
+
+    const airborne = await this._readAirborne();
+    this.logger.warn(`Running recovery sequence: ${tools.join(' → ')}${airborne === false ? ' (drone on the ground)' : ''}`);
+
+    const results = [];
+    for (let i = 0; i < tools.length; i++) {
+      const tool = tools[i];
+      if (airborne === false && AIRBORNE_ONLY_RECOVERY_PATTERNS.some(pattern => pattern.test(tool))) {
+        results.push({ step: i + 1, tool, success: true, skipped: true, reason: 'Drone is on the ground', durationMs: 0 });
+        continue;
+      }
+
+      const stepStartTime = Date.now();
+      try {
+        const result = await this.mcpClient.callTool(tool, {});
+        results.push({ step: i + 1, tool, success: true, result, durationMs: Date.now() - stepStartTime });
+      } catch (error) {
+        // 恢复序列尽力而为：单步失败继续尝试后续工具（例如悬停失败仍应尝试降落）
+        this.logger.error(`Recovery step ${tool} failed:`, error.message);
+        results.push({ step: i + 1, tool, success: false, error: error.message, durationMs: Date.now() - stepStartTime });
+      }
+    }
+
+    return {
+      results,
+      allSuccess: results.every(r => r.success),
+      tools,
+      airborne,
+    };
+  }
+
+  /**
+   * 恢复前读取无人机是否在空中（不支持 drone.get_state 或读取失败时返回 null）
    * @private
    */
-  async _executeStep(step) {
+  async _readAirborne() {
+    if (!this.mcpClient.hasTool('drone.get_state')) {
+      return null;
+    }
+    try {
+      return isAirborne(await this.mcpClient.callTool('drone.get_state', {}));
+    } catch (error) {
+      this.logger.warn('Failed to read drone state before recovery:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 解析恢复工具序列
+   * @private
+   */
+  _resolveRecoveryTools() {
+    const configured = this.recoveryTools.filter(name => this.mcpClient.hasTool(name));
+    if (configured.length > 0) {
+      return configured;
+    }
+
+    const available = this.mcpClient.getAvailableTools().map(t => t.name);
+    const discovered = [];
+    for (const pattern of RECOVERY_TOOL_PATTERNS) {
+      const match = available.find(name => pattern.test(name) && !discovered.includes(name));
+      if (match) discovered.push(match);
+    }
+    return discovered;
+  }
+
+  /**
+   * 校验单个步骤：工具必须存在，参数按 inputSchema 校验并修正
+   * @private
+   * @returns {Promise<Object>} - 修正后的参数（即实际发给 MCP Server 的参数）
+   */
+  async _prepareStep(step) {
     const { tool, args = {} } = step;
 
     if (!tool || typeof tool !== 'string') {
@@ -188,11 +353,33 @@ export class ExecutorAgent {
       }
     }
 
+    // 调用前按 inputSchema 校验参数（修正字符串数字等常见错误），不合法的参数不发给 MCP Server
+    const checked = validateToolArgs(this.mcpClient.getTool(tool), args);
+    if (!checked.valid) {
+      throw new Error(`Invalid arguments for ${tool}: ${formatSchemaErrors(checked.errors)}`);
+    }
+    if (checked.coercions.length > 0) {
+      this.logger.info(`Coerced ${checked.coercions.length} argument(s) for ${tool}: ${checked.coercions.map(c => c.path).join(', ')}`);
+    }
+    return checked.args;
+  }
+
+  /**
+   * 执行单个步骤（args 为 _prepareStep 校验后的参数）
+   * @private
+   */
+  async _executeStep(step, args, options = {}) {
+    const { tool } = step;
     this.logger.debug(`Executing: ${tool}`, args);
 
     // 调用 MCP 工具
     const requestOptions = {};
 
+    // 中止时 MCP SDK 会取消进行中的请求（发送 notifications/cancelled）
+    if (options.signal) {
+      requestOptions.signal = options.signal;
+    }
+
     // 允许上层按步骤传入超时（毫秒）
     if (typeof step.timeoutMs === 'number' && Number.isFinite(step.timeoutMs) && step.timeoutMs > 0) {
       requestOptions.timeout = step.timeoutMs;
@@ -209,7 +396,17 @@ export class ExecutorAgent {
       requestOptions.maxTotalTimeout = timeout;
     }
 
-    return this.mcpClient.callTool(tool, args, requestOptions);
+    const requestId = this.streamLogger.currentRequestId();
+    const callStartTime = Date.now();
+    this.streamLogger.executorMCPCall(requestId, tool, args);
+    try {
+      const result = await this.mcpClient.callTool(tool, args, requestOptions);
+      this.streamLogger.executorMCPResponse(requestId, tool, true, Date.now() - callStartTime);
+      return result;
+    } catch (error) {
+      this.streamLogger.executorMCPResponse(requestId, tool, false, Date.now() - callStartTime);
+      throw error;
+    }
   }
 
   /**
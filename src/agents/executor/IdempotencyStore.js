@@ -0,0 +1,91 @@
+/**
+ * Idempotency Store
+ * execute 技能的幂等缓存：按调用方提供的 idempotencyKey（如 requestId:iteration）记住执行结果，
+ * 在保留窗口内重复提交同一 key 时直接返回原结果（或等待进行中的执行），不会再次调用 MCP 工具
+ *
+ * - 同一 key 但步骤不同：视为调用方错误，抛出 IDEMPOTENCY_CONFLICT
+ * - 执行抛出异常（如 MCP 连接失败，步骤尚未开始）：不缓存，允许用同一 key 重试
+ */
+
+import crypto from 'crypto';
+import { createSkillError } from '../../a2a/types.js';
+
+const DEFAULT_WINDOW_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * 请求内容指纹（同一 key 必须对应相同的步骤）
+ * @private
+ */
+function fingerprint(payload) {
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+export class IdempotencyStore {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.windowMs] - 结果保留时间（EXECUTOR_IDEMPOTENCY_WINDOW_MS，默认 10 分钟）
+   * @param {number} [config.maxEntries] - 最多保留的 key 数量（EXECUTOR_IDEMPOTENCY_MAX_KEYS，默认 1000）
+   */
+  constructor(config = {}) {
+    this.windowMs = config.windowMs ?? (parseInt(process.env.EXECUTOR_IDEMPOTENCY_WINDOW_MS) || DEFAULT_WINDOW_MS);
+    this.maxEntries = config.maxEntries ?? (parseInt(process.env.EXECUTOR_IDEMPOTENCY_MAX_KEYS) || DEFAULT_MAX_ENTRIES);
+    this.entries = new Map(); // key -> { fingerprint, promise, result, createdAt, completedAt }
+  }
+
+  /**
+   * 按 key 执行：首次提交调用 fn，重复提交返回同一结果
+   * @param {string} key - 幂等键
+   * @param {*} payload - 请求内容（用于检测 key 复用）
+   * @param {Function} fn - 实际执行函数 () => Promise<Object>
+   * @returns {Promise<{ result: Object, replayed: boolean }>}
+   */
+  async run(key, payload, fn) {
+    this._prune();
+
+    const hash = fingerprint(payload);
+    const existing = this.entries.get(key);
+    if (existing) {
+      if (existing.fingerprint !== hash) {
+        throw createSkillError('IDEMPOTENCY_CONFLICT', `Idempotency key "${key}" was already used with different steps`);
+      }
+      return { result: await existing.promise, replayed: true };
+    }
+
+    const entry = { fingerprint: hash, createdAt: Date.now(), completedAt: null, promise: null };
+    entry.promise = Promise.resolve()
+      .then(fn)
+      .then((result) => {
+        entry.completedAt = Date.now();
+        return result;
+      }, (error) => {
+        this.entries.delete(key);
+        throw error;
+      });
+    this.entries.set(key, entry);
+
+    return { result: await entry.promise, replayed: false };
+  }
+
+  /**
+   * 清理过期结果；超出容量时丢弃最早完成的结果（进行中的执行始终保留）
+   * @private
+   */
+  _prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.completedAt && now - entry.completedAt > this.windowMs) {
+        this.entries.delete(key);
+      }
+    }
+
+    for (const [key, entry] of this.entries) {
+      if (this.entries.size < this.maxEntries) {
+        break;
+      }
+      if (entry.completedAt) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
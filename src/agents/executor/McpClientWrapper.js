@@ -1,33 +1,64 @@
 /**
  * MCP Client Wrapper
  * 封装 MCP SDK，连接到 DronePilotWeb 的 MCP Server
+ * （内置的无人机模拟器 src/simulator/server.js 只在 MCP_SERVER_PATH=simulator 时使用，不会自动回退）
+ * 回放模式（REPLAY_FILE）下不启动 MCP Server，工具列表与调用结果来自记录文件
  */
 
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
-import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
 import { spawn } from 'child_process';
+import { existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createLogger } from '../../utils/logger.js';
+import { getTracer, SpanKind } from '../../tracing/Tracer.js';
+import { getMetrics } from '../../metrics/Metrics.js';
+import { recordCall } from '../../replay/recordCall.js';
+import { getReplaySource } from '../../replay/ReplaySource.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_SERVER_PATH = path.resolve(__dirname, '../../../../DronePilotWeb/mcp/server.js');
+const SIMULATOR_SERVER_PATH = path.resolve(__dirname, '../../simulator/server.js');
 
 export class McpClientWrapper {
   /**
    * @param {Object} [config]
-   * @param {string} [config.serverPath] - MCP Server 路径
+   * @param {string} [config.serverPath] - MCP Server 路径（MCP_SERVER_PATH=simulator 使用内置模拟器）
    */
   constructor(config = {}) {
-    this.serverPath = config.serverPath || 
-      process.env.MCP_SERVER_PATH || 
-      path.resolve(__dirname, '../../../../DronePilotWeb/mcp/server.js');
-    
+    this.serverPath = this._resolveServerPath(config.serverPath || process.env.MCP_SERVER_PATH);
+    this.isSimulator = this.serverPath === SIMULATOR_SERVER_PATH;
+
     this.client = null;
     this.transport = null;
     this.serverProcess = null;
     this.connected = false;
     this.tools = new Map();
     this.logger = createLogger('McpClient');
+
+    const metrics = getMetrics();
+    this.toolCalls = metrics.counter('mcp_tool_calls_total', 'MCP tool calls by tool and result', ['tool', 'status']);
+    this.toolCallDuration = metrics.histogram('mcp_tool_call_duration_seconds', 'MCP tool call latency in seconds', ['tool']);
+
+    if (this.isSimulator) {
+      this.logger.warn('Using bundled drone simulator as MCP Server');
+    }
+  }
+
+  /**
+   * 解析 MCP Server 路径：未配置时使用默认的 DronePilotWeb 路径
+   * @private
+   */
+  _resolveServerPath(configured) {
+    if (configured === 'simulator') {
+      return SIMULATOR_SERVER_PATH;
+    }
+    if (configured) {
+      // 相对路径按当前工作目录解析，才能与模拟器路径比较（决定是否传入 SIM_* 配置）
+      return path.resolve(configured);
+    }
+    return DEFAULT_SERVER_PATH;
   }
 
   /**
@@ -40,6 +71,26 @@ export class McpClientWrapper {
       return;
     }
 
+    const replay = getReplaySource();
+    if (replay) {
+      // 启动阶段不在请求上下文中，先用记录中的第一份工具列表；请求内的 listTools 按顺序回放
+      this.connected = true;
+      this._setTools(replay.peek('mcp', 'listTools')?.output?.tools);
+      this.logger.info(`Replay mode: serving ${this.tools.size} recorded tools instead of ${this.serverPath}`);
+      return;
+    }
+
+    // 找不到真实的 MCP Server 时直接失败：静默换成模拟器会让操作员以为无人机已执行
+    if (!existsSync(this.serverPath)) {
+      const error = new Error(
+        `MCP Server not found at ${this.serverPath}. Set MCP_SERVER_PATH to the DronePilotWeb mcp/server.js, ` +
+        'or MCP_SERVER_PATH=simulator to use the bundled drone simulator'
+      );
+      error.code = 'MCP_SERVER_NOT_FOUND';
+      this.logger.error(error.message);
+      throw error;
+    }
+
     this.logger.info(`Connecting to MCP Server at: ${this.serverPath}`);
 
     try {
@@ -47,6 +98,8 @@ export class McpClientWrapper {
       this.transport = new StdioClientTransport({
         command: 'node',
         args: [this.serverPath],
+        // 模拟器需要继承 SIM_* 配置；其他 Server 保持 SDK 默认的最小环境变量集
+        env: this.isSimulator ? { ...getDefaultEnvironment(), ...this._simulatorEnv() } : undefined,
       });
 
       // 创建 MCP Client
@@ -75,20 +128,25 @@ export class McpClientWrapper {
    */
   async _loadTools() {
     try {
-      const result = await this.client.listTools();
-      
-      this.tools.clear();
-      for (const tool of result.tools || []) {
-        this.tools.set(tool.name, tool);
-        this.logger.debug(`Loaded tool: ${tool.name}`);
-      }
-
+      const result = await recordCall('mcp', 'listTools', {}, () => this.client.listTools());
+      this._setTools(result.tools);
       this.logger.info(`Loaded ${this.tools.size} tools`);
     } catch (error) {
       this.logger.warn('Failed to load tools:', error.message);
     }
   }
 
+  /**
+   * @private
+   */
+  _setTools(tools) {
+    this.tools.clear();
+    for (const tool of tools || []) {
+      this.tools.set(tool.name, tool);
+      this.logger.debug(`Loaded tool: ${tool.name}`);
+    }
+  }
+
   /**
    * 刷新工具列表（通过 MCP listTools）
    * @returns {Promise<void>}
@@ -110,14 +168,43 @@ export class McpClientWrapper {
     return this.tools.has(toolName);
   }
 
+  /**
+   * 获取工具描述（含 inputSchema）
+   * @param {string} toolName
+   * @returns {Object|null}
+   */
+  getTool(toolName) {
+    return this.tools.get(toolName) || null;
+  }
+
   /**
    * 调用工具
    * @param {string} toolName - 工具名称
    * @param {Object} [args] - 工具参数
-   * @param {import('@modelcontextprotocol/sdk/shared/protocol.js').RequestOptions} [requestOptions] - MCP 请求选项（如 timeout）
+   * @param {import('@modelcontextprotocol/sdk/shared/protocol.js').RequestOptions} [requestOptions] - MCP 请求选项（如 timeout、signal；signal 中止时请求会被取消）
    * @returns {Promise<Object>} - 工具执行结果
    */
   async callTool(toolName, args = {}, requestOptions) {
+    const endTimer = this.toolCallDuration.startTimer({ tool: toolName });
+    try {
+      const result = await getTracer().startActiveSpan(`mcp.call_tool ${toolName}`, {
+        kind: SpanKind.CLIENT,
+        attributes: { 'mcp.tool': toolName, 'mcp.args': args },
+      }, () => recordCall('mcp', 'callTool', { tool: toolName, args }, () => this._callTool(toolName, args, requestOptions)));
+      this.toolCalls.inc({ tool: toolName, status: 'success' });
+      return result;
+    } catch (error) {
+      this.toolCalls.inc({ tool: toolName, status: 'error' });
+      throw error;
+    } finally {
+      endTimer();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _callTool(toolName, args, requestOptions) {
     if (!this.connected) {
       throw new Error('Not connected to MCP Server');
     }
@@ -140,7 +227,18 @@ export class McpClientWrapper {
       // 解析结果
       const content = result.content || [];
       const textContent = content.find(c => c.type === 'text');
-      
+
+      // 工具执行失败（isError）视为调用失败
+      if (result.isError) {
+        let message = textContent?.text || `Tool ${toolName} returned an error`;
+        try {
+          message = JSON.parse(message).error || message;
+        } catch {
+          // 非 JSON 文本，原样使用
+        }
+        throw new Error(message);
+      }
+
       if (textContent) {
         try {
           return JSON.parse(textContent.text);
@@ -156,6 +254,20 @@ export class McpClientWrapper {
     }
   }
 
+  /**
+   * 传给模拟器子进程的环境变量（SIM_* / DEBUG）
+   * @private
+   */
+  _simulatorEnv() {
+    const env = {};
+    for (const [key, value] of Object.entries(process.env)) {
+      if ((key.startsWith('SIM_') || key === 'DEBUG') && value !== undefined) {
+        env[key] = value;
+      }
+    }
+    return env;
+  }
+
   /**
    * 断开连接
    * @returns {Promise<void>}
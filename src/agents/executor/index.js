@@ -3,5 +3,6 @@
  */
 
 export { ExecutorAgent, getExecutorAgent, resetExecutorAgent } from './ExecutorAgent.js';
+export { IdempotencyStore } from './IdempotencyStore.js';
 export { McpClientWrapper, getMcpClient, resetMcpClient } from './McpClientWrapper.js';
 
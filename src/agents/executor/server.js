@@ -38,16 +38,27 @@ async function main() {
     skillHandlers: {
       // 注册 execute 技能
       execute: async (input, context) => {
-        const { steps, stopOnError = true } = input;
+        const { steps, stopOnError = true, idempotencyKey } = input;
         
         if (!steps || !Array.isArray(steps)) {
           throw new Error('steps array is required');
         }
 
-        const result = await executorAgent.execute(steps, { stopOnError });
+        // 流式任务时 context.onProgress 可用，逐步上报执行进度
+        const result = await executorAgent.execute(steps, {
+          stopOnError,
+          onProgress: context.onProgress,
+          signal: context.signal, // 任务被取消（POST /tasks/:id/cancel）时中止执行
+          idempotencyKey, // 调用方超时重试时不会重复执行同一批步骤
+        });
         return result;
       },
 
+      // 注册 recover 技能（紧急中止后的安全恢复：悬停/降落）
+      recover: async (input, context) => {
+        return executorAgent.recover();
+      },
+
       // 注册 listTools 技能（从 MCP Server 动态发现）
       listTools: async (input, context) => {
         const tools = await executorAgent.listTools();
@@ -66,11 +77,11 @@ async function main() {
   await server.start();
   logger.info(`Executor Agent started on port ${port}`);
 
-  // 优雅退出
+  // 优雅退出：先等进行中的执行结束（server.stop 会等待任务），再断开 MCP 连接
   const shutdown = async () => {
     logger.info('Shutting down...');
-    await executorAgent.shutdown();
     await server.stop();
+    await executorAgent.shutdown();
     process.exit(0);
   };
 
@@ -22,9 +22,17 @@
  */
 
 import { AgentClient } from '../../a2a/AgentClient.js';
+import { AgentRegistry } from '../../a2a/AgentRegistry.js';
 import { DEFAULT_PORTS, getAgentUrl } from '../definitions.js';
-import { createLogger } from '../../utils/logger.js';
+import { createLogger, runWithLogContext } from '../../utils/logger.js';
 import { getStreamLogger, AgentName } from '../../utils/StreamLogger.js';
+import { getTracer } from '../../tracing/Tracer.js';
+import { getMetrics } from '../../metrics/Metrics.js';
+import { getRecorder } from '../../replay/Recorder.js';
+import { getSessionStore } from '../../session/stores.js';
+import { PlanSafetyValidator } from '../../safety/PlanSafetyValidator.js';
+import { PlanDryRun } from '../../simulator/PlanDryRun.js';
+import { validatePlanSteps, formatStepIssues } from '../../utils/toolArgs.js';
 import { v4 as uuidv4 } from 'uuid';
 
 // ReAct 循环配置
@@ -34,57 +42,100 @@ const REACT_CONFIG = {
   maxRagRetries: 2,           // RAG 重试最大次数（当 Planner 发现缺失信息时）
 };
 
+const DEFAULT_MAX_TURNS = 50; // 每个会话保留的完整轮次产物数量
+const DEFAULT_CONTEXT_MESSAGES = 6; // 传给 Planner / RAG 的最近对话条数
+const CONTEXT_MESSAGE_MAX_CHARS = 300;
+
+/**
+ * 审批 / 会话占用相关错误（带 code，Web 层据此映射 HTTP 状态码）
+ * @private
+ */
+function approvalError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
 export class OrchestratorAgent {
+  /**
+   * @param {Object} [config]
+   * @param {SessionStore} [config.sessionStore] - 会话存储（默认按 SESSION_STORE 选择）
+   * @param {PlanSafetyValidator} [config.safetyValidator] - 执行前的计划安全校验（默认按 SAFETY_* 环境变量配置）
+   * @param {PlanDryRun} [config.dryRunner] - dryRun 请求的计划预演器（默认按 SIM_* 速度参数推演）
+   * @param {boolean} [config.approvalMode] - 人工审批模式：计划需经 approvePlan 批准后才执行（默认 APPROVAL_MODE）
+   * @param {AgentRegistry} [config.agentRegistry] - Agent 注册表（默认按 A2A_AGENTS_FILE / A2A_AGENT_URLS 加载）
+   * @param {Object} [config.registry] - 新建注册表时的配置（strategy / healthCheckMs）
+   */
   constructor(config = {}) {
     this.logger = createLogger('OrchestratorAgent');
     this.streamLogger = getStreamLogger();
+    this.tracer = config.tracer || getTracer();
+    this.recorder = getRecorder();
+
+    const metrics = getMetrics();
+    this.requestCounter = metrics.counter('orchestrator_requests_total', 'Orchestrator chat requests by outcome', ['outcome']);
+    this.reactIterations = metrics.histogram('orchestrator_react_iterations', 'ReAct iterations per chat request', [], [0, 1, 2, 3, 4, 5, 8, 10]);
+    this.ragRetryCounter = metrics.counter('orchestrator_rag_retries_total', 'RAG retries triggered by locations missing from a plan');
     
+    // Agent 注册表：按技能 ID 路由，健康检查与多实例选择
+    this.agentRegistry = config.agentRegistry || new AgentRegistry(config.registry);
+
     // A2A Client 用于调用其他 Agent
-    this.a2aClient = new AgentClient('Orchestrator');
+    this.a2aClient = new AgentClient('Orchestrator', { registry: this.agentRegistry });
     
     // 注册其他 Agent
     this._registerAgents(config);
     
-    // 会话存储（内存）
-    this.sessions = new Map();
+    // 会话存储（memory / file / supabase）
+    this.sessionStore = config.sessionStore || getSessionStore();
+
+    // 计划安全校验（地理围栏 / 高度 / 航段长度 / 起飞顺序 / 禁飞区）
+    this.safetyValidator = config.safetyValidator || new PlanSafetyValidator(config.safety);
+
+    // 计划预演（dryRun：校验参数并用模拟器推演，不调用 Executor）
+    this.dryRunner = config.dryRunner || new PlanDryRun(config.dryRun);
+
+    // 进行中的请求（用于紧急中止）：sessionId -> { requestId, abortController, executorTaskId }
+    this.activeRequests = new Map();
     
     // 配置
     this.config = {
       ragEnabled: config.ragEnabled !== false,
       maxHistoryLength: config.maxHistoryLength || 10,
+      maxTurns: config.maxTurns || DEFAULT_MAX_TURNS,
+      contextMessages: config.contextMessages ?? DEFAULT_CONTEXT_MESSAGES,
       reactEnabled: config.reactEnabled !== false, // 默认启用 ReAct
       maxReactIterations: config.maxReactIterations || REACT_CONFIG.maxIterations,
+      approvalMode: config.approvalMode ?? process.env.APPROVAL_MODE === 'true',
     };
   }
 
   /**
    * 注册其他 Agent 的地址
+   * 配置文件 / 环境变量中列出的实例优先；都未配置时使用本机默认端口。
+   * 运行中 Agent 还可以通过 A2A_REGISTRY_URL 自注册（见 AgentServer）
    * @private
    */
   _registerAgents(config) {
-    const ragUrl = config.ragUrl || getAgentUrl('rag', DEFAULT_PORTS.rag);
-    const plannerUrl = config.plannerUrl || getAgentUrl('planner', DEFAULT_PORTS.planner);
-    const executorUrl = config.executorUrl || getAgentUrl('executor', DEFAULT_PORTS.executor);
+    const loaded = this.agentRegistry.loadConfig({ file: config.agentsFile, urls: config.agentUrls });
 
-    this.a2aClient.registerAgent('rag', ragUrl);
-    this.a2aClient.registerAgent('planner', plannerUrl);
-    this.a2aClient.registerAgent('executor', executorUrl);
+    for (const name of ['rag', 'planner', 'executor']) {
+      const url = config[`${name}Url`];
+      if (url || loaded === 0) {
+        this.a2aClient.registerAgent(name, url || getAgentUrl(name, DEFAULT_PORTS[name]));
+      }
+    }
 
-    // this.logger.info('Registered agents:', { rag: ragUrl, planner: plannerUrl, executor: executorUrl });
+    this.agentRegistry.startHealthChecks();
   }
 
   /**
-   * 检查依赖 Agent 是否可用
-   * @returns {Promise<Object>}
+   * 检查依赖 Agent 是否可用（同一 Agent 任一实例健康且未熔断即可）
+   * @returns {Promise<Object>} - { agentName: { available, circuit, instances } }
    */
   async checkDependencies() {
-    const results = {};
-    
-    for (const [name, url] of this.a2aClient.agentRegistry) {
-      results[name] = await this.a2aClient.ping(url);
-    }
-
-    return results;
+    await this.agentRegistry.checkHealth();
+    return this.agentRegistry.summarize(this.a2aClient.getCircuitStates());
   }
 
   /**
@@ -94,42 +145,194 @@ export class OrchestratorAgent {
    * @param {string} [request.sessionId] - 会话 ID
    * @param {string} [request.mapId] - 地图 ID
    * @param {Object} [request.filters] - RAG 过滤条件
+   * @param {boolean} [request.dryRun] - 只检索与规划，用模拟器预演计划而不控制无人机
+   * @param {boolean} [request.requireApproval] - 要求人工审批后再执行（只能开启审批：config.approvalMode 为 true 时传 false 无效）
+   * @param {Object} [request.approval] - 内部使用：审批通过后恢复执行（见 approvePlan）
    * @returns {Promise<Object>}
+   * @throws {Error} 会话中已有进行中的请求时抛出 code=SESSION_BUSY
    */
   async chat(request) {
-    const startTime = Date.now();
-    const { message, sessionId = uuidv4(), mapId, filters = {} } = request;
+    const sessionId = request.sessionId || uuidv4();
+    // 同一会话同时只处理一个请求：在任何 await 之前占用会话，并发请求直接以 SESSION_BUSY 拒绝
+    const claim = this._claimSession(sessionId);
+    return this._chatWithClaim({ ...request, sessionId }, claim);
+  }
+
+  /**
+   * 在已占用的会话上处理请求，结束后释放会话
+   * @private
+   */
+  async _chatWithClaim(request, claim) {
     const requestId = uuidv4(); // 用于日志追踪
+    const { sessionId } = request;
+    claim.requestId = requestId;
+
+    try {
+      // 整个 ReAct 循环一个 Span，子 Agent 调用（A2A）作为其子 Span；期间的日志带上 requestId / sessionId
+      return await runWithLogContext({ requestId, sessionId }, () => this.tracer.startActiveSpan('orchestrator.chat', {
+        attributes: {
+          'session.id': sessionId,
+          'dpw.request_id': requestId,
+          'dpw.dry_run': Boolean(request.dryRun),
+          'dpw.approval_resume': Boolean(request.approval),
+        },
+      }, async () => {
+        const response = await this._chat(request, claim);
+        this._recordRequestMetrics(response);
+        // 请求记录（RECORD_REQUESTS）：原始请求与最终回复，scripts/replay.js 据此离线重跑
+        this.recorder.record('request', { op: 'chat', input: request, output: response });
+        return response;
+      }));
+    } finally {
+      this._releaseSession(sessionId, claim);
+    }
+  }
+
+  /**
+   * 占用会话（同步，须在第一个 await 之前调用）
+   * 占用记录同时用于紧急中止：abort(sessionId) 通过其中的 abortController / executorTaskId 停止请求
+   * @private
+   * @returns {Object} - { requestId, abortController, executorTaskId }
+   */
+  _claimSession(sessionId) {
+    if (this.activeRequests.has(sessionId)) {
+      throw approvalError('SESSION_BUSY', `Session ${sessionId} has a request in progress`);
+    }
+    const claim = { requestId: null, abortController: new AbortController(), executorTaskId: null };
+    this.activeRequests.set(sessionId, claim);
+    return claim;
+  }
+
+  /**
+   * 释放会话占用（只释放自己的占用）
+   * @private
+   */
+  _releaseSession(sessionId, claim) {
+    if (this.activeRequests.get(sessionId) === claim) {
+      this.activeRequests.delete(sessionId);
+    }
+  }
+
+  /**
+   * 记录请求结果和 ReAct 迭代次数指标
+   * @private
+   */
+  _recordRequestMetrics(response) {
+    let outcome = 'completed';
+    if (response.aborted) outcome = 'aborted';
+    else if (response.error) outcome = 'error';
+    else if (response.safetyRejected) outcome = 'safety_rejected';
+    else if (response.needsClarification) outcome = 'clarification';
+    else if (response.dryRun) outcome = 'dry_run';
+    else if (response.pendingApproval) outcome = 'pending_approval';
+    else if (response.goalAchieved === false) outcome = 'goal_not_achieved';
+
+    this.requestCounter.inc({ outcome });
+    if (typeof response.reactIterations === 'number') {
+      this.reactIterations.observe({}, response.reactIterations);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _chat(request, claim) {
+    const startTime = Date.now();
+    const { requestId, abortController } = claim;
+    const {
+      message,
+      sessionId,
+      mapId,
+      filters = {},
+      dryRun = false,
+      requireApproval = false,
+      approval = null,
+    } = request;
+
+    // 调用方只能额外要求审批，不能关闭运维开启的审批模式（APPROVAL_MODE）
+    const needsApproval = this.config.approvalMode || requireApproval === true;
+
+    // abort(sessionId) 通过会话占用记录中的 abortController 中止 ReAct 循环
+    const signal = abortController.signal;
+
+    // 子 Agent 调用共享的上下文
+    const callContext = { sessionId, requestId, signal };
 
     // ===== 流式日志：请求开始 =====
     this.streamLogger.requestStart(requestId, message, sessionId);
 
-    // 获取或创建会话
-    const session = this._getOrCreateSession(sessionId);
-    session.history.push({ role: 'user', content: message, timestamp: Date.now() });
+    // 获取或创建会话；对话上下文基于本轮之前的历史构建
+    const session = await this._loadSession(sessionId);
+    // 本轮开始前的会话快照：重跑时据此恢复多轮对话上下文
+    this.recorder.record('session', { op: 'load', input: { sessionId }, output: session });
+    const conversationContext = this._buildConversationContext(session);
+    // 读取时的待审批计划：保存时只在本轮改变了它的情况下才改写（见 _recordTurn）
+    const loadedPendingPlanId = session.pendingPlan?.planId ?? null;
+    let userEntry;
+    if (approval) {
+      // 审批恢复：记录审批决定而不是重复原始消息
+      userEntry = {
+        role: 'user',
+        content: this._describeDecision(approval.decision),
+        type: 'approval',
+        planId: approval.decision.planId,
+        decision: approval.decision.decision,
+        timestamp: Date.now(),
+      };
+      this.streamLogger.planDecision(requestId, approval.decision);
+    } else {
+      userEntry = { role: 'user', content: message, timestamp: Date.now() };
+      if (session.pendingPlan) {
+        // 新消息取代尚未审批的计划
+        this.logger.info(`[${sessionId}] Pending plan ${session.pendingPlan.planId} superseded by new request`);
+        session.pendingPlan = null;
+      }
+    }
+    session.history.push(userEntry);
+
+    // 本轮产物（随会话一起持久化）
+    let ragHits = [];
+    let ragIntent = null; // 保存解析的用户意图
+    let initialDroneState = null;
+    let finalDroneState = null;
+    const allToolCalls = [];
+    const allPlans = [];
+    const reflections = [];
+    let safetyReport = null; // 最近一次安全校验结果
+    const turnArtifacts = () => ({
+      message,
+      startedAt: startTime,
+      plans: allPlans,
+      toolCalls: allToolCalls,
+      reflections,
+      ragHits,
+      ragTargets: ragIntent?.targets || [],
+      initialDroneState,
+      finalDroneState,
+      approval: approval?.decision || null,
+      historyEntries: [userEntry],
+      loadedPendingPlanId,
+    });
 
     try {
       // ===== 阶段 1: RAG 智能检索 =====
-      let ragHits = [];
-      let ragIntent = null; // 保存解析的用户意图
       let ragTargetResults = {}; // 保存每个目标的检索结果
       
-      if (this.config.ragEnabled) {
+      if (approval) {
+        // 审批恢复：沿用生成计划时的检索结果
+        ragHits = approval.ragHits || [];
+        ragIntent = approval.ragIntent || null;
+      } else if (this.config.ragEnabled) {
         try {
           this.streamLogger.agentCallStart(requestId, AgentName.RAG, 'smartRetrieve', { query: message.substring(0, 50) });
           const ragStartTime = Date.now();
           
           // 使用智能检索（会先解析意图，再针对每个目标分别检索）
-          const ragResult = await this._callRagSmart(message, { mapId, ...filters }, sessionId);
+          const ragResult = await this._callRagSmart(message, { mapId, ...filters }, conversationContext, callContext);
           ragHits = ragResult.output?.hits || [];
           ragIntent = ragResult.output?.intent || null;
           ragTargetResults = ragResult.output?.targetResults || {};
           
-          // 发出意图解析日志
-          if (ragIntent) {
-            this.streamLogger.ragIntentParsed(requestId, ragIntent, ragResult.output?.durationMs);
-          }
-          
           this.streamLogger.ragResult(requestId, ragHits, Date.now() - ragStartTime);
           this.streamLogger.agentCallEnd(requestId, AgentName.RAG, 'smartRetrieve', { 
             hitCount: ragHits.length,
@@ -141,19 +344,20 @@ export class OrchestratorAgent {
         }
       }
 
+      signal.throwIfAborted();
+
       // ===== 阶段 1.5: 获取无人机状态 =====
-      let droneState = await this._getDroneStateSafe(requestId, sessionId);
+      let droneState = await this._getDroneStateSafe(callContext);
+      initialDroneState = droneState;
+      finalDroneState = droneState;
 
       // ===== 阶段 1.6: 发现可用工具 =====
-      let availableTools = await this._getAvailableToolsSafe(requestId, sessionId);
+      let availableTools = await this._getAvailableToolsSafe(callContext);
       
       // RAG 重试计数器
       let ragRetryCount = 0;
 
       // ===== ReAct 循环 =====
-      const allToolCalls = [];
-      const allPlans = [];
-      const reflections = [];
       let iteration = 0;
       let goalAchieved = false;
       let currentPlan = null;
@@ -161,25 +365,35 @@ export class OrchestratorAgent {
       let finalReflection = null;
 
       while (iteration < this.config.maxReactIterations && !goalAchieved) {
+        signal.throwIfAborted();
         iteration++;
         this.logger.info(`[${sessionId}] ReAct iteration ${iteration}/${this.config.maxReactIterations}`);
 
-        // ===== 阶段 2: 规划 =====
-        this.streamLogger.agentCallStart(requestId, AgentName.PLANNER, 'plan', { iteration, ragHitsCount: ragHits.length });
-        this.streamLogger.plannerStart(requestId, message);
-        const planStartTime = Date.now();
-        
-        const planResult = await this._callPlanner(message, ragHits, droneState, availableTools, session, sessionId);
-        
-        if (!planResult.success) {
-          this.streamLogger.agentCallError(requestId, AgentName.PLANNER, 'plan', new Error(planResult.error));
-          throw new Error(planResult.error || 'Planning failed');
-        }
+        // ===== 阶段 2: 规划（审批恢复的第一轮直接使用已批准的计划）=====
+        const resumed = Boolean(approval) && iteration === 1;
+        if (resumed) {
+          // 人工批准 / 修改的步骤同样按 inputSchema 校验
+          const check = validatePlanSteps(approval.plan.steps || [], availableTools);
+          currentPlan = { ...approval.plan, steps: check.steps, schemaErrors: check.issues };
+          allPlans.push({ iteration, plan: currentPlan, planId: approval.decision.planId });
+        } else {
+          this.streamLogger.agentCallStart(requestId, AgentName.PLANNER, 'plan', { iteration, ragHitsCount: ragHits.length });
+          this.streamLogger.plannerStart(requestId, message);
+          const planStartTime = Date.now();
+          
+          const planResult = await this._callPlanner(message, ragHits, droneState, availableTools, conversationContext, callContext);
+          signal.throwIfAborted();
+          
+          if (!planResult.success) {
+            this.streamLogger.agentCallError(requestId, AgentName.PLANNER, 'plan', new Error(planResult.error));
+            throw new Error(planResult.error || 'Planning failed');
+          }
 
-        currentPlan = planResult.output;
-        allPlans.push({ iteration, plan: currentPlan });
-        this.streamLogger.plannerResult(requestId, currentPlan, Date.now() - planStartTime);
-        this.streamLogger.agentCallEnd(requestId, AgentName.PLANNER, 'plan', { stepCount: currentPlan.steps?.length || 0 }, Date.now() - planStartTime);
+          currentPlan = planResult.output;
+          allPlans.push({ iteration, plan: currentPlan });
+          this.streamLogger.plannerResult(requestId, currentPlan, Date.now() - planStartTime);
+          this.streamLogger.agentCallEnd(requestId, AgentName.PLANNER, 'plan', { stepCount: currentPlan.steps?.length || 0 }, Date.now() - planStartTime);
+        }
 
         // ===== 阶段 3: 如果需要澄清，尝试 RAG 重试或返回 =====
         if (currentPlan.needsClarification) {
@@ -188,6 +402,7 @@ export class OrchestratorAgent {
           // 如果有缺失的地图点位信息，且未超过重试次数，尝试重新检索
           if (missingLocations.length > 0 && ragRetryCount < REACT_CONFIG.maxRagRetries) {
             ragRetryCount++;
+            this.ragRetryCounter.inc();
             this.logger.info(`[${sessionId}] Planner missing ${missingLocations.length} locations, RAG retry ${ragRetryCount}/${REACT_CONFIG.maxRagRetries}`);
             
             try {
@@ -200,7 +415,7 @@ export class OrchestratorAgent {
               const ragRetryStartTime = Date.now();
               
               // 针对缺失的点位重新检索
-              const retryResult = await this._callRagMissing(missingLocations, { mapId, ...filters }, sessionId);
+              const retryResult = await this._callRagMissing(missingLocations, { mapId, ...filters }, callContext);
               const retryHits = retryResult.output?.hits || [];
               
               // 发出 RAG 重试结果日志
@@ -227,6 +442,7 @@ export class OrchestratorAgent {
                 this.logger.info(`[${sessionId}] RAG retry found no new results for: ${missingLocations.join(', ')}`);
               }
             } catch (error) {
+              signal.throwIfAborted();
               this.streamLogger.agentCallError(requestId, AgentName.RAG, 'retrieveMissing', error);
               this.logger.warn(`[${sessionId}] RAG retry failed:`, error.message);
             }
@@ -247,7 +463,133 @@ export class OrchestratorAgent {
             durationMs: Date.now() - startTime,
           };
 
-          session.history.push({ role: 'assistant', content: response.answer, timestamp: Date.now() });
+          await this._recordTurn(session, response, turnArtifacts());
+          this.streamLogger.requestEnd(requestId, response);
+          return response;
+        }
+
+        // ===== 阶段 3.4: 参数校验（Planner 修复后仍不符合 inputSchema 的计划不执行）=====
+        if (currentPlan.schemaErrors && currentPlan.schemaErrors.length > 0) {
+          const response = {
+            sessionId,
+            requestId,
+            answer: `计划参数不符合工具定义，已拒绝执行：\n${formatStepIssues(currentPlan.schemaErrors)}`,
+            plan: currentPlan.steps,
+            reasoning: currentPlan.reasoning,
+            toolCalls: allToolCalls,
+            ragHits,
+            schemaErrors: currentPlan.schemaErrors,
+            schemaRejected: true,
+            reactIterations: iteration,
+            durationMs: Date.now() - startTime,
+          };
+
+          await this._recordTurn(session, response, turnArtifacts());
+          this.streamLogger.requestEnd(requestId, response);
+          return response;
+        }
+
+        // ===== 阶段 3.5: 安全校验（拒绝或自动修复不安全的计划）=====
+        if (currentPlan.steps && currentPlan.steps.length > 0) {
+          safetyReport = this.safetyValidator.validate(currentPlan.steps, { droneState, availableTools });
+          allPlans[allPlans.length - 1].safety = {
+            approved: safetyReport.approved,
+            repaired: safetyReport.repaired,
+            violations: safetyReport.violations,
+          };
+          this.streamLogger.safetyResult(requestId, safetyReport);
+
+          if (!safetyReport.approved) {
+            const response = {
+              sessionId,
+              requestId,
+              answer: `计划未通过安全校验，已拒绝执行：\n${this.safetyValidator.formatViolations(safetyReport.violations)}`,
+              plan: currentPlan.steps,
+              reasoning: currentPlan.reasoning,
+              toolCalls: allToolCalls,
+              ragHits,
+              safety: this._summarizeSafety(safetyReport),
+              safetyRejected: true,
+              reactIterations: iteration,
+              durationMs: Date.now() - startTime,
+            };
+
+            await this._recordTurn(session, response, turnArtifacts());
+            this.streamLogger.requestEnd(requestId, response);
+            return response;
+          }
+
+          if (safetyReport.repaired) {
+            this.logger.info(`[${sessionId}] Plan repaired by safety validator (${safetyReport.violations.length} violations)`);
+            currentPlan = { ...currentPlan, steps: safetyReport.steps };
+          }
+        }
+
+        // ===== 阶段 3.6: 预演（dryRun：推演计划结果后直接返回，不执行、不审批）=====
+        if (dryRun) {
+          const simulation = await this.dryRunner.run(currentPlan.steps || [], { droneState, availableTools });
+          allPlans[allPlans.length - 1].simulation = simulation;
+          this.streamLogger.dryRunResult(requestId, simulation);
+
+          const response = {
+            sessionId,
+            requestId,
+            answer: this._generateDryRunAnswer(currentPlan, simulation, safetyReport),
+            dryRun: true,
+            plan: currentPlan.steps,
+            reasoning: currentPlan.reasoning,
+            toolCalls: allToolCalls,
+            ragHits,
+            safety: this._summarizeSafety(safetyReport),
+            simulation,
+            estimatedDurationMs: simulation.estimatedDurationMs,
+            pathLength: simulation.pathLength,
+            reactIterations: iteration,
+            durationMs: Date.now() - startTime,
+          };
+
+          await this._recordTurn(session, response, turnArtifacts());
+          this.streamLogger.requestEnd(requestId, response);
+          return response;
+        }
+
+        // ===== 阶段 3.7: 人工审批（计划挂起，等待 approvePlan / rejectPlan）=====
+        if (needsApproval && !resumed && currentPlan.steps && currentPlan.steps.length > 0) {
+          const pendingPlan = {
+            planId: uuidv4(),
+            requestId,
+            message,
+            plan: currentPlan,
+            safety: this._summarizeSafety(safetyReport),
+            ragHits,
+            ragIntent,
+            mapId,
+            filters,
+            status: 'pending',
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+          };
+          session.pendingPlan = pendingPlan;
+          allPlans[allPlans.length - 1].planId = pendingPlan.planId;
+          this.streamLogger.planPendingApproval(requestId, pendingPlan);
+
+          const response = {
+            sessionId,
+            requestId,
+            answer: `已生成计划（${currentPlan.steps.length} 步），等待审批后执行。\n${this._formatSteps(currentPlan.steps)}`,
+            status: 'pendingApproval',
+            pendingApproval: true,
+            planId: pendingPlan.planId,
+            plan: currentPlan.steps,
+            reasoning: currentPlan.reasoning,
+            toolCalls: allToolCalls,
+            ragHits,
+            safety: pendingPlan.safety,
+            reactIterations: iteration,
+            durationMs: Date.now() - startTime,
+          };
+
+          await this._recordTurn(session, response, turnArtifacts());
           this.streamLogger.requestEnd(requestId, response);
           return response;
         }
@@ -258,7 +600,8 @@ export class OrchestratorAgent {
           this.streamLogger.executorStart(requestId, currentPlan.steps);
           const execStartTime = Date.now();
           
-          lastExecutionResult = await this._callExecutorWithProgress(currentPlan.steps, sessionId, requestId);
+          // 幂等键 requestId:iteration —— 同一轮的重复提交不会让无人机把步骤执行两次
+          lastExecutionResult = await this._callExecutorWithProgress(currentPlan.steps, { ...callContext, iteration });
           
           if (lastExecutionResult.success) {
             allToolCalls.push(...(lastExecutionResult.output?.results || []));
@@ -272,8 +615,11 @@ export class OrchestratorAgent {
           break;
         }
 
+        signal.throwIfAborted();
+
         // ===== 阶段 5: Observe - 获取执行后的无人机状态 =====
-        const postExecDroneState = await this._getDroneStateSafe(requestId, sessionId);
+        const postExecDroneState = await this._getDroneStateSafe(callContext);
+        finalDroneState = postExecDroneState || finalDroneState;
 
         // ===== 阶段 6: Reflect - 反思是否达成目标 =====
         if (this.config.reactEnabled) {
@@ -288,7 +634,7 @@ export class OrchestratorAgent {
               postExecDroneState,
               ragHits,
               availableTools,
-              sessionId
+              callContext
             );
 
             if (reflectResult.success) {
@@ -316,6 +662,7 @@ export class OrchestratorAgent {
               goalAchieved = true;
             }
           } catch (error) {
+            signal.throwIfAborted();
             this.streamLogger.agentCallError(requestId, AgentName.PLANNER, 'reflect', error);
             this.logger.warn(`[${sessionId}] Reflection failed:`, error.message);
             goalAchieved = true; // 反思出错，退出循环
@@ -327,11 +674,10 @@ export class OrchestratorAgent {
       }
 
       // ===== 阶段 7: 生成回答 =====
-      const answer = this._generateAnswerWithReflection(currentPlan, lastExecutionResult, finalReflection, iteration);
-
-      // ===== 阶段 8: 记录到历史 =====
-      session.history.push({ role: 'assistant', content: answer, timestamp: Date.now() });
-      this._trimHistory(session);
+      let answer = this._generateAnswerWithReflection(currentPlan, lastExecutionResult, finalReflection, iteration);
+      if (safetyReport?.repaired) {
+        answer = `${answer}\n\n安全校验已自动修正计划：\n${this.safetyValidator.formatViolations(safetyReport.violations)}`;
+      }
 
       const response = {
         sessionId,
@@ -341,6 +687,7 @@ export class OrchestratorAgent {
         reasoning: currentPlan?.reasoning,
         toolCalls: allToolCalls,
         ragHits,
+        safety: this._summarizeSafety(safetyReport),
         executionSuccess: lastExecutionResult?.output?.allSuccess ?? true,
         goalAchieved,
         reactIterations: iteration,
@@ -353,12 +700,32 @@ export class OrchestratorAgent {
         durationMs: Date.now() - startTime,
       };
 
+      // ===== 阶段 8: 记录到会话 =====
+      await this._recordTurn(session, response, turnArtifacts());
+
       // ===== 流式日志：请求结束 =====
       this.streamLogger.requestEnd(requestId, response);
       // this.logger.info(`[${sessionId}] Completed in ${response.durationMs}ms (${iteration} iterations, goalAchieved: ${goalAchieved})`);
       return response;
 
     } catch (error) {
+      if (signal.aborted) {
+        this.logger.warn(`[${sessionId}] Request ${requestId} aborted`);
+
+        const abortedResponse = {
+          sessionId,
+          requestId,
+          answer: '任务已被紧急中止。',
+          aborted: true,
+          error: 'Aborted by user',
+          durationMs: Date.now() - startTime,
+        };
+
+        await this._recordTurn(session, abortedResponse, turnArtifacts());
+        this.streamLogger.requestEnd(requestId, abortedResponse);
+        return abortedResponse;
+      }
+
       this.logger.error(`[${sessionId}] Error:`, error.message);
       
       const errorResponse = {
@@ -369,22 +736,280 @@ export class OrchestratorAgent {
         durationMs: Date.now() - startTime,
       };
 
-      session.history.push({ role: 'assistant', content: errorResponse.answer, timestamp: Date.now() });
+      await this._recordTurn(session, errorResponse, turnArtifacts());
       this.streamLogger.requestEnd(requestId, errorResponse);
       return errorResponse;
     }
   }
 
+  /**
+   * 紧急中止：取消会话中进行中的 ReAct 循环与 Executor 任务，然后执行安全恢复序列（悬停/降落）
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} [options]
+   * @param {boolean} [options.recover=true] - 是否执行安全恢复序列
+   * @returns {Promise<Object>} - { sessionId, requestId, aborted, executorCancelled, recovery }
+   */
+  async abort(sessionId, options = {}) {
+    const { recover = true } = options;
+    const active = this.activeRequests.get(sessionId);
+
+    const result = {
+      sessionId,
+      requestId: active?.requestId || null,
+      aborted: false,
+      executorCancelled: false,
+      recovery: null,
+    };
+
+    if (active) {
+      this.logger.warn(`[${sessionId}] Aborting request ${active.requestId}`);
+      this.streamLogger.requestAbort(active.requestId, sessionId);
+      active.abortController.abort(new Error('Aborted by user'));
+      result.aborted = true;
+
+      // 取消 Executor 上进行中的任务（Executor 会在步骤之间/MCP 调用中途停止）
+      if (active.executorTaskId) {
+        try {
+          await this.a2aClient.cancelTask('executor', active.executorTaskId);
+          result.executorCancelled = true;
+        } catch (error) {
+          this.logger.warn(`[${sessionId}] Failed to cancel executor task ${active.executorTaskId}:`, error.message);
+        }
+      }
+    }
+
+    if (recover) {
+      try {
+        const recoveryResult = await this._callExecutorRecover(sessionId);
+        result.recovery = recoveryResult.success
+          ? recoveryResult.output
+          : { allSuccess: false, error: recoveryResult.error };
+      } catch (error) {
+        this.logger.error(`[${sessionId}] Recovery failed:`, error.message);
+        result.recovery = { allSuccess: false, error: error.message };
+      }
+      this.streamLogger.executorRecovery(result.requestId, result.recovery);
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取会话中等待审批的计划
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>}
+   */
+  async getPendingPlan(sessionId) {
+    const session = await this.sessionStore.get(sessionId);
+    return session?.pendingPlan || null;
+  }
+
+  /**
+   * 批准等待审批的计划并执行（可附带修改后的步骤）
+   * @param {string} sessionId - 会话 ID
+   * @param {string} planId - 计划 ID
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.steps] - 修改后的步骤（执行前仍会重新做安全校验）
+   * @param {string} [options.approvedBy] - 审批人
+   * @param {string} [options.comment] - 审批备注
+   * @returns {Promise<Object>} - 与 chat() 相同的响应结构
+   */
+  async approvePlan(sessionId, planId, options = {}) {
+    // 在第一个 await 之前占用会话，并发的审批只有一个能拿到计划；占用随后交给 chat 执行阶段，结束时释放
+    const claim = this._claimSession(sessionId);
+    try {
+      const { pendingPlan } = await this._takePendingPlan(sessionId, planId);
+
+      let plan = pendingPlan.plan;
+      if (options.steps !== undefined) {
+        this._assertValidSteps(options.steps);
+        plan = { ...plan, steps: options.steps };
+      }
+
+      // 基于最新会话清除计划（其他进程可能已处理该计划或追加了对话）
+      await this.sessionStore.update(sessionId, (latest) => {
+        this._assertPendingPlan(latest, planId);
+        latest.pendingPlan = null;
+      });
+
+      return await this._chatWithClaim({
+        message: pendingPlan.message,
+        sessionId,
+        mapId: pendingPlan.mapId,
+        filters: pendingPlan.filters,
+        requireApproval: true, // 反思后的重新规划同样需要审批
+        approval: {
+          plan,
+          ragHits: pendingPlan.ragHits,
+          ragIntent: pendingPlan.ragIntent,
+          decision: {
+            planId,
+            decision: options.steps !== undefined ? 'edited' : 'approved',
+            by: options.approvedBy || null,
+            comment: options.comment || null,
+            decidedAt: Date.now(),
+          },
+        },
+      }, claim);
+    } finally {
+      this._releaseSession(sessionId, claim);
+    }
+  }
+
+  /**
+   * 拒绝等待审批的计划（不执行任何操作）
+   * @param {string} sessionId - 会话 ID
+   * @param {string} planId - 计划 ID
+   * @param {Object} [options]
+   * @param {string} [options.reason] - 拒绝原因
+   * @param {string} [options.rejectedBy] - 审批人
+   * @returns {Promise<Object>}
+   */
+  async rejectPlan(sessionId, planId, options = {}) {
+    const claim = this._claimSession(sessionId);
+    try {
+      return await this._rejectPlan(sessionId, planId, options);
+    } finally {
+      this._releaseSession(sessionId, claim);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _rejectPlan(sessionId, planId, options) {
+    const startTime = Date.now();
+    const { session, pendingPlan } = await this._takePendingPlan(sessionId, planId);
+    const requestId = uuidv4();
+    const decision = {
+      planId,
+      decision: 'rejected',
+      by: options.rejectedBy || null,
+      comment: options.reason || null,
+      decidedAt: Date.now(),
+    };
+
+    const decisionEntry = {
+      role: 'user',
+      content: this._describeDecision(decision),
+      type: 'approval',
+      planId,
+      decision: 'rejected',
+      timestamp: Date.now(),
+    };
+    session.pendingPlan = null;
+    session.history.push(decisionEntry);
+    this.streamLogger.planDecision(requestId, decision);
+
+    const response = {
+      sessionId,
+      requestId,
+      answer: '计划已被拒绝，未执行任何操作。',
+      planId,
+      planRejected: true,
+      plan: pendingPlan.plan.steps,
+      durationMs: Date.now() - startTime,
+    };
+
+    await this._recordTurn(session, response, {
+      message: pendingPlan.message,
+      startedAt: startTime,
+      plans: [{ iteration: 1, plan: pendingPlan.plan, planId }],
+      toolCalls: [],
+      reflections: [],
+      ragHits: pendingPlan.ragHits,
+      ragTargets: pendingPlan.ragIntent?.targets || [],
+      initialDroneState: null,
+      finalDroneState: null,
+      approval: decision,
+      historyEntries: [decisionEntry],
+      loadedPendingPlanId: planId,
+    });
+    return response;
+  }
+
+  /**
+   * 修改等待审批的计划步骤（计划保持待审批状态）
+   * 修改后的步骤会按当前无人机状态做安全校验：不安全则拒绝修改，可自动修复的保存修复后的步骤
+   * @param {string} sessionId - 会话 ID
+   * @param {string} planId - 计划 ID
+   * @param {Object} options
+   * @param {Array<Object>} options.steps - 新的步骤列表
+   * @param {string} [options.editedBy] - 修改人
+   * @returns {Promise<Object>} - { sessionId, planId, status, plan, safety }
+   */
+  async editPlan(sessionId, planId, options = {}) {
+    const claim = this._claimSession(sessionId);
+    try {
+      return await this._editPlan(sessionId, planId, options);
+    } finally {
+      this._releaseSession(sessionId, claim);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _editPlan(sessionId, planId, options) {
+    const { pendingPlan } = await this._takePendingPlan(sessionId, planId);
+    this._assertValidSteps(options.steps);
+
+    const callContext = { sessionId, requestId: pendingPlan.requestId };
+    const droneState = await this._getDroneStateSafe(callContext);
+    const availableTools = await this._getAvailableToolsSafe(callContext);
+
+    const check = validatePlanSteps(options.steps, availableTools);
+    if (!check.valid) {
+      throw approvalError('INVALID_PLAN', `修改后的计划参数不符合工具定义：\n${formatStepIssues(check.issues)}`);
+    }
+
+    const report = this.safetyValidator.validate(check.steps, { droneState, availableTools });
+
+    if (!report.approved) {
+      const error = approvalError('PLAN_UNSAFE', `修改后的计划未通过安全校验：\n${this.safetyValidator.formatViolations(report.violations)}`);
+      error.safety = this._summarizeSafety(report);
+      throw error;
+    }
+
+    pendingPlan.plan = { ...pendingPlan.plan, steps: report.steps };
+    pendingPlan.safety = this._summarizeSafety(report);
+    pendingPlan.updatedAt = Date.now();
+    const editEntry = {
+      role: 'user',
+      content: this._describeDecision({ planId, decision: 'edited', comment: `${report.steps.length} 步` }),
+      type: 'approval',
+      planId,
+      decision: 'edited',
+      editedBy: options.editedBy || null,
+      timestamp: Date.now(),
+    };
+    await this.sessionStore.update(sessionId, (latest) => {
+      this._assertPendingPlan(latest, planId);
+      latest.pendingPlan = pendingPlan;
+      latest.history.push(editEntry);
+      this._trimHistory(latest);
+    });
+
+    return {
+      sessionId,
+      planId,
+      status: pendingPlan.status,
+      plan: pendingPlan.plan.steps,
+      safety: pendingPlan.safety,
+    };
+  }
+
   /**
    * 安全获取无人机状态
    * @private
    */
-  async _getDroneStateSafe(requestId, sessionId) {
+  async _getDroneStateSafe(callContext) {
+    const { requestId, sessionId } = callContext;
     try {
       this.streamLogger.agentCallStart(requestId, AgentName.EXECUTOR, 'getDroneState', {});
       const stateStartTime = Date.now();
       
-      const stateResult = await this._callExecutorGetDroneState(sessionId);
+      const stateResult = await this._callExecutorGetDroneState(callContext);
       if (stateResult?.success) {
         const droneState = stateResult.output;
         this.streamLogger.agentCallEnd(requestId, AgentName.EXECUTOR, 'getDroneState', { position: droneState?.position }, Date.now() - stateStartTime);
@@ -401,12 +1026,13 @@ export class OrchestratorAgent {
    * 安全获取可用工具列表
    * @private
    */
-  async _getAvailableToolsSafe(requestId, sessionId) {
+  async _getAvailableToolsSafe(callContext) {
+    const { requestId, sessionId } = callContext;
     try {
       this.streamLogger.agentCallStart(requestId, AgentName.EXECUTOR, 'listTools', {});
       const toolsStartTime = Date.now();
 
-      const toolsResult = await this._callExecutorListTools(sessionId);
+      const toolsResult = await this._callExecutorListTools(callContext);
       if (toolsResult?.success) {
         const tools = toolsResult.output?.tools || [];
         this.streamLogger.agentCallEnd(
@@ -429,53 +1055,55 @@ export class OrchestratorAgent {
    * 调用 RAG Agent（普通检索）
    * @private
    */
-  async _callRag(query, filters, sessionId) {
+  async _callRag(query, filters, callContext) {
     return this.a2aClient.submitTask('rag', 'retrieve', {
       query,
       filters,
-    }, { sessionId, timeout: 30000 });
+    }, this._taskOptions(callContext, 30000));
   }
 
   /**
-   * 调用 RAG Agent（智能检索 - 会先解析意图）
+   * 调用 RAG Agent（智能检索 - 会先解析意图，对话上下文用于解析“刚才那个点”等指代）
    * @private
    */
-  async _callRagSmart(query, filters, sessionId) {
+  async _callRagSmart(query, filters, conversationContext, callContext) {
     return this.a2aClient.submitTask('rag', 'smartRetrieve', {
       query,
       filters,
-    }, { sessionId, timeout: 45000 }); // 稍长超时因为需要多次检索
+      conversationContext,
+    }, this._taskOptions(callContext, 45000)); // 稍长超时因为需要多次检索
   }
 
   /**
    * 调用 RAG Agent（针对缺失目标重新检索）
    * @private
    */
-  async _callRagMissing(missingTargets, filters, sessionId) {
+  async _callRagMissing(missingTargets, filters, callContext) {
     return this.a2aClient.submitTask('rag', 'retrieveMissing', {
       missingTargets,
       filters,
-    }, { sessionId, timeout: 30000 });
+    }, this._taskOptions(callContext, 30000));
   }
 
   /**
    * 调用 Planner Agent
    * @private
    */
-  async _callPlanner(userRequest, ragHits, droneState, availableTools, session, sessionId) {
+  async _callPlanner(userRequest, ragHits, droneState, availableTools, conversationContext, callContext) {
     return this.a2aClient.submitTask('planner', 'plan', {
       userRequest,
       ragHits,
       droneState,
       availableTools,
-    }, { sessionId, timeout: 60000 });
+      conversationContext,
+    }, this._taskOptions(callContext, 60000));
   }
 
   /**
    * 调用 Planner Agent 的 reflect 技能
    * @private
    */
-  async _callReflect(originalRequest, previousPlan, executionResult, currentDroneState, ragHits, availableTools, sessionId) {
+  async _callReflect(originalRequest, previousPlan, executionResult, currentDroneState, ragHits, availableTools, callContext) {
     return this.a2aClient.submitTask('planner', 'reflect', {
       originalRequest,
       previousPlan,
@@ -483,71 +1111,119 @@ export class OrchestratorAgent {
       currentDroneState,
       ragHits,
       availableTools,
-    }, { sessionId, timeout: 60000 });
+    }, this._taskOptions(callContext, 60000));
   }
 
   /**
    * 调用 Executor Agent 获取无人机状态（特例）
    * @private
    */
-  async _callExecutorGetDroneState(sessionId) {
-    return this.a2aClient.submitTask('executor', 'getDroneState', {}, { sessionId, timeout: 15000 });
+  async _callExecutorGetDroneState(callContext) {
+    return this.a2aClient.submitTask('executor', 'getDroneState', {}, this._taskOptions(callContext, 15000));
   }
 
   /**
    * 调用 Executor Agent 获取 MCP 工具列表
    * @private
    */
-  async _callExecutorListTools(sessionId) {
-    return this.a2aClient.submitTask('executor', 'listTools', {}, { sessionId, timeout: 15000 });
+  async _callExecutorListTools(callContext) {
+    return this.a2aClient.submitTask('executor', 'listTools', {}, this._taskOptions(callContext, 15000));
+  }
+
+  /**
+   * 调用 Executor Agent 的 recover 技能（紧急恢复：悬停/降落）
+   * 不受会话中止信号影响
+   * @private
+   */
+  async _callExecutorRecover(sessionId) {
+    // 绕过熔断：Executor 刚因连续失败熔断时正是最需要悬停 / 降落的时候
+    return this.a2aClient.submitTask('executor', 'recover', {}, { sessionId, timeout: 120000, bypassBreaker: true });
   }
 
   /**
    * 调用 Executor Agent
    * @private
    */
-  async _callExecutor(steps, sessionId) {
+  async _callExecutor(steps, callContext) {
     const timeout = this._estimateExecutorTimeoutMs(steps);
-    return this.a2aClient.submitTask('executor', 'execute', {
+    return this.a2aClient.submitTask('executor', 'execute', this._executeInput(steps, callContext),
+      this._taskOptions(callContext, timeout));
+  }
+
+  /**
+   * execute 技能的输入（callContext 带 iteration 时附带幂等键 requestId:iteration）
+   * @private
+   */
+  _executeInput(steps, callContext) {
+    const { requestId, iteration } = callContext;
+    return {
       steps,
       stopOnError: true,
-    }, { sessionId, timeout });
+      ...(requestId && iteration ? { idempotencyKey: `${requestId}:${iteration}` } : {}),
+    };
   }
 
   /**
-   * 调用 Executor Agent（带进度回调）
+   * 调用 Executor Agent（流式任务，实时转发步骤进度）
    * @private
    */
-  async _callExecutorWithProgress(steps, sessionId, requestId) {
+  async _callExecutorWithProgress(steps, callContext) {
+    const { sessionId, requestId } = callContext;
     const timeout = this._estimateExecutorTimeoutMs(steps);
-    const result = await this.a2aClient.submitTask('executor', 'execute', {
-      steps,
-      stopOnError: true,
-    }, { sessionId, timeout });
-
-    // 回放步骤日志
-    if (result.success && result.output?.results) {
-      for (let i = 0; i < result.output.results.length; i++) {
-        const stepResult = result.output.results[i];
-        const step = steps[i];
-        
-        this.streamLogger.executorStepStart(requestId, i, {
-          tool: stepResult.tool || step?.tool,
-          args: stepResult.args || step?.args,
-          description: stepResult.description || step?.description,
+
+    // 记录 Executor 任务 ID，abort() 时通过 cancelTask 取消
+    const taskId = uuidv4();
+    const active = this.activeRequests.get(sessionId);
+    if (active?.requestId === requestId) {
+      active.executorTaskId = taskId;
+    }
+
+    const onProgress = (progress) => {
+      const stepIndex = (progress?.current ?? 1) - 1;
+      const step = progress?.step || steps[stepIndex] || {};
+
+      if (progress?.status === 'running') {
+        this.streamLogger.executorStepStart(requestId, stepIndex, {
+          tool: step.tool,
+          args: step.args,
+          description: step.description,
         });
-        
+      } else if (progress?.status === 'completed' || progress?.status === 'failed') {
         this.streamLogger.executorStepEnd(
-          requestId, 
-          i, 
-          stepResult.success, 
-          stepResult.durationMs, 
-          stepResult.error
+          requestId,
+          stepIndex,
+          progress.status === 'completed',
+          progress.durationMs,
+          progress.error
         );
       }
-    }
+    };
 
-    return result;
+    // 注意：不传 signal —— 中止由 cancelTask 通知 Executor，流会随任务结果正常结束
+    return this.a2aClient.submitTaskStream('executor', 'execute', this._executeInput(steps, callContext),
+      { sessionId, timeout, taskId, onProgress, onEvent: this._forwardEvents(requestId), context: { requestId } });
+  }
+
+  /**
+   * 构造 A2A 调用选项
+   * @private
+   */
+  _taskOptions(callContext, timeout) {
+    return {
+      sessionId: callContext.sessionId,
+      signal: callContext.signal,
+      timeout,
+      onEvent: this._forwardEvents(callContext.requestId),
+      context: { requestId: callContext.requestId },
+    };
+  }
+
+  /**
+   * 子 Agent 的 StreamLogger 事件（RAG embedding / Planner LLM / Executor MCP 调用等）按本次请求 ID 重新发出
+   * @private
+   */
+  _forwardEvents(requestId) {
+    return requestId ? (event) => this.streamLogger.forward(requestId, event) : undefined;
   }
 
   /**
@@ -611,18 +1287,251 @@ export class OrchestratorAgent {
   }
 
   /**
-   * 获取或创建会话
+   * 预演结果的回答文本
    * @private
    */
-  _getOrCreateSession(sessionId) {
-    if (!this.sessions.has(sessionId)) {
-      this.sessions.set(sessionId, {
-        id: sessionId,
-        history: [],
-        createdAt: Date.now(),
+  _generateDryRunAnswer(plan, simulation, safetyReport) {
+    const steps = plan.steps || [];
+    const lines = [`【预演】未实际控制无人机。${plan.reasoning || ''}`.trim()];
+
+    if (steps.length === 0) {
+      lines.push('计划不包含需要执行的步骤。');
+      return lines.join('\n');
+    }
+
+    lines.push(`计划共 ${steps.length} 步，预计耗时约 ${(simulation.estimatedDurationMs / 1000).toFixed(1)} 秒，航迹长度 ${simulation.pathLength.toFixed(2)} 米。`);
+    const failed = simulation.results.find(r => !r.success);
+    if (failed) {
+      lines.push(`第 ${failed.step} 步 ${failed.tool} 预演失败：${failed.error}`);
+      if (simulation.skippedSteps > 0) {
+        lines.push(`其后 ${simulation.skippedSteps} 步未推演。`);
+      }
+    } else {
+      const { x, y, z } = simulation.finalState.position;
+      lines.push(`预演全部成功，结束位置 (${x}, ${y}, ${z})，状态 ${simulation.finalState.status}。`);
+    }
+
+    if (safetyReport?.repaired) {
+      lines.push(`安全校验已自动修正计划：\n${this.safetyValidator.formatViolations(safetyReport.violations)}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * 读取会话及其待审批计划，校验 planId（调用方须已通过 _claimSession 占用会话）
+   * @private
+   */
+  async _takePendingPlan(sessionId, planId) {
+    const session = await this.sessionStore.get(sessionId);
+    if (!session) {
+      throw approvalError('SESSION_NOT_FOUND', `Session not found: ${sessionId}`);
+    }
+    this._assertPendingPlan(session, planId);
+    session.turns = session.turns || [];
+    return { session, pendingPlan: session.pendingPlan };
+  }
+
+  /**
+   * 校验会话中的待审批计划是 planId
+   * @private
+   */
+  _assertPendingPlan(session, planId) {
+    if (session.pendingPlan?.planId !== planId) {
+      throw approvalError('PLAN_NOT_FOUND', `No pending plan ${planId} in session ${session.id}`);
+    }
+  }
+
+  /**
+   * 校验人工提交的步骤列表
+   * @private
+   */
+  _assertValidSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw approvalError('INVALID_PLAN', 'steps must be a non-empty array');
+    }
+    const invalid = steps.findIndex(step => !step || typeof step.tool !== 'string' || !step.tool);
+    if (invalid !== -1) {
+      throw approvalError('INVALID_PLAN', `steps[${invalid}].tool is required`);
+    }
+  }
+
+  /**
+   * 审批决定的历史记录文本
+   * @private
+   */
+  _describeDecision(decision) {
+    const labels = { approved: '批准', edited: '修改', rejected: '拒绝' };
+    const label = labels[decision.decision] || decision.decision;
+    return `${label}计划 ${decision.planId}${decision.comment ? `：${decision.comment}` : ''}`;
+  }
+
+  /**
+   * 步骤列表的文本表示（待审批时展示给用户）
+   * @private
+   */
+  _formatSteps(steps) {
+    return steps
+      .map((step, index) => `${index + 1}. ${step.tool} ${JSON.stringify(step.args || {})}${step.description ? ` - ${step.description}` : ''}`)
+      .join('\n');
+  }
+
+  /**
+   * 安全校验结果摘要（用于回复）
+   * @private
+   */
+  _summarizeSafety(report) {
+    if (!report) return null;
+    return {
+      mode: report.mode,
+      approved: report.approved,
+      repaired: report.repaired,
+      violations: report.violations,
+    };
+  }
+
+  /**
+   * 读取或创建会话（存储不可用时降级为新会话）
+   * @private
+   */
+  async _loadSession(sessionId) {
+    try {
+      const session = await this.sessionStore.get(sessionId);
+      if (session) {
+        session.turns = session.turns || [];
+        return session;
+      }
+    } catch (error) {
+      this.logger.warn(`[${sessionId}] Failed to load session, starting fresh:`, error.message);
+    }
+    return this.sessionStore.createSession(sessionId);
+  }
+
+  /**
+   * 记录一轮对话：回答写入 history，完整产物写入 turns，然后持久化
+   * 保存时基于存储中的最新会话追加本轮的对话与产物（不用请求开始时读到的快照覆盖整个会话），
+   * 其他进程（如 Web 与 CLI）同时写入同一会话时不会互相丢失记录。
+   * 持久化失败只记录警告，不影响本次回答
+   * @private
+   */
+  async _recordTurn(session, response, artifacts) {
+    const assistantEntry = { role: 'assistant', content: response.answer, timestamp: Date.now() };
+    session.history.push(assistantEntry);
+    this._trimHistory(session);
+
+    let status = 'completed';
+    if (response.aborted) status = 'aborted';
+    else if (response.error) status = 'error';
+    else if (response.safetyRejected || response.schemaRejected || response.planRejected) status = 'rejected';
+    else if (response.pendingApproval) status = 'pendingApproval';
+    else if (response.dryRun) status = 'dryRun';
+    else if (response.needsClarification) status = 'clarification';
+
+    const turn = {
+      requestId: response.requestId,
+      message: artifacts.message,
+      answer: response.answer,
+      status,
+      error: response.error || null,
+      planId: response.planId || artifacts.approval?.planId || null,
+      approval: artifacts.approval || null,
+      plans: artifacts.plans,
+      toolCalls: artifacts.toolCalls,
+      reflections: artifacts.reflections,
+      ragHits: artifacts.ragHits,
+      ragTargets: artifacts.ragTargets,
+      initialDroneState: artifacts.initialDroneState,
+      finalDroneState: artifacts.finalDroneState,
+      startedAt: artifacts.startedAt,
+      durationMs: response.durationMs,
+    };
+    session.turns.push(turn);
+    this._trimTurns(session);
+
+    const historyEntries = [...(artifacts.historyEntries || []), assistantEntry];
+    const pendingPlan = session.pendingPlan || null;
+    try {
+      await this.sessionStore.update(session.id, (latest) => {
+        latest.history.push(...historyEntries);
+        this._trimHistory(latest);
+        latest.turns.push(turn);
+        this._trimTurns(latest);
+        // 本轮挂起了新计划，或最新会话的待审批计划仍是本轮读取时那个（本轮已取代 / 处理）时才改写
+        if (pendingPlan || (latest.pendingPlan?.planId ?? null) === artifacts.loadedPendingPlanId) {
+          latest.pendingPlan = pendingPlan;
+        }
+      });
+    } catch (error) {
+      this.logger.warn(`[${session.id}] Failed to save session:`, error.message);
+    }
+  }
+
+  /**
+   * 构建对话上下文（最近对话窗口 + 上一轮的计划、已解析点位、最终位置），供 Planner / RAG 解析指代
+   * @private
+   * @returns {Object|null} - 没有历史时返回 null
+   */
+  _buildConversationContext(session) {
+    if (!session.history.length || this.config.contextMessages <= 0) {
+      return null;
+    }
+
+    const recentMessages = session.history
+      .slice(-this.config.contextMessages)
+      .map(({ role, content }) => {
+        const text = content.replace(/\s+/g, ' ').trim();
+        return {
+          role,
+          content: text.length > CONTEXT_MESSAGE_MAX_CHARS ? `${text.substring(0, CONTEXT_MESSAGE_MAX_CHARS)}...` : text,
+        };
       });
+
+    const lastTurn = session.turns?.[session.turns.length - 1];
+    let previousTurn = null;
+
+    if (lastTurn) {
+      const lastPlan = lastTurn.plans?.[lastTurn.plans.length - 1]?.plan;
+      const toPoint = p => (p ? { x: p.x, y: p.y, z: p.z } : null);
+
+      previousTurn = {
+        message: lastTurn.message,
+        answer: lastTurn.answer,
+        status: lastTurn.status,
+        plan: (lastPlan?.steps || []).map(({ tool, args, description }) => ({ tool, args, description })),
+        targets: lastTurn.ragTargets || [],
+        resolvedLocations: this._extractResolvedLocations(lastTurn.toolCalls || []),
+        startPosition: toPoint(lastTurn.initialDroneState?.position),
+        finalPosition: toPoint(lastTurn.finalDroneState?.position),
+      };
+    }
+
+    return { recentMessages, previousTurn };
+  }
+
+  /**
+   * 从成功的工具调用参数中提取已到达/经过的坐标点
+   * @private
+   */
+  _extractResolvedLocations(toolCalls) {
+    const locations = [];
+    const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+    for (const call of toolCalls) {
+      if (!call.success || !call.args) continue;
+
+      const points = Array.isArray(call.args.waypoints) ? call.args.waypoints : [call.args];
+      for (const point of points) {
+        if (isNumber(point?.x) && isNumber(point?.z)) {
+          locations.push({
+            name: point.name || call.description || call.tool,
+            x: point.x,
+            ...(isNumber(point.y) && { y: point.y }),
+            z: point.z,
+          });
+        }
+      }
     }
-    return this.sessions.get(sessionId);
+
+    return locations;
   }
 
   /**
@@ -635,22 +1544,51 @@ export class OrchestratorAgent {
     }
   }
 
+  /**
+   * 只保留最近 maxTurns 轮的完整产物
+   * @private
+   */
+  _trimTurns(session) {
+    if (session.turns.length > this.config.maxTurns) {
+      session.turns = session.turns.slice(-this.config.maxTurns);
+    }
+  }
+
   /**
    * 获取会话历史
    * @param {string} sessionId
-   * @returns {Array}
+   * @returns {Promise<Array>}
    */
-  getSessionHistory(sessionId) {
-    const session = this.sessions.get(sessionId);
+  async getSessionHistory(sessionId) {
+    const session = await this.sessionStore.get(sessionId);
     return session?.history || [];
   }
 
+  /**
+   * 获取完整会话（含每轮的计划、工具调用、反思等产物）
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>}
+   */
+  async getSession(sessionId) {
+    return this.sessionStore.get(sessionId);
+  }
+
+  /**
+   * 列出会话摘要
+   * @param {Object} [options] - { limit, offset }
+   * @returns {Promise<{ sessions: Object[], total: number }>}
+   */
+  async listSessions(options = {}) {
+    return this.sessionStore.list(options);
+  }
+
   /**
    * 清除会话
    * @param {string} sessionId
+   * @returns {Promise<boolean>}
    */
-  clearSession(sessionId) {
-    this.sessions.delete(sessionId);
+  async clearSession(sessionId) {
+    return this.sessionStore.delete(sessionId);
   }
 }
 
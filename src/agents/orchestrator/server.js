@@ -33,10 +33,12 @@ async function main() {
   const server = new AgentServer({
     agentCard,
     port,
+    // Orchestrator 同时作为注册中心：其他 Agent 可通过 A2A_REGISTRY_URL 指向本服务自注册
+    registry: orchestratorAgent.agentRegistry,
     skillHandlers: {
       // 注册 chat 技能
       chat: async (input, context) => {
-        const { message, mapId, filters } = input;
+        const { message, mapId, filters, dryRun, requireApproval } = input;
         
         if (!message) {
           throw new Error('message is required');
@@ -47,10 +49,34 @@ async function main() {
           sessionId: context.sessionId,
           mapId,
           filters,
+          dryRun: Boolean(dryRun),
+          ...(requireApproval !== undefined && { requireApproval }),
         });
 
         return result;
       },
+
+      // 批准等待审批的计划并执行
+      approvePlan: async (input, context) => {
+        const { planId, steps, approvedBy, comment } = input;
+
+        if (!planId) {
+          throw new Error('planId is required');
+        }
+
+        return orchestratorAgent.approvePlan(input.sessionId || context.sessionId, planId, { steps, approvedBy, comment });
+      },
+
+      // 拒绝等待审批的计划
+      rejectPlan: async (input, context) => {
+        const { planId, reason, rejectedBy } = input;
+
+        if (!planId) {
+          throw new Error('planId is required');
+        }
+
+        return orchestratorAgent.rejectPlan(input.sessionId || context.sessionId, planId, { reason, rejectedBy });
+      },
     },
   });
 
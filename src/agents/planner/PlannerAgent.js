@@ -3,8 +3,12 @@
  * 将用户需求 + RAG 知识 转换为可执行的无人机控制步骤
  */
 
-import { getGeminiProvider } from '../../llm/GeminiProvider.js';
+import { getLlmProvider } from '../../llm/providers.js';
 import { createLogger } from '../../utils/logger.js';
+import { getStreamLogger } from '../../utils/StreamLogger.js';
+import { validatePlanSteps, formatStepIssues } from '../../utils/toolArgs.js';
+
+const DEFAULT_SCHEMA_REPAIR_ROUNDS = 1; // 参数校验失败时让 LLM 修复的最大轮数
 
 // 系统提示词（工具列表由上游通过 MCP 协议动态注入）
 const SYSTEM_PROMPT = `你是一个无人机飞行任务规划助手。你的任务是根据用户的自然语言请求、地图点位信息、无人机状态，以及“可用工具列表”，生成可执行的无人机控制步骤。
@@ -51,6 +55,10 @@ const SYSTEM_PROMPT = `你是一个无人机飞行任务规划助手。你的任
    - 如果用户要求“画形状/走三角形/走正方形”等但未给出尺寸，默认采用 **2 米边长**（安全、可控）；仅在确实无法推断时才澄清。
 3. **合理高度**：默认飞行高度 1.0 米，除非用户或点位信息指定其他高度
 4. **任务结束**：除非用户要求降落，否则保持悬停/保持当前位置（按可用工具选择）
+5. **指代消解**：如果提供了“对话上下文”，用它解析“回去/回到刚才的位置/再来一次/同样的动作换到 6 号点”等指代：
+   - “回去/返回”通常指回到“上一轮开始前位置”；“回到刚才那个点”指“上一轮已到达的点位”
+   - “同样的动作/再来一次”参考“上一轮计划”的步骤结构，只替换用户新指定的目标
+   - 能从上下文确定坐标时，不要再设置 needsClarification
 
 ## 特殊情况处理
 
@@ -60,11 +68,16 @@ const SYSTEM_PROMPT = `你是一个无人机飞行任务规划助手。你的任
 export class PlannerAgent {
   /**
    * @param {Object} [config]
-   * @param {GeminiProvider} [config.geminiProvider]
+   * @param {LlmProvider} [config.llmProvider]
+   * @param {LlmProvider} [config.geminiProvider] - 兼容旧配置名
+   * @param {number} [config.schemaRepairRounds] - 参数校验失败时的修复轮数（PLANNER_SCHEMA_REPAIR_ROUNDS，默认 1，0 为不修复）
    */
   constructor(config = {}) {
-    this.gemini = config.geminiProvider || getGeminiProvider();
+    this.llm = config.llmProvider || config.geminiProvider || getLlmProvider();
     this.logger = createLogger('PlannerAgent');
+    this.streamLogger = getStreamLogger();
+    const envRounds = parseInt(process.env.PLANNER_SCHEMA_REPAIR_ROUNDS, 10);
+    this.schemaRepairRounds = config.schemaRepairRounds ?? (Number.isNaN(envRounds) ? DEFAULT_SCHEMA_REPAIR_ROUNDS : envRounds);
   }
 
   /**
@@ -73,29 +86,53 @@ export class PlannerAgent {
    * @param {Array} ragHits - RAG 检索结果
    * @param {Object} [droneState] - 无人机当前状态
    * @param {Array} [availableTools] - MCP Server 动态发现的可用工具列表
+   * @param {Object} [options]
+   * @param {Object} [options.conversationContext] - 对话上下文（最近对话、上一轮计划/点位/位置）
    * @returns {Promise<Object>} - 执行计划
    */
-  async plan(userRequest, ragHits = [], droneState = null, availableTools = []) {
+  async plan(userRequest, ragHits = [], droneState = null, availableTools = [], options = {}) {
     const startTime = Date.now();
     this.logger.info(`Planning for: "${userRequest.substring(0, 50)}..."`);
 
     try {
       // 构建提示词
-      const prompt = this._buildPrompt(userRequest, ragHits, droneState, availableTools);
+      const prompt = this._buildPrompt(userRequest, ragHits, droneState, availableTools, options.conversationContext);
 
-      // 调用 Gemini 生成计划
-      const result = await this.gemini.generateJSON(prompt, {
+      // 调用 LLM 生成计划
+      const result = await this._generateJSON(prompt, {
         temperature: 0.3, // 规划用较低温度保证稳定性
-      });
+      }, 'plan');
 
       // 验证和清洗结果
-      const plan = this._validatePlan(result, availableTools);
+      let plan = this._validatePlan(result, availableTools);
+
+      // 按 inputSchema 校验参数（先修正常见错误），仍不合法时把错误反馈给 LLM 修复
+      let check = validatePlanSteps(plan.steps, availableTools);
+      let repairRounds = 0;
+      while (!plan.needsClarification && !check.valid && repairRounds < this.schemaRepairRounds) {
+        repairRounds++;
+        this.logger.warn(`Plan has invalid tool arguments, repair round ${repairRounds}/${this.schemaRepairRounds}:\n${formatStepIssues(check.issues)}`);
+
+        const repaired = await this._generateJSON(this._buildRepairPrompt(prompt, plan, check.issues), {
+          temperature: 0.2,
+        }, 'repair');
+        plan = this._validatePlan(repaired, availableTools);
+        check = validatePlanSteps(plan.steps, availableTools);
+      }
+
+      if (!check.valid) {
+        this.logger.warn(`Plan still has invalid tool arguments after ${repairRounds} repair round(s)`);
+      }
 
       const durationMs = Date.now() - startTime;
       this.logger.info(`Generated plan with ${plan.steps?.length || 0} steps in ${durationMs}ms`);
 
       return {
         ...plan,
+        steps: check.steps,
+        argCoercions: check.coercions,
+        schemaRepairRounds: repairRounds,
+        schemaErrors: check.issues,
         durationMs,
       };
     } catch (error) {
@@ -104,11 +141,27 @@ export class PlannerAgent {
     }
   }
 
+  /**
+   * 调用 LLM 生成 JSON，并发出 plannerLLMCall / plannerLLMResponse 事件（随 A2A 任务结果带回 Orchestrator）
+   * @param {string} prompt
+   * @param {Object} options - generateJSON 选项
+   * @param {string} purpose - plan | repair | reflect
+   * @private
+   */
+  async _generateJSON(prompt, options, purpose) {
+    const requestId = this.streamLogger.currentRequestId();
+    const startTime = Date.now();
+    this.streamLogger.plannerLLMCall(requestId, this.llm.providerName, purpose);
+    const result = await this.llm.generateJSON(prompt, options);
+    this.streamLogger.plannerLLMResponse(requestId, Date.now() - startTime, purpose);
+    return result;
+  }
+
   /**
    * 构建规划提示词
    * @private
    */
-  _buildPrompt(userRequest, ragHits, droneState, availableTools) {
+  _buildPrompt(userRequest, ragHits, droneState, availableTools, conversationContext) {
     const parts = [SYSTEM_PROMPT, '', '---', '', '## 当前任务'];
 
     // 可用工具（来自 MCP listTools）
@@ -116,6 +169,11 @@ export class PlannerAgent {
     parts.push(this._formatToolsForPrompt(availableTools));
     parts.push('');
 
+    // 对话上下文（多轮指代消解）
+    if (conversationContext) {
+      parts.push(...this._formatConversationContext(conversationContext));
+    }
+
     // 用户请求
     parts.push(`**用户请求**: ${userRequest}`);
     parts.push('');
@@ -129,10 +187,14 @@ export class PlannerAgent {
         if (chunkText) {
           parts.push(`- **检索结果 ${i + 1}** (相似度: ${(score * 100).toFixed(0)}%)`);
           parts.push(`  ${chunkText}`);
+          const coords = this._formatHitCoordinates(hit);
+          if (coords) {
+            parts.push(`  ${coords}`);
+          }
         }
       }
       parts.push('');
-      parts.push('**注意**: 请从上述检索结果中提取坐标信息。坐标格式通常为 (x, z) 或包含 x=, z= 的描述。');
+      parts.push('**注意**: 标有“精确坐标”的结果来自结构化点位表，直接使用该坐标；其余结果请从文本中提取坐标信息，坐标格式通常为 (x, z) 或包含 x=, z= 的描述。');
       parts.push('');
     } else {
       parts.push('**地图点位信息**: 未找到相关点位');
@@ -152,6 +214,67 @@ export class PlannerAgent {
     return parts.join('\n');
   }
 
+  /**
+   * 格式化对话上下文供提示词使用
+   * @private
+   * @returns {string[]}
+   */
+  _formatConversationContext(conversationContext) {
+    const { recentMessages = [], previousTurn = null } = conversationContext;
+    const lines = [];
+    const fmt = v => (typeof v === 'number' ? v.toFixed(2) : '?');
+
+    if (recentMessages.length > 0) {
+      lines.push('**对话上下文（最近几轮）**:');
+      for (const msg of recentMessages) {
+        lines.push(`- ${msg.role === 'user' ? '用户' : '助手'}: ${msg.content}`);
+      }
+      lines.push('');
+    }
+
+    if (previousTurn) {
+      lines.push(`**上一轮请求**: ${previousTurn.message}（${previousTurn.status}）`);
+
+      if (previousTurn.plan?.length > 0) {
+        lines.push('**上一轮计划**:');
+        for (const step of previousTurn.plan) {
+          lines.push(`- ${step.tool} ${JSON.stringify(step.args || {})}${step.description ? ` // ${step.description}` : ''}`);
+        }
+      }
+
+      if (previousTurn.resolvedLocations?.length > 0) {
+        lines.push('**上一轮已到达的点位**:');
+        for (const loc of previousTurn.resolvedLocations) {
+          lines.push(`- ${loc.name}: x=${fmt(loc.x)}, ${loc.y !== undefined ? `y=${fmt(loc.y)}, ` : ''}z=${fmt(loc.z)}`);
+        }
+      }
+
+      if (previousTurn.startPosition) {
+        const { x, y, z } = previousTurn.startPosition;
+        lines.push(`**上一轮开始前位置**: x=${fmt(x)}, y=${fmt(y)}, z=${fmt(z)}`);
+      }
+      if (previousTurn.finalPosition) {
+        const { x, y, z } = previousTurn.finalPosition;
+        lines.push(`**上一轮结束时位置**: x=${fmt(x)}, y=${fmt(y)}, z=${fmt(z)}`);
+      }
+      lines.push('');
+    }
+
+    return lines;
+  }
+
+  /**
+   * 结构化点位（hit.metadata.worldX/worldZ）的精确坐标描述；普通文本片段返回 null
+   * @private
+   */
+  _formatHitCoordinates(hit) {
+    const { worldX, worldY, worldZ } = hit.metadata || {};
+    if (!Number.isFinite(worldX) || !Number.isFinite(worldZ)) {
+      return null;
+    }
+    return `精确坐标: x=${worldX}, ${Number.isFinite(worldY) ? `y=${worldY}, ` : ''}z=${worldZ}`;
+  }
+
   /**
    * 格式化可用工具列表供提示词使用
    * @private
@@ -177,6 +300,24 @@ export class PlannerAgent {
     return lines.join('\n') || '（可用工具列表为空）';
   }
 
+  /**
+   * 参数修复提示词：原始提示词 + 上一次的步骤 + 校验错误
+   * @private
+   */
+  _buildRepairPrompt(originalPrompt, plan, issues) {
+    return `${originalPrompt}
+
+## 参数校验错误（请修复）
+
+你上一次输出的计划中，以下步骤的参数不符合对应工具的 inputSchema：
+${formatStepIssues(issues)}
+
+上一次输出的 steps：
+${JSON.stringify(plan.steps, null, 2)}
+
+请按 inputSchema 修正参数（字段名、类型、必填项、取值范围），保持其余规划不变，重新输出完整的 JSON。`;
+  }
+
   /**
    * 验证和清洗计划
    * @private
@@ -256,9 +397,9 @@ export class PlannerAgent {
         availableTools
       );
 
-      const result = await this.gemini.generateJSON(prompt, {
+      const result = await this._generateJSON(prompt, {
         temperature: 0.2, // 反思用更低温度保证一致性
-      });
+      }, 'reflect');
 
       // 验证反思结果
       const reflection = this._validateReflection(result, availableTools);
@@ -336,7 +477,8 @@ export class PlannerAgent {
       for (let i = 0; i < Math.min(ragHits.length, 3); i++) {
         const hit = ragHits[i];
         if (hit.chunkText) {
-          parts.push(`- ${hit.chunkText}`);
+          const coords = this._formatHitCoordinates(hit);
+          parts.push(`- ${hit.chunkText}${coords ? `（${coords}）` : ''}`);
         }
       }
       parts.push('');
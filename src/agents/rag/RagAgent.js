@@ -1,41 +1,60 @@
 /**
  * RAG Agent
- * 负责：query → embedding → Supabase RPC 检索 → 结果后处理
+ * 负责：query → embedding → 向量检索（Supabase RPC / 本地向量库）→ 结果后处理
  * 
  * 增强模式：
  * 1. 用 LLM 解析用户意图，提取需要查询的关键地标/点位
  * 2. 针对每个关键词分别检索，合并去重
  * 3. 从检索到的句子中用 LLM 提取坐标
+ *
+ * 结构化点位：编号/别名/颜色+形状能在 MapRegistry 中精确命中的目标直接返回数值坐标
+ * （hit.metadata.worldX/worldZ），不再走向量检索和 LLM 坐标抽取
  */
 
-import { getGeminiProvider } from '../../llm/GeminiProvider.js';
-import { getSupabaseClient } from '../../vector/SupabaseClient.js';
+import { getLlmProvider } from '../../llm/providers.js';
+import { getVectorStore } from '../../vector/stores.js';
+import { getMapRegistry } from '../../map/MapRegistry.js';
 import { createLogger } from '../../utils/logger.js';
+import { getStreamLogger } from '../../utils/StreamLogger.js';
+import { getMetrics } from '../../metrics/Metrics.js';
+
+const SEARCH_HIT_BUCKETS = [0, 1, 2, 3, 5, 8, 13, 20];
 
 export class RagAgent {
   /**
    * @param {Object} [config]
-   * @param {GeminiProvider} [config.geminiProvider]
-   * @param {SupabaseVectorClient} [config.supabaseClient]
+   * @param {LlmProvider} [config.llmProvider]
+   * @param {LlmProvider} [config.geminiProvider] - 兼容旧配置名
+   * @param {VectorStore} [config.vectorStore]
+   * @param {VectorStore} [config.supabaseClient] - 兼容旧配置名
+   * @param {MapRegistry} [config.mapRegistry] - 结构化点位表
    */
   constructor(config = {}) {
-    this.gemini = config.geminiProvider || getGeminiProvider();
-    this.supabase = config.supabaseClient || getSupabaseClient();
+    this.llm = config.llmProvider || config.geminiProvider || getLlmProvider();
+    this.vectorStore = config.vectorStore || config.supabaseClient || getVectorStore();
+    this.mapRegistry = config.mapRegistry || getMapRegistry();
     this.logger = createLogger('RagAgent');
+    this.streamLogger = getStreamLogger();
+
+    const metrics = getMetrics();
+    this.searchDuration = metrics.histogram('vector_search_duration_seconds', 'Vector store search latency in seconds', ['store']);
+    this.searchHits = metrics.histogram('vector_search_hits', 'Hits returned by a vector store search', ['store'], SEARCH_HIT_BUCKETS);
   }
 
   /**
    * 用 LLM 解析用户请求，提取需要查询的关键地标/点位
    * @param {string} query - 用户原始请求
+   * @param {Object} [conversationContext] - 对话上下文（用于解析“刚才那个点”等指代）
    * @returns {Promise<Object>} - { targets: string[], reasoning: string }
    */
-  async parseQueryIntent(query) {
+  async parseQueryIntent(query, conversationContext = null) {
     const startTime = Date.now();
     this.logger.info(`Parsing query intent: "${query.substring(0, 50)}..."`);
 
     const prompt = `你是一个地图查询意图解析助手。请分析用户的无人机飞行请求，提取出所有需要查询坐标的地标/点位。
 
 用户请求：${query}
+${this._formatConversationContext(conversationContext)}
 
 请提取所有需要查询的地点，包括：
 - 编号点位（如"1号"、"2号点"、"3号点位"）
@@ -54,10 +73,11 @@ export class RagAgent {
 - 如果用户说"2号,3号,6号"，应拆分为 ["2号", "3号", "6号"]
 - "黑白点降"应理解为去"黑白点/着陆标"降落，提取 "黑白点" 或 "着陆标"
 - 如果没有明确的地点，targets 可以为空数组
+- 如果请求里有指代（如"刚才那个点"、"回到上一个点"、"同样的点"），根据对话上下文替换为具体的地点名称
 - 只返回 JSON，不要其他文字`;
 
     try {
-      const result = await this.gemini.generateJSON(prompt, { temperature: 0.1 });
+      const result = await this.llm.generateJSON(prompt, { temperature: 0.1 });
       
       const parsed = {
         reasoning: result.reasoning || '',
@@ -83,15 +103,19 @@ export class RagAgent {
    * 智能检索：先解析意图，再针对每个目标分别检索
    * @param {string} query - 用户原始请求
    * @param {Object} [filters] - 过滤条件
+   * @param {Object} [options]
+   * @param {Object} [options.conversationContext] - 对话上下文
    * @returns {Promise<Object>} - 检索结果
    */
-  async smartRetrieve(query, filters = {}) {
+  async smartRetrieve(query, filters = {}, options = {}) {
     const startTime = Date.now();
     this.logger.info(`Smart retrieving for query: "${query.substring(0, 50)}..."`);
 
     try {
       // 1. 解析用户意图
-      const intent = await this.parseQueryIntent(query);
+      const intentStartTime = Date.now();
+      const intent = await this.parseQueryIntent(query, options.conversationContext);
+      this.streamLogger.ragIntentParsed(this.streamLogger.currentRequestId(), intent, Date.now() - intentStartTime);
       
       const {
         mapId,
@@ -103,14 +127,22 @@ export class RagAgent {
       const allResults = [];
       const targetResults = {}; // 记录每个目标的搜索结果
       
-      // 2.1 对每个提取的目标进行搜索
+      // 2.1 对每个提取的目标进行搜索（结构化点位精确命中时跳过向量检索）
       for (const target of intent.targets) {
-        const targetHits = await this._searchSingleTarget(target, { mapId, topK: 3, threshold });
+        const landmarkHits = await this._lookupLandmarkHits(target, mapId);
+        const targetHits = landmarkHits.length > 0
+          ? landmarkHits
+          : await this._searchSingleTarget(target, { mapId, topK: 3, threshold });
         targetResults[target] = targetHits;
         allResults.push(...targetHits);
       }
 
-      // 2.2 用原始查询做兜底搜索
+      // 2.2 意图解析没有拆出目标时，原始查询也尝试一次结构化点位（如 "飞到6号"；"6号和7号之间" 返回两个点位）
+      if (intent.targets.length === 0) {
+        allResults.push(...await this._lookupLandmarkHits(query, mapId));
+      }
+
+      // 2.3 用原始查询做兜底搜索
       const originalHits = await this._searchSingleTarget(query, { mapId, topK, threshold });
       allResults.push(...originalHits);
 
@@ -161,6 +193,14 @@ export class RagAgent {
       const targetResults = {};
 
       for (const target of missingTargets) {
+        // 先查结构化点位表
+        const landmarkHits = await this._lookupLandmarkHits(target, mapId);
+        if (landmarkHits.length > 0) {
+          targetResults[target] = landmarkHits;
+          allResults.push(...landmarkHits);
+          continue;
+        }
+
         // 尝试多种搜索策略
         const variations = this._generateSearchVariations(target);
         let bestHits = [];
@@ -226,6 +266,81 @@ export class RagAgent {
     return [...new Set(variations)]; // 去重
   }
 
+  /**
+   * 在结构化点位表中精确解析地标（编号 / 别名 / 颜色+形状）
+   * @param {Array<string>} targets - 地标描述列表
+   * @param {Object} [filters] - { mapId }
+   * @returns {Promise<Object>} - { hits, resolved, unresolved, coordinates }
+   */
+  async lookupLandmark(targets, filters = {}) {
+    const startTime = Date.now();
+    this.logger.info(`Looking up landmarks: ${targets.join(', ')}`);
+
+    const hits = [];
+    const resolved = {};
+    const unresolved = [];
+
+    const results = await this.mapRegistry.lookupMany(targets, { mapId: filters.mapId });
+    for (const { target, matchType, objects } of results) {
+      if (objects.length === 0) {
+        unresolved.push(target);
+        continue;
+      }
+      resolved[target] = objects.map(obj => ({
+        objectId: obj.objectId,
+        name: obj.name,
+        type: obj.type,
+        color: obj.color,
+        x: obj.x,
+        y: obj.y,
+        z: obj.z,
+        matchType,
+      }));
+      hits.push(...objects.map(obj => this.mapRegistry.toHit(obj, matchType)));
+    }
+
+    const uniqueHits = this._deduplicateResults(hits);
+    const durationMs = Date.now() - startTime;
+    this.logger.info(`Resolved ${targets.length - unresolved.length}/${targets.length} landmarks in ${durationMs}ms`);
+
+    return {
+      hits: uniqueHits,
+      resolved,
+      unresolved,
+      coordinates: this._coordinatesFromMetadata(uniqueHits),
+      durationMs,
+    };
+  }
+
+  /**
+   * 单目标的结构化点位命中（点位表不可用时返回空数组，退回向量检索）
+   * @private
+   */
+  async _lookupLandmarkHits(target, mapId) {
+    try {
+      const { matchType, objects } = await this.mapRegistry.lookup(target, { mapId });
+      return objects.map(obj => this.mapRegistry.toHit(obj, matchType));
+    } catch (error) {
+      this.logger.warn(`Landmark lookup for "${target}" failed:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 从 hit.metadata 读取精确坐标
+   * @private
+   */
+  _coordinatesFromMetadata(hits) {
+    return hits
+      .filter(hit => Number.isFinite(hit.metadata?.worldX) && Number.isFinite(hit.metadata?.worldZ))
+      .map(hit => ({
+        name: hit.metadata.name ? `${hit.metadata.name} (ID: ${hit.metadata.objectId})` : String(hit.metadata.objectId || 'unnamed'),
+        x: hit.metadata.worldX,
+        y: hit.metadata.worldY ?? null,
+        z: hit.metadata.worldZ,
+      }));
+  }
+
   /**
    * 单目标搜索
    * @private
@@ -233,14 +348,16 @@ export class RagAgent {
   async _searchSingleTarget(target, options = {}) {
     const { mapId, topK = 3, threshold = 0.5 } = options;
     
+    const requestId = this.streamLogger.currentRequestId();
     try {
-      const queryEmbedding = await this.gemini.embed(target);
-      const rawResults = await this.supabase.search(queryEmbedding, {
+      const queryEmbedding = await this.llm.embed(target);
+      this.streamLogger.ragEmbedding(requestId, queryEmbedding.length);
+
+      return await this._vectorSearch(queryEmbedding, {
         mapId,
         topK: topK + 2,
         threshold,
-      });
-      return rawResults;
+      }, target);
     } catch (error) {
       this.logger.warn(`Search for "${target}" failed:`, error.message);
       return [];
@@ -273,11 +390,14 @@ export class RagAgent {
   async retrieve(query, filters = {}) {
     const startTime = Date.now();
     this.logger.info(`Retrieving for query: "${query.substring(0, 50)}..."`);
+    const requestId = this.streamLogger.currentRequestId();
+    this.streamLogger.ragQuery(requestId, query);
 
     try {
       // 1. 生成查询向量
-      const queryEmbedding = await this.gemini.embed(query);
+      const queryEmbedding = await this.llm.embed(query);
       this.logger.debug(`Generated embedding with ${queryEmbedding.length} dimensions`);
+      this.streamLogger.ragEmbedding(requestId, queryEmbedding.length);
 
       // 2. 向量检索
       const {
@@ -286,7 +406,7 @@ export class RagAgent {
         threshold = 0.5,
       } = filters;
 
-      const rawResults = await this.supabase.search(queryEmbedding, {
+      const rawResults = await this._vectorSearch(queryEmbedding, {
         mapId,
         topK: topK + 3, // 多检索一些用于后处理
         threshold,
@@ -314,6 +434,29 @@ export class RagAgent {
     }
   }
 
+  /**
+   * 向量检索：记录耗时 / 命中数指标并发出 ragSearch 事件
+   * @param {number[]} queryEmbedding
+   * @param {Object} options - { mapId, topK, threshold }
+   * @param {string} [target] - 智能检索中的单个目标
+   * @private
+   */
+  async _vectorSearch(queryEmbedding, options, target) {
+    const store = this.vectorStore.constructor.name;
+    const startTime = Date.now();
+    const endTimer = this.searchDuration.startTimer({ store });
+    const results = await this.vectorStore.search(queryEmbedding, options).finally(endTimer);
+    this.searchHits.observe({ store }, results.length);
+
+    this.streamLogger.ragSearch(this.streamLogger.currentRequestId(), {
+      target,
+      ...options,
+      hitCount: results.length,
+      durationMs: Date.now() - startTime,
+    });
+    return results;
+  }
+
   /**
    * 后处理检索结果
    * @private
@@ -352,16 +495,46 @@ export class RagAgent {
     
     for (let i = 0; i < hits.length; i++) {
       const hit = hits[i];
-      const { chunkText, score } = hit;
+      const { chunkText, score, metadata } = hit;
       
       lines.push(`**${i + 1}.** (相似度: ${(score * 100).toFixed(1)}%)`);
       lines.push(`   ${chunkText}`);
+      if (Number.isFinite(metadata?.worldX) && Number.isFinite(metadata?.worldZ)) {
+        lines.push(`   精确坐标: x=${metadata.worldX}, z=${metadata.worldZ}`);
+      }
       lines.push('');
     }
 
     return lines.join('\n');
   }
 
+  /**
+   * 把对话上下文格式化为意图解析提示词片段（无上下文时返回空字符串）
+   * @private
+   */
+  _formatConversationContext(conversationContext) {
+    if (!conversationContext) {
+      return '';
+    }
+
+    const lines = [];
+    const { recentMessages = [], previousTurn = null } = conversationContext;
+
+    const userMessages = recentMessages.filter(m => m.role === 'user');
+    if (userMessages.length > 0) {
+      lines.push('之前的用户请求：');
+      for (const msg of userMessages) {
+        lines.push(`- ${msg.content}`);
+      }
+    }
+
+    if (previousTurn?.targets?.length > 0) {
+      lines.push(`上一轮查询的地点：${previousTurn.targets.join('、')}`);
+    }
+
+    return lines.length > 0 ? `\n对话上下文：\n${lines.join('\n')}\n` : '';
+  }
+
   /**
    * 从检索结果中用 LLM 提取坐标
    * @param {Array} hits - 检索结果
@@ -373,8 +546,15 @@ export class RagAgent {
       return [];
     }
 
+    // 结构化点位自带坐标，只有纯文本片段才需要 LLM 抽取
+    const structured = this._coordinatesFromMetadata(hits);
+    const textHits = hits.filter(hit => !Number.isFinite(hit.metadata?.worldX) || !Number.isFinite(hit.metadata?.worldZ));
+    if (textHits.length === 0) {
+      return structured;
+    }
+
     // 把所有 chunk 拼成上下文
-    const context = hits.map((hit, i) => `[${i + 1}] ${hit.chunkText}`).join('\n');
+    const context = textHits.map((hit, i) => `[${i + 1}] ${hit.chunkText}`).join('\n');
 
     const prompt = `从以下文本中提取所有提到的地点坐标信息。
 
@@ -395,24 +575,24 @@ ${targetName ? `用户想要找的目标：${targetName}` : ''}
 - 只返回 JSON，不要其他文字`;
 
     try {
-      const result = await this.gemini.generateJSON(prompt, { temperature: 0.1 });
+      const result = await this.llm.generateJSON(prompt, { temperature: 0.1 });
       
       // 验证并规范化结果
       if (!Array.isArray(result)) {
         this.logger.warn('LLM returned non-array result for coordinates');
-        return [];
+        return structured;
       }
 
-      return result.map(item => ({
+      return structured.concat(result.map(item => ({
         name: String(item.name || 'unnamed'),
         x: typeof item.x === 'number' ? item.x : parseFloat(item.x) || 0,
         y: item.y != null ? (typeof item.y === 'number' ? item.y : parseFloat(item.y)) : null,
         z: typeof item.z === 'number' ? item.z : parseFloat(item.z) || 0,
-      })).filter(item => !isNaN(item.x) && !isNaN(item.z));
+      })).filter(item => !isNaN(item.x) && !isNaN(item.z)));
 
     } catch (error) {
       this.logger.error('Failed to extract coordinates with LLM:', error.message);
-      return [];
+      return structured;
     }
   }
 }
@@ -56,13 +56,13 @@ async function main() {
 
       // 智能检索：先用 LLM 解析意图，再针对每个目标分别检索
       smartRetrieve: async (input, context) => {
-        const { query, filters = {}, extractCoords = false, targetName = null } = input;
+        const { query, filters = {}, extractCoords = false, targetName = null, conversationContext = null } = input;
         
         if (!query) {
           throw new Error('query is required');
         }
 
-        const result = await ragAgent.smartRetrieve(query, filters);
+        const result = await ragAgent.smartRetrieve(query, filters, { conversationContext });
         
         // 如果需要提取坐标，用 LLM 从句子中提取
         let coordinates = [];
@@ -81,6 +81,27 @@ async function main() {
         };
       },
 
+      // 结构化点位精确解析（编号 / 别名 / 颜色+形状），直接返回数值坐标
+      lookupLandmark: async (input, context) => {
+        const { targets, query, filters = {} } = input;
+        const list = Array.isArray(targets) && targets.length > 0 ? targets : (query ? [query] : []);
+
+        if (list.length === 0) {
+          throw new Error('targets array or query is required');
+        }
+
+        const result = await ragAgent.lookupLandmark(list, filters);
+
+        return {
+          hits: result.hits,
+          resolved: result.resolved,
+          unresolved: result.unresolved,
+          coordinates: result.coordinates,
+          formattedContext: ragAgent.formatHitsAsContext(result.hits),
+          durationMs: result.durationMs,
+        };
+      },
+
       // 针对缺失目标重新检索
       retrieveMissing: async (input, context) => {
         const { missingTargets, filters = {} } = input;
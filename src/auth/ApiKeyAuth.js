@@ -0,0 +1,202 @@
+/**
+ * API Key 认证与权限
+ * A2A 服务器（/tasks 等）和 Web API（/api/*）共用：
+ * - 凭据：`Authorization: Bearer <key>` 或 `X-API-Key: <key>`
+ * - 密钥来源：API_KEYS="name:key:scope+scope,..." 或 API_KEYS_FILE（JSON 数组 [{ name, key, scopes }]）
+ * - 权限（逐级包含）：read（只读查询 / 预演）< execute（控制无人机）< admin（Agent 注册等管理操作）
+ *
+ * 未配置任何密钥时认证关闭（所有请求视为 admin），保持本机开发时的行为
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { createLogger } from '../utils/logger.js';
+
+/** 权限 */
+export const Scope = {
+  READ: 'read',
+  EXECUTE: 'execute',
+  ADMIN: 'admin',
+};
+
+const SCOPE_LEVEL = {
+  [Scope.READ]: 1,
+  [Scope.EXECUTE]: 2,
+  [Scope.ADMIN]: 3,
+};
+
+/** 认证错误码 */
+export const AuthErrorCode = {
+  UNAUTHORIZED: 'UNAUTHORIZED', // 缺少或无效的凭据（401）
+  FORBIDDEN: 'FORBIDDEN',       // 凭据有效但权限不足（403）
+};
+
+// 认证关闭时的身份
+const ANONYMOUS = Object.freeze({ name: 'anonymous', scopes: [Scope.ADMIN] });
+
+/**
+ * 密钥摘要（只在内存中保留摘要，用定长比较避免时序泄露）
+ * @private
+ */
+function digest(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+/**
+ * 解析 API_KEYS="name:key:scope+scope,..."（省略 scope 时为 read）
+ * @private
+ */
+function parseKeyList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean).map((item) => {
+    const [name, key, scopes] = item.split(':').map(part => part?.trim());
+    if (!name || !key) {
+      throw new Error(`Invalid API_KEYS entry: "${item}" (expected name:key:scope)`);
+    }
+    return { name, key, scopes: scopes ? scopes.split('+') : [Scope.READ] };
+  });
+}
+
+export class ApiKeyAuth {
+  /**
+   * @param {Object} [config]
+   * @param {Array<{ name: string, key: string, scopes: Array<string> }>} [config.keys] - 密钥列表（默认 API_KEYS / API_KEYS_FILE）
+   */
+  constructor(config = {}) {
+    this.logger = createLogger('Auth');
+    this.keys = [];
+
+    const entries = config.keys ?? [
+      ...(process.env.API_KEYS ? parseKeyList(process.env.API_KEYS) : []),
+      ...(process.env.API_KEYS_FILE ? JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf-8')) : []),
+    ];
+
+    for (const entry of entries) {
+      const scopes = (entry.scopes || [Scope.READ]).map(scope => String(scope).toLowerCase());
+      const unknown = scopes.filter(scope => !SCOPE_LEVEL[scope]);
+      if (!entry.key || unknown.length > 0) {
+        throw new Error(`Invalid API key "${entry.name}": ${!entry.key ? 'key is required' : `unknown scope ${unknown.join(', ')}`}`);
+      }
+      this.keys.push({ name: entry.name || 'unnamed', digest: digest(entry.key), scopes });
+    }
+
+    if (this.enabled) {
+      this.logger.info(`API key authentication enabled (${this.keys.length} keys)`);
+    } else {
+      this.logger.warn('API_KEYS not configured, authentication disabled');
+    }
+  }
+
+  /**
+   * 是否启用认证
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  /**
+   * 从请求头读取凭据并识别身份
+   * @param {Object} req - Express 请求
+   * @returns {{ name: string, scopes: Array<string> }|null} - 无凭据或凭据无效时为 null
+   */
+  authenticate(req) {
+    if (!this.enabled) {
+      return ANONYMOUS;
+    }
+
+    const header = req.get('authorization') || '';
+    const bearer = header.match(/^Bearer\s+(.+)$/i)?.[1];
+    const key = bearer || req.get('x-api-key');
+    if (!key) {
+      return null;
+    }
+
+    const candidate = digest(key.trim());
+    const match = this.keys.find(entry => crypto.timingSafeEqual(entry.digest, candidate));
+    return match ? { name: match.name, scopes: match.scopes } : null;
+  }
+
+  /**
+   * 身份是否具备所需权限（高权限包含低权限）
+   * @param {{ scopes: Array<string> }} principal
+   * @param {string} scope - Scope
+   * @returns {boolean}
+   */
+  hasScope(principal, scope) {
+    const required = SCOPE_LEVEL[scope] ?? SCOPE_LEVEL[Scope.ADMIN];
+    return Boolean(principal?.scopes.some(granted => SCOPE_LEVEL[granted] >= required));
+  }
+
+  /**
+   * Express 中间件：校验凭据与权限，通过后在 req.auth 上挂载身份
+   * 失败时返回 401 / 403 { success: false, error, code }
+   * @param {string|Function} scope - 所需权限，或按请求计算权限的函数 (req) => scope
+   * @returns {Function}
+   */
+  require(scope) {
+    return (req, res, next) => {
+      const principal = this.authenticate(req);
+      if (!principal) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+          success: false,
+          error: 'Missing or invalid API key',
+          code: AuthErrorCode.UNAUTHORIZED,
+        });
+      }
+
+      const required = typeof scope === 'function' ? scope(req) : scope;
+      if (!this.hasScope(principal, required)) {
+        this.logger.warn(`Key "${principal.name}" denied ${req.method} ${req.path} (requires ${required})`);
+        return res.status(403).json({
+          success: false,
+          error: `API key "${principal.name}" lacks scope: ${required}`,
+          code: AuthErrorCode.FORBIDDEN,
+        });
+      }
+
+      req.auth = principal;
+      next();
+    };
+  }
+
+  /**
+   * AgentCard 中声明的认证方式（A2A securitySchemes / security），认证关闭时为空对象
+   * @returns {Object}
+   */
+  describe() {
+    if (!this.enabled) {
+      return {};
+    }
+    return {
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer', description: 'API key as bearer token' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+      security: [{ bearer: [] }, { apiKey: [] }],
+      scopes: Object.keys(SCOPE_LEVEL),
+    };
+  }
+}
+
+// 单例
+let instance = null;
+
+/**
+ * 获取 ApiKeyAuth 单例
+ * @param {Object} [config] - 配置（仅首次调用时生效）
+ * @returns {ApiKeyAuth}
+ */
+export function getApiKeyAuth(config) {
+  if (!instance) {
+    instance = new ApiKeyAuth(config);
+  }
+  return instance;
+}
+
+/**
+ * 重置单例（用于测试）
+ */
+export function resetApiKeyAuth() {
+  instance = null;
+}
@@ -0,0 +1,39 @@
+/**
+ * CORS 中间件
+ * CORS_ORIGINS：逗号分隔的允许来源（如 "http://localhost:5173,https://pilot.example.com"），
+ * 未设置或为 "*" 时允许任意来源
+ */
+
+/**
+ * 创建 CORS 中间件
+ * @param {Object} [config]
+ * @param {string|Array<string>} [config.origins] - 允许的来源（默认 CORS_ORIGINS）
+ * @returns {Function}
+ */
+export function createCorsMiddleware(config = {}) {
+  const value = config.origins ?? process.env.CORS_ORIGINS ?? '*';
+  const origins = (Array.isArray(value) ? value : String(value).split(','))
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+  const allowAll = origins.length === 0 || origins.includes('*');
+
+  return (req, res, next) => {
+    const origin = req.get('origin');
+
+    if (allowAll) {
+      res.header('Access-Control-Allow-Origin', '*');
+    } else {
+      res.header('Vary', 'Origin');
+      if (origin && origins.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+      }
+    }
+    res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+      return res.sendStatus(200);
+    }
+    next();
+  };
+}
@@ -0,0 +1,6 @@
+/**
+ * Auth 模块导出（API Key 认证、权限与 CORS）
+ */
+
+export { ApiKeyAuth, Scope, AuthErrorCode, getApiKeyAuth, resetApiKeyAuth } from './ApiKeyAuth.js';
+export { createCorsMiddleware } from './cors.js';
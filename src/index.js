@@ -1,93 +1,87 @@
 #!/usr/bin/env node
 /**
  * DPW-Agent 主入口
- * 启动所有 Agent 服务（适用于开发/测试）
+ * 由 Supervisor 启动并守护所有 Agent 服务（适用于开发/测试）
+ * --web（或 SUPERVISOR_WEB=true）时同时启动 Web API Server
  */
 
 import 'dotenv/config';
-import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { Supervisor } from './supervisor/index.js';
+import { DEFAULT_PORTS } from './agents/definitions.js';
 import { createLogger } from './utils/logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const logger = createLogger('Main');
 
-const AGENTS = [
-  { name: 'rag', script: 'agents/rag/server.js' },
-  { name: 'planner', script: 'agents/planner/server.js' },
-  { name: 'executor', script: 'agents/executor/server.js' },
-  { name: 'orchestrator', script: 'agents/orchestrator/server.js' },
-];
-
-const processes = new Map();
-
-function startAgent(agent) {
-  const scriptPath = path.join(__dirname, agent.script);
-  
-  logger.info(`Starting ${agent.name} agent...`);
-  
-  const proc = spawn('node', [scriptPath], {
-    stdio: ['inherit', 'pipe', 'pipe'],
-    env: { ...process.env },
-  });
-
-  proc.stdout.on('data', (data) => {
-    process.stdout.write(`[${agent.name}] ${data}`);
-  });
-
-  proc.stderr.on('data', (data) => {
-    process.stderr.write(`[${agent.name}] ${data}`);
-  });
-
-  proc.on('exit', (code) => {
-    logger.warn(`${agent.name} agent exited with code ${code}`);
-    processes.delete(agent.name);
+const WITH_WEB = process.argv.includes('--web') || process.env.SUPERVISOR_WEB === 'true';
+const WEB_PORT = parseInt(process.env.WEB_API_PORT) || 3000;
+
+// 下游服务在其依赖的 /ping 可用后才启动
+const SUB_AGENTS = ['rag', 'planner', 'executor'];
+
+const SERVICES = [
+  ...SUB_AGENTS.map(name => ({ name, script: `agents/${name}/server.js` })),
+  { name: 'orchestrator', script: 'agents/orchestrator/server.js', dependsOn: SUB_AGENTS },
+].map(service => ({
+  ...service,
+  script: path.join(__dirname, service.script),
+  healthUrl: `http://localhost:${DEFAULT_PORTS[service.name]}/ping`,
+}));
+
+if (WITH_WEB) {
+  SERVICES.push({
+    name: 'web',
+    script: path.join(__dirname, 'interfaces/webServer.js'),
+    healthUrl: `http://localhost:${WEB_PORT}/api/health`,
+    dependsOn: SUB_AGENTS,
   });
-
-  processes.set(agent.name, proc);
-  return proc;
 }
 
 async function main() {
   logger.info('Starting DPW-Agent system...');
   logger.info('');
 
-  // 启动所有 Agent
-  for (const agent of AGENTS) {
-    startAgent(agent);
-    // 等待一小段时间让端口绑定
-    await new Promise(resolve => setTimeout(resolve, 500));
-  }
-
-  logger.info('');
-  logger.info('All agents started. Press Ctrl+C to stop.');
-  logger.info('');
-  logger.info('Usage:');
-  logger.info('  CLI:     npm run agent:cli');
-  logger.info('  Web API: npm run agent:server');
+  const supervisor = new Supervisor({ services: SERVICES });
 
-  // 优雅退出
-  const shutdown = () => {
-    logger.info('');
-    logger.info('Shutting down all agents...');
-    
-    for (const [name, proc] of processes) {
-      logger.info(`Stopping ${name}...`);
-      proc.kill('SIGTERM');
+  // 优雅退出：等待各服务处理完进行中的任务后退出
+  const shutdown = async () => {
+    if (supervisor.stopping) {
+      return;
     }
-
-    setTimeout(() => {
-      process.exit(0);
-    }, 2000);
+    logger.info('');
+    logger.info('Shutting down all services (waiting for in-flight tasks)...');
+    await supervisor.stop();
+    process.exit(0);
   };
 
   process.on('SIGINT', shutdown);
   process.on('SIGTERM', shutdown);
+
+  try {
+    await supervisor.start();
+  } catch (error) {
+    if (supervisor.stopping) {
+      return;
+    }
+    logger.error('Failed to start services:', error.message);
+    await supervisor.stop();
+    process.exit(1);
+  }
+
+  logger.info('');
+  logger.info('All services ready. Press Ctrl+C to stop.');
+  logger.info('');
+  logger.info('Usage:');
+  logger.info('  CLI:     npm run agent:cli');
+  logger.info(`  Web API: ${WITH_WEB ? `http://localhost:${WEB_PORT}` : 'npm run agent:server（或 npm start -- --web）'}`);
+  if (supervisor.port) {
+    logger.info(`  Status:  http://localhost:${supervisor.port}/status`);
+  }
 }
 
 main().catch(error => {
   logger.error('Failed to start:', error);
   process.exit(1);
 });
-
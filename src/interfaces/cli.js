@@ -246,6 +246,26 @@ function handleStreamEvent(event) {
       printReturn(AgentName.ORCHESTRATOR, AgentName.RAG, `${event.hitCount} 条结果`, event.durationMs);
       break;
 
+    // ===== RAG 单个目标的向量搜索（由 RAG Agent 进程转发） =====
+    case LogEventType.RAG_SEARCH:
+      if (event.target) {
+        printAgentAction(
+          AgentName.RAG,
+          `搜索 "${event.target}"`,
+          `${event.hitCount} 条结果${event.durationMs != null ? ` (${event.durationMs}ms)` : ''}`
+        );
+      }
+      break;
+
+    // ===== Planner LLM 响应（由 Planner Agent 进程转发） =====
+    case LogEventType.PLANNER_LLM_RESPONSE:
+      printAgentAction(
+        AgentName.PLANNER,
+        event.purpose === 'repair' ? '参数修复 LLM 响应' : 'LLM 响应',
+        event.durationMs != null ? `${event.durationMs}ms` : ''
+      );
+      break;
+
     // ===== Planner 结果 =====
     case LogEventType.PLANNER_RESULT:
       // 显示推理过程
@@ -272,6 +292,47 @@ function handleStreamEvent(event) {
       printReturn(AgentName.ORCHESTRATOR, AgentName.PLANNER, `${event.stepCount} 个步骤`, event.durationMs);
       break;
 
+    // ===== 安全校验 =====
+    case LogEventType.SAFETY_RESULT:
+      if (event.violationCount > 0) {
+        const items = event.violations.map(v =>
+          `${v.repaired ? colors.yellow : colors.red}${v.code}${colors.reset} 第 ${v.stepIndex + 1} 步: ${v.message}`
+        );
+        printDetailBlock(
+          event.approved ? `安全校验：自动修正 ${event.violationCount} 处` : `${colors.red}安全校验未通过，拒绝执行${colors.reset}`,
+          items
+        );
+      } else {
+        printAgentAction(AgentName.ORCHESTRATOR, `${colors.green}🛡️ 安全校验通过${colors.reset}`);
+      }
+      break;
+
+    // ===== 计划预演 =====
+    case LogEventType.DRY_RUN_RESULT: {
+      const items = event.results.map(r =>
+        `${r.success ? colors.green + '✓' : colors.red + '✗'}${colors.reset} 第 ${r.step} 步 ${r.tool}` +
+        (r.success ? ` ${colors.dim}${r.distance}m / ${r.estimatedDurationMs}ms${colors.reset}` : `: ${r.error}`)
+      );
+      printDetailBlock(
+        `🧪 预演：约 ${(event.estimatedDurationMs / 1000).toFixed(1)}s，航迹 ${event.pathLength}m`,
+        items
+      );
+      break;
+    }
+
+    // ===== 人工审批 =====
+    case LogEventType.PLAN_PENDING_APPROVAL:
+      printAgentAction(AgentName.ORCHESTRATOR, `${colors.yellow}⏸️ 计划等待审批${colors.reset}`, `${event.stepCount} 个步骤`);
+      break;
+
+    case LogEventType.PLAN_DECISION:
+      printAgentAction(
+        AgentName.ORCHESTRATOR,
+        `${event.decision === 'rejected' ? colors.red : colors.green}${event.phase}${colors.reset}`,
+        event.comment || ''
+      );
+      break;
+
     // ===== Executor 开始 =====
     case LogEventType.EXECUTOR_START:
       printAgentAction(AgentName.EXECUTOR, `开始执行 ${event.totalSteps} 个步骤`);
@@ -360,6 +421,12 @@ function handleStreamEvent(event) {
       );
       break;
 
+    // ===== 紧急中止 =====
+    case LogEventType.REQUEST_ABORT:
+      console.log('');
+      printAgentAction(AgentName.ORCHESTRATOR, `${colors.red}${colors.bright}⛔ 紧急中止${colors.reset}`);
+      break;
+
     // ===== 错误 =====
     case LogEventType.AGENT_CALL_ERROR:
       printAgentAction(event.agent, `${colors.red}✗ 错误: ${event.error}${colors.reset}`);
@@ -370,6 +437,13 @@ function handleStreamEvent(event) {
 // 流式日志开关
 let streamLoggingEnabled = true;
 
+// 人工审批模式开关（/approval on|off），以及当前等待审批的计划
+let approvalModeEnabled = process.env.APPROVAL_MODE === 'true';
+let pendingPlanId = null;
+
+// 预演模式开关（/dryrun on|off）：只规划与模拟，不控制无人机
+let dryRunEnabled = false;
+
 // MCP 图标（用于展示与 MCP Server 的交互）
 agentIcons['MCP'] = '🔌';
 agentColors['MCP'] = colors.blue;
@@ -397,7 +471,13 @@ async function main() {
       LogEventType.RAG_INTENT_PARSED,    // 智能检索意图解析
       LogEventType.RAG_RETRY_START,      // RAG 重试开始
       LogEventType.RAG_RETRY_RESULT,     // RAG 重试结果
+      LogEventType.RAG_SEARCH,           // 单个目标的向量搜索
+      LogEventType.PLANNER_LLM_RESPONSE, // Planner LLM 响应耗时
       LogEventType.PLANNER_RESULT,
+      LogEventType.SAFETY_RESULT,        // 执行前安全校验
+      LogEventType.DRY_RUN_RESULT,       // 计划预演
+      LogEventType.PLAN_PENDING_APPROVAL, // 计划等待审批
+      LogEventType.PLAN_DECISION,        // 审批决定
       LogEventType.REFLECT_START,
       LogEventType.REFLECT_RESULT,
       LogEventType.EXECUTOR_START,
@@ -405,6 +485,7 @@ async function main() {
       LogEventType.EXECUTOR_STEP_END,
       LogEventType.EXECUTOR_RESULT,
       LogEventType.REQUEST_END,
+      LogEventType.REQUEST_ABORT,
     ];
     
     if (!showEvents.includes(event.type)) return;
@@ -417,11 +498,11 @@ async function main() {
   // print('正在检查系统状态...', colors.yellow);
   const deps = await orchestrator.checkDependencies();
   
-  const allOk = Object.values(deps).every(v => v);
+  const allOk = Object.values(deps).every(dep => dep.available);
   if (!allOk) {
     print('⚠️  部分 Agent 不可用，功能可能受限：', colors.yellow);
-    for (const [name, ok] of Object.entries(deps)) {
-      print(`   ${ok ? '✅' : '❌'} ${name}`, ok ? colors.green : colors.red);
+    for (const [name, dep] of Object.entries(deps)) {
+      print(`   ${formatDependency(name, dep)}`, dep.available ? colors.green : colors.red);
     }
     console.log('');
     print('提示：请先启动各个 Agent 服务：', colors.dim);
@@ -434,37 +515,27 @@ async function main() {
     // console.log('');
   }
 
-  // 创建会话
-  const sessionId = uuidv4();
+  // 创建会话（--session <id> 恢复已持久化的会话）
+  const sessionArgIndex = process.argv.indexOf('--session');
+  const sessionId = (sessionArgIndex !== -1 && process.argv[sessionArgIndex + 1]) || uuidv4();
   print(`session ID: ${sessionId}`, colors.dim);
   // print(`流式日志: ${streamLoggingEnabled ? '已开启' : '已关闭'} (使用 /stream 切换)`, colors.dim);
   console.log('');
 
-  // 创建 readline 接口
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-    prompt: colors.green + '你> ' + colors.reset,
-  });
-
-  rl.prompt();
-
-  rl.on('line', async (line) => {
-    const input = line.trim();
-
-    if (!input) {
-      rl.prompt();
-      return;
-    }
-
-    // 处理命令
-    if (input.startsWith('/')) {
-      await handleCommand(input, orchestrator, sessionId, rl, () => currentRequestId);
-      rl.prompt();
-      return;
-    }
+  /**
+   * 执行一轮请求（对话或批准计划），展示流式日志与结果
+   */
+  const runTurn = async (invoke) => {
+    // 生成一个临时 requestId 用于匹配日志事件
+    // 实际的 requestId 会在 chat / approvePlan 内部生成，我们通过事件来捕获
+    let capturedRequestId = null;
+    const captureListener = (event) => {
+      if (event.type === LogEventType.REQUEST_START && !capturedRequestId) {
+        capturedRequestId = event.requestId;
+        currentRequestId = capturedRequestId;
+      }
+    };
 
-    // 处理用户消息
     try {
       print('', colors.reset);
       
@@ -476,25 +547,14 @@ async function main() {
         print('思考中...', colors.dim);
       }
 
-      // 生成一个临时 requestId 用于匹配日志事件
-      // 实际的 requestId 会在 chat 方法内部生成，我们通过事件来捕获
-      let capturedRequestId = null;
-      const captureListener = (event) => {
-        if (event.type === LogEventType.REQUEST_START && !capturedRequestId) {
-          capturedRequestId = event.requestId;
-          currentRequestId = capturedRequestId;
-        }
-      };
       streamLogger.on(LogEventType.REQUEST_START, captureListener);
 
-      const response = await orchestrator.chat({
-        message: input,
-        sessionId,
-      });
+      const response = await invoke();
 
       // 移除监听器
       streamLogger.off(LogEventType.REQUEST_START, captureListener);
       currentRequestId = null;
+      pendingPlanId = response.pendingApproval ? response.planId : null;
 
       // 如果没有流式日志，清除 "思考中..."
       if (!streamLoggingEnabled) {
@@ -538,6 +598,15 @@ async function main() {
           }
         }
 
+        if (response.dryRun && response.simulation) {
+          print('');
+          print(`🧪 预演结果: 约 ${(response.estimatedDurationMs / 1000).toFixed(1)}s，航迹 ${response.pathLength}m`, colors.cyan);
+          for (const r of response.simulation.results) {
+            const status = r.success ? '✅' : '❌';
+            print(`   ${status} ${r.tool}${r.success ? '' : `: ${r.error}`}`, r.success ? colors.green : colors.red);
+          }
+        }
+
         if (response.ragHits && response.ragHits.length > 0) {
           print('');
           print('📍 RAG 检索结果:', colors.cyan);
@@ -551,15 +620,54 @@ async function main() {
         print('');
         print(`⏱️  总耗时: ${response.durationMs}ms`, colors.dim);
       }
+
+      // 等待审批：展示计划与操作提示
+      if (response.pendingApproval) {
+        printPendingPlan(response);
+      }
       
       print('');
 
     } catch (error) {
+      streamLogger.off(LogEventType.REQUEST_START, captureListener);
       currentRequestId = null;
       print('');
       print(`❌ 错误: ${error.message}`, colors.red);
       print('');
     }
+  };
+
+  // 创建 readline 接口
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: colors.green + '你> ' + colors.reset,
+  });
+
+  rl.prompt();
+
+  rl.on('line', async (line) => {
+    const input = line.trim();
+
+    if (!input) {
+      rl.prompt();
+      return;
+    }
+
+    // 处理命令
+    if (input.startsWith('/')) {
+      await handleCommand(input, orchestrator, sessionId, rl, () => currentRequestId, runTurn);
+      rl.prompt();
+      return;
+    }
+
+    // 处理用户消息
+    await runTurn(() => orchestrator.chat({
+      message: input,
+      sessionId,
+      dryRun: dryRunEnabled,
+      requireApproval: approvalModeEnabled,
+    }));
 
     rl.prompt();
   });
@@ -571,7 +679,28 @@ async function main() {
   });
 }
 
-async function handleCommand(input, orchestrator, sessionId, rl, getCurrentRequestId) {
+/**
+ * Agent 依赖状态的单行描述（熔断时注明）
+ */
+function formatDependency(name, dep) {
+  const circuit = dep.circuit && dep.circuit !== 'closed' ? ` (熔断: ${dep.circuit})` : '';
+  return `${dep.available ? '✅' : '❌'} ${name}${circuit}`;
+}
+
+/**
+ * 展示等待审批的计划
+ */
+function printPendingPlan(response) {
+  print('');
+  print(`⏸️  计划等待审批 (planId: ${response.planId})`, colors.yellow);
+  for (let i = 0; i < response.plan.length; i++) {
+    const step = response.plan[i];
+    print(`   ${i + 1}. ${step.tool} ${JSON.stringify(step.args || {})} ${step.description || ''}`, colors.reset);
+  }
+  print('输入 /approve 批准执行，/reject [原因] 拒绝', colors.dim);
+}
+
+async function handleCommand(input, orchestrator, sessionId, rl, getCurrentRequestId, runTurn) {
   const [cmd, ...args] = input.slice(1).split(' ');
 
   switch (cmd.toLowerCase()) {
@@ -583,6 +712,11 @@ async function handleCommand(input, orchestrator, sessionId, rl, getCurrentReque
       print('  /stream            - 切换流式日志显示', colors.reset);
       print('  /clear             - 清除会话历史', colors.reset);
       print('  /history           - 显示会话历史', colors.reset);
+      print('  /abort             - 紧急中止当前任务并悬停/降落', colors.reset);
+      print('  /dryrun on|off     - 开启/关闭预演模式（只规划与模拟，不控制无人机）', colors.reset);
+      print('  /approval on|off   - 开启/关闭人工审批模式（计划需批准后执行）', colors.reset);
+      print('  /approve [planId]  - 批准等待审批的计划并执行', colors.reset);
+      print('  /reject [原因]     - 拒绝等待审批的计划', colors.reset);
       print('  /quit, /exit, /q   - 退出', colors.reset);
       print('');
       print('示例对话:', colors.cyan);
@@ -621,21 +755,21 @@ async function handleCommand(input, orchestrator, sessionId, rl, getCurrentReque
       const deps = await orchestrator.checkDependencies();
       print('');
       print('Agent 状态:', colors.cyan);
-      for (const [name, ok] of Object.entries(deps)) {
-        print(`  ${ok ? '✅' : '❌'} ${name}`, ok ? colors.green : colors.red);
+      for (const [name, dep] of Object.entries(deps)) {
+        print(`  ${formatDependency(name, dep)}`, dep.available ? colors.green : colors.red);
       }
       print('');
       break;
 
     case 'clear':
-      orchestrator.clearSession(sessionId);
+      await orchestrator.clearSession(sessionId);
       print('');
       print('✅ 会话历史已清除', colors.green);
       print('');
       break;
 
     case 'history':
-      const history = orchestrator.getSessionHistory(sessionId);
+      const history = await orchestrator.getSessionHistory(sessionId);
       print('');
       if (history.length === 0) {
         print('会话历史为空', colors.dim);
@@ -650,6 +784,95 @@ async function handleCommand(input, orchestrator, sessionId, rl, getCurrentReque
       print('');
       break;
 
+    case 'abort': {
+      print('');
+      print('⛔ 正在紧急中止...', colors.red);
+      const result = await orchestrator.abort(sessionId);
+      if (result.aborted) {
+        print(`已中止进行中的请求 ${result.requestId}`, colors.yellow);
+      } else {
+        print('当前没有进行中的请求', colors.dim);
+      }
+      if (result.recovery) {
+        const tools = result.recovery.tools?.join(' → ') || '(无可用恢复工具)';
+        const ok = result.recovery.allSuccess;
+        print(`${ok ? '✅' : '❌'} 安全恢复: ${tools}`, ok ? colors.green : colors.red);
+        if (result.recovery.airborne === false) {
+          print('   无人机已在地面，跳过悬停 / 降落', colors.dim);
+        }
+        if (result.recovery.error) {
+          print(`   错误: ${result.recovery.error}`, colors.red);
+        }
+      }
+      print('');
+      break;
+    }
+
+    case 'dryrun': {
+      const mode = (args[0] || '').toLowerCase();
+      if (mode === 'on' || mode === 'off') {
+        dryRunEnabled = mode === 'on';
+      }
+      print('');
+      print(`预演模式${dryRunEnabled ? '已开启' : '已关闭'}`, dryRunEnabled ? colors.green : colors.yellow);
+      if (dryRunEnabled) {
+        print('计划只在模拟器中推演，不会控制无人机', colors.dim);
+      }
+      print('');
+      break;
+    }
+
+    case 'approval': {
+      const mode = (args[0] || '').toLowerCase();
+      if (mode === 'on' || mode === 'off') {
+        // APPROVAL_MODE=true 时审批由 Orchestrator 强制开启，CLI 不能关闭
+        approvalModeEnabled = mode === 'on' || orchestrator.config.approvalMode;
+      }
+      print('');
+      print(`人工审批模式${approvalModeEnabled ? '已开启' : '已关闭'}`, approvalModeEnabled ? colors.green : colors.yellow);
+      if (mode === 'off' && approvalModeEnabled) {
+        print('APPROVAL_MODE=true，不能关闭审批', colors.dim);
+      }
+      if (approvalModeEnabled) {
+        print('生成的计划将等待 /approve 后才执行', colors.dim);
+      }
+      print('');
+      break;
+    }
+
+    case 'approve': {
+      const planId = args[0] || pendingPlanId;
+      if (!planId) {
+        print('');
+        print('当前没有等待审批的计划', colors.dim);
+        print('');
+        break;
+      }
+      await runTurn(() => orchestrator.approvePlan(sessionId, planId, { approvedBy: 'cli' }));
+      break;
+    }
+
+    case 'reject': {
+      print('');
+      if (!pendingPlanId) {
+        print('当前没有等待审批的计划', colors.dim);
+        print('');
+        break;
+      }
+      try {
+        const result = await orchestrator.rejectPlan(sessionId, pendingPlanId, {
+          reason: args.join(' ').trim() || undefined,
+          rejectedBy: 'cli',
+        });
+        pendingPlanId = null;
+        print(`🚫 ${result.answer}`, colors.yellow);
+      } catch (error) {
+        print(`❌ 错误: ${error.message}`, colors.red);
+      }
+      print('');
+      break;
+    }
+
     case 'quit':
     case 'exit':
     case 'q':
@@ -10,35 +10,95 @@ import 'dotenv/config';
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { OrchestratorAgent } from '../agents/orchestrator/OrchestratorAgent.js';
+import { createRegistryRouter } from '../a2a/AgentRegistry.js';
+import { getApiKeyAuth, createCorsMiddleware, Scope } from '../auth/index.js';
 import { createLogger } from '../utils/logger.js';
 import { getStreamLogger, LogEventType } from '../utils/StreamLogger.js';
+import { getTracer } from '../tracing/Tracer.js';
+import { getMetrics } from '../metrics/Metrics.js';
 
 const logger = createLogger('WebServer');
 const streamLogger = getStreamLogger();
 const PORT = parseInt(process.env.WEB_API_PORT) || 3000;
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000;
+
+const DRAIN_POLL_MS = 100;
+
+// 优雅退出期间仍然接受的路由（紧急中止）
+const DRAIN_EXEMPT_ROUTE = /^\/api\/sessions\/[^/]+\/abort\/?$/;
+
+// 审批错误码 -> HTTP 状态码
+const APPROVAL_ERROR_STATUS = {
+  SESSION_NOT_FOUND: 404,
+  PLAN_NOT_FOUND: 404,
+  SESSION_BUSY: 409,
+  INVALID_PLAN: 400,
+  PLAN_UNSAFE: 422,
+};
+
+/**
+ * 返回审批接口的错误响应
+ */
+function sendApprovalError(res, error) {
+  const status = APPROVAL_ERROR_STATUS[error.code];
+  if (!status) {
+    logger.error('Approval error:', error);
+  }
+  res.status(status || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.safety && { safety: error.safety }),
+  });
+}
 
 async function main() {
   const app = express();
   
+  // 优雅退出期间不再接受新请求（进行中的请求继续完成）；紧急中止仍然可用，排空期间任务可能还在飞行
+  let shuttingDown = false;
+  let inFlightRequests = 0;
+
   // 中间件
   app.use(express.json({ limit: '10mb' }));
-  
-  // CORS
   app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    if (req.method === 'OPTIONS') {
-      return res.sendStatus(200);
+    if (shuttingDown && !DRAIN_EXEMPT_ROUTE.test(req.path)) {
+      res.set('Connection', 'close');
+      return res.status(503).json({ success: false, error: 'Server is shutting down', code: 'SHUTTING_DOWN' });
     }
+    inFlightRequests++;
+    res.on('close', () => inFlightRequests--);
     next();
   });
+  
+  // CORS（CORS_ORIGINS 限定允许的前端来源）
+  app.use(createCorsMiddleware());
+
+  // API Key 认证（API_KEYS 未配置时关闭）：查询需要 read，控制无人机需要 execute，Agent 注册需要 admin
+  const auth = getApiKeyAuth();
+  const requireRead = auth.require(Scope.READ);
+  const requireExecute = auth.require(Scope.EXECUTE);
+  // dryRun 只规划与预演，不控制无人机，只读权限即可
+  const requireChat = auth.require(req => (req.body?.dryRun ? Scope.READ : Scope.EXECUTE));
+
+  // 审批人：未显式提供时使用 API Key 的名称
+  const actorOf = (req, claimed) => claimed || (auth.enabled ? req.auth.name : undefined);
+
+  // 追踪：Web 进程内的 Orchestrator 以 web 服务名上报 Span
+  const tracer = getTracer();
+  tracer.setServiceName('web');
 
   // 创建 Orchestrator
   const orchestrator = new OrchestratorAgent();
 
   // ==================== API 路由 ====================
 
+  /**
+   * Prometheus 指标（进程内 Orchestrator 的请求、ReAct 迭代、RAG 重试等）
+   * GET /metrics
+   */
+  app.get('/metrics', requireRead, getMetrics().handler());
+
   /**
    * 健康检查
    * GET /api/health
@@ -46,7 +106,7 @@ async function main() {
   app.get('/api/health', async (req, res) => {
     try {
       const deps = await orchestrator.checkDependencies();
-      const allOk = Object.values(deps).every(v => v);
+      const allOk = Object.values(deps).every(dep => dep.available);
       
       res.json({
         status: allOk ? 'healthy' : 'degraded',
@@ -64,11 +124,14 @@ async function main() {
   /**
    * 聊天接口
    * POST /api/chat
-   * Body: { message, sessionId?, mapId?, filters? }
+   * Body: { message, sessionId?, mapId?, filters?, dryRun?, requireApproval? }
+   * dryRun=true 时只检索、规划并用模拟器预演（返回 simulation / estimatedDurationMs / pathLength），不控制无人机
+   * requireApproval=true（或 APPROVAL_MODE=true）时返回 status=pendingApproval 的计划，需调用 approve 接口后才执行；
+   * requireApproval 只能开启审批，APPROVAL_MODE=true 时传 false 无效
    */
-  app.post('/api/chat', async (req, res) => {
+  app.post('/api/chat', requireChat, async (req, res) => {
     const startTime = Date.now();
-    const { message, sessionId, mapId, filters } = req.body;
+    const { message, sessionId, mapId, filters, dryRun, requireApproval } = req.body;
 
     if (!message) {
       return res.status(400).json({
@@ -85,6 +148,8 @@ async function main() {
         sessionId: sessionId || uuidv4(),
         mapId,
         filters,
+        dryRun: Boolean(dryRun),
+        ...(requireApproval !== undefined && { requireApproval: Boolean(requireApproval) }),
       });
 
       res.json({
@@ -92,6 +157,9 @@ async function main() {
         ...response,
       });
     } catch (error) {
+      if (error.code === 'SESSION_BUSY') {
+        return sendApprovalError(res, error);
+      }
       logger.error('Chat error:', error);
       res.status(500).json({
         success: false,
@@ -104,7 +172,7 @@ async function main() {
   /**
    * 流式聊天接口 (SSE)
    * POST /api/chat/stream
-   * Body: { message, sessionId?, mapId?, filters? }
+   * Body: { message, sessionId?, mapId?, filters?, dryRun?, requireApproval? }
    * 
    * 返回 Server-Sent Events 流，实时推送 Agent 调用链路
    * 
@@ -113,8 +181,8 @@ async function main() {
    * - event: result       (最终结果)
    * - event: error        (错误)
    */
-  app.post('/api/chat/stream', async (req, res) => {
-    const { message, sessionId, mapId, filters } = req.body;
+  app.post('/api/chat/stream', requireChat, async (req, res) => {
+    const { message, sessionId, mapId, filters, dryRun, requireApproval } = req.body;
 
     if (!message) {
       return res.status(400).json({
@@ -168,6 +236,12 @@ async function main() {
         ...(event.error && { error: event.error }),
         ...(event.completedSteps !== undefined && { completedSteps: event.completedSteps }),
         ...(event.totalSteps !== undefined && { totalSteps: event.totalSteps }),
+        ...(event.approved !== undefined && { approved: event.approved }),
+        ...(event.violations && { violations: event.violations }),
+        ...(event.planId && { planId: event.planId }),
+        ...(event.estimatedDurationMs !== undefined && { estimatedDurationMs: event.estimatedDurationMs }),
+        ...(event.pathLength !== undefined && { pathLength: event.pathLength }),
+        ...(event.decision && { decision: event.decision }),
       });
     };
 
@@ -180,6 +254,8 @@ async function main() {
         sessionId: sessionId || uuidv4(),
         mapId,
         filters,
+        dryRun: Boolean(dryRun),
+        ...(requireApproval !== undefined && { requireApproval: Boolean(requireApproval) }),
       });
 
       // 发送最终结果
@@ -189,10 +265,13 @@ async function main() {
       });
 
     } catch (error) {
-      logger.error('Stream chat error:', error);
+      if (error.code !== 'SESSION_BUSY') {
+        logger.error('Stream chat error:', error);
+      }
       sendEvent('error', {
         success: false,
         error: error.message,
+        ...(error.code && { code: error.code }),
       });
     } finally {
       // 取消订阅
@@ -203,39 +282,211 @@ async function main() {
     }
   });
 
+  /**
+   * 列出会话
+   * GET /api/sessions?limit=50&offset=0
+   */
+  app.get('/api/sessions', requireRead, async (req, res, next) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const { sessions, total } = await orchestrator.listSessions({ limit, offset });
+
+      res.json({
+        sessions,
+        total,
+        limit,
+        offset,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * 获取会话详情（含每轮的计划、工具调用、反思）
+   * GET /api/sessions/:sessionId
+   */
+  app.get('/api/sessions/:sessionId', requireRead, async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+      const session = await orchestrator.getSession(sessionId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: `Session ${sessionId} not found`,
+        });
+      }
+
+      res.json(session);
+    } catch (error) {
+      next(error);
+    }
+  });
+
   /**
    * 获取会话历史
    * GET /api/sessions/:sessionId/history
    */
-  app.get('/api/sessions/:sessionId/history', (req, res) => {
-    const { sessionId } = req.params;
-    const history = orchestrator.getSessionHistory(sessionId);
-    
-    res.json({
-      sessionId,
-      history,
-    });
+  app.get('/api/sessions/:sessionId/history', requireRead, async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+      const history = await orchestrator.getSessionHistory(sessionId);
+
+      res.json({
+        sessionId,
+        history,
+      });
+    } catch (error) {
+      next(error);
+    }
   });
 
   /**
    * 清除会话
    * DELETE /api/sessions/:sessionId
    */
-  app.delete('/api/sessions/:sessionId', (req, res) => {
+  app.delete('/api/sessions/:sessionId', requireExecute, async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+      await orchestrator.clearSession(sessionId);
+
+      res.json({
+        success: true,
+        message: `Session ${sessionId} cleared`,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * 紧急中止会话中正在执行的任务，并执行安全恢复序列（悬停/降落）
+   * POST /api/sessions/:sessionId/abort
+   * Body: { recover? }  recover=false 时只中止不执行恢复序列
+   */
+  app.post('/api/sessions/:sessionId/abort', requireExecute, async (req, res) => {
     const { sessionId } = req.params;
-    orchestrator.clearSession(sessionId);
-    
-    res.json({
-      success: true,
-      message: `Session ${sessionId} cleared`,
-    });
+    const { recover = true } = req.body || {};
+
+    logger.warn(`Abort requested for session ${sessionId}`);
+
+    try {
+      const result = await orchestrator.abort(sessionId, { recover: recover !== false });
+      res.json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      logger.error('Abort error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * 获取会话中等待审批的计划
+   * GET /api/sessions/:sessionId/plans/pending
+   */
+  app.get('/api/sessions/:sessionId/plans/pending', requireRead, async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+      const pendingPlan = await orchestrator.getPendingPlan(sessionId);
+
+      if (!pendingPlan) {
+        return res.status(404).json({
+          success: false,
+          error: `No pending plan in session ${sessionId}`,
+        });
+      }
+
+      res.json({
+        sessionId,
+        planId: pendingPlan.planId,
+        message: pendingPlan.message,
+        plan: pendingPlan.plan.steps,
+        reasoning: pendingPlan.plan.reasoning,
+        safety: pendingPlan.safety,
+        createdAt: pendingPlan.createdAt,
+        updatedAt: pendingPlan.updatedAt,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * 批准计划并执行（可附带修改后的步骤）
+   * POST /api/sessions/:sessionId/plans/:planId/approve
+   * Body: { steps?, approvedBy?, comment? }
+   */
+  app.post('/api/sessions/:sessionId/plans/:planId/approve', requireExecute, async (req, res) => {
+    const { sessionId, planId } = req.params;
+    const { steps, approvedBy, comment } = req.body || {};
+
+    logger.info(`Plan ${planId} approved for session ${sessionId}`);
+
+    try {
+      const response = await orchestrator.approvePlan(sessionId, planId, { steps, approvedBy: actorOf(req, approvedBy), comment });
+      res.json({
+        success: true,
+        ...response,
+      });
+    } catch (error) {
+      sendApprovalError(res, error);
+    }
+  });
+
+  /**
+   * 拒绝计划
+   * POST /api/sessions/:sessionId/plans/:planId/reject
+   * Body: { reason?, rejectedBy? }
+   */
+  app.post('/api/sessions/:sessionId/plans/:planId/reject', requireExecute, async (req, res) => {
+    const { sessionId, planId } = req.params;
+    const { reason, rejectedBy } = req.body || {};
+
+    logger.info(`Plan ${planId} rejected for session ${sessionId}`);
+
+    try {
+      const response = await orchestrator.rejectPlan(sessionId, planId, { reason, rejectedBy: actorOf(req, rejectedBy) });
+      res.json({
+        success: true,
+        ...response,
+      });
+    } catch (error) {
+      sendApprovalError(res, error);
+    }
+  });
+
+  /**
+   * 修改待审批计划的步骤（计划保持待审批状态）
+   * POST /api/sessions/:sessionId/plans/:planId/edit
+   * Body: { steps, editedBy? }
+   */
+  app.post('/api/sessions/:sessionId/plans/:planId/edit', requireExecute, async (req, res) => {
+    const { sessionId, planId } = req.params;
+    const { steps, editedBy } = req.body || {};
+
+    try {
+      const result = await orchestrator.editPlan(sessionId, planId, { steps, editedBy: actorOf(req, editedBy) });
+      res.json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      sendApprovalError(res, error);
+    }
   });
 
   /**
    * 创建新会话
    * POST /api/sessions
    */
-  app.post('/api/sessions', (req, res) => {
+  app.post('/api/sessions', requireExecute, (req, res) => {
     const sessionId = uuidv4();
     
     res.json({
@@ -244,6 +495,14 @@ async function main() {
     });
   });
 
+  /**
+   * Agent 注册中心
+   * GET  /api/agents             - 已注册的 Agent 实例（技能、健康状态）
+   * POST /api/agents/register    - Agent 自注册 / 心跳（A2A_REGISTRY_URL=http://host:port/api）
+   * POST /api/agents/deregister  - 注销
+   */
+  app.use('/api', createRegistryRouter(orchestrator.agentRegistry, { auth }));
+
   // ==================== 错误处理 ====================
 
   app.use((err, req, res, next) => {
@@ -256,7 +515,7 @@ async function main() {
 
   // ==================== 启动服务器 ====================
 
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     logger.info(`Web API Server running on http://localhost:${PORT}`);
     logger.info('');
     logger.info('API Endpoints:');
@@ -264,8 +523,17 @@ async function main() {
     logger.info(`  POST /api/chat                      - 聊天`);
     logger.info(`  POST /api/chat/stream               - 流式聊天 (SSE)`);
     logger.info(`  POST /api/sessions                  - 创建会话`);
+    logger.info(`  GET  /api/sessions                  - 会话列表`);
+    logger.info(`  GET  /api/sessions/:id              - 会话详情（含每轮产物）`);
     logger.info(`  GET  /api/sessions/:id/history      - 获取历史`);
+    logger.info(`  POST /api/sessions/:id/abort        - 紧急中止并悬停/降落`);
+    logger.info(`  GET  /api/sessions/:id/plans/pending - 待审批计划`);
+    logger.info(`  POST /api/sessions/:id/plans/:planId/approve - 批准并执行计划`);
+    logger.info(`  POST /api/sessions/:id/plans/:planId/reject  - 拒绝计划`);
+    logger.info(`  POST /api/sessions/:id/plans/:planId/edit    - 修改待审批计划`);
     logger.info(`  DELETE /api/sessions/:id            - 清除会话`);
+    logger.info(`  GET  /api/agents                    - Agent 实例列表`);
+    logger.info(`  POST /api/agents/register           - Agent 自注册`);
     logger.info('');
     logger.info('SSE 流式接口说明:');
     logger.info('  POST /api/chat/stream 返回 Server-Sent Events');
@@ -276,20 +544,37 @@ async function main() {
   logger.info('');
   logger.info('Checking dependent agents...');
   const deps = await orchestrator.checkDependencies();
-  for (const [name, ok] of Object.entries(deps)) {
-    logger.info(`  ${ok ? '✅' : '❌'} ${name}`);
+  for (const [name, dep] of Object.entries(deps)) {
+    logger.info(`  ${dep.available ? '✅' : '❌'} ${name}${dep.circuit !== 'closed' ? ` (circuit ${dep.circuit})` : ''}`);
   }
 
-  // 优雅退出
-  process.on('SIGINT', () => {
-    logger.info('Shutting down...');
-    process.exit(0);
-  });
+  // 优雅退出：拒绝新请求，等待进行中的请求（含 SSE 流式聊天）结束，超时后强制断开。
+  // 等待期间仍然监听端口，紧急中止请求可以继续进来
+  const shutdown = async () => {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    logger.info('Shutting down, waiting for in-flight requests...');
 
-  process.on('SIGTERM', () => {
-    logger.info('Shutting down...');
-    process.exit(0);
-  });
+    const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+    while (inFlightRequests > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_MS));
+    }
+    if (inFlightRequests > 0) {
+      logger.warn(`Shutdown timeout (${SHUTDOWN_TIMEOUT_MS}ms), closing ${inFlightRequests} open request(s)`);
+    }
+
+    server.close(async () => {
+      logger.info('Web API Server stopped');
+      await tracer.flush();
+      process.exit(0);
+    });
+    server.closeAllConnections();
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
 
 main().catch(error => {
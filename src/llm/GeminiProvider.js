@@ -1,62 +1,40 @@
 /**
  * Gemini Provider
- * 统一封装 Google Gemini API 的文本生成和 Embedding 功能
+ * 统一封装 Google Gemini API 的文本生成和 Embedding 功能（LlmProvider 实现之一）
  */
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
-import { createLogger } from '../utils/logger.js';
+import { LlmProvider } from './LlmProvider.js';
+import { isReplaying } from '../replay/ReplaySource.js';
 
 const DEFAULT_MODEL = 'gemini-2.5-flash';
 const DEFAULT_EMBEDDING_MODEL = 'gemini-embedding-001';
 const DEFAULT_EMBEDDING_DIMENSIONS = 768; // gemini-embedding-001 支持 128-3072，推荐 768
-const MAX_RETRIES = 3;
-const RETRY_DELAY_MS = 1000;
 
-export class GeminiProvider {
+export class GeminiProvider extends LlmProvider {
   /**
    * @param {Object} config
-   * @param {string} config.apiKey - Gemini API Key
+   * @param {string} config.apiKey - Gemini API Key（回放模式下可省略）
    * @param {string} [config.model] - 生成模型名称
    * @param {string} [config.embeddingModel] - Embedding 模型名称
    * @param {number} [config.maxRetries] - 最大重试次数
    */
   constructor(config = {}) {
+    super({ ...config, name: 'GeminiProvider' });
+
     const apiKey = config.apiKey || process.env.GEMINI_API_KEY;
-    if (!apiKey) {
+    if (!apiKey && !isReplaying()) {
       throw new Error('GEMINI_API_KEY is required');
     }
 
-    this.genAI = new GoogleGenerativeAI(apiKey);
+    // 回放模式下响应来自记录文件，没有 API Key 时不创建客户端
+    this.genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
     this.modelName = config.model || process.env.GEMINI_MODEL || DEFAULT_MODEL;
     this.embeddingModelName = config.embeddingModel || process.env.GEMINI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
-    this.maxRetries = config.maxRetries || MAX_RETRIES;
-    this.logger = createLogger('GeminiProvider');
 
     this.logger.info(`Initialized with model: ${this.modelName}, embedding: ${this.embeddingModelName}`);
   }
 
-  /**
-   * 带重试的请求包装
-   * @private
-   */
-  async _withRetry(fn, operationName) {
-    let lastError;
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        return await fn();
-      } catch (error) {
-        lastError = error;
-        this.logger.warn(`${operationName} attempt ${attempt} failed: ${error.message}`);
-        
-        if (attempt < this.maxRetries) {
-          const delay = RETRY_DELAY_MS * attempt;
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
-    }
-    throw lastError;
-  }
-
   /**
    * 生成文本
    * @param {string} prompt - 提示词
@@ -76,48 +54,12 @@ export class GeminiProvider {
 
       const result = await model.generateContent(prompt);
       const response = result.response;
+      this._recordUsage(options.model || this.modelName, response);
       const text = response.text();
       
       this.logger.debug(`Generated ${text.length} chars`);
       return text;
-    }, 'generateText');
-  }
-
-  /**
-   * 生成结构化输出（JSON）
-   * @param {string} prompt - 提示词
-   * @param {Object} [options] - 生成选项
-   * @returns {Promise<Object>} - 解析后的 JSON 对象
-   */
-  async generateJSON(prompt, options = {}) {
-    const fullPrompt = `${prompt}
-
-请仅返回有效的 JSON 格式，不要包含任何其他文本、markdown 代码块或解释。`;
-
-    const text = await this.generateText(fullPrompt, {
-      ...options,
-      temperature: options.temperature ?? 0.3, // JSON 生成用较低温度
-    });
-
-    // 尝试提取 JSON
-    let jsonText = text.trim();
-    
-    // 移除可能的 markdown 代码块
-    if (jsonText.startsWith('```')) {
-      const lines = jsonText.split('\n');
-      lines.shift(); // 移除开头的 ```json 或 ```
-      if (lines[lines.length - 1] === '```') {
-        lines.pop(); // 移除结尾的 ```
-      }
-      jsonText = lines.join('\n');
-    }
-
-    try {
-      return JSON.parse(jsonText);
-    } catch (parseError) {
-      this.logger.error('Failed to parse JSON:', jsonText.substring(0, 200));
-      throw new Error(`Invalid JSON response: ${parseError.message}`);
-    }
+    }, 'generateText', { prompt, options });
   }
 
   /**
@@ -143,7 +85,7 @@ export class GeminiProvider {
       
       this.logger.debug(`Generated embedding with ${embedding.length} dimensions`);
       return embedding;
-    }, 'embed');
+    }, 'embed', { text, dimensions });
   }
 
   /**
@@ -171,7 +113,7 @@ export class GeminiProvider {
       const embeddings = result.embeddings.map(e => e.values);
       this.logger.debug(`Generated ${embeddings.length} embeddings`);
       return embeddings;
-    }, 'embedBatch');
+    }, 'embedBatch', { texts, dimensions });
   }
 
   /**
@@ -194,6 +136,7 @@ export class GeminiProvider {
 
       const result = await model.generateContent(prompt);
       const response = result.response;
+      this._recordUsage(options.model || this.modelName, response);
       
       // 提取文本和函数调用
       const text = response.text?.() || '';
@@ -212,7 +155,7 @@ export class GeminiProvider {
 
       this.logger.debug(`Generated response with ${functionCalls.length} function calls`);
       return { text, functionCalls };
-    }, 'generateWithTools');
+    }, 'generateWithTools', { prompt, tools, options });
   }
 
   /**
@@ -235,9 +178,21 @@ export class GeminiProvider {
       const chat = model.startChat({ history });
       const result = await chat.sendMessage(userMessage);
       const response = result.response;
+      this._recordUsage(options.model || this.modelName, response);
       
       return response.text();
-    }, 'chat');
+    }, 'chat', { history, userMessage, options });
+  }
+
+  /**
+   * 记录响应中的 usageMetadata
+   * @private
+   */
+  _recordUsage(model, response) {
+    this._recordTokenUsage(model, {
+      promptTokens: response.usageMetadata?.promptTokenCount,
+      completionTokens: response.usageMetadata?.candidatesTokenCount,
+    });
   }
 }
 
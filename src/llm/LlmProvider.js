@@ -0,0 +1,206 @@
+/**
+ * LLM Provider 基类
+ * 定义所有 LLM 后端需要实现的统一接口：
+ * generateText / generateJSON / embed / embedBatch / chat / generateWithTools
+ *
+ * 子类至少需要实现 generateText 和 embed；其余方法提供了基于它们的默认实现。
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { getTracer, SpanKind } from '../tracing/Tracer.js';
+import { getMetrics } from '../metrics/Metrics.js';
+import { recordCall } from '../replay/recordCall.js';
+
+const MAX_RETRIES = 3;
+const RETRY_DELAY_MS = 1000;
+
+export class LlmProvider {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.name] - Provider 名称（用于日志）
+   * @param {number} [config.maxRetries] - 最大重试次数
+   */
+  constructor(config = {}) {
+    this.providerName = config.name || this.constructor.name;
+    this.maxRetries = config.maxRetries || MAX_RETRIES;
+    this.logger = createLogger(this.providerName);
+
+    const metrics = getMetrics();
+    this.requestCounter = metrics.counter('llm_requests_total', 'LLM operations by provider, model, operation and result', ['provider', 'model', 'operation', 'status']);
+    this.requestDuration = metrics.histogram('llm_request_duration_seconds', 'LLM operation latency in seconds (including retries)', ['provider', 'model', 'operation']);
+    this.retryCounter = metrics.counter('llm_retries_total', 'LLM attempts retried after a failure', ['provider', 'model', 'operation']);
+    this.tokenCounter = metrics.counter('llm_tokens_total', 'LLM token usage reported by the provider', ['provider', 'model', 'type']);
+  }
+
+  /**
+   * 带重试的请求包装（每次操作一个 CLIENT Span，失败的尝试记录为 Span 事件；同时记录调用次数、耗时和重试次数指标）
+   * 传入 input 时调用会被记录到请求记录文件，回放模式下直接返回记录的结果（见 src/replay）
+   * @param {Function} fn - 单次尝试
+   * @param {string} operationName - 操作名（generateText / embed / …）
+   * @param {Object} [input] - 决定结果的输入（提示词、生成选项等）
+   * @protected
+   */
+  async _withRetry(fn, operationName, input) {
+    const model = operationName.startsWith('embed') ? this.embeddingModelName : this.modelName;
+    const labels = { provider: this.providerName, model, operation: operationName };
+    const endTimer = this.requestDuration.startTimer(labels);
+    try {
+      const result = await getTracer().startActiveSpan(`llm.${operationName}`, {
+        kind: SpanKind.CLIENT,
+        attributes: { 'llm.provider': this.providerName, 'llm.model': model },
+      }, (span) => {
+        const attempt = () => this._retry(fn, operationName, span, labels);
+        return input === undefined ? attempt() : recordCall('llm', operationName, input, attempt);
+      });
+      this.requestCounter.inc({ ...labels, status: 'success' });
+      return result;
+    } catch (error) {
+      this.requestCounter.inc({ ...labels, status: 'error' });
+      throw error;
+    } finally {
+      endTimer();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _retry(fn, operationName, span, labels) {
+    let lastError;
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        span.setAttribute('llm.attempts', attempt);
+        return await fn();
+      } catch (error) {
+        lastError = error;
+        this.logger.warn(`${operationName} attempt ${attempt} failed: ${error.message}`);
+        span.addEvent('attempt_failed', { attempt, error: error.message });
+
+        if (attempt < this.maxRetries) {
+          this.retryCounter.inc(labels);
+          const delay = RETRY_DELAY_MS * attempt;
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * 记录 Provider 返回的 token 用量（子类在拿到响应后调用，未返回用量时忽略）
+   * @param {string} model - 实际使用的模型
+   * @param {Object} [usage]
+   * @param {number} [usage.promptTokens]
+   * @param {number} [usage.completionTokens]
+   * @protected
+   */
+  _recordTokenUsage(model, usage = {}) {
+    const { promptTokens, completionTokens } = usage;
+    if (Number.isFinite(promptTokens) && promptTokens > 0) {
+      this.tokenCounter.inc({ provider: this.providerName, model, type: 'prompt' }, promptTokens);
+    }
+    if (Number.isFinite(completionTokens) && completionTokens > 0) {
+      this.tokenCounter.inc({ provider: this.providerName, model, type: 'completion' }, completionTokens);
+    }
+  }
+
+  /**
+   * 生成文本
+   * @param {string} prompt - 提示词
+   * @param {Object} [options] - 生成选项 { model, temperature, maxTokens, topP }
+   * @returns {Promise<string>} - 生成的文本
+   */
+  async generateText(prompt, options = {}) {
+    throw new Error(`${this.providerName}.generateText is not implemented`);
+  }
+
+  /**
+   * 生成结构化输出（JSON）
+   * @param {string} prompt - 提示词
+   * @param {Object} [options] - 生成选项
+   * @returns {Promise<Object>} - 解析后的 JSON 对象
+   */
+  async generateJSON(prompt, options = {}) {
+    const fullPrompt = `${prompt}
+
+请仅返回有效的 JSON 格式，不要包含任何其他文本、markdown 代码块或解释。`;
+
+    const text = await this.generateText(fullPrompt, {
+      ...options,
+      temperature: options.temperature ?? 0.3, // JSON 生成用较低温度
+    });
+
+    return this._parseJSON(text);
+  }
+
+  /**
+   * 从模型输出中解析 JSON（兼容 markdown 代码块包裹）
+   * @protected
+   */
+  _parseJSON(text) {
+    let jsonText = text.trim();
+
+    // 移除可能的 markdown 代码块
+    if (jsonText.startsWith('```')) {
+      const lines = jsonText.split('\n');
+      lines.shift(); // 移除开头的 ```json 或 ```
+      if (lines[lines.length - 1] === '```') {
+        lines.pop(); // 移除结尾的 ```
+      }
+      jsonText = lines.join('\n');
+    }
+
+    try {
+      return JSON.parse(jsonText);
+    } catch (parseError) {
+      this.logger.error('Failed to parse JSON:', jsonText.substring(0, 200));
+      throw new Error(`Invalid JSON response: ${parseError.message}`);
+    }
+  }
+
+  /**
+   * 生成 Embedding 向量
+   * @param {string} text - 输入文本
+   * @param {Object} [options] - 选项 { dimensions }
+   * @returns {Promise<number[]>} - Embedding 向量
+   */
+  async embed(text, options = {}) {
+    throw new Error(`${this.providerName}.embed is not implemented`);
+  }
+
+  /**
+   * 批量生成 Embedding 向量（默认逐条调用 embed）
+   * @param {string[]} texts - 输入文本数组
+   * @param {Object} [options] - 选项 { dimensions }
+   * @returns {Promise<number[][]>} - Embedding 向量数组
+   */
+  async embedBatch(texts, options = {}) {
+    const embeddings = [];
+    for (const text of texts) {
+      embeddings.push(await this.embed(text, options));
+    }
+    return embeddings;
+  }
+
+  /**
+   * 多轮对话
+   * @param {Array} history - 对话历史 [{ role: 'user'|'model', parts: [{ text }] }]
+   * @param {string} userMessage - 用户消息
+   * @param {Object} [options] - 生成选项
+   * @returns {Promise<string>} - 模型回复
+   */
+  async chat(history, userMessage, options = {}) {
+    throw new Error(`${this.providerName}.chat is not implemented`);
+  }
+
+  /**
+   * 带工具调用的生成（Function Calling）
+   * @param {string} prompt - 提示词
+   * @param {Object[]} tools - 工具定义 [{ functionDeclarations: [{ name, description, parameters }] }]
+   * @param {Object} [options] - 生成选项
+   * @returns {Promise<Object>} - { text, functionCalls: [{ name, args }] }
+   */
+  async generateWithTools(prompt, tools, options = {}) {
+    throw new Error(`${this.providerName}.generateWithTools is not implemented`);
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Mock LLM Provider
+ * 确定性的离线 Provider，用于 CI / 回放 / 无网络环境下跑通 RAG → Plan → Execute 全链路
+ *
+ * 响应解析顺序：
+ * 1. fixtures：按提示词指纹（fingerprintPrompt）精确匹配
+ * 2. rules：按正则/子串匹配提示词，response 可以是固定值或函数 (prompt) => response
+ * 3. 内置默认响应：识别 RAG 意图解析 / 坐标提取 / 规划 / 反思 提示词，返回结构合法的保守结果
+ *
+ * Embedding 使用基于哈希的 n-gram 特征向量：相同文本得到相同向量，相似文本余弦相似度更高。
+ *
+ * Fixture 文件格式（MOCK_LLM_FIXTURES 指向的 JSON 文件）：
+ * {
+ *   "responses": { "<指纹>": { ...响应... } },
+ *   "rules": [{ "match": "正则表达式", "response": { ...响应... } }]
+ * }
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { LlmProvider } from './LlmProvider.js';
+
+const DEFAULT_EMBEDDING_DIMENSIONS = 768; // 与 Supabase 表的向量维度一致
+
+/**
+ * 计算提示词指纹（空白归一化后的 sha256 前 16 位）
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function fingerprintPrompt(prompt) {
+  const normalized = String(prompt).replace(/\s+/g, ' ').trim();
+  return createHash('sha256').update(normalized).digest('hex').substring(0, 16);
+}
+
+/**
+ * FNV-1a 32 位哈希
+ * @private
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 把文本切成特征：英文/数字按词，中文按单字 + 双字
+ * @private
+ */
+function tokenize(text) {
+  const features = [];
+  const segments = String(text).toLowerCase().match(/[a-z0-9_.]+|[一-鿿]+/g) || [];
+
+  for (const segment of segments) {
+    if (/^[a-z0-9_.]/.test(segment)) {
+      features.push(segment);
+      continue;
+    }
+    for (let i = 0; i < segment.length; i++) {
+      features.push(segment[i]);
+      if (i + 1 < segment.length) {
+        features.push(segment.substring(i, i + 2));
+      }
+    }
+  }
+
+  return features;
+}
+
+// 内置默认响应：按提示词特征识别调用方
+const BUILTIN_RESPONSES = [
+  {
+    match: /地图查询意图解析助手/,
+    response: (prompt) => {
+      const query = prompt.match(/用户请求：(.*)/)?.[1]?.trim() || '';
+      return {
+        reasoning: 'mock: 未配置 fixture，不拆分目标',
+        targets: [],
+        originalQuery: query,
+      };
+    },
+  },
+  {
+    match: /提取所有提到的地点坐标信息/,
+    response: () => [],
+  },
+  {
+    match: /无人机任务验证助手/,
+    response: () => ({
+      observation: 'mock: 未配置 fixture',
+      reasoning: 'mock: 默认视为目标已达成',
+      goalAchieved: true,
+      confidence: 1,
+      nextSteps: [],
+      summary: '任务已完成（mock）',
+    }),
+  },
+  {
+    match: /无人机飞行任务规划助手/,
+    response: () => ({
+      reasoning: 'mock: 未配置 fixture，无法生成计划',
+      needsClarification: true,
+      clarificationQuestion: '（mock）未找到该请求对应的规划 fixture，请补充 MOCK_LLM_FIXTURES',
+      missingLocations: [],
+      steps: [],
+    }),
+  },
+];
+
+export class MockLlmProvider extends LlmProvider {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.fixtures] - { responses: { [指纹]: 响应 }, rules: [...] }
+   * @param {string} [config.fixturesPath] - fixture JSON 文件路径（默认 MOCK_LLM_FIXTURES）
+   * @param {Array<{match: RegExp|string, response: any}>} [config.rules] - 额外规则（优先于文件中的规则）
+   * @param {number} [config.embeddingDimensions] - Embedding 维度
+   * @param {boolean} [config.useBuiltins] - 是否启用内置默认响应（默认 true）
+   */
+  constructor(config = {}) {
+    super({ ...config, name: 'MockLlmProvider', maxRetries: 1 });
+
+    const fixturesPath = config.fixturesPath || process.env.MOCK_LLM_FIXTURES;
+    const fileFixtures = fixturesPath ? JSON.parse(readFileSync(fixturesPath, 'utf-8')) : {};
+    const fixtures = config.fixtures || {};
+
+    this.responses = new Map(Object.entries({
+      ...(fileFixtures.responses || {}),
+      ...(fixtures.responses || {}),
+    }));
+    this.rules = [
+      ...(config.rules || []),
+      ...(fixtures.rules || []),
+      ...(fileFixtures.rules || []),
+    ].map(rule => ({
+      ...rule,
+      match: rule.match instanceof RegExp ? rule.match : new RegExp(rule.match),
+    }));
+    this.useBuiltins = config.useBuiltins !== false;
+    this.embeddingDimensions = config.embeddingDimensions || DEFAULT_EMBEDDING_DIMENSIONS;
+
+    // 调用记录（便于断言与生成 fixture）
+    this.calls = [];
+
+    this.logger.info(`Initialized with ${this.responses.size} fixtures, ${this.rules.length} rules${fixturesPath ? ` from ${fixturesPath}` : ''}`);
+  }
+
+  /**
+   * 注册指纹响应
+   * @param {string} prompt - 提示词（或已计算好的指纹）
+   * @param {any} response
+   */
+  addFixture(prompt, response) {
+    const key = /^[0-9a-f]{16}$/.test(prompt) ? prompt : fingerprintPrompt(prompt);
+    this.responses.set(key, response);
+  }
+
+  /**
+   * 追加规则
+   * @param {RegExp|string} match
+   * @param {any} response - 固定响应或 (prompt) => response
+   */
+  addRule(match, response) {
+    this.rules.push({ match: match instanceof RegExp ? match : new RegExp(match), response });
+  }
+
+  /**
+   * 查找提示词对应的响应
+   * @private
+   */
+  _resolve(prompt, method) {
+    const fingerprint = fingerprintPrompt(prompt);
+    let source = null;
+    let response;
+
+    if (this.responses.has(fingerprint)) {
+      source = 'fixture';
+      response = this.responses.get(fingerprint);
+    } else {
+      const candidates = this.useBuiltins ? [...this.rules, ...BUILTIN_RESPONSES] : this.rules;
+      const rule = candidates.find(r => r.match.test(prompt));
+      if (rule) {
+        source = BUILTIN_RESPONSES.includes(rule) ? 'builtin' : 'rule';
+        response = typeof rule.response === 'function' ? rule.response(prompt) : rule.response;
+      }
+    }
+
+    this.calls.push({ method, fingerprint, source, prompt });
+
+    if (source === null) {
+      throw new Error(`No mock response for prompt fingerprint ${fingerprint}`);
+    }
+    if (source === 'builtin') {
+      this.logger.debug(`Using builtin response for ${method} (fingerprint ${fingerprint})`);
+    }
+
+    // 深拷贝，避免调用方修改 fixture
+    return response === undefined ? response : structuredClone(response);
+  }
+
+  /**
+   * 生成文本
+   * @param {string} prompt - 提示词
+   * @returns {Promise<string>}
+   */
+  async generateText(prompt) {
+    const response = this._resolve(prompt, 'generateText');
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  /**
+   * 生成结构化输出（JSON）
+   * 提示词指纹按调用方原始 prompt 计算（不含 JSON 约束后缀）
+   * @param {string} prompt - 提示词
+   * @returns {Promise<Object>}
+   */
+  async generateJSON(prompt) {
+    const response = this._resolve(prompt, 'generateJSON');
+    return typeof response === 'string' ? this._parseJSON(response) : response;
+  }
+
+  /**
+   * 生成确定性的哈希 Embedding
+   * @param {string} text - 输入文本
+   * @param {Object} [options]
+   * @param {number} [options.dimensions] - 输出维度
+   * @returns {Promise<number[]>} - L2 归一化后的向量
+   */
+  async embed(text, options = {}) {
+    const dimensions = options.dimensions || this.embeddingDimensions;
+    const vector = new Array(dimensions).fill(0);
+
+    for (const feature of tokenize(text)) {
+      const hash = fnv1a(feature);
+      vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+  }
+
+  /**
+   * 多轮对话（按用户消息匹配响应）
+   * @param {Array} history - 对话历史
+   * @param {string} userMessage - 用户消息
+   * @returns {Promise<string>}
+   */
+  async chat(history, userMessage) {
+    const response = this._resolve(userMessage, 'chat');
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  /**
+   * 带工具调用的生成
+   * 响应为 { text, functionCalls } 时原样返回，否则视为纯文本回复
+   * @param {string} prompt - 提示词
+   * @returns {Promise<Object>}
+   */
+  async generateWithTools(prompt) {
+    const response = this._resolve(prompt, 'generateWithTools');
+    if (response && typeof response === 'object' && Array.isArray(response.functionCalls)) {
+      return { text: response.text || '', functionCalls: response.functionCalls };
+    }
+    return {
+      text: typeof response === 'string' ? response : JSON.stringify(response),
+      functionCalls: [],
+    };
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * OpenAI-Compatible Provider
+ * 对接任何实现 OpenAI HTTP API（/chat/completions、/embeddings）的服务：
+ * OpenAI 官方、以及本地部署的 llama.cpp server / vLLM / Ollama 等，可完全离线运行
+ */
+
+import { LlmProvider } from './LlmProvider.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+export class OpenAICompatibleProvider extends LlmProvider {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.baseUrl] - API 地址（如 http://localhost:11434/v1）
+   * @param {string} [config.apiKey] - API Key（未传时使用 OPENAI_API_KEY；传空字符串表示不发送，本地服务通常不需要）
+   * @param {string} [config.model] - 生成模型名称
+   * @param {string} [config.embeddingModel] - Embedding 模型名称
+   * @param {number} [config.embeddingDimensions] - Embedding 维度（仅在服务端支持 dimensions 参数时设置）
+   * @param {boolean} [config.jsonMode] - generateJSON 时是否发送 response_format=json_object
+   * @param {number} [config.timeoutMs] - 单次请求超时
+   * @param {number} [config.maxRetries] - 最大重试次数
+   * @param {string} [config.name] - Provider 名称（用于日志）
+   */
+  constructor(config = {}) {
+    super({ ...config, name: config.name || 'OpenAICompatibleProvider' });
+
+    this.baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = config.apiKey ?? process.env.OPENAI_API_KEY ?? null;
+    this.modelName = config.model || process.env.OPENAI_MODEL || DEFAULT_MODEL;
+    this.embeddingModelName = config.embeddingModel || process.env.OPENAI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+    this.embeddingDimensions = config.embeddingDimensions ??
+      (process.env.OPENAI_EMBEDDING_DIMENSIONS ? parseInt(process.env.OPENAI_EMBEDDING_DIMENSIONS, 10) : null);
+    this.jsonMode = config.jsonMode ?? process.env.OPENAI_JSON_MODE === 'true';
+    this.timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+    this.logger.info(`Initialized with baseUrl: ${this.baseUrl}, model: ${this.modelName}, embedding: ${this.embeddingModelName}`);
+  }
+
+  /**
+   * 发送 POST 请求
+   * @private
+   */
+  async _post(path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${path} failed: ${response.status} ${errorText.substring(0, 200)}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * 调用 /chat/completions
+   * @private
+   */
+  async _chatCompletion(messages, options = {}, extraBody = {}) {
+    const data = await this._post('/chat/completions', {
+      model: options.model || this.modelName,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens ?? 4096,
+      top_p: options.topP ?? 0.95,
+      ...extraBody,
+    });
+
+    this._recordTokenUsage(options.model || this.modelName, {
+      promptTokens: data.usage?.prompt_tokens,
+      completionTokens: data.usage?.completion_tokens,
+    });
+
+    const message = data.choices?.[0]?.message;
+    if (!message) {
+      throw new Error('Empty completion response');
+    }
+    return message;
+  }
+
+  /**
+   * 生成文本
+   * @param {string} prompt - 提示词
+   * @param {Object} [options] - 生成选项
+   * @returns {Promise<string>} - 生成的文本
+   */
+  async generateText(prompt, options = {}) {
+    return this._withRetry(async () => {
+      const extraBody = options.responseFormat ? { response_format: options.responseFormat } : {};
+      const message = await this._chatCompletion([{ role: 'user', content: prompt }], options, extraBody);
+      const text = message.content || '';
+
+      this.logger.debug(`Generated ${text.length} chars`);
+      return text;
+    }, 'generateText', { prompt, options });
+  }
+
+  /**
+   * 生成结构化输出（JSON）
+   * @param {string} prompt - 提示词
+   * @param {Object} [options] - 生成选项
+   * @returns {Promise<Object>} - 解析后的 JSON 对象
+   */
+  async generateJSON(prompt, options = {}) {
+    if (!this.jsonMode) {
+      return super.generateJSON(prompt, options);
+    }
+    return super.generateJSON(prompt, { ...options, responseFormat: { type: 'json_object' } });
+  }
+
+  /**
+   * 生成 Embedding 向量
+   * @param {string} text - 输入文本
+   * @param {Object} [options] - 选项
+   * @param {number} [options.dimensions] - 输出维度（需服务端支持）
+   * @returns {Promise<number[]>} - Embedding 向量
+   */
+  async embed(text, options = {}) {
+    const [embedding] = await this.embedBatch([text], options);
+    return embedding;
+  }
+
+  /**
+   * 批量生成 Embedding 向量
+   * @param {string[]} texts - 输入文本数组
+   * @param {Object} [options] - 选项
+   * @param {number} [options.dimensions] - 输出维度（需服务端支持）
+   * @returns {Promise<number[][]>} - Embedding 向量数组
+   */
+  async embedBatch(texts, options = {}) {
+    const dimensions = options.dimensions || this.embeddingDimensions;
+
+    return this._withRetry(async () => {
+      const data = await this._post('/embeddings', {
+        model: this.embeddingModelName,
+        input: texts,
+        ...(dimensions ? { dimensions } : {}),
+      });
+
+      this._recordTokenUsage(this.embeddingModelName, { promptTokens: data.usage?.prompt_tokens });
+
+      // 按 index 排序，保证与输入顺序一致
+      const embeddings = [...(data.data || [])]
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map(item => item.embedding);
+
+      if (embeddings.length !== texts.length) {
+        throw new Error(`Expected ${texts.length} embeddings, got ${embeddings.length}`);
+      }
+
+      this.logger.debug(`Generated ${embeddings.length} embeddings`);
+      return embeddings;
+    }, 'embedBatch', { texts, dimensions });
+  }
+
+  /**
+   * 多轮对话
+   * @param {Array} history - 对话历史 [{ role: 'user'|'model', parts: [{ text }] }]
+   * @param {string} userMessage - 用户消息
+   * @param {Object} [options] - 生成选项
+   * @returns {Promise<string>} - 模型回复
+   */
+  async chat(history, userMessage, options = {}) {
+    const messages = (history || []).map(turn => ({
+      role: turn.role === 'model' ? 'assistant' : turn.role,
+      content: turn.content ?? (turn.parts || []).map(p => p.text || '').join(''),
+    }));
+    messages.push({ role: 'user', content: userMessage });
+
+    return this._withRetry(async () => {
+      const message = await this._chatCompletion(messages, options);
+      return message.content || '';
+    }, 'chat', { history, userMessage, options });
+  }
+
+  /**
+   * 带工具调用的生成（Function Calling）
+   * 工具定义沿用 Gemini 格式 [{ functionDeclarations: [...] }]，内部转换为 OpenAI tools
+   * @param {string} prompt - 提示词
+   * @param {Object[]} tools - 工具定义
+   * @param {Object} [options] - 生成选项
+   * @returns {Promise<Object>} - 包含 text 和 functionCalls 的结果
+   */
+  async generateWithTools(prompt, tools, options = {}) {
+    const openAITools = [];
+    for (const tool of tools || []) {
+      for (const declaration of tool.functionDeclarations || []) {
+        openAITools.push({
+          type: 'function',
+          function: {
+            name: declaration.name,
+            description: declaration.description || '',
+            parameters: declaration.parameters || { type: 'object', properties: {} },
+          },
+        });
+      }
+    }
+
+    return this._withRetry(async () => {
+      const message = await this._chatCompletion(
+        [{ role: 'user', content: prompt }],
+        { ...options, temperature: options.temperature ?? 0.5 },
+        openAITools.length > 0 ? { tools: openAITools } : {}
+      );
+
+      const functionCalls = (message.tool_calls || []).map(call => {
+        let args = {};
+        try {
+          args = JSON.parse(call.function?.arguments || '{}');
+        } catch {
+          this.logger.warn(`Invalid tool call arguments for ${call.function?.name}`);
+        }
+        return { name: call.function?.name, args };
+      });
+
+      this.logger.debug(`Generated response with ${functionCalls.length} function calls`);
+      return { text: message.content || '', functionCalls };
+    }, 'generateWithTools', { prompt, tools, options });
+  }
+}
@@ -2,5 +2,8 @@
  * LLM 模块导出
  */
 
+export { LlmProvider } from './LlmProvider.js';
 export { GeminiProvider, getGeminiProvider, resetGeminiProvider } from './GeminiProvider.js';
-
+export { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+export { MockLlmProvider, fingerprintPrompt } from './MockLlmProvider.js';
+export { createLlmProvider, getLlmProvider, resetLlmProvider } from './providers.js';
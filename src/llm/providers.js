@@ -0,0 +1,74 @@
+/**
+ * LLM Provider 选择
+ * 根据 LLM_PROVIDER 环境变量（或 config.provider）创建对应的 LlmProvider：
+ * - gemini（默认）：Google Gemini API
+ * - openai：OpenAI 或任意 OpenAI 兼容服务（OPENAI_BASE_URL）
+ * - local：本地 OpenAI 兼容服务（llama.cpp / vLLM / Ollama），无需 API Key，可完全离线
+ * - mock：确定性的 Mock Provider（MOCK_LLM_FIXTURES），用于 CI 与回放
+ */
+
+import { GeminiProvider } from './GeminiProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { MockLlmProvider } from './MockLlmProvider.js';
+
+const DEFAULT_PROVIDER = 'gemini';
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1'; // Ollama 默认地址
+const DEFAULT_LOCAL_MODEL = 'qwen2.5:7b';
+const DEFAULT_LOCAL_EMBEDDING_MODEL = 'nomic-embed-text';
+
+/**
+ * 创建 LLM Provider
+ * @param {Object} [config] - 配置，会透传给具体 Provider
+ * @param {string} [config.provider] - gemini | openai | local | mock
+ * @returns {import('./LlmProvider.js').LlmProvider}
+ */
+export function createLlmProvider(config = {}) {
+  const provider = (config.provider || process.env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+
+  switch (provider) {
+    case 'gemini':
+      return new GeminiProvider(config);
+
+    case 'openai':
+      return new OpenAICompatibleProvider(config);
+
+    case 'local':
+      return new OpenAICompatibleProvider({
+        name: 'LocalLlmProvider',
+        baseUrl: process.env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+        // 空字符串表示不发送 Authorization（不能回退到 OPENAI_API_KEY，否则会把 OpenAI 凭据发给本地服务）
+        apiKey: process.env.LOCAL_LLM_API_KEY || '',
+        model: process.env.LOCAL_LLM_MODEL || DEFAULT_LOCAL_MODEL,
+        embeddingModel: process.env.LOCAL_LLM_EMBEDDING_MODEL || DEFAULT_LOCAL_EMBEDDING_MODEL,
+        ...config,
+      });
+
+    case 'mock':
+      return new MockLlmProvider(config);
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${provider} (expected gemini | openai | local | mock)`);
+  }
+}
+
+// 单例实例
+let instance = null;
+
+/**
+ * 获取 LLM Provider 单例
+ * @param {Object} [config] - 配置（仅首次调用时生效）
+ * @returns {import('./LlmProvider.js').LlmProvider}
+ */
+export function getLlmProvider(config) {
+  if (!instance) {
+    instance = createLlmProvider(config);
+  }
+  return instance;
+}
+
+/**
+ * 重置单例（用于测试）
+ */
+export function resetLlmProvider() {
+  instance = null;
+}
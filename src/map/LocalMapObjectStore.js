@@ -0,0 +1,88 @@
+/**
+ * Local Map Object Store
+ * 基于本地 JSON 文件的结构化点位表，与 LocalVectorStore 配套用于离线环境
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MapObjectStore } from './MapObjectStore.js';
+import { createLogger } from '../utils/logger.js';
+
+const DEFAULT_PATH = 'data/map-objects.json';
+
+export class LocalMapObjectStore extends MapObjectStore {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.filePath] - JSON 文件路径（LOCAL_MAP_STORE_PATH，默认 data/map-objects.json）
+   */
+  constructor(config = {}) {
+    super();
+    this.filePath = path.resolve(config.filePath || process.env.LOCAL_MAP_STORE_PATH || DEFAULT_PATH);
+    this.objects = null; // 首次使用时加载
+    this.logger = createLogger('LocalMapObjectStore');
+
+    this.logger.info(`Initialized with file: ${this.filePath}`);
+  }
+
+  /**
+   * 加载文件（不存在时视为空表）
+   * @private
+   */
+  _load() {
+    if (this.objects) {
+      return this.objects;
+    }
+
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      this.objects = Array.isArray(data.objects) ? data.objects : [];
+    } else {
+      this.objects = [];
+    }
+
+    this.logger.debug(`Loaded ${this.objects.length} map objects`);
+    return this.objects;
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名）
+   * @private
+   */
+  _save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, objects: this.objects }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  async list(filter = {}) {
+    const objects = this._load();
+    return filter.mapId ? objects.filter(obj => obj.mapId === filter.mapId) : [...objects];
+  }
+
+  async upsert(objects) {
+    const stored = this._load();
+
+    for (const obj of objects) {
+      const index = stored.findIndex(o => o.mapId === obj.mapId && o.objectId === obj.objectId);
+      if (index >= 0) {
+        stored[index] = obj;
+      } else {
+        stored.push(obj);
+      }
+    }
+
+    this._save();
+    return objects.length;
+  }
+
+  async clear(filter = {}) {
+    const objects = this._load();
+    const before = objects.length;
+    this.objects = filter.mapId
+      ? objects.filter(obj => obj.mapId !== filter.mapId)
+      : [];
+    this._save();
+    return before - this.objects.length;
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Map Object Store 基类
+ * 结构化地图点位表的持久化接口：list / upsert / clear
+ *
+ * 存储的是 normalizeMapObject 规范化后的结构：
+ * { mapId, objectId, type, color, x, y, z, name, aliases }
+ */
+
+export class MapObjectStore {
+  /**
+   * 列出地图物体
+   * @param {Object} [filter]
+   * @param {string} [filter.mapId] - 只返回该地图的物体；不传则返回全部
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(filter = {}) {
+    throw new Error(`${this.constructor.name}.list is not implemented`);
+  }
+
+  /**
+   * 写入地图物体（按 mapId + objectId 覆盖）
+   * @param {Array<Object>} objects - 规范化后的地图物体
+   * @returns {Promise<number>} - 写入数量
+   */
+  async upsert(objects) {
+    throw new Error(`${this.constructor.name}.upsert is not implemented`);
+  }
+
+  /**
+   * 删除地图物体
+   * @param {Object} [filter] - { mapId }；不传则清空
+   * @returns {Promise<number>} - 删除数量
+   */
+  async clear(filter = {}) {
+    throw new Error(`${this.constructor.name}.clear is not implemented`);
+  }
+}
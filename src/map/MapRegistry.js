@@ -0,0 +1,243 @@
+/**
+ * Map Registry
+ * 结构化地图点位的精确解析：编号（"3号"）、别名（"着陆标"、"A点上方"）、颜色+形状（"蓝色圆形"）
+ * 直接返回数值坐标，不经过向量检索 / LLM 抽取
+ *
+ * 解析顺序：
+ * 1. 完整匹配 objectId（"landing_pad"、"A_top"）
+ * 2. 编号（"3号"、"编号3"、"点位3"、"第3个"、"ID 3"、纯数字；查询中出现多个编号时全部返回，如 "6号和7号之间"）
+ * 3. 完整匹配别名（"着陆标"、"蓝色圆形"）
+ * 4. 别名包含于查询中（取最长的别名，如 "黑白点降落" → 着陆标）
+ * 5. 颜色 + 形状属性过滤（可能返回多个候选）
+ */
+
+import { getMapObjectStore } from './stores.js';
+import { COLOR_KEYWORDS, TYPE_KEYWORDS, describeMapObject } from './mapObjects.js';
+import { createLogger } from '../utils/logger.js';
+import { recordCall } from '../replay/recordCall.js';
+
+const DEFAULT_CACHE_MS = 60 * 1000;
+
+const ID_PATTERNS = [
+  /(?<![\d.])(\d+)\s*号/g,
+  /编号\s*(\d+)/g,
+  // "点位3"：紧跟在 "N号" 之后的点位已有编号，后面带单位（米 / m / 次）的数字也不是编号（"3号点位1米高" 只有 3）
+  /(?<!\d\s*号\s*)点位\s*(\d+)(?![\d.]|\s*(?:厘?米|c?m\b|次))/g,
+  /第\s*(\d+)\s*个/g,
+  /\bid\s*[:：=]?\s*(\d+)/gi,
+  /^(\d+)$/g,
+];
+
+/**
+ * 从文本中按“最长关键词优先”提取属性，已匹配部分不再参与后续匹配（避免 "十字圆" 被识别成 "圆"）
+ * @private
+ */
+function detectAttribute(text, keywordTable) {
+  const entries = Object.entries(keywordTable)
+    .flatMap(([value, words]) => words.map(word => ({ value, word })))
+    .sort((a, b) => b.word.length - a.word.length);
+
+  let rest = text;
+  for (const { value, word } of entries) {
+    if (rest.includes(word)) {
+      return { value, rest: rest.replace(word, ' ') };
+    }
+  }
+  return { value: null, rest };
+}
+
+export class MapRegistry {
+  /**
+   * @param {Object} [config]
+   * @param {MapObjectStore} [config.store] - 点位表存储，默认 getMapObjectStore()
+   * @param {number} [config.cacheMs] - 点位表缓存时间（MAP_REGISTRY_CACHE_MS，默认 60 秒）
+   */
+  constructor(config = {}) {
+    this.store = config.store || getMapObjectStore();
+    this.cacheMs = config.cacheMs ?? (parseInt(process.env.MAP_REGISTRY_CACHE_MS) || DEFAULT_CACHE_MS);
+    this.cache = new Map(); // mapId|'*' -> { objects, loadedAt }
+    this.logger = createLogger('MapRegistry');
+  }
+
+  /**
+   * 获取地图物体（带缓存）
+   * 命中缓存的查询同样写入请求记录，回放时不依赖点位表存储
+   * @param {string} [mapId] - 不传则返回所有地图的物体
+   * @returns {Promise<Array<Object>>}
+   */
+  async getObjects(mapId) {
+    return recordCall('map', 'getObjects', { mapId: mapId || null }, () => this._getObjects(mapId));
+  }
+
+  /**
+   * @private
+   */
+  async _getObjects(mapId) {
+    const key = mapId || '*';
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.cacheMs) {
+      return cached.objects;
+    }
+
+    const objects = await this.store.list(mapId ? { mapId } : {});
+    this.cache.set(key, { objects, loadedAt: Date.now() });
+    this.logger.debug(`Loaded ${objects.length} map objects for ${key}`);
+    return objects;
+  }
+
+  /**
+   * 清空缓存（导入新点位后调用）
+   */
+  invalidate() {
+    this.cache.clear();
+  }
+
+  /**
+   * 解析单个地标描述
+   * @param {string} target - 地标描述（"3号"、"蓝色圆形"、"着陆标"）
+   * @param {Object} [options]
+   * @param {string} [options.mapId] - 地图 ID
+   * @returns {Promise<{ target: string, matchType: string|null, objects: Array<Object> }>}
+   */
+  async lookup(target, options = {}) {
+    const objects = await this.getObjects(options.mapId);
+    const result = this._resolve(String(target || ''), objects);
+    this.logger.debug(`Lookup "${target}" → ${result.matchType || 'none'} (${result.objects.length})`);
+    return { target, ...result };
+  }
+
+  /**
+   * 批量解析
+   * @param {Array<string>} targets - 地标描述列表
+   * @param {Object} [options] - { mapId }
+   * @returns {Promise<Array<{ target: string, matchType: string|null, objects: Array<Object> }>>}
+   */
+  async lookupMany(targets, options = {}) {
+    const results = [];
+    for (const target of targets) {
+      results.push(await this.lookup(target, options));
+    }
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  _resolve(target, objects) {
+    const text = target.trim().toLowerCase();
+    const none = { matchType: null, objects: [] };
+    if (!text || objects.length === 0) {
+      return none;
+    }
+
+    // 1. 完整匹配 objectId
+    const byObjectId = objects.filter(obj => obj.objectId.toLowerCase() === text);
+    if (byObjectId.length > 0) {
+      return { matchType: 'id', objects: byObjectId };
+    }
+
+    // 2. 编号（按在查询中出现的顺序返回所有命中的编号）
+    const byId = this._mentionedIds(text)
+      .flatMap(id => objects.filter(obj => obj.objectId === id));
+    if (byId.length > 0) {
+      return { matchType: 'id', objects: byId };
+    }
+
+    // 3. 完整匹配别名
+    const byAlias = objects.filter(obj => obj.aliases?.includes(text));
+    if (byAlias.length > 0) {
+      return { matchType: 'alias', objects: byAlias };
+    }
+
+    // 4. 查询中包含的别名（最长者优先）
+    let best = null;
+    for (const obj of objects) {
+      for (const alias of obj.aliases || []) {
+        if (alias.length < 2 || !text.includes(alias)) continue;
+        if (!best || alias.length > best.alias.length) {
+          best = { alias, objects: [obj] };
+        } else if (alias.length === best.alias.length && !best.objects.includes(obj)) {
+          best.objects.push(obj);
+        }
+      }
+    }
+    if (best) {
+      return { matchType: 'alias', objects: best.objects };
+    }
+
+    // 5. 颜色 + 形状
+    const color = detectAttribute(text, COLOR_KEYWORDS);
+    const type = detectAttribute(color.rest, TYPE_KEYWORDS);
+    if (color.value || type.value) {
+      const byAttributes = objects.filter(obj =>
+        (!color.value || obj.color === color.value) && (!type.value || obj.type === type.value)
+      );
+      if (byAttributes.length > 0) {
+        return { matchType: 'attributes', objects: byAttributes };
+      }
+    }
+
+    return none;
+  }
+
+  /**
+   * 查询中提到的编号（去重，按出现位置排序）
+   * @private
+   */
+  _mentionedIds(text) {
+    const mentions = ID_PATTERNS
+      .flatMap(pattern => [...text.matchAll(pattern)])
+      .sort((a, b) => a.index - b.index)
+      .map(match => match[1]);
+    return [...new Set(mentions)];
+  }
+
+  /**
+   * 转为与向量检索一致的 hit 结构，坐标放在 metadata 中
+   * @param {Object} obj - 地图物体
+   * @param {string} [matchType]
+   * @returns {{ id: string, chunkText: string, score: number, mapId: string|null, metadata: Object }}
+   */
+  toHit(obj, matchType = null) {
+    return {
+      id: `map:${obj.mapId || '*'}:${obj.objectId}`,
+      chunkText: describeMapObject(obj),
+      score: 1,
+      mapId: obj.mapId || null,
+      metadata: {
+        source: 'map_registry',
+        matchType,
+        objectId: obj.objectId,
+        name: obj.name,
+        type: obj.type,
+        color: obj.color,
+        worldX: obj.x,
+        worldY: obj.y,
+        worldZ: obj.z,
+        tags: [obj.type, obj.color].filter(Boolean),
+      },
+    };
+  }
+}
+
+// 单例
+let instance = null;
+
+/**
+ * 获取 Map Registry 单例
+ * @param {Object} [config] - 配置（仅首次调用时生效）
+ * @returns {MapRegistry}
+ */
+export function getMapRegistry(config) {
+  if (!instance) {
+    instance = new MapRegistry(config);
+  }
+  return instance;
+}
+
+/**
+ * 重置单例（用于测试）
+ */
+export function resetMapRegistry() {
+  instance = null;
+}
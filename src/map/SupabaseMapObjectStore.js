@@ -0,0 +1,100 @@
+/**
+ * Supabase Map Object Store
+ * 结构化点位存储在 Supabase 表 map_objects（见 supabase/schema.sql）
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { MapObjectStore } from './MapObjectStore.js';
+import { createLogger } from '../utils/logger.js';
+import { isReplaying } from '../replay/ReplaySource.js';
+
+const DEFAULT_TABLE = 'map_objects';
+
+export class SupabaseMapObjectStore extends MapObjectStore {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.url] - Supabase URL
+   * @param {string} [config.serviceRoleKey] - Supabase Service Role Key（回放模式下可省略）
+   * @param {string} [config.table] - 表名，默认 map_objects
+   */
+  constructor(config = {}) {
+    super();
+
+    const url = config.url || process.env.SUPABASE_URL;
+    const key = config.serviceRoleKey || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if ((!url || !key) && !isReplaying()) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+    }
+
+    // 回放模式下点位表查询结果来自记录文件（见 MapRegistry.getObjects）
+    this.client = url && key ? createClient(url, key) : null;
+    this.table = config.table || DEFAULT_TABLE;
+    this.logger = createLogger('SupabaseMapObjectStore');
+
+    this.logger.info(`Initialized with table: ${this.table}`);
+  }
+
+  async list(filter = {}) {
+    let query = this.client
+      .from(this.table)
+      .select('map_id, object_id, type, color, x, y, z, name, aliases');
+
+    if (filter.mapId) {
+      query = query.eq('map_id', filter.mapId);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`List map objects failed: ${error.message}`);
+    }
+
+    return (data || []).map(row => ({
+      mapId: row.map_id || null,
+      objectId: row.object_id,
+      type: row.type,
+      color: row.color,
+      x: row.x,
+      y: row.y,
+      z: row.z,
+      name: row.name,
+      aliases: row.aliases || [],
+    }));
+  }
+
+  async upsert(objects) {
+    const rows = objects.map(obj => ({
+      // map_id 参与主键，未指定地图时用空串
+      map_id: obj.mapId || '',
+      object_id: obj.objectId,
+      type: obj.type,
+      color: obj.color,
+      x: obj.x,
+      y: obj.y,
+      z: obj.z,
+      name: obj.name,
+      aliases: obj.aliases || [],
+      updated_at: new Date().toISOString(),
+    }));
+
+    const { error } = await this.client
+      .from(this.table)
+      .upsert(rows, { onConflict: 'map_id,object_id' });
+
+    if (error) {
+      throw new Error(`Upsert map objects failed: ${error.message}`);
+    }
+    return rows.length;
+  }
+
+  async clear(filter = {}) {
+    let query = this.client.from(this.table).delete();
+    query = filter.mapId ? query.eq('map_id', filter.mapId) : query.neq('object_id', '');
+
+    const { data, error } = await query.select('object_id');
+    if (error) {
+      throw new Error(`Clear map objects failed: ${error.message}`);
+    }
+    return (data || []).length;
+  }
+}
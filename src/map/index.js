@@ -0,0 +1,18 @@
+/**
+ * Map 模块导出（结构化地图点位）
+ */
+
+export {
+  COLOR_NAMES,
+  TYPE_NAMES,
+  COLOR_KEYWORDS,
+  TYPE_KEYWORDS,
+  normalizeMapObject,
+  parseMapDocument,
+  describeMapObject,
+} from './mapObjects.js';
+export { MapObjectStore } from './MapObjectStore.js';
+export { LocalMapObjectStore } from './LocalMapObjectStore.js';
+export { SupabaseMapObjectStore } from './SupabaseMapObjectStore.js';
+export { createMapObjectStore, getMapObjectStore, resetMapObjectStore } from './stores.js';
+export { MapRegistry, getMapRegistry, resetMapRegistry } from './MapRegistry.js';
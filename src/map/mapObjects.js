@@ -0,0 +1,179 @@
+/**
+ * 地图物体（结构化点位）定义
+ * 对应 docs/map-info.md 中“总结数据表”的 JSON objects：{ id, type, color, x, z }
+ *
+ * 规范化后的结构：
+ * { mapId, objectId, type, color, x, y, z, name, aliases }
+ * - objectId 统一为字符串（1 → "1"，"landing_pad" 保持不变）
+ * - name / aliases 为中文名称与常用叫法，供 MapRegistry 精确匹配
+ */
+
+/** 颜色 → 中文名 */
+export const COLOR_NAMES = {
+  green: '绿色',
+  blue: '蓝色',
+  orange: '橙色',
+  red: '红色',
+  black_white: '黑白色',
+  text: '',
+};
+
+/** 类型 → 中文名 */
+export const TYPE_NAMES = {
+  triangle: '三角形',
+  square: '正方形',
+  circle: '圆形',
+  cross_circle: '十字着陆标',
+  marker: '文字标记',
+};
+
+/** 用户描述中的颜色关键词（含口语/图上易混淆的叫法） */
+export const COLOR_KEYWORDS = {
+  green: ['绿色', '绿', 'green'],
+  blue: ['蓝色', '蓝', 'blue'],
+  orange: ['橙色', '棕色', '橘色', '橙', '棕', 'orange', 'brown'],
+  red: ['红色', '红', 'red'],
+  black_white: ['黑白色', '黑白', 'black_white'],
+};
+
+/** 用户描述中的形状关键词 */
+export const TYPE_KEYWORDS = {
+  triangle: ['三角形', '三角', 'triangle'],
+  square: ['正方形', '方形', '方块', '正方', 'square'],
+  circle: ['圆形', '圆圈', '圆', 'circle'],
+  cross_circle: ['十字圆', '十字', 'cross_circle'],
+  marker: ['标记', 'marker'],
+};
+
+/** 特殊点位的固定别名 */
+const SPECIAL_ALIASES = {
+  landing_pad: ['着陆标', '着陆点', '降落点', '起降点', '黑白点', '黑白十字', '十字着陆标', '停机坪', 'landing pad'],
+};
+
+/** A_top / A_center / A_bottom 之类文字标记的位置后缀 */
+const MARKER_POSITIONS = {
+  top: { name: '上', aliases: ['上方', '上面', '顶部'] },
+  center: { name: '中', aliases: ['中心', '中间', '中央'] },
+  bottom: { name: '下', aliases: ['下方', '下面', '底部'] },
+};
+
+/**
+ * 生成点位中文名称
+ * @param {Object} obj - { objectId, type, color }
+ * @returns {string}
+ */
+function buildName(obj) {
+  const marker = obj.objectId.match(/^([A-Za-z]+)_(top|center|bottom)$/);
+  if (obj.type === 'marker' && marker) {
+    return `${marker[1]}点（${MARKER_POSITIONS[marker[2]].name}）`;
+  }
+  const color = COLOR_NAMES[obj.color] ?? obj.color ?? '';
+  const type = TYPE_NAMES[obj.type] || obj.type || '';
+  return `${color}${type}` || obj.objectId;
+}
+
+/**
+ * 生成点位别名（用于精确匹配，不区分大小写）
+ * @param {Object} obj - { objectId, type, color, name }
+ * @returns {string[]}
+ */
+function buildAliases(obj) {
+  const aliases = [obj.objectId, obj.name];
+
+  if (/^\d+$/.test(obj.objectId)) {
+    const id = obj.objectId;
+    aliases.push(`${id}号`, `${id}号点`, `${id}号点位`, `编号${id}`, `id ${id}`, `标记点${id}`);
+    aliases.push(`${id}号${obj.name}`);
+  }
+
+  const marker = obj.objectId.match(/^([A-Za-z]+)_(top|center|bottom)$/);
+  if (obj.type === 'marker' && marker) {
+    const [, letter, position] = marker;
+    for (const word of MARKER_POSITIONS[position].aliases) {
+      aliases.push(`${letter}点${word}`, `${word}${letter}点`, `${word}的${letter}点`, `${letter}${word}`);
+    }
+    if (position === 'center') {
+      aliases.push(`${letter}点`);
+    }
+  }
+
+  aliases.push(...(SPECIAL_ALIASES[obj.objectId] || []));
+
+  return [...new Set(aliases.filter(Boolean).map(a => a.toLowerCase()))];
+}
+
+/**
+ * 规范化单个地图物体
+ * @param {Object} raw - { id, type, color, x, z, y? }（也接受已规范化的 objectId 结构）
+ * @param {string|null} [mapId]
+ * @returns {Object}
+ */
+export function normalizeMapObject(raw, mapId = null) {
+  const objectId = String(raw.objectId ?? raw.id ?? '').trim();
+  const x = Number(raw.x);
+  const z = Number(raw.z);
+
+  if (!objectId) {
+    throw new Error('Map object id is required');
+  }
+  if (!Number.isFinite(x) || !Number.isFinite(z)) {
+    throw new Error(`Map object ${objectId} has invalid coordinates`);
+  }
+
+  const obj = {
+    mapId: raw.mapId ?? mapId ?? null,
+    objectId,
+    type: raw.type || 'unknown',
+    color: raw.color || null,
+    x,
+    y: raw.y != null && Number.isFinite(Number(raw.y)) ? Number(raw.y) : null,
+    z,
+  };
+  obj.name = raw.name || buildName(obj);
+  obj.aliases = [...new Set([...(raw.aliases || []).map(a => String(a).toLowerCase()), ...buildAliases(obj)])];
+
+  return obj;
+}
+
+/**
+ * 从 Markdown（```json 代码块）或纯 JSON 文本中解析地图物体表
+ * @param {string} content - 文件内容
+ * @param {Object} [options]
+ * @param {string} [options.mapId] - 写入每个物体的地图 ID
+ * @returns {{ metadata: Object|null, objects: Array<Object> }}
+ */
+export function parseMapDocument(content, options = {}) {
+  const candidates = [content];
+  const blockPattern = /```json\s*([\s\S]*?)```/g;
+  let match;
+  while ((match = blockPattern.exec(content)) !== null) {
+    candidates.push(match[1]);
+  }
+
+  for (const candidate of candidates) {
+    let data;
+    try {
+      data = JSON.parse(candidate);
+    } catch {
+      continue;
+    }
+    if (data && Array.isArray(data.objects)) {
+      return {
+        metadata: data.map_metadata || data.metadata || null,
+        objects: data.objects.map(raw => normalizeMapObject(raw, options.mapId)),
+      };
+    }
+  }
+
+  throw new Error('No JSON "objects" table found in map document');
+}
+
+/**
+ * 地图物体的文本描述（作为检索结果的 chunkText）
+ * @param {Object} obj - 规范化后的地图物体
+ * @returns {string}
+ */
+export function describeMapObject(obj) {
+  const y = obj.y != null ? `, y=${obj.y}` : '';
+  return `${obj.name} (ID: ${obj.objectId})，坐标：x=${obj.x}, z=${obj.z}${y}。`;
+}
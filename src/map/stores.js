@@ -0,0 +1,55 @@
+/**
+ * Map Object Store 选择
+ * 根据 MAP_STORE 环境变量（或 config.store）创建对应的 MapObjectStore；
+ * 未设置时跟随 VECTOR_STORE，使点位表与向量库落在同一后端：
+ * - supabase（默认）：Supabase 表 map_objects
+ * - local：本地 JSON 文件（LOCAL_MAP_STORE_PATH）
+ */
+
+import { LocalMapObjectStore } from './LocalMapObjectStore.js';
+import { SupabaseMapObjectStore } from './SupabaseMapObjectStore.js';
+
+const DEFAULT_STORE = 'supabase';
+
+/**
+ * 创建 Map Object Store
+ * @param {Object} [config] - 配置，会透传给具体实现
+ * @param {string} [config.store] - supabase | local
+ * @returns {import('./MapObjectStore.js').MapObjectStore}
+ */
+export function createMapObjectStore(config = {}) {
+  const store = (config.store || process.env.MAP_STORE || process.env.VECTOR_STORE || DEFAULT_STORE).toLowerCase();
+
+  switch (store) {
+    case 'supabase':
+      return new SupabaseMapObjectStore(config);
+
+    case 'local':
+      return new LocalMapObjectStore(config);
+
+    default:
+      throw new Error(`Unknown MAP_STORE: ${store} (expected supabase | local)`);
+  }
+}
+
+// 单例实例
+let instance = null;
+
+/**
+ * 获取 Map Object Store 单例
+ * @param {Object} [config] - 配置（仅首次调用时生效）
+ * @returns {import('./MapObjectStore.js').MapObjectStore}
+ */
+export function getMapObjectStore(config) {
+  if (!instance) {
+    instance = createMapObjectStore(config);
+  }
+  return instance;
+}
+
+/**
+ * 重置单例（用于测试）
+ */
+export function resetMapObjectStore() {
+  instance = null;
+}
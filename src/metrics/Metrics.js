@@ -0,0 +1,381 @@
+/**
+ * Metrics
+ * Prometheus 风格的指标（无外部依赖）：Counter / Gauge / Histogram，
+ * 由 MetricsRegistry 统一登记并输出 text exposition format（AgentServer 与 Web 服务器的 GET /metrics）
+ *
+ * 各模块在构造时通过 getMetrics().counter(...) 等方法取得指标（同名重复登记返回同一实例），
+ * 按需埋点，不需要集中声明
+ */
+
+/** Prometheus text exposition format 的 Content-Type */
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** 耗时类 Histogram 的默认分桶（秒） */
+export const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * 标签值转义（反斜杠、双引号、换行）
+ * @private
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * 数值格式化（Infinity → +Inf）
+ * @private
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * @private
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * 指标基类：按标签组合保存序列
+ * @private
+ */
+class Metric {
+  /**
+   * @param {string} type - counter | gauge | histogram
+   * @param {Object} options
+   * @param {string} options.name - 指标名
+   * @param {string} options.help - 说明
+   * @param {Array<string>} [options.labelNames] - 标签名
+   */
+  constructor(type, options) {
+    if (!METRIC_NAME_PATTERN.test(options.name)) {
+      throw new Error(`Invalid metric name: ${options.name}`);
+    }
+    this.type = type;
+    this.name = options.name;
+    this.help = options.help || options.name;
+    this.labelNames = options.labelNames || [];
+    this.series = new Map(); // key → { labels, ... }
+  }
+
+  /**
+   * 只保留声明过的标签，缺失的标签记为空字符串
+   * @private
+   */
+  _labels(labels = {}) {
+    const result = {};
+    for (const name of this.labelNames) {
+      result[name] = labels[name] ?? '';
+    }
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  _getSeries(labels, create) {
+    const normalized = this._labels(labels);
+    const key = JSON.stringify(normalized);
+    let series = this.series.get(key);
+    if (!series) {
+      series = create(normalized);
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * 清空所有序列
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * 输出指标的 HELP / TYPE 行和全部样本行
+   * @returns {string}
+   */
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+    for (const series of this.series.values()) {
+      lines.push(...this._renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  /**
+   * @param {Object} [labels]
+   * @param {number} [value=1] - 增量（不能为负）
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot be decreased`);
+    }
+    this._getSeries(labels, normalized => ({ labels: normalized, value: 0 })).value += value;
+  }
+
+  /**
+   * @param {Object} [labels]
+   * @returns {number}
+   */
+  get(labels = {}) {
+    return this.series.get(JSON.stringify(this._labels(labels)))?.value ?? 0;
+  }
+
+  /**
+   * @private
+   */
+  _renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * @param {Object} options - 同 Counter
+   * @param {Function} [options.collect] - 输出前调用 (gauge) => void，用于按需读取当前值（如活跃任务数、内存）
+   */
+  constructor(options) {
+    super('gauge', options);
+    this.collect = options.collect || null;
+  }
+
+  set(labels = {}, value) {
+    this._getSeries(labels, normalized => ({ labels: normalized, value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this._getSeries(labels, normalized => ({ labels: normalized, value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  get(labels = {}) {
+    return this.series.get(JSON.stringify(this._labels(labels)))?.value ?? 0;
+  }
+
+  render() {
+    this.collect?.(this);
+    return super.render();
+  }
+
+  /**
+   * @private
+   */
+  _renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+export class Histogram extends Metric {
+  /**
+   * @param {Object} options - 同 Counter
+   * @param {Array<number>} [options.buckets] - 分桶上界（升序，默认 DEFAULT_DURATION_BUCKETS）
+   */
+  constructor(options) {
+    super('histogram', options);
+    if (this.labelNames.includes('le')) {
+      throw new Error(`Histogram ${this.name} cannot use "le" as a label`);
+    }
+    this.buckets = [...(options.buckets || DEFAULT_DURATION_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {number} value
+   */
+  observe(labels = {}, value) {
+    const series = this._getSeries(labels, normalized => ({
+      labels: normalized,
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0,
+    }));
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) {
+        series.counts[i]++;
+      }
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * 开始计时，返回的函数在结束时调用，记录经过的秒数（可补充标签）
+   * @param {Object} [labels]
+   * @returns {Function} - (extraLabels) => number
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * @private
+   */
+  _renderSeries(series) {
+    const lines = this.buckets.map((bucket, i) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bucket) })} ${series.counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+const METRIC_CLASSES = { counter: Counter, gauge: Gauge, histogram: Histogram };
+
+export class MetricsRegistry {
+  /**
+   * @param {Object} [config]
+   * @param {boolean} [config.processMetrics=true] - 是否附带进程指标（启动时间、内存）
+   */
+  constructor(config = {}) {
+    this.metrics = new Map();
+    if (config.processMetrics !== false) {
+      this._registerProcessMetrics();
+    }
+  }
+
+  /**
+   * 取得（或登记）Counter
+   * @param {string} name
+   * @param {string} help
+   * @param {Array<string>} [labelNames]
+   * @returns {Counter}
+   */
+  counter(name, help, labelNames = []) {
+    return this._getOrCreate('counter', { name, help, labelNames });
+  }
+
+  /**
+   * 取得（或登记）Gauge
+   * @param {string} name
+   * @param {string} help
+   * @param {Array<string>} [labelNames]
+   * @param {Function} [collect] - 输出前调用 (gauge) => void
+   * @returns {Gauge}
+   */
+  gauge(name, help, labelNames = [], collect) {
+    return this._getOrCreate('gauge', { name, help, labelNames, collect });
+  }
+
+  /**
+   * 取得（或登记）Histogram
+   * @param {string} name
+   * @param {string} help
+   * @param {Array<string>} [labelNames]
+   * @param {Array<number>} [buckets]
+   * @returns {Histogram}
+   */
+  histogram(name, help, labelNames = [], buckets) {
+    return this._getOrCreate('histogram', { name, help, labelNames, buckets });
+  }
+
+  /**
+   * 同名指标已登记时返回已有实例（类型不同时抛错）
+   * @private
+   */
+  _getOrCreate(type, options) {
+    const existing = this.metrics.get(options.name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${options.name} is already registered as a ${existing.type}`);
+      }
+      if (type === 'gauge' && options.collect) {
+        // 同名 Gauge 以最后登记的 collect 为准（如重建的 AgentServer）
+        existing.collect = options.collect;
+      }
+      return existing;
+    }
+    const metric = new METRIC_CLASSES[type](options);
+    this.metrics.set(options.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Counter|Gauge|Histogram|undefined}
+   */
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * 输出 Prometheus text exposition format
+   * @returns {string}
+   */
+  render() {
+    return `${[...this.metrics.values()].map(metric => metric.render()).join('\n')}\n`;
+  }
+
+  /**
+   * Express 处理器：GET /metrics
+   * @returns {Function}
+   */
+  handler() {
+    return (req, res) => {
+      res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+      res.send(this.render());
+    };
+  }
+
+  /**
+   * @private
+   */
+  _registerProcessMetrics() {
+    const startTimeSeconds = Math.round(Date.now() / 1000 - process.uptime());
+    this.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds', [],
+      gauge => gauge.set({}, startTimeSeconds));
+    this.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [],
+      gauge => gauge.set({}, process.memoryUsage().rss));
+    this.gauge('nodejs_heap_used_bytes', 'Node.js heap used in bytes', [],
+      gauge => gauge.set({}, process.memoryUsage().heapUsed));
+  }
+}
+
+// 单例
+let instance = null;
+
+/**
+ * 获取 MetricsRegistry 单例（同一进程内的所有模块共用）
+ * @returns {MetricsRegistry}
+ */
+export function getMetrics() {
+  if (!instance) {
+    instance = new MetricsRegistry();
+  }
+  return instance;
+}
+
+/**
+ * 重置单例（用于测试）
+ */
+export function resetMetrics() {
+  instance = null;
+}
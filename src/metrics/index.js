@@ -0,0 +1,14 @@
+/**
+ * Metrics 模块导出（Prometheus 指标与 /metrics 输出）
+ */
+
+export {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  METRICS_CONTENT_TYPE,
+  DEFAULT_DURATION_BUCKETS,
+  getMetrics,
+  resetMetrics,
+} from './Metrics.js';
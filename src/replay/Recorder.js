@@ -0,0 +1,145 @@
+/**
+ * Request Recorder
+ * 把一次请求（requestId）经过的外部交互追加到同一个 JSONL 记录文件 <RECORD_DIR>/<requestId>.jsonl：
+ * - request / session：Orchestrator 收到的请求、最终回复，以及请求开始时的会话快照
+ * - a2a：各 Agent 收到的 A2A 任务输入与结果
+ * - llm：LLM 调用（generateText / embed / embedBatch / chat / generateWithTools）的输入与输出
+ * - vector / map：向量检索结果、点位表查询结果
+ * - mcp：MCP 工具发现（listTools）与工具调用（callTool）
+ *
+ * 各 Agent 进程追加写同一个文件；requestId 取自日志上下文（runWithLogContext），
+ * 不在请求上下文中的调用（如启动时连接 MCP Server）不记录。
+ * 记录文件可通过 REPLAY_FILE 回放（见 ReplaySource.js）
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getLogContext, createLogger } from '../utils/logger.js';
+import { getTracer } from '../tracing/Tracer.js';
+
+const DEFAULT_RECORD_DIR = 'data/recordings';
+
+/**
+ * 稳定的 JSON 序列化（对象键排序），用于计算输入指纹
+ * @param {*} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item)).join(',')}]`;
+  }
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * 输入指纹（稳定序列化后的 sha256 前 16 位）：回放时据此匹配记录
+ * @param {*} input
+ * @returns {string}
+ */
+export function hashInput(input) {
+  return crypto.createHash('sha256').update(stableStringify(input)).digest('hex').substring(0, 16);
+}
+
+export class Recorder {
+  /**
+   * @param {Object} [config]
+   * @param {boolean} [config.enabled] - 是否记录（默认 RECORD_REQUESTS=true）
+   * @param {string} [config.dir] - 记录文件目录（RECORD_DIR，默认 data/recordings）
+   */
+  constructor(config = {}) {
+    this.enabled = config.enabled ?? process.env.RECORD_REQUESTS === 'true';
+    this.dir = config.dir || process.env.RECORD_DIR || DEFAULT_RECORD_DIR;
+    this.seq = 0;
+    this.failed = false;
+    this.logger = createLogger('Recorder');
+  }
+
+  /**
+   * 当前调用是否会被记录（已启用且处于某个请求的上下文中）
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.enabled && Boolean(getLogContext().requestId);
+  }
+
+  /**
+   * 请求的记录文件路径
+   * @param {string} requestId
+   * @returns {string}
+   */
+  filePath(requestId) {
+    return path.join(this.dir, `${requestId}.jsonl`);
+  }
+
+  /**
+   * 追加一条记录（不在请求上下文中时忽略）
+   * @param {string} kind - request | session | a2a | llm | vector | map | mcp
+   * @param {Object} entry - { op, key?, input, output?, error?, durationMs?, replayed? }
+   */
+  record(kind, entry) {
+    if (!this.isRecording() || this.failed) {
+      return;
+    }
+    const { requestId, taskId } = getLogContext();
+    const line = JSON.stringify({
+      seq: ++this.seq,
+      timestamp: new Date().toISOString(),
+      requestId,
+      ...(taskId && { taskId }),
+      service: getTracer().serviceName,
+      pid: process.pid,
+      kind,
+      ...entry,
+      ...(entry.error && { error: serializeError(entry.error) }),
+    });
+
+    // 同步追加：多个 Agent 进程写同一文件时每条记录是一次完整的 write
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.appendFileSync(this.filePath(requestId), `${line}\n`);
+    } catch (error) {
+      this.failed = true;
+      this.logger.warn(`Recording disabled, cannot write to ${this.dir}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function serializeError(error) {
+  return {
+    message: error.message || String(error),
+    ...(error.code !== undefined && { code: error.code }),
+  };
+}
+
+// 单例
+let instance = null;
+
+/**
+ * 获取 Recorder 单例
+ * @param {Object} [config] - 配置（仅首次调用时生效）
+ * @returns {Recorder}
+ */
+export function getRecorder(config) {
+  if (!instance) {
+    instance = new Recorder(config);
+  }
+  return instance;
+}
+
+/**
+ * 重置单例（用于测试）
+ */
+export function resetRecorder() {
+  instance = null;
+}
@@ -0,0 +1,157 @@
+/**
+ * Replay Source
+ * 回放模式（REPLAY_FILE 指向 Recorder 写出的记录文件）：LLM、向量检索、点位表、MCP 调用不再访问外部服务，
+ * 而是按顺序返回记录中的结果（记录的是错误时抛出同样的错误），用于离线重跑线上事故。
+ *
+ * 匹配规则：每个进程只消费本服务（service）记录的条目；同类调用（kind + op）中优先取输入指纹完全一致的第一条，
+ * 没有时按顺序取下一条并告警（说明重跑已经与记录分叉）；REPLAY_STRICT=true 时分叉直接抛出 REPLAY_MISMATCH
+ */
+
+import fs from 'fs';
+import { createLogger } from '../utils/logger.js';
+import { getTracer } from '../tracing/Tracer.js';
+
+/** 可回放的记录类型（其余类型只用于对比） */
+export const REPLAYABLE_KINDS = ['llm', 'vector', 'map', 'mcp'];
+
+/**
+ * 回放错误（带 code，便于调用方区分）
+ * @private
+ */
+function replayError(message) {
+  const error = new Error(message);
+  error.code = 'REPLAY_MISMATCH';
+  return error;
+}
+
+/**
+ * 读取记录文件（JSONL，跳过无法解析的行）
+ * @param {string} filePath
+ * @returns {Array<Object>}
+ */
+export function loadRecording(filePath) {
+  return fs.readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+export class ReplaySource {
+  /**
+   * @param {Object} config
+   * @param {string} config.path - 记录文件路径
+   * @param {boolean} [config.strict] - 输入与记录不一致时抛错（REPLAY_STRICT，默认 false）
+   */
+  constructor(config) {
+    this.path = config.path;
+    this.strict = config.strict ?? process.env.REPLAY_STRICT === 'true';
+    this.entries = loadRecording(this.path);
+    this.pending = this.entries.filter(entry => REPLAYABLE_KINDS.includes(entry.kind));
+    this.logger = createLogger('ReplaySource');
+
+    this.logger.info(`Replaying ${this.pending.length} recorded calls from ${this.path}${this.strict ? ' (strict)' : ''}`);
+  }
+
+  /**
+   * 取出与本次调用对应的记录（消费后不再返回）
+   * @param {string} kind
+   * @param {string} op
+   * @param {string} key - 本次调用的输入指纹
+   * @returns {{ entry: Object, match: 'exact'|'sequence' }}
+   */
+  take(kind, op, key) {
+    const candidates = this._candidates(kind, op);
+    if (candidates.length === 0) {
+      throw replayError(`No recorded ${kind} ${op} call left to replay`);
+    }
+
+    let entry = candidates.find(candidate => candidate.key === key);
+    const match = entry ? 'exact' : 'sequence';
+    if (!entry) {
+      if (this.strict) {
+        throw replayError(`Replay diverged: ${kind} ${op} input ${key} was not recorded (next recorded input ${candidates[0].key})`);
+      }
+      entry = candidates[0];
+      this.logger.warn(`Replay diverged: ${kind} ${op} input ${key} was not recorded, using recorded #${entry.seq} (${entry.key})`);
+    }
+
+    this.pending.splice(this.pending.indexOf(entry), 1);
+    return { entry, match };
+  }
+
+  /**
+   * 查看下一条同类记录（不消费、不区分服务），如 MCP 连接时（Agent 启动阶段）预先加载工具列表
+   * @param {string} kind
+   * @param {string} op
+   * @returns {Object|null}
+   */
+  peek(kind, op) {
+    return this.pending.find(entry => entry.kind === kind && entry.op === op) || null;
+  }
+
+  /**
+   * 记录的结果（副本）；记录的是错误时抛出
+   * @param {Object} entry
+   * @returns {*}
+   */
+  resolve(entry) {
+    if (entry.error) {
+      const error = new Error(entry.error.message);
+      if (entry.error.code !== undefined) {
+        error.code = entry.error.code;
+      }
+      throw error;
+    }
+    return entry.output === undefined ? undefined : structuredClone(entry.output);
+  }
+
+  /**
+   * 本服务记录的同类条目（记录时没有服务名的条目任何进程都可以消费）
+   * @private
+   */
+  _candidates(kind, op) {
+    const service = getTracer().serviceName;
+    return this.pending.filter(entry =>
+      entry.kind === kind
+      && entry.op === op
+      && (!entry.service || entry.service === service)
+    );
+  }
+}
+
+// 单例（未设置 REPLAY_FILE 时为 null）
+let instance;
+
+/**
+ * 获取 ReplaySource 单例；未处于回放模式时返回 null
+ * @param {Object} [config] - 配置（仅首次调用时生效，默认 { path: REPLAY_FILE }）
+ * @returns {ReplaySource|null}
+ */
+export function getReplaySource(config) {
+  if (instance === undefined) {
+    const filePath = config?.path || process.env.REPLAY_FILE;
+    instance = filePath ? new ReplaySource({ ...config, path: filePath }) : null;
+  }
+  return instance;
+}
+
+/**
+ * 是否处于回放模式
+ * @returns {boolean}
+ */
+export function isReplaying() {
+  return getReplaySource() !== null;
+}
+
+/**
+ * 重置单例（用于测试）
+ */
+export function resetReplaySource() {
+  instance = undefined;
+}
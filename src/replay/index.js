@@ -0,0 +1,14 @@
+/**
+ * Replay 模块导出（请求记录与离线回放）
+ */
+
+export { Recorder, getRecorder, resetRecorder, stableStringify, hashInput } from './Recorder.js';
+export {
+  ReplaySource,
+  REPLAYABLE_KINDS,
+  loadRecording,
+  getReplaySource,
+  isReplaying,
+  resetReplaySource,
+} from './ReplaySource.js';
+export { recordCall } from './recordCall.js';
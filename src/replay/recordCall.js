@@ -0,0 +1,44 @@
+/**
+ * 外部调用的记录 / 回放包装
+ * LLM Provider、Vector Store、MapRegistry、MCP Client 通过 recordCall 调用外部服务：
+ * - 回放模式：不调用 fn，返回记录的结果
+ * - 记录模式：调用 fn，并把输入与结果（或错误）写入当前请求的记录文件
+ * - 都未开启：直接调用 fn
+ */
+
+import { getRecorder, hashInput } from './Recorder.js';
+import { getReplaySource } from './ReplaySource.js';
+
+/**
+ * @param {string} kind - llm | vector | map | mcp
+ * @param {string} op - 操作名（如 generateText、search、callTool）
+ * @param {Object} input - 决定结果的输入（用于记录与回放匹配，需可 JSON 序列化）
+ * @param {Function} fn - 实际调用 () => Promise<*>
+ * @returns {Promise<*>}
+ */
+export async function recordCall(kind, op, input, fn) {
+  const replay = getReplaySource();
+  const recorder = getRecorder();
+  if (!replay && !recorder.isRecording()) {
+    return fn();
+  }
+
+  const key = hashInput(input);
+  const startTime = Date.now();
+  let replayed;
+  try {
+    let output;
+    if (replay) {
+      const { entry, match } = replay.take(kind, op, key);
+      replayed = match;
+      output = replay.resolve(entry);
+    } else {
+      output = await fn();
+    }
+    recorder.record(kind, { op, key, input, output, durationMs: Date.now() - startTime, ...(replayed && { replayed }) });
+    return output;
+  } catch (error) {
+    recorder.record(kind, { op, key, input, error, durationMs: Date.now() - startTime, ...(replayed && { replayed }) });
+    throw error;
+  }
+}
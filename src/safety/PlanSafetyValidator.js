@@ -0,0 +1,580 @@
+/**
+ * Plan Safety Validator
+ * 规划与执行之间的安全校验：按计划顺序推演无人机位置，逐步检查
+ * - 地理围栏（默认取 docs/map-info.md 的 map_metadata：5.44 × 4 m，原点在地图中心）
+ * - 最低 / 最高飞行高度
+ * - 单段最大飞行距离
+ * - 先起飞再移动
+ * - 禁飞区（圆形 { x, z, radius } 或矩形 { minX, maxX, minZ, maxZ }）
+ *
+ * 模式（SAFETY_MODE）：
+ * - repair（默认）：能修复的违规自动修复（夹紧到围栏/高度范围、长航段拆分、补起飞），无法修复的拒绝执行
+ * - reject：任何违规都拒绝执行
+ * - off：不校验
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseMapDocument } from '../map/mapObjects.js';
+import { createLogger } from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_MAP_FILE = path.resolve(__dirname, '../../docs/map-info.md');
+
+// map-info.md 不可用时的兜底围栏（与其 map_metadata 一致）
+const DEFAULT_GEOFENCE = { minX: -2.72, maxX: 2.72, minZ: -2, maxZ: 2 };
+
+/** 违规类型 */
+export const SafetyViolation = {
+  INVALID_ARGS: 'INVALID_ARGS',
+  GEOFENCE: 'GEOFENCE',
+  ALTITUDE_MIN: 'ALTITUDE_MIN',
+  ALTITUDE_MAX: 'ALTITUDE_MAX',
+  SEGMENT_TOO_LONG: 'SEGMENT_TOO_LONG',
+  TAKEOFF_REQUIRED: 'TAKEOFF_REQUIRED',
+  FORBIDDEN_ZONE: 'FORBIDDEN_ZONE',
+};
+
+function envNumber(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return defaultValue;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * 解析 SAFETY_GEOFENCE="minX,maxX,minZ,maxZ"
+ * @private
+ */
+function parseGeofence(value) {
+  if (!value) return null;
+  const parts = value.split(',').map(v => parseFloat(v.trim()));
+  if (parts.length !== 4 || parts.some(v => !Number.isFinite(v))) {
+    throw new Error(`Invalid SAFETY_GEOFENCE: ${value} (expected "minX,maxX,minZ,maxZ")`);
+  }
+  const [minX, maxX, minZ, maxZ] = parts;
+  return { minX, maxX, minZ, maxZ };
+}
+
+/**
+ * 从地图文档的 map_metadata（width × height，原点在中心）推导围栏
+ * @private
+ */
+function loadMapGeofence(filePath) {
+  try {
+    const { metadata } = parseMapDocument(fs.readFileSync(filePath, 'utf-8'));
+    const width = Number(metadata?.width);
+    const height = Number(metadata?.height);
+    if (!(width > 0) || !(height > 0)) return null;
+    return { minX: -width / 2, maxX: width / 2, minZ: -height / 2, maxZ: height / 2 };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 解析 SAFETY_FORBIDDEN_ZONES（JSON 数组）
+ * @private
+ */
+function parseZones(value) {
+  if (!value) return [];
+  const zones = JSON.parse(value);
+  if (!Array.isArray(zones)) {
+    throw new Error('SAFETY_FORBIDDEN_ZONES must be a JSON array');
+  }
+  return zones;
+}
+
+/**
+ * 工具名 → 语义类别（兼容 drone.move_to / move_to 等命名）
+ * @private
+ */
+function toolKind(tool) {
+  const name = String(tool || '').split('.').pop();
+  return ['take_off', 'land', 'move_to', 'move_relative', 'run_mission'].includes(name) ? name : null;
+}
+
+/**
+ * 线段与禁飞区是否相交（起点未知时只检查终点）
+ * @private
+ */
+function segmentHitsZone(from, to, zone) {
+  if (Number.isFinite(zone.radius)) {
+    const start = from || to;
+    const dx = to.x - start.x;
+    const dz = to.z - start.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((zone.x - start.x) * dx + (zone.z - start.z) * dz) / lengthSq));
+    const px = start.x + t * dx - zone.x;
+    const pz = start.z + t * dz - zone.z;
+    return px * px + pz * pz <= zone.radius * zone.radius;
+  }
+
+  // 矩形：Liang–Barsky 裁剪
+  const start = from || to;
+  const dx = to.x - start.x;
+  const dz = to.z - start.z;
+  let t0 = 0;
+  let t1 = 1;
+  const edges = [
+    [-dx, start.x - zone.minX],
+    [dx, zone.maxX - start.x],
+    [-dz, start.z - zone.minZ],
+    [dz, zone.maxZ - start.z],
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return false;
+    } else {
+      const r = q / p;
+      if (p < 0) t0 = Math.max(t0, r);
+      else t1 = Math.min(t1, r);
+      if (t0 > t1) return false;
+    }
+  }
+  return true;
+}
+
+export class PlanSafetyValidator {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.mode] - repair | reject | off（SAFETY_MODE，默认 repair）
+   * @param {Object} [config.geofence] - { minX, maxX, minZ, maxZ }（SAFETY_GEOFENCE，默认取地图尺寸）
+   * @param {string} [config.mapFile] - 推导围栏的地图文档（SAFETY_MAP_FILE，默认 docs/map-info.md）
+   * @param {number} [config.margin] - 围栏内缩距离 m（SAFETY_GEOFENCE_MARGIN，默认 0.1）
+   * @param {number} [config.minAltitude] - 飞行中最低高度 m（SAFETY_MIN_ALTITUDE，默认 0.3）
+   * @param {number} [config.maxAltitude] - 最高高度 m（SAFETY_MAX_ALTITUDE，默认 3）
+   * @param {number} [config.maxSegment] - 单段最大飞行距离 m（SAFETY_MAX_SEGMENT，默认 4）
+   * @param {number} [config.defaultAltitude] - 补起飞时的高度 m（SAFETY_DEFAULT_ALTITUDE，默认 1）
+   * @param {Array<Object>} [config.forbiddenZones] - 禁飞区（SAFETY_FORBIDDEN_ZONES，JSON 数组）
+   */
+  constructor(config = {}) {
+    this.mode = (config.mode || process.env.SAFETY_MODE || 'repair').toLowerCase();
+    if (!['repair', 'reject', 'off'].includes(this.mode)) {
+      throw new Error(`Unknown SAFETY_MODE: ${this.mode} (expected repair | reject | off)`);
+    }
+
+    this.geofence = config.geofence
+      || parseGeofence(process.env.SAFETY_GEOFENCE)
+      || loadMapGeofence(config.mapFile || process.env.SAFETY_MAP_FILE || DEFAULT_MAP_FILE)
+      || DEFAULT_GEOFENCE;
+    this.margin = config.margin ?? envNumber('SAFETY_GEOFENCE_MARGIN', 0.1);
+    this.minAltitude = config.minAltitude ?? envNumber('SAFETY_MIN_ALTITUDE', 0.3);
+    this.maxAltitude = config.maxAltitude ?? envNumber('SAFETY_MAX_ALTITUDE', 3);
+    this.maxSegment = config.maxSegment ?? envNumber('SAFETY_MAX_SEGMENT', 4);
+    this.defaultAltitude = config.defaultAltitude ?? envNumber('SAFETY_DEFAULT_ALTITUDE', 1);
+    this.forbiddenZones = config.forbiddenZones || parseZones(process.env.SAFETY_FORBIDDEN_ZONES);
+    this.logger = createLogger('PlanSafetyValidator');
+
+    const { minX, maxX, minZ, maxZ } = this.geofence;
+    this.logger.info(
+      `Initialized (mode=${this.mode}, geofence x[${minX}, ${maxX}] z[${minZ}, ${maxZ}], ` +
+      `altitude [${this.minAltitude}, ${this.maxAltitude}], maxSegment=${this.maxSegment}, zones=${this.forbiddenZones.length})`
+    );
+  }
+
+  /**
+   * 校验（并在 repair 模式下修复）计划
+   * @param {Array<Object>} steps - 计划步骤 [{ tool, args, description }]
+   * @param {Object} [context]
+   * @param {Object} [context.droneState] - 当前无人机状态（position / heading / flying）
+   * @param {Array<Object>} [context.availableTools] - 可用工具（用于补起飞）
+   * @returns {{ approved: boolean, repaired: boolean, mode: string, steps: Array<Object>, violations: Array<Object> }}
+   *   violations: [{ code, stepIndex, tool, message, fix, repaired }]，stepIndex 为原计划中的序号（从 0 开始），
+   *   fix 为修复说明（无法修复时为 null）
+   */
+  validate(steps = [], context = {}) {
+    if (this.mode === 'off') {
+      return { approved: true, repaired: false, mode: this.mode, steps, violations: [] };
+    }
+
+    const repair = this.mode === 'repair';
+    const state = this._initialState(context.droneState);
+    const takeOffTool = this._findTool(context.availableTools, 'take_off');
+    const output = [];
+    const violations = [];
+
+    // fix 为可自动修复时的修复说明，null 表示无法修复
+    const report = (code, stepIndex, step, message, fix) => {
+      violations.push({ code, stepIndex, tool: step.tool, message, fix, repaired: repair && fix != null });
+    };
+
+    steps.forEach((step, stepIndex) => {
+      const args = step.args || {};
+
+      switch (toolKind(step.tool)) {
+        case 'take_off': {
+          const altitude = Number(args.altitude ?? this.defaultAltitude);
+          if (!Number.isFinite(altitude)) {
+            report(SafetyViolation.INVALID_ARGS, stepIndex, step, `起飞高度无效: ${args.altitude}`, null);
+            output.push(step);
+            break;
+          }
+          const safeAltitude = this._checkAltitude(altitude, stepIndex, step, report);
+          output.push(repair && safeAltitude !== altitude ? { ...step, args: { ...args, altitude: safeAltitude } } : step);
+          state.airborne = true;
+          state.y = repair ? safeAltitude : altitude;
+          break;
+        }
+
+        case 'land':
+          output.push(step);
+          state.airborne = false;
+          state.y = 0;
+          break;
+
+        case 'move_to': {
+          const x = Number(args.x);
+          const z = Number(args.z);
+          if (!Number.isFinite(x) || !Number.isFinite(z) || (args.y != null && !Number.isFinite(Number(args.y)))) {
+            report(SafetyViolation.INVALID_ARGS, stepIndex, step, `目标坐标无效: ${JSON.stringify(args)}`, null);
+            output.push(step);
+            break;
+          }
+
+          this._ensureAirborne(state, stepIndex, step, report, takeOffTool, output, repair);
+          const target = { x, y: args.y != null ? Number(args.y) : state.y, z };
+          const safeTarget = this._checkTarget(target, stepIndex, step, report, { checkAltitude: args.y != null || state.airborne });
+          this._checkZones(state, safeTarget, stepIndex, step, report);
+
+          const finalTarget = repair ? safeTarget : target;
+          const legs = this._splitLeg(state, finalTarget, stepIndex, step, report, repair);
+          if (legs.length === 1 && finalTarget === target) {
+            output.push(step);
+          } else {
+            legs.forEach((point, i) => output.push(this._legStep(step, {
+              x: point.x,
+              ...(args.y != null || finalTarget.y !== target.y ? { y: point.y } : {}),
+              z: point.z,
+            }, i, legs.length)));
+          }
+          this._moveTo(state, finalTarget);
+          break;
+        }
+
+        case 'move_relative': {
+          const dx = Number(args.dx ?? 0);
+          const dy = Number(args.dy ?? 0);
+          const dz = Number(args.dz ?? 0);
+          if (![dx, dy, dz].every(Number.isFinite)) {
+            report(SafetyViolation.INVALID_ARGS, stepIndex, step, `相对位移无效: ${JSON.stringify(args)}`, null);
+            output.push(step);
+            break;
+          }
+
+          this._ensureAirborne(state, stepIndex, step, report, takeOffTool, output, repair);
+
+          // body 参考系按机头朝向换算为世界坐标位移（与模拟器约定一致：0° 指向 -Z，顺时针为正）
+          let worldDx = dx;
+          let worldDz = dz;
+          if (args.frame === 'body') {
+            const rad = (state.heading * Math.PI) / 180;
+            worldDx = dx * Math.cos(rad) - dz * Math.sin(rad);
+            worldDz = dx * Math.sin(rad) + dz * Math.cos(rad);
+          }
+
+          if (!state.positionKnown) {
+            // 起点未知：只能检查高度变化与航段长度
+            const length = Math.hypot(worldDx, dy, worldDz);
+            if (length > this.maxSegment) {
+              report(SafetyViolation.SEGMENT_TOO_LONG, stepIndex, step, `单段飞行距离 ${round(length)}m 超过上限 ${this.maxSegment}m（当前位置未知）`, null);
+            }
+            output.push(step);
+            break;
+          }
+
+          const target = { x: state.x + worldDx, y: state.y + dy, z: state.z + worldDz };
+          const safeTarget = this._checkTarget(target, stepIndex, step, report, { checkAltitude: true });
+          this._checkZones(state, safeTarget, stepIndex, step, report);
+
+          const finalTarget = repair ? safeTarget : target;
+          const legs = this._splitLeg(state, finalTarget, stepIndex, step, report, repair);
+          if (legs.length === 1 && finalTarget === target) {
+            output.push(step);
+          } else {
+            // 修复后的步骤统一使用 world 参考系，避免拆分后机头朝向变化导致 body 位移偏转
+            let from = { x: state.x, y: state.y, z: state.z };
+            legs.forEach((point, i) => {
+              output.push(this._legStep(step, {
+                dx: round(point.x - from.x),
+                dy: round(point.y - from.y),
+                dz: round(point.z - from.z),
+                frame: 'world',
+              }, i, legs.length));
+              from = point;
+            });
+          }
+          this._moveTo(state, finalTarget);
+          break;
+        }
+
+        case 'run_mission': {
+          const waypoints = Array.isArray(args.waypoints) ? args.waypoints : [];
+          let missionAltitude = args.altitude != null ? Number(args.altitude) : null;
+          if (missionAltitude != null) {
+            const safeAltitude = this._checkAltitude(missionAltitude, stepIndex, step, report);
+            if (repair) missionAltitude = safeAltitude;
+          }
+
+          // 地面状态下 run_mission 会自动起飞
+          if (state.airborne !== true) {
+            state.airborne = true;
+            state.y = missionAltitude ?? this.defaultAltitude;
+          }
+
+          const safeWaypoints = [];
+          let changed = missionAltitude !== (args.altitude != null ? Number(args.altitude) : null);
+          for (const waypoint of waypoints) {
+            const target = {
+              x: Number(waypoint.x),
+              y: waypoint.y != null ? Number(waypoint.y) : (missionAltitude ?? state.y),
+              z: Number(waypoint.z),
+            };
+            if (![target.x, target.y, target.z].every(Number.isFinite)) {
+              report(SafetyViolation.INVALID_ARGS, stepIndex, step, `航点坐标无效: ${JSON.stringify(waypoint)}`, null);
+              safeWaypoints.push(waypoint);
+              continue;
+            }
+
+            const safeTarget = this._checkTarget(target, stepIndex, step, report, { checkAltitude: true });
+            this._checkZones(state, safeTarget, stepIndex, step, report);
+
+            const finalTarget = repair ? safeTarget : target;
+            const legs = this._splitLeg(state, finalTarget, stepIndex, step, report, repair);
+            if (legs.length === 1 && finalTarget === target) {
+              safeWaypoints.push(waypoint);
+            } else {
+              changed = true;
+              for (const point of legs) {
+                safeWaypoints.push({ ...waypoint, x: point.x, ...(waypoint.y != null || finalTarget.y !== target.y ? { y: point.y } : {}), z: point.z });
+              }
+            }
+            this._moveTo(state, finalTarget);
+          }
+
+          output.push(changed
+            ? { ...step, args: { ...args, waypoints: safeWaypoints, ...(args.altitude != null ? { altitude: missionAltitude } : {}) } }
+            : step);
+
+          if (args.landAtEnd) {
+            state.airborne = false;
+            state.y = 0;
+          }
+          break;
+        }
+
+        default:
+          output.push(step);
+      }
+    });
+
+    const approved = violations.every(v => v.repaired);
+    if (!approved) {
+      // 整体拒绝时不会执行任何修复
+      for (const v of violations) v.repaired = false;
+    }
+    const result = {
+      approved,
+      repaired: violations.length > 0 && approved,
+      mode: this.mode,
+      steps: approved ? output : steps,
+      violations,
+    };
+
+    if (violations.length > 0) {
+      this.logger.info(`Plan ${approved ? 'repaired' : 'rejected'} with ${violations.length} violation(s): ${violations.map(v => v.code).join(', ')}`);
+    }
+    return result;
+  }
+
+  /**
+   * 违规列表的中文摘要（用于回复用户）
+   * @param {Array<Object>} violations
+   * @returns {string}
+   */
+  formatViolations(violations) {
+    return violations
+      .map(v => `- 第 ${v.stepIndex + 1} 步 ${v.tool}: ${v.message}${v.repaired ? `（已自动${v.fix}）` : ''}`)
+      .join('\n');
+  }
+
+  /** @private */
+  _initialState(droneState) {
+    const position = droneState?.position;
+    const positionKnown = position != null && [position.x, position.z].every(Number.isFinite);
+    let airborne = null; // 未知
+    if (typeof droneState?.flying === 'boolean') {
+      airborne = droneState.flying;
+    } else if (positionKnown && Number.isFinite(position.y)) {
+      airborne = position.y > 0.05;
+    }
+
+    return {
+      positionKnown,
+      x: positionKnown ? position.x : 0,
+      y: Number.isFinite(position?.y) ? position.y : 0,
+      z: positionKnown ? position.z : 0,
+      heading: Number.isFinite(droneState?.heading) ? droneState.heading : 0,
+      airborne,
+    };
+  }
+
+  /** @private */
+  _findTool(availableTools, kind) {
+    if (!Array.isArray(availableTools) || availableTools.length === 0) {
+      return `drone.${kind}`;
+    }
+    return availableTools.map(t => t.name).find(name => toolKind(name) === kind) || null;
+  }
+
+  /**
+   * 移动前必须已起飞；repair 模式下在移动步骤前插入起飞
+   * @private
+   */
+  _ensureAirborne(state, stepIndex, step, report, takeOffTool, output, repair) {
+    if (state.airborne !== false) return;
+
+    report(
+      SafetyViolation.TAKEOFF_REQUIRED,
+      stepIndex,
+      step,
+      takeOffTool ? '无人机在地面，移动前需要先起飞' : '无人机在地面，移动前需要先起飞（没有可用的起飞工具）',
+      takeOffTool ? `补充起飞到 ${this.defaultAltitude}m` : null
+    );
+
+    if (repair && takeOffTool) {
+      output.push({
+        tool: takeOffTool,
+        args: { altitude: this.defaultAltitude },
+        description: '安全校验：移动前先起飞',
+      });
+    }
+    state.airborne = true;
+    state.y = Math.max(state.y, this.defaultAltitude);
+  }
+
+  /**
+   * 高度范围检查，返回夹紧后的高度
+   * @private
+   */
+  _checkAltitude(altitude, stepIndex, step, report) {
+    if (altitude > this.maxAltitude) {
+      report(SafetyViolation.ALTITUDE_MAX, stepIndex, step, `高度 ${altitude}m 超过上限 ${this.maxAltitude}m`, `调整为 ${this.maxAltitude}m`);
+      return this.maxAltitude;
+    }
+    if (altitude < this.minAltitude) {
+      report(SafetyViolation.ALTITUDE_MIN, stepIndex, step, `飞行高度 ${altitude}m 低于下限 ${this.minAltitude}m`, `调整为 ${this.minAltitude}m`);
+      return this.minAltitude;
+    }
+    return altitude;
+  }
+
+  /**
+   * 围栏与高度检查，返回夹紧后的目标点（未越界时返回原对象）
+   * @private
+   */
+  _checkTarget(target, stepIndex, step, report, options = {}) {
+    const { minX, maxX, minZ, maxZ } = this.geofence;
+    const margin = this.margin;
+    const x = Math.min(Math.max(target.x, minX + margin), maxX - margin);
+    const z = Math.min(Math.max(target.z, minZ + margin), maxZ - margin);
+    let y = target.y;
+
+    if (x !== target.x || z !== target.z) {
+      report(
+        SafetyViolation.GEOFENCE,
+        stepIndex,
+        step,
+        `目标 (${round(target.x)}, ${round(target.z)}) 超出地理围栏 x[${minX}, ${maxX}] z[${minZ}, ${maxZ}]`,
+        `修正为 (${round(x)}, ${round(z)})`
+      );
+    }
+    if (options.checkAltitude) {
+      y = this._checkAltitude(target.y, stepIndex, step, report);
+    }
+
+    return x === target.x && z === target.z && y === target.y ? target : { x: round(x), y: round(y), z: round(z) };
+  }
+
+  /**
+   * 禁飞区检查（航段穿越或终点落入均视为违规，不可自动修复）
+   * @private
+   */
+  _checkZones(state, target, stepIndex, step, report) {
+    const from = state.positionKnown ? { x: state.x, z: state.z } : null;
+    for (const zone of this.forbiddenZones) {
+      if (segmentHitsZone(from, target, zone)) {
+        report(
+          SafetyViolation.FORBIDDEN_ZONE,
+          stepIndex,
+          step,
+          `${from ? '航线穿越' : '目标位于'}禁飞区${zone.name ? ` "${zone.name}"` : ''}`,
+          null
+        );
+      }
+    }
+  }
+
+  /**
+   * 航段长度检查；超长时按上限均分，返回各段终点
+   * @private
+   */
+  _splitLeg(state, target, stepIndex, step, report, repair) {
+    if (!state.positionKnown) {
+      return [target];
+    }
+
+    const length = Math.hypot(target.x - state.x, target.y - state.y, target.z - state.z);
+    if (length <= this.maxSegment) {
+      return [target];
+    }
+
+    const count = Math.ceil(length / this.maxSegment);
+    report(SafetyViolation.SEGMENT_TOO_LONG, stepIndex, step, `单段飞行距离 ${round(length)}m 超过上限 ${this.maxSegment}m`, `拆分为 ${count} 段`);
+    if (!repair) {
+      return [target];
+    }
+
+    const legs = [];
+    for (let i = 1; i <= count; i++) {
+      const t = i / count;
+      legs.push(i === count ? target : {
+        x: round(state.x + (target.x - state.x) * t),
+        y: round(state.y + (target.y - state.y) * t),
+        z: round(state.z + (target.z - state.z) * t),
+      });
+    }
+    return legs;
+  }
+
+  /** @private */
+  _legStep(step, args, index, total) {
+    const description = step.description || step.tool;
+    return {
+      ...step,
+      args: { ...step.args, ...args },
+      description: total > 1 ? `${description}（分段 ${index + 1}/${total}）` : description,
+    };
+  }
+
+  /**
+   * 更新推演位置与机头朝向（水平移动时机头转向运动方向）
+   * @private
+   */
+  _moveTo(state, target) {
+    const dx = target.x - state.x;
+    const dz = target.z - state.z;
+    if (state.positionKnown && Math.hypot(dx, dz) > 1e-6) {
+      state.heading = ((Math.atan2(dx, -dz) * 180) / Math.PI + 360) % 360;
+    }
+    state.x = target.x;
+    state.y = target.y;
+    state.z = target.z;
+    state.positionKnown = true;
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Safety 模块导出（计划执行前的安全校验）
+ */
+
+export { PlanSafetyValidator, SafetyViolation } from './PlanSafetyValidator.js';
@@ -0,0 +1,130 @@
+/**
+ * File Session Store
+ * 每个会话一个 JSON 文件（SESSION_STORE_DIR，默认 data/sessions），进程重启后可恢复
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { SessionStore } from './SessionStore.js';
+import { createLogger } from '../utils/logger.js';
+
+const DEFAULT_DIR = 'data/sessions';
+
+export class FileSessionStore extends SessionStore {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.dir] - 会话文件目录
+   * @param {number} [config.ttlMs] - 会话过期时间
+   */
+  constructor(config = {}) {
+    super(config);
+    this.dir = path.resolve(config.dir || process.env.SESSION_STORE_DIR || DEFAULT_DIR);
+    this.logger = createLogger('FileSessionStore');
+
+    this.logger.info(`Initialized with dir: ${this.dir}`);
+  }
+
+  /**
+   * 会话文件路径（sessionId 做编码，防止路径穿越）
+   * @private
+   */
+  _filePath(sessionId) {
+    return path.join(this.dir, `${encodeURIComponent(sessionId)}.json`);
+  }
+
+  /** @private */
+  async _read(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      this.logger.warn(`Failed to read session file ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  async get(sessionId) {
+    const filePath = this._filePath(sessionId);
+    const session = await this._read(filePath);
+    if (!session) return null;
+
+    if (this.isExpired(session)) {
+      await fs.rm(filePath, { force: true });
+      return null;
+    }
+    return session;
+  }
+
+  async save(session) {
+    session.updatedAt = Date.now();
+    await fs.mkdir(this.dir, { recursive: true });
+
+    // 先写临时文件再重命名，避免写入中途崩溃损坏会话
+    const filePath = this._filePath(session.id);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(session));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async delete(sessionId) {
+    const filePath = this._filePath(sessionId);
+    try {
+      await fs.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * 读取目录下所有未过期会话（顺带删除过期文件）
+   * @private
+   */
+  async _readAll() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { sessions: [], pruned: 0 };
+      throw error;
+    }
+
+    const sessions = [];
+    let pruned = 0;
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const filePath = path.join(this.dir, file);
+      const session = await this._read(filePath);
+      if (!session) continue;
+
+      if (this.isExpired(session)) {
+        await fs.rm(filePath, { force: true });
+        pruned++;
+      } else {
+        sessions.push(session);
+      }
+    }
+    return { sessions, pruned };
+  }
+
+  async list(options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    const { sessions } = await this._readAll();
+    sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+
+    return {
+      sessions: sessions.slice(offset, offset + limit).map(s => this.summarize(s)),
+      total: sessions.length,
+    };
+  }
+
+  async prune() {
+    const { pruned } = await this._readAll();
+    if (pruned > 0) {
+      this.logger.info(`Pruned ${pruned} expired sessions`);
+    }
+    return pruned;
+  }
+}
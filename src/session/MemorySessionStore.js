@@ -0,0 +1,57 @@
+/**
+ * Memory Session Store
+ * 进程内存会话存储（重启后丢失），带 TTL 过期
+ */
+
+import { SessionStore } from './SessionStore.js';
+
+export class MemorySessionStore extends SessionStore {
+  constructor(config = {}) {
+    super(config);
+    this.sessions = new Map(); // sessionId -> session
+  }
+
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    if (this.isExpired(session)) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+    return structuredClone(session);
+  }
+
+  async save(session) {
+    session.updatedAt = Date.now();
+    this.sessions.set(session.id, structuredClone(session));
+  }
+
+  async delete(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  async list(options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    await this.prune();
+
+    const sessions = Array.from(this.sessions.values())
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+
+    return {
+      sessions: sessions.slice(offset, offset + limit).map(s => this.summarize(s)),
+      total: sessions.length,
+    };
+  }
+
+  async prune() {
+    let pruned = 0;
+    for (const [sessionId, session] of this.sessions) {
+      if (this.isExpired(session)) {
+        this.sessions.delete(sessionId);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Session Store 基类
+ * Orchestrator 会话的持久化接口（全部为异步 API）：get / save / update / delete / list / prune
+ *
+ * 会话结构：
+ * {
+ *   id, createdAt, updatedAt,
+ *   history: [{ role: 'user'|'assistant', content, timestamp }],  // 对话文本（供多轮上下文）
+ *   turns: [{ requestId, message, answer, status, plans, toolCalls, reflections, ragHits, startedAt, durationMs }]  // 每轮完整产物
+ * }
+ *
+ * TTL 为滑动过期：updatedAt + ttlMs 之后视为过期；ttlMs = 0 表示永不过期。
+ */
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 小时
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+export class SessionStore {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.ttlMs] - 会话过期时间（SESSION_TTL_MS，默认 24 小时，0 为永不过期）
+   * @param {boolean} [config.autoPrune=true] - 是否定时清理过期会话
+   */
+  constructor(config = {}) {
+    const envTtl = process.env.SESSION_TTL_MS ? parseInt(process.env.SESSION_TTL_MS, 10) : undefined;
+    this.ttlMs = config.ttlMs ?? envTtl ?? DEFAULT_TTL_MS;
+
+    // 进行中的 update：sessionId -> Promise（同一会话的读-改-写按顺序执行）
+    this._updates = new Map();
+
+    this._pruneTimer = null;
+    if (config.autoPrune !== false && this.ttlMs > 0) {
+      this._pruneTimer = setInterval(() => {
+        this.prune().catch(() => {});
+      }, Math.min(PRUNE_INTERVAL_MS, this.ttlMs));
+      this._pruneTimer.unref();
+    }
+  }
+
+  /**
+   * 创建空会话
+   * @param {string} sessionId
+   * @returns {Object}
+   */
+  createSession(sessionId) {
+    const now = Date.now();
+    return {
+      id: sessionId,
+      history: [],
+      turns: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  /**
+   * 会话是否已过期
+   * @param {Object} session
+   * @returns {boolean}
+   */
+  isExpired(session) {
+    return this.ttlMs > 0 && Date.now() - session.updatedAt > this.ttlMs;
+  }
+
+  /**
+   * 会话摘要（列表接口使用）
+   * @param {Object} session
+   * @returns {Object}
+   */
+  summarize(session) {
+    const lastTurn = session.turns?.[session.turns.length - 1];
+    return {
+      sessionId: session.id,
+      createdAt: new Date(session.createdAt).toISOString(),
+      updatedAt: new Date(session.updatedAt).toISOString(),
+      expiresAt: this.ttlMs > 0 ? new Date(session.updatedAt + this.ttlMs).toISOString() : null,
+      turnCount: session.turns?.length || 0,
+      lastMessage: lastTurn?.message || null,
+      lastStatus: lastTurn?.status || null,
+    };
+  }
+
+  /**
+   * 读取会话（不存在或已过期时返回 null）
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>}
+   */
+  async get(sessionId) {
+    throw new Error(`${this.constructor.name}.get is not implemented`);
+  }
+
+  /**
+   * 保存会话（会刷新 updatedAt）
+   * @param {Object} session
+   * @returns {Promise<void>}
+   */
+  async save(session) {
+    throw new Error(`${this.constructor.name}.save is not implemented`);
+  }
+
+  /**
+   * 读取最新会话（不存在时新建），交给 mutator 修改后保存
+   * 同一进程内对同一会话的 update 串行执行；调用方只在 mutator 中追加 / 改写自己的变更，
+   * 不要用更早读到的会话快照整体覆盖（否则会丢失其他请求同时写入的记录）
+   * @param {string} sessionId
+   * @param {Function} mutator - (session) => void | Promise<void>，抛错时不保存
+   * @returns {Promise<Object>} - 保存后的会话
+   */
+  async update(sessionId, mutator) {
+    const previous = this._updates.get(sessionId) || Promise.resolve();
+    const run = previous.then(async () => {
+      const session = (await this.get(sessionId)) || this.createSession(sessionId);
+      session.history = session.history || [];
+      session.turns = session.turns || [];
+      await mutator(session);
+      await this.save(session);
+      return session;
+    });
+
+    const settled = run.catch(() => {});
+    this._updates.set(sessionId, settled);
+    settled.then(() => {
+      if (this._updates.get(sessionId) === settled) {
+        this._updates.delete(sessionId);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * 删除会话
+   * @param {string} sessionId
+   * @returns {Promise<boolean>} - 是否存在并已删除
+   */
+  async delete(sessionId) {
+    throw new Error(`${this.constructor.name}.delete is not implemented`);
+  }
+
+  /**
+   * 列出未过期的会话摘要（按 updatedAt 倒序）
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   * @returns {Promise<{ sessions: Object[], total: number }>}
+   */
+  async list(options = {}) {
+    throw new Error(`${this.constructor.name}.list is not implemented`);
+  }
+
+  /**
+   * 清理过期会话
+   * @returns {Promise<number>} - 清理数量
+   */
+  async prune() {
+    return 0;
+  }
+
+  /**
+   * 停止定时清理
+   */
+  async close() {
+    if (this._pruneTimer) {
+      clearInterval(this._pruneTimer);
+      this._pruneTimer = null;
+    }
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Supabase Session Store
+ * 会话存储在 Supabase 表 agent_sessions（见 supabase/schema.sql），多实例共享
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { SessionStore } from './SessionStore.js';
+import { createLogger } from '../utils/logger.js';
+
+const DEFAULT_TABLE = 'agent_sessions';
+
+export class SupabaseSessionStore extends SessionStore {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.url] - Supabase URL
+   * @param {string} [config.serviceRoleKey] - Supabase Service Role Key
+   * @param {string} [config.table] - 表名，默认 agent_sessions
+   * @param {number} [config.ttlMs] - 会话过期时间
+   */
+  constructor(config = {}) {
+    super(config);
+
+    const url = config.url || process.env.SUPABASE_URL;
+    const key = config.serviceRoleKey || process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!url || !key) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+    }
+
+    this.client = createClient(url, key);
+    this.table = config.table || DEFAULT_TABLE;
+    this.logger = createLogger('SupabaseSessionStore');
+
+    this.logger.info(`Initialized with table: ${this.table}`);
+  }
+
+  /** @private */
+  _expiresAt(session) {
+    return this.ttlMs > 0 ? new Date(session.updatedAt + this.ttlMs).toISOString() : null;
+  }
+
+  async get(sessionId) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('data')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Get session failed: ${error.message}`);
+    }
+    if (!data) return null;
+
+    const session = data.data;
+    if (this.isExpired(session)) {
+      await this.delete(sessionId);
+      return null;
+    }
+    return session;
+  }
+
+  async save(session) {
+    session.updatedAt = Date.now();
+    const lastTurn = session.turns?.[session.turns.length - 1];
+
+    const { error } = await this.client
+      .from(this.table)
+      .upsert({
+        id: session.id,
+        data: session,
+        turn_count: session.turns?.length || 0,
+        last_message: lastTurn?.message || null,
+        created_at: new Date(session.createdAt).toISOString(),
+        updated_at: new Date(session.updatedAt).toISOString(),
+        expires_at: this._expiresAt(session),
+      });
+
+    if (error) {
+      throw new Error(`Save session failed: ${error.message}`);
+    }
+  }
+
+  async delete(sessionId) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .delete()
+      .eq('id', sessionId)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Delete session failed: ${error.message}`);
+    }
+    return (data || []).length > 0;
+  }
+
+  async list(options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    const now = new Date().toISOString();
+
+    // 只查摘要列，避免把所有会话的完整产物拉下来
+    const { data, error, count } = await this.client
+      .from(this.table)
+      .select('id, turn_count, last_message, created_at, updated_at, expires_at', { count: 'exact' })
+      .or(`expires_at.is.null,expires_at.gt.${now}`)
+      .order('updated_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`List sessions failed: ${error.message}`);
+    }
+
+    return {
+      sessions: (data || []).map(row => ({
+        sessionId: row.id,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        expiresAt: row.expires_at,
+        turnCount: row.turn_count || 0,
+        lastMessage: row.last_message,
+        lastStatus: null,
+      })),
+      total: count ?? (data || []).length,
+    };
+  }
+
+  async prune() {
+    const { data, error } = await this.client
+      .from(this.table)
+      .delete()
+      .lt('expires_at', new Date().toISOString())
+      .select('id');
+
+    if (error) {
+      this.logger.warn('Prune sessions failed:', error.message);
+      return 0;
+    }
+    return (data || []).length;
+  }
+}
@@ -0,0 +1,9 @@
+/**
+ * Session 模块导出
+ */
+
+export { SessionStore } from './SessionStore.js';
+export { MemorySessionStore } from './MemorySessionStore.js';
+export { FileSessionStore } from './FileSessionStore.js';
+export { SupabaseSessionStore } from './SupabaseSessionStore.js';
+export { createSessionStore, getSessionStore, resetSessionStore } from './stores.js';
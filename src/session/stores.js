@@ -0,0 +1,62 @@
+/**
+ * Session Store 选择
+ * 根据 SESSION_STORE 环境变量（或 config.store）创建对应的 SessionStore：
+ * - memory（默认）：进程内存
+ * - file：本地 JSON 文件（SESSION_STORE_DIR），重启后可恢复
+ * - supabase：Supabase 表 agent_sessions
+ */
+
+import { MemorySessionStore } from './MemorySessionStore.js';
+import { FileSessionStore } from './FileSessionStore.js';
+import { SupabaseSessionStore } from './SupabaseSessionStore.js';
+
+const DEFAULT_STORE = 'memory';
+
+/**
+ * 创建 Session Store
+ * @param {Object} [config] - 配置，会透传给具体实现
+ * @param {string} [config.store] - memory | file | supabase
+ * @returns {import('./SessionStore.js').SessionStore}
+ */
+export function createSessionStore(config = {}) {
+  const store = (config.store || process.env.SESSION_STORE || DEFAULT_STORE).toLowerCase();
+
+  switch (store) {
+    case 'memory':
+      return new MemorySessionStore(config);
+
+    case 'file':
+      return new FileSessionStore(config);
+
+    case 'supabase':
+      return new SupabaseSessionStore(config);
+
+    default:
+      throw new Error(`Unknown SESSION_STORE: ${store} (expected memory | file | supabase)`);
+  }
+}
+
+// 单例实例
+let instance = null;
+
+/**
+ * 获取 Session Store 单例
+ * @param {Object} [config] - 配置（仅首次调用时生效）
+ * @returns {import('./SessionStore.js').SessionStore}
+ */
+export function getSessionStore(config) {
+  if (!instance) {
+    instance = createSessionStore(config);
+  }
+  return instance;
+}
+
+/**
+ * 重置单例（用于测试）
+ */
+export function resetSessionStore() {
+  if (instance) {
+    instance.close().catch(() => {});
+  }
+  instance = null;
+}
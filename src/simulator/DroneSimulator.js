@@ -0,0 +1,449 @@
+/**
+ * Drone Simulator
+ * 简化的无人机运动学模拟：匀速直线移动、电量消耗、可配置的故障注入
+ *
+ * 坐标系与 DronePilotWeb 一致：地面平面以中轴交点为原点，+X 向右、+Z 向下（屏幕）、+Y 向上；
+ * 机头朝向 heading 以度为单位，0° 指向 -Z（“前进”），顺时针为正。
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const TICK_MS = 100; // 模拟步长（模拟时间）
+
+// MCP 工具名 -> 模拟器方法
+const TOOL_METHODS = {
+  'drone.get_state': 'getState',
+  'drone.take_off': 'takeOff',
+  'drone.land': 'land',
+  'drone.move_to': 'moveTo',
+  'drone.move_relative': 'moveRelative',
+  'drone.run_mission': 'runMission',
+  'drone.hover': 'hover',
+  'drone.stop': 'stop',
+};
+
+const DroneStatus = {
+  LANDED: 'landed',
+  TAKING_OFF: 'taking_off',
+  HOVERING: 'hovering',
+  MOVING: 'moving',
+  LANDING: 'landing',
+};
+
+/**
+ * 可设定种子的伪随机数（mulberry32），保证故障注入可复现
+ * @private
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function envNumber(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return defaultValue;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export class DroneSimulator {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.speed] - 水平速度 m/s（SIM_SPEED，默认 1.0）
+   * @param {number} [config.verticalSpeed] - 垂直速度 m/s（SIM_VERTICAL_SPEED，默认 0.5）
+   * @param {number} [config.timeScale] - 时间倍率，0 表示瞬时完成（SIM_TIME_SCALE，默认 1）
+   * @param {number} [config.battery] - 初始电量 %（SIM_BATTERY，默认 100）
+   * @param {number} [config.drainPerSecond] - 飞行中每秒耗电 %（SIM_BATTERY_DRAIN_PER_SEC，默认 0.05）
+   * @param {number} [config.drainPerMeter] - 每米移动耗电 %（SIM_BATTERY_DRAIN_PER_METER，默认 0.2）
+   * @param {number} [config.lowBattery] - 低电量阈值 %，低于该值拒绝新的移动指令（SIM_LOW_BATTERY，默认 15）
+   * @param {number} [config.criticalBattery] - 严重低电量 %，低于该值自动降落（SIM_CRITICAL_BATTERY，默认 5）
+   * @param {number} [config.maxAltitude] - 最大飞行高度 m（SIM_MAX_ALTITUDE，默认 10）
+   * @param {number} [config.failureRate] - 每次指令随机失败概率 0-1（SIM_FAILURE_RATE，默认 0）
+   * @param {string[]} [config.failTools] - 总是失败的工具名（SIM_FAIL_TOOLS，逗号分隔）
+   * @param {number} [config.seed] - 随机种子（SIM_SEED，默认 42）
+   */
+  constructor(config = {}) {
+    this.speed = config.speed ?? envNumber('SIM_SPEED', 1.0);
+    this.verticalSpeed = config.verticalSpeed ?? envNumber('SIM_VERTICAL_SPEED', 0.5);
+    this.timeScale = config.timeScale ?? envNumber('SIM_TIME_SCALE', 1);
+    this.drainPerSecond = config.drainPerSecond ?? envNumber('SIM_BATTERY_DRAIN_PER_SEC', 0.05);
+    this.drainPerMeter = config.drainPerMeter ?? envNumber('SIM_BATTERY_DRAIN_PER_METER', 0.2);
+    this.lowBattery = config.lowBattery ?? envNumber('SIM_LOW_BATTERY', 15);
+    this.criticalBattery = config.criticalBattery ?? envNumber('SIM_CRITICAL_BATTERY', 5);
+    this.maxAltitude = config.maxAltitude ?? envNumber('SIM_MAX_ALTITUDE', 10);
+    this.failureRate = config.failureRate ?? envNumber('SIM_FAILURE_RATE', 0);
+    this.failTools = new Set(config.failTools ??
+      (process.env.SIM_FAIL_TOOLS || '').split(',').map(s => s.trim()).filter(Boolean));
+    this.random = createRandom(config.seed ?? envNumber('SIM_SEED', 42));
+
+    this.state = {
+      position: { x: 0, y: 0, z: 0 },
+      heading: 0,
+      status: DroneStatus.LANDED,
+      battery: config.battery ?? envNumber('SIM_BATTERY', 100),
+      mission: null,
+    };
+    this.simulatedTimeMs = 0;
+    this.distanceTravelled = 0; // 累计飞行距离（米）
+    this.logger = createLogger('DroneSimulator');
+  }
+
+  /**
+   * 从 drone.get_state 结构恢复状态（预演时以真实无人机的当前状态为起点）
+   * @param {Object} [state] - { position, heading, flying, status, battery }
+   */
+  loadState(state) {
+    if (!state) return;
+    const position = state.position || {};
+    const y = Number(position.y) || 0;
+    const airborne = state.flying ?? (state.status ? state.status !== DroneStatus.LANDED : y > 0);
+
+    this.state.position = { x: Number(position.x) || 0, y, z: Number(position.z) || 0 };
+    this.state.heading = Number(state.heading) || 0;
+    this.state.status = airborne ? DroneStatus.HOVERING : DroneStatus.LANDED;
+    if (Number.isFinite(state.battery)) {
+      this.state.battery = state.battery;
+    }
+  }
+
+  /**
+   * 是否支持该 MCP 工具
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasTool(name) {
+    return Object.prototype.hasOwnProperty.call(TOOL_METHODS, name);
+  }
+
+  /**
+   * 按 MCP 工具名调用
+   * @param {string} name - 工具名（drone.*）
+   * @param {Object} [args]
+   * @param {Object} [options] - { signal, onProgress }
+   * @returns {Promise<Object>}
+   */
+  async callTool(name, args = {}, options = {}) {
+    if (!this.hasTool(name)) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+    return this[TOOL_METHODS[name]](args, options);
+  }
+
+  /**
+   * 当前状态（drone.get_state 的返回结构）
+   * @returns {Object}
+   */
+  getState() {
+    const { position, heading, status, battery, mission } = this.state;
+    return {
+      position: { x: round(position.x), y: round(position.y), z: round(position.z) },
+      heading: round(heading),
+      status,
+      flying: status !== DroneStatus.LANDED,
+      isActive: [DroneStatus.TAKING_OFF, DroneStatus.MOVING, DroneStatus.LANDING].includes(status),
+      queueLength: 0,
+      battery: round(battery),
+      mission,
+      simulatedTimeMs: this.simulatedTimeMs,
+    };
+  }
+
+  /**
+   * 起飞到指定高度
+   * @param {Object} args - { altitude }
+   * @param {Object} [options] - { signal }
+   */
+  async takeOff(args = {}, options = {}) {
+    this._checkFailure('drone.take_off');
+    if (this.state.status !== DroneStatus.LANDED) {
+      throw new Error('Drone is already airborne');
+    }
+    this._checkBattery();
+
+    const altitude = this._number(args.altitude ?? 1.0, 'altitude');
+    if (altitude <= 0 || altitude > this.maxAltitude) {
+      throw new Error(`altitude must be in (0, ${this.maxAltitude}]`);
+    }
+
+    this.state.status = DroneStatus.TAKING_OFF;
+    await this._travel({ ...this.state.position, y: altitude }, options);
+    this.state.status = DroneStatus.HOVERING;
+    return this._result('take_off');
+  }
+
+  /**
+   * 降落到地面
+   * @param {Object} [args]
+   * @param {Object} [options] - { signal }
+   */
+  async land(args = {}, options = {}) {
+    this._checkFailure('drone.land');
+    if (this.state.status === DroneStatus.LANDED) {
+      return this._result('land', { message: 'Already landed' });
+    }
+
+    this.state.status = DroneStatus.LANDING;
+    await this._travel({ ...this.state.position, y: 0 }, options);
+    this.state.status = DroneStatus.LANDED;
+    return this._result('land');
+  }
+
+  /**
+   * 移动到世界坐标
+   * @param {Object} args - { x, z, y? }（y 缺省时保持当前高度）
+   * @param {Object} [options] - { signal }
+   */
+  async moveTo(args = {}, options = {}) {
+    this._checkFailure('drone.move_to');
+    this._checkAirborne();
+    this._checkBattery();
+
+    const target = {
+      x: this._number(args.x, 'x'),
+      y: args.y == null ? this.state.position.y : this._number(args.y, 'y'),
+      z: this._number(args.z, 'z'),
+    };
+    this._checkAltitude(target.y);
+
+    await this._moveAndFace(target, options);
+    return this._result('move_to');
+  }
+
+  /**
+   * 相对移动
+   * @param {Object} args - { dx, dy, dz, frame }；frame=body 时 dx 为向右、dz 为向后（相对机头）
+   * @param {Object} [options] - { signal }
+   */
+  async moveRelative(args = {}, options = {}) {
+    this._checkFailure('drone.move_relative');
+    this._checkAirborne();
+    this._checkBattery();
+
+    const dx = this._number(args.dx ?? 0, 'dx');
+    const dy = this._number(args.dy ?? 0, 'dy');
+    const dz = this._number(args.dz ?? 0, 'dz');
+    const frame = args.frame || 'world';
+    if (!['world', 'body'].includes(frame)) {
+      throw new Error(`frame must be "world" or "body", got: ${frame}`);
+    }
+
+    let worldDx = dx;
+    let worldDz = dz;
+    if (frame === 'body') {
+      const rad = (this.state.heading * Math.PI) / 180;
+      worldDx = dx * Math.cos(rad) - dz * Math.sin(rad);
+      worldDz = dx * Math.sin(rad) + dz * Math.cos(rad);
+    }
+
+    const { position } = this.state;
+    const target = { x: position.x + worldDx, y: position.y + dy, z: position.z + worldDz };
+    this._checkAltitude(target.y);
+
+    await this._travel(target, options);
+    this.state.status = DroneStatus.HOVERING;
+    return this._result('move_relative');
+  }
+
+  /**
+   * 航线任务：依次飞过所有航点
+   * @param {Object} args - { waypoints: [{ x, z, y? }], altitude?, landAtEnd? }
+   * @param {Object} [options] - { signal, onProgress }
+   */
+  async runMission(args = {}, options = {}) {
+    this._checkFailure('drone.run_mission');
+    const waypoints = args.waypoints;
+    if (!Array.isArray(waypoints) || waypoints.length === 0) {
+      throw new Error('waypoints must be a non-empty array');
+    }
+
+    // 地面状态下自动起飞
+    if (this.state.status === DroneStatus.LANDED) {
+      await this.takeOff({ altitude: args.altitude ?? 1.0 }, options);
+    }
+
+    this.state.mission = { index: 0, total: waypoints.length };
+    try {
+      for (let i = 0; i < waypoints.length; i++) {
+        this.state.mission.index = i + 1;
+        const wp = waypoints[i] || {};
+        this._checkBattery();
+
+        const target = {
+          x: this._number(wp.x, `waypoints[${i}].x`),
+          y: wp.y == null ? (args.altitude ?? this.state.position.y) : this._number(wp.y, `waypoints[${i}].y`),
+          z: this._number(wp.z, `waypoints[${i}].z`),
+        };
+        this._checkAltitude(target.y);
+
+        await this._moveAndFace(target, options);
+        options.onProgress?.({ progress: i + 1, total: waypoints.length });
+      }
+    } finally {
+      this.state.mission = null;
+    }
+
+    if (args.landAtEnd) {
+      await this.land({}, options);
+    }
+    return this._result('run_mission', { waypoints: waypoints.length });
+  }
+
+  /**
+   * 原地悬停
+   */
+  async hover() {
+    this._checkFailure('drone.hover');
+    this._checkAirborne();
+    this.state.status = DroneStatus.HOVERING;
+    return this._result('hover');
+  }
+
+  /**
+   * 停止当前动作（进行中的移动由 MCP 请求取消中止，这里只把状态收敛为悬停/着陆）
+   */
+  async stop() {
+    this._checkFailure('drone.stop');
+    if (this.state.status !== DroneStatus.LANDED) {
+      this.state.status = this.state.position.y > 0 ? DroneStatus.HOVERING : DroneStatus.LANDED;
+    }
+    this.state.mission = null;
+    return this._result('stop');
+  }
+
+  /**
+   * 朝向目标后移动（机头对准水平移动方向）
+   * @private
+   */
+  async _moveAndFace(target, options) {
+    const { position } = this.state;
+    const dx = target.x - position.x;
+    const dz = target.z - position.z;
+    if (Math.hypot(dx, dz) > 1e-6) {
+      this.state.heading = ((Math.atan2(dx, -dz) * 180) / Math.PI + 360) % 360;
+    }
+
+    this.state.status = DroneStatus.MOVING;
+    await this._travel(target, options);
+    this.state.status = DroneStatus.HOVERING;
+  }
+
+  /**
+   * 按速度匀速移动到目标点，按 TICK_MS 推进模拟时间并耗电；signal 中止时停在当前位置
+   * @private
+   */
+  async _travel(target, options = {}) {
+    const { signal } = options;
+    const start = { ...this.state.position };
+    const horizontal = Math.hypot(target.x - start.x, target.z - start.z);
+    const vertical = Math.abs(target.y - start.y);
+    const durationMs = Math.max(horizontal / this.speed, vertical / this.verticalSpeed) * 1000;
+    const ticks = Math.max(1, Math.ceil(durationMs / TICK_MS));
+    const distance = Math.hypot(horizontal, vertical);
+
+    for (let tick = 1; tick <= ticks; tick++) {
+      if (signal?.aborted) {
+        this.state.status = this.state.position.y > 0 ? DroneStatus.HOVERING : DroneStatus.LANDED;
+        throw new Error('Movement cancelled');
+      }
+
+      if (this.timeScale > 0) {
+        await new Promise(resolve => setTimeout(resolve, TICK_MS / this.timeScale));
+      }
+
+      const ratio = tick / ticks;
+      const prev = { ...this.state.position };
+      this.state.position = {
+        x: start.x + (target.x - start.x) * ratio,
+        y: start.y + (target.y - start.y) * ratio,
+        z: start.z + (target.z - start.z) * ratio,
+      };
+
+      const stepMs = durationMs / ticks;
+      const stepDistance = Math.hypot(
+        this.state.position.x - prev.x,
+        this.state.position.y - prev.y,
+        this.state.position.z - prev.z
+      );
+      this.simulatedTimeMs += stepMs;
+      this.distanceTravelled += stepDistance;
+      this.state.battery = Math.max(0, this.state.battery - (stepMs / 1000) * this.drainPerSecond - stepDistance * this.drainPerMeter);
+
+      // 严重低电量：放弃当前目标，原地降落
+      if (this.state.battery <= this.criticalBattery && this.state.status !== DroneStatus.LANDING && this.state.position.y > 0) {
+        this.logger.warn(`Critical battery (${round(this.state.battery)}%), forcing landing`);
+        this.state.status = DroneStatus.LANDING;
+        this.state.mission = null;
+        await this._travel({ ...this.state.position, y: 0 }, {});
+        this.state.status = DroneStatus.LANDED;
+        throw new Error(`Critical battery (${round(this.state.battery)}%), drone landed at current position`);
+      }
+    }
+
+    this.logger.debug(`Travelled ${round(distance)}m in ${round(durationMs)}ms (simulated)`);
+  }
+
+  /**
+   * 故障注入
+   * @private
+   */
+  _checkFailure(toolName) {
+    if (this.failTools.has(toolName)) {
+      throw new Error(`Simulated failure: ${toolName}`);
+    }
+    if (this.failureRate > 0 && this.random() < this.failureRate) {
+      throw new Error(`Simulated random failure: ${toolName}`);
+    }
+  }
+
+  /** @private */
+  _checkAirborne() {
+    if (this.state.status === DroneStatus.LANDED) {
+      throw new Error('Drone is on the ground; take off first');
+    }
+  }
+
+  /** @private */
+  _checkBattery() {
+    if (this.state.battery <= this.lowBattery) {
+      throw new Error(`Battery too low (${round(this.state.battery)}%), only landing is allowed`);
+    }
+  }
+
+  /** @private */
+  _checkAltitude(y) {
+    if (y < 0 || y > this.maxAltitude) {
+      throw new Error(`Target altitude ${y} out of range [0, ${this.maxAltitude}]`);
+    }
+  }
+
+  /** @private */
+  _number(value, name) {
+    const num = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(num)) {
+      throw new Error(`${name} must be a number`);
+    }
+    return num;
+  }
+
+  /** @private */
+  _result(action, extra = {}) {
+    return {
+      success: true,
+      action,
+      ...extra,
+      state: this.getState(),
+    };
+  }
+}
+
+export { DroneStatus };
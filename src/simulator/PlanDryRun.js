@@ -0,0 +1,123 @@
+/**
+ * Plan Dry Run
+ * 计划预演：不调用 Executor / 真实无人机，按 MCP inputSchema 校验每一步的参数，
+ * 再用瞬时模式的 DroneSimulator 推演步骤结果，估算耗时与航迹长度
+ */
+
+import { DroneSimulator } from './DroneSimulator.js';
+import { formatSchemaErrors } from '../utils/jsonSchema.js';
+import { validateToolArgs } from '../utils/toolArgs.js';
+import { createLogger } from '../utils/logger.js';
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export class PlanDryRun {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.simulator] - DroneSimulator 配置（速度等，默认沿用 SIM_* 环境变量）
+   */
+  constructor(config = {}) {
+    this.simulatorConfig = config.simulator || {};
+    this.logger = createLogger('PlanDryRun');
+  }
+
+  /**
+   * 预演计划
+   * @param {Array<Object>} steps - 计划步骤 [{ tool, args, description }]
+   * @param {Object} [context]
+   * @param {Object} [context.droneState] - 起始状态（drone.get_state 结构），缺省为原点着陆
+   * @param {Array<Object>} [context.availableTools] - MCP 工具列表（含 inputSchema）
+   * @returns {Promise<Object>} - { valid, allSuccess, results, estimatedDurationMs, pathLength, finalState }
+   */
+  async run(steps, context = {}) {
+    const { droneState = null, availableTools = [] } = context;
+    const toolsByName = new Map(availableTools.map(tool => [tool.name, tool]));
+
+    // 瞬时、无故障注入：预演只反映计划本身的问题
+    const simulator = new DroneSimulator({
+      ...this.simulatorConfig,
+      timeScale: 0,
+      failureRate: 0,
+      failTools: [],
+    });
+    simulator.loadState(droneState);
+
+    const results = [];
+    let valid = true;
+    let allSuccess = true;
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      let args = step.args || {};
+      const result = {
+        step: i + 1,
+        tool: step.tool,
+        args,
+        description: step.description,
+        success: false,
+        simulated: false,
+        validationErrors: [],
+        estimatedDurationMs: 0,
+        distance: 0,
+      };
+
+      // 1. 参数校验（按 MCP Server 实际暴露的 inputSchema，与 Executor 一致先做类型修正）
+      const tool = toolsByName.get(step.tool);
+      if (availableTools.length > 0 && !tool) {
+        result.error = `Unknown tool: ${step.tool}`;
+      } else if (tool) {
+        const checked = validateToolArgs(tool, args);
+        args = checked.args;
+        result.args = args;
+        result.validationErrors = checked.errors;
+        if (!checked.valid) {
+          result.error = `Invalid arguments: ${formatSchemaErrors(checked.errors)}`;
+        }
+      }
+
+      if (result.error) {
+        valid = false;
+      } else if (!simulator.hasTool(step.tool)) {
+        // 模拟器未建模的工具：参数合法即视为成功，不影响位置估算
+        result.success = true;
+        result.note = '模拟器未建模该工具，未推演';
+      } else {
+        // 2. 推演步骤结果
+        const timeBefore = simulator.simulatedTimeMs;
+        const distanceBefore = simulator.distanceTravelled;
+        try {
+          await simulator.callTool(step.tool, args);
+          result.success = true;
+        } catch (error) {
+          result.error = error.message;
+        }
+        result.simulated = true;
+        result.estimatedDurationMs = Math.round(simulator.simulatedTimeMs - timeBefore);
+        result.distance = round(simulator.distanceTravelled - distanceBefore);
+      }
+
+      result.stateAfter = simulator.getState();
+      results.push(result);
+
+      if (!result.success) {
+        allSuccess = false;
+        // 与 Executor 的 stopOnError 一致：失败后的步骤不再推演
+        break;
+      }
+    }
+
+    const report = {
+      valid,
+      allSuccess,
+      results,
+      skippedSteps: steps.length - results.length,
+      estimatedDurationMs: Math.round(simulator.simulatedTimeMs),
+      pathLength: round(simulator.distanceTravelled),
+      finalState: simulator.getState(),
+    };
+    this.logger.info(`Dry run: ${results.length}/${steps.length} steps, ${report.pathLength}m, ~${report.estimatedDurationMs}ms, ${allSuccess ? 'ok' : 'failed'}`);
+    return report;
+  }
+}
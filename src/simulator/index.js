@@ -0,0 +1,6 @@
+/**
+ * 无人机模拟器模块导出
+ */
+
+export { DroneSimulator, DroneStatus } from './DroneSimulator.js';
+export { PlanDryRun } from './PlanDryRun.js';
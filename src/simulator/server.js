@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Drone Simulator MCP Server (stdio)
+ * 在没有 DronePilotWeb 的环境下提供 drone.* 工具，供 ExecutorAgent / 编排 ReAct 循环本地联调与自动化测试
+ *
+ * 用法：MCP_SERVER_PATH=src/simulator/server.js npm run agent:executor
+ * 模拟参数见 DroneSimulator（SIM_* 环境变量）
+ */
+
+import 'dotenv/config';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { DroneSimulator } from './DroneSimulator.js';
+import { createLogger } from '../utils/logger.js';
+
+// stdio 传输占用 stdout，日志统一改走 stderr
+console.log = (...args) => console.error(...args);
+
+const logger = createLogger('SimulatorMcpServer');
+
+const point = {
+  x: { type: 'number', description: 'X 坐标（米，+X 向右）' },
+  y: { type: 'number', description: '高度（米，+Y 向上；缺省保持当前高度）' },
+  z: { type: 'number', description: 'Z 坐标（米，+Z 向下/屏幕下方）' },
+};
+
+const TOOLS = [
+  {
+    name: 'drone.get_state',
+    description: '获取无人机当前状态（位置、朝向、电量、飞行状态）',
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'drone.take_off',
+    description: '起飞到指定高度',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        altitude: { type: 'number', description: '目标高度（米），默认 1.0' },
+      },
+    },
+  },
+  {
+    name: 'drone.land',
+    description: '在当前位置降落',
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'drone.move_to',
+    description: '移动到世界坐标 (x, y, z)',
+    inputSchema: {
+      type: 'object',
+      properties: point,
+      required: ['x', 'z'],
+    },
+  },
+  {
+    name: 'drone.move_relative',
+    description: '相对移动。frame=world 时按世界坐标轴（前进为 -Z）；frame=body 时相对机头朝向（dx 向右，dz 向后）',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dx: { type: 'number', description: 'X 方向位移（米）' },
+        dy: { type: 'number', description: '垂直位移（米）' },
+        dz: { type: 'number', description: 'Z 方向位移（米）' },
+        frame: { type: 'string', enum: ['world', 'body'], description: '参考系，默认 world' },
+      },
+    },
+  },
+  {
+    name: 'drone.run_mission',
+    description: '按顺序飞过一组航点（地面状态下自动起飞）',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        waypoints: {
+          type: 'array',
+          items: { type: 'object', properties: point, required: ['x', 'z'] },
+          description: '航点列表',
+        },
+        altitude: { type: 'number', description: '航点未指定 y 时使用的飞行高度' },
+        landAtEnd: { type: 'boolean', description: '结束后是否降落' },
+      },
+      required: ['waypoints'],
+    },
+  },
+  {
+    name: 'drone.hover',
+    description: '原地悬停',
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'drone.stop',
+    description: '停止当前动作并保持位置',
+    inputSchema: { type: 'object', properties: {} },
+  },
+];
+
+async function main() {
+  const simulator = new DroneSimulator();
+
+  const server = new Server(
+    { name: 'dpw-drone-simulator', version: '1.0.0' },
+    { capabilities: { tools: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args = {} } = request.params;
+    if (!simulator.hasTool(name)) {
+      return {
+        isError: true,
+        content: [{ type: 'text', text: JSON.stringify({ success: false, error: `Unknown tool: ${name}` }) }],
+      };
+    }
+
+    // 调用方请求了进度通知时（progressToken），转发航线进度
+    const progressToken = extra._meta?.progressToken;
+    const onProgress = progressToken === undefined ? undefined : ({ progress, total }) => {
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total },
+      }).catch(() => {});
+    };
+
+    try {
+      const result = await simulator.callTool(name, args, { signal: extra.signal, onProgress });
+      logger.debug(`${name} ok`, args);
+      return { content: [{ type: 'text', text: JSON.stringify(result) }] };
+    } catch (error) {
+      logger.warn(`${name} failed: ${error.message}`);
+      return {
+        isError: true,
+        content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message, state: simulator.getState() }) }],
+      };
+    }
+  });
+
+  await server.connect(new StdioServerTransport());
+  logger.info(`Drone simulator MCP server ready (${TOOLS.length} tools, timeScale=${simulator.timeScale})`);
+}
+
+main().catch(error => {
+  logger.error('Failed to start simulator MCP server:', error);
+  process.exit(1);
+});
@@ -0,0 +1,468 @@
+/**
+ * Supervisor
+ * 以子进程运行各 Agent（及 Web API）并负责其生命周期：
+ * - 启动：按依赖顺序启动，依赖的健康检查地址（/ping）可用后才启动下游服务
+ * - 监控：定期健康检查，进程退出或连续健康检查失败时按指数退避重启
+ * - 状态：GET /status 汇总各服务状态（SUPERVISOR_PORT）
+ * - 退出：先停下游再停上游，子进程收到 SIGTERM 后等待进行中的任务结束，超时才 SIGKILL
+ */
+
+import { spawn } from 'child_process';
+import express from 'express';
+import { getApiKeyAuth, Scope } from '../auth/ApiKeyAuth.js';
+import { createLogger } from '../utils/logger.js';
+
+/** 服务状态 */
+export const ServiceStatus = {
+  PENDING: 'pending',     // 等待依赖就绪
+  STARTING: 'starting',   // 进程已启动，等待健康检查通过
+  READY: 'ready',
+  UNHEALTHY: 'unhealthy', // 进程在运行但健康检查失败
+  BACKOFF: 'backoff',     // 已退出，等待重启
+  FAILED: 'failed',       // 连续重启次数超过上限，不再重启
+  STOPPING: 'stopping',
+  STOPPED: 'stopped',
+};
+
+const DEFAULT_PORT = 9100;
+const DEFAULT_READY_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_HEALTH_CHECK_MS = 10 * 1000;
+const DEFAULT_UNHEALTHY_THRESHOLD = 3;
+const DEFAULT_RESTART_BASE_MS = 1000;
+const DEFAULT_RESTART_MAX_MS = 30 * 1000;
+const DEFAULT_MAX_RESTARTS = 10;
+const DEFAULT_STABLE_MS = 60 * 1000;
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 30 * 1000;
+const READY_POLL_MS = 250;
+const PING_TIMEOUT_MS = 2000;
+
+function envInt(name, fallback) {
+  return parseInt(process.env[name]) || fallback;
+}
+
+function toIso(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+export class Supervisor {
+  /**
+   * @param {Object} config
+   * @param {Array<Object>} config.services - 服务定义 [{ name, script, healthUrl, dependsOn?, args?, env? }]
+   * @param {number} [config.port] - 状态接口端口（SUPERVISOR_PORT，默认 9100，0 表示不启动）
+   * @param {number} [config.readyTimeoutMs] - 启动后等待健康检查通过的时间（SUPERVISOR_READY_TIMEOUT_MS，默认 30 秒）
+   * @param {number} [config.healthCheckMs] - 健康检查间隔（SUPERVISOR_HEALTH_CHECK_MS，默认 10 秒）
+   * @param {number} [config.unhealthyThreshold] - 连续几次健康检查失败后重启（SUPERVISOR_UNHEALTHY_THRESHOLD，默认 3）
+   * @param {number} [config.restartBaseMs] - 重启退避初始延迟，每次翻倍（SUPERVISOR_RESTART_BASE_MS，默认 1 秒）
+   * @param {number} [config.restartMaxMs] - 重启退避最大延迟（SUPERVISOR_RESTART_MAX_MS，默认 30 秒）
+   * @param {number} [config.maxRestarts] - 连续重启上限，超过后标记为 failed（SUPERVISOR_MAX_RESTARTS，默认 10）
+   * @param {number} [config.stableMs] - 进程运行超过该时间后退出，重启计数从头开始（默认 60 秒）
+   * @param {number} [config.stopTimeoutMs] - SIGTERM 后等待退出的时间，超时 SIGKILL（默认 SHUTDOWN_TIMEOUT_MS + 5 秒）
+   */
+  constructor(config) {
+    this.logger = createLogger('Supervisor');
+    this.port = config.port ?? (process.env.SUPERVISOR_PORT !== undefined ? parseInt(process.env.SUPERVISOR_PORT) : DEFAULT_PORT);
+    this.readyTimeoutMs = config.readyTimeoutMs ?? envInt('SUPERVISOR_READY_TIMEOUT_MS', DEFAULT_READY_TIMEOUT_MS);
+    this.healthCheckMs = config.healthCheckMs ?? envInt('SUPERVISOR_HEALTH_CHECK_MS', DEFAULT_HEALTH_CHECK_MS);
+    this.unhealthyThreshold = config.unhealthyThreshold ?? envInt('SUPERVISOR_UNHEALTHY_THRESHOLD', DEFAULT_UNHEALTHY_THRESHOLD);
+    this.restartBaseMs = config.restartBaseMs ?? envInt('SUPERVISOR_RESTART_BASE_MS', DEFAULT_RESTART_BASE_MS);
+    this.restartMaxMs = config.restartMaxMs ?? envInt('SUPERVISOR_RESTART_MAX_MS', DEFAULT_RESTART_MAX_MS);
+    this.maxRestarts = config.maxRestarts ?? envInt('SUPERVISOR_MAX_RESTARTS', DEFAULT_MAX_RESTARTS);
+    this.stableMs = config.stableMs ?? DEFAULT_STABLE_MS;
+    this.stopTimeoutMs = config.stopTimeoutMs ?? envInt('SHUTDOWN_TIMEOUT_MS', DEFAULT_SHUTDOWN_TIMEOUT_MS) + 5000;
+
+    this.services = new Map(); // name -> 运行状态
+    for (const definition of config.services) {
+      this.services.set(definition.name, {
+        ...definition,
+        dependsOn: definition.dependsOn || [],
+        status: ServiceStatus.PENDING,
+        proc: null,
+        restarts: 0,
+        attempts: 0, // 连续重启次数（运行超过 stableMs 后清零）
+        healthFailures: 0,
+        startedAt: null,
+        readyAt: null,
+        lastExit: null,
+        lastHealthCheck: null,
+        restartTimer: null,
+        waiters: [],
+      });
+    }
+    this._checkDependencies();
+
+    this.startedAt = null;
+    this.stopping = false;
+    this.stopPromise = null;
+    this.healthTimer = null;
+    this.httpServer = null;
+  }
+
+  /**
+   * 按依赖顺序启动所有服务（互不依赖的服务并行启动），全部就绪后返回
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.startedAt = Date.now();
+    await this._startStatusServer();
+
+    const started = new Map();
+    const startService = (name) => {
+      if (!started.has(name)) {
+        const state = this.services.get(name);
+        started.set(name, (async () => {
+          await Promise.all(state.dependsOn.map(dep => startService(dep)));
+          if (this.stopping) {
+            return;
+          }
+          this._spawn(state);
+          await this._whenReady(state);
+        })());
+      }
+      return started.get(name);
+    };
+
+    await Promise.all([...this.services.keys()].map(startService));
+
+    this.healthTimer = setInterval(() => this.checkHealth(), this.healthCheckMs);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * 对运行中的服务做一次健康检查，连续失败达到阈值时重启
+   * @returns {Promise<void>}
+   */
+  async checkHealth() {
+    const running = [...this.services.values()].filter(state =>
+      state.status === ServiceStatus.READY || state.status === ServiceStatus.UNHEALTHY
+    );
+
+    await Promise.all(running.map(async (state) => {
+      const proc = state.proc;
+      const ok = await this._ping(state);
+      if (this.stopping || state.proc !== proc) {
+        return;
+      }
+      state.lastHealthCheck = Date.now();
+
+      if (ok) {
+        if (state.status === ServiceStatus.UNHEALTHY) {
+          this.logger.info(`${state.name} is healthy again`);
+        }
+        state.healthFailures = 0;
+        this._setStatus(state, ServiceStatus.READY);
+        return;
+      }
+
+      state.healthFailures++;
+      this._setStatus(state, ServiceStatus.UNHEALTHY);
+      this.logger.warn(`${state.name} health check failed (${state.healthFailures}/${this.unhealthyThreshold})`);
+      if (state.healthFailures >= this.unhealthyThreshold) {
+        this.logger.error(`${state.name} is unresponsive, restarting`);
+        this._terminate(state);
+      }
+    }));
+  }
+
+  /**
+   * 汇总状态
+   * @returns {{ status: string, uptimeMs: number, services: Array<Object> }}
+   */
+  status() {
+    const services = [...this.services.values()].map(state => ({
+      name: state.name,
+      status: state.status,
+      pid: state.proc?.pid ?? null,
+      healthUrl: state.healthUrl,
+      dependsOn: state.dependsOn,
+      restarts: state.restarts,
+      startedAt: toIso(state.startedAt),
+      readyAt: toIso(state.readyAt),
+      lastHealthCheck: toIso(state.lastHealthCheck),
+      lastExit: state.lastExit && { ...state.lastExit, at: toIso(state.lastExit.at) },
+    }));
+
+    let status = 'ok';
+    if (this.stopping) {
+      status = 'stopping';
+    } else if (services.some(service => service.status !== ServiceStatus.READY)) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      uptimeMs: this.startedAt ? Date.now() - this.startedAt : 0,
+      services,
+    };
+  }
+
+  /**
+   * 优雅停止：先停依赖方再停被依赖方，等待每个进程退出（超时 SIGKILL）。重复调用返回同一个 Promise
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.stopPromise) {
+      this.stopPromise = this._shutdown();
+    }
+    return this.stopPromise;
+  }
+
+  /**
+   * @private
+   */
+  async _shutdown() {
+    this.stopping = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+
+    const stopped = new Map();
+    const stopService = (name) => {
+      if (!stopped.has(name)) {
+        const state = this.services.get(name);
+        const dependents = [...this.services.values()].filter(other => other.dependsOn.includes(name));
+        stopped.set(name, (async () => {
+          await Promise.all(dependents.map(other => stopService(other.name)));
+          clearTimeout(state.restartTimer);
+          if (state.proc) {
+            this._setStatus(state, ServiceStatus.STOPPING);
+            await this._terminate(state);
+          }
+          this._setStatus(state, ServiceStatus.STOPPED);
+        })());
+      }
+      return stopped.get(name);
+    };
+
+    await Promise.all([...this.services.keys()].map(stopService));
+
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(resolve));
+      this.httpServer = null;
+    }
+    this.logger.info('All services stopped');
+  }
+
+  /**
+   * 启动子进程，并在后台等待其健康检查通过
+   * @private
+   */
+  _spawn(state) {
+    this.logger.info(`Starting ${state.name}...`);
+
+    // LOG_SERVICE 标记子进程的 JSON 日志（service 字段、LOG_FILE 的 {service} 占位符）
+    const proc = spawn(process.execPath, [state.script, ...(state.args || [])], {
+      stdio: ['inherit', 'pipe', 'pipe'],
+      env: { ...process.env, LOG_SERVICE: state.name, ...state.env },
+    });
+
+    // JSON 日志已带 service 字段，原样转发以保持每行一个 JSON
+    const prefix = process.env.LOG_FORMAT === 'json' ? '' : `[${state.name}] `;
+
+    proc.stdout.on('data', (data) => {
+      process.stdout.write(`${prefix}${data}`);
+    });
+
+    proc.stderr.on('data', (data) => {
+      process.stderr.write(`${prefix}${data}`);
+    });
+
+    proc.on('error', (error) => {
+      this.logger.error(`${state.name} process error: ${error.message}`);
+    });
+
+    proc.on('exit', (code, signal) => this._onExit(state, proc, code, signal));
+
+    state.proc = proc;
+    state.startedAt = Date.now();
+    state.readyAt = null;
+    state.healthFailures = 0;
+    this._setStatus(state, ServiceStatus.STARTING);
+    this._waitUntilReady(state, proc);
+  }
+
+  /**
+   * 轮询健康检查地址直到通过；超时则终止进程（退出后按退避重启）
+   * @private
+   */
+  async _waitUntilReady(state, proc) {
+    const deadline = Date.now() + this.readyTimeoutMs;
+
+    while (state.proc === proc && !this.stopping) {
+      if (await this._ping(state)) {
+        if (state.proc === proc && !this.stopping) {
+          state.readyAt = Date.now();
+          state.lastHealthCheck = state.readyAt;
+          this.logger.info(`${state.name} is ready (pid ${proc.pid}, ${state.readyAt - state.startedAt}ms)`);
+          this._setStatus(state, ServiceStatus.READY);
+        }
+        return;
+      }
+      if (Date.now() >= deadline) {
+        this.logger.error(`${state.name} not ready after ${this.readyTimeoutMs}ms, restarting`);
+        this._terminate(state);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, READY_POLL_MS));
+    }
+  }
+
+  /**
+   * 子进程退出：停止中则记录，否则按指数退避重启
+   * @private
+   */
+  _onExit(state, proc, code, signal) {
+    if (state.proc !== proc) {
+      return;
+    }
+    state.proc = null;
+    state.lastExit = { code, signal, at: Date.now() };
+
+    if (this.stopping || state.status === ServiceStatus.STOPPING) {
+      this.logger.info(`${state.name} stopped`);
+      return;
+    }
+
+    if (Date.now() - state.startedAt >= this.stableMs) {
+      state.attempts = 0;
+    }
+    state.attempts++;
+
+    if (state.attempts > this.maxRestarts) {
+      this.logger.error(`${state.name} exited (code ${code}, signal ${signal}) and failed ${this.maxRestarts} restarts, giving up`);
+      this._setStatus(state, ServiceStatus.FAILED);
+      return;
+    }
+
+    const delay = Math.min(this.restartBaseMs * 2 ** (state.attempts - 1), this.restartMaxMs);
+    this.logger.warn(`${state.name} exited (code ${code}, signal ${signal}), restarting in ${delay}ms (attempt ${state.attempts}/${this.maxRestarts})`);
+    this._setStatus(state, ServiceStatus.BACKOFF);
+
+    state.restartTimer = setTimeout(() => {
+      state.restartTimer = null;
+      if (!this.stopping) {
+        state.restarts++;
+        this._spawn(state);
+      }
+    }, delay);
+  }
+
+  /**
+   * 发送 SIGTERM，超时后 SIGKILL；进程退出后 resolve
+   * @private
+   */
+  _terminate(state) {
+    const proc = state.proc;
+    if (!proc || proc.exitCode !== null || proc.signalCode !== null) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.logger.warn(`${state.name} did not exit within ${this.stopTimeoutMs}ms, sending SIGKILL`);
+        proc.kill('SIGKILL');
+      }, this.stopTimeoutMs);
+
+      proc.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      proc.kill('SIGTERM');
+    });
+  }
+
+  /**
+   * 请求健康检查地址（2xx 视为健康）
+   * @private
+   */
+  async _ping(state) {
+    try {
+      const response = await fetch(state.healthUrl, { signal: AbortSignal.timeout(PING_TIMEOUT_MS) });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 等待服务就绪；服务被放弃（failed）或 Supervisor 停止时 reject
+   * @private
+   */
+  _whenReady(state) {
+    if (state.status === ServiceStatus.READY) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => state.waiters.push({ resolve, reject }));
+  }
+
+  /**
+   * @private
+   */
+  _setStatus(state, status) {
+    state.status = status;
+
+    if (status === ServiceStatus.READY || status === ServiceStatus.FAILED || status === ServiceStatus.STOPPED) {
+      const waiters = state.waiters.splice(0);
+      for (const { resolve, reject } of waiters) {
+        if (status === ServiceStatus.READY) {
+          resolve();
+        } else {
+          reject(new Error(`${state.name} is ${status}`));
+        }
+      }
+    }
+  }
+
+  /**
+   * 校验依赖存在且无环
+   * @private
+   */
+  _checkDependencies() {
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (name, path) => {
+      if (visited.has(name)) return;
+      if (visiting.has(name)) {
+        throw new Error(`Circular service dependency: ${[...path, name].join(' -> ')}`);
+      }
+      const state = this.services.get(name);
+      if (!state) {
+        throw new Error(`Unknown service dependency: ${path[path.length - 1]} -> ${name}`);
+      }
+      visiting.add(name);
+      for (const dep of state.dependsOn) {
+        visit(dep, [...path, name]);
+      }
+      visiting.delete(name);
+      visited.add(name);
+    };
+
+    for (const name of this.services.keys()) {
+      visit(name, []);
+    }
+  }
+
+  /**
+   * 启动状态接口：GET /ping（公开）、GET /status（read 权限，全部就绪时 200，否则 503）
+   * @private
+   */
+  async _startStatusServer() {
+    if (!this.port) {
+      return;
+    }
+
+    const app = express();
+    app.get('/ping', (req, res) => {
+      res.json({ status: 'ok' });
+    });
+    app.get('/status', getApiKeyAuth().require(Scope.READ), (req, res) => {
+      const status = this.status();
+      res.status(status.status === 'ok' ? 200 : 503).json(status);
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer = app.listen(this.port, resolve);
+      this.httpServer.once('error', reject);
+    });
+    this.logger.info(`Status endpoint: http://localhost:${this.port}/status`);
+  }
+}
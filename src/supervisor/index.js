@@ -0,0 +1,5 @@
+/**
+ * Supervisor 模块导出
+ */
+
+export { Supervisor, ServiceStatus } from './Supervisor.js';
@@ -0,0 +1,316 @@
+/**
+ * Tracer
+ * OpenTelemetry 风格的分布式追踪（无外部依赖）：
+ * - Span 通过 AsyncLocalStorage 自动形成父子关系
+ * - 跨进程通过 W3C traceparent（A2A 请求头 + task.context.traceparent）传播
+ * - 结束的 Span 按批导出为 OTLP JSON（TRACING_EXPORTER=otlp | file）
+ */
+
+import crypto from 'crypto';
+import { getActiveSpan, runWithSpan, formatTraceparent, parseTraceparent } from './context.js';
+import { createExporter } from './exporters.js';
+
+/** Span 类型（OTLP 枚举值） */
+export const SpanKind = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+};
+
+/** Span 状态（OTLP 枚举值） */
+export const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2,
+};
+
+const DEFAULT_SERVICE_NAME = 'dpw-agent';
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+const MAX_BATCH_SIZE = 512;
+const MAX_ATTRIBUTE_LENGTH = 1024;
+
+// 纳秒时间戳：以进程启动时的 Date.now() 为基准加上单调时钟，保证同一进程内 Span 时间有序
+const EPOCH_OFFSET_NS = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+
+function nowNs() {
+  return EPOCH_OFFSET_NS + process.hrtime.bigint();
+}
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * 属性值 → OTLP AnyValue（对象序列化为 JSON 字符串并截断）
+ * @private
+ */
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return { stringValue: text.length > MAX_ATTRIBUTE_LENGTH ? `${text.slice(0, MAX_ATTRIBUTE_LENGTH)}…` : text };
+}
+
+function toKeyValues(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+export class Span {
+  /**
+   * @param {Tracer} tracer
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {number} options.kind - SpanKind
+   * @param {string} options.traceId
+   * @param {string} [options.parentSpanId]
+   * @param {Object} [options.attributes]
+   */
+  constructor(tracer, options) {
+    this.tracer = tracer;
+    this.name = options.name;
+    this.kind = options.kind;
+    this.traceId = options.traceId;
+    this.spanId = randomId(8);
+    this.parentSpanId = options.parentSpanId || null;
+    this.attributes = { ...options.attributes };
+    this.events = [];
+    this.status = { code: SpanStatusCode.UNSET };
+    this.startTimeNs = nowNs();
+    this.endTimeNs = null;
+  }
+
+  /**
+   * W3C traceparent（以本 Span 为父）
+   * @returns {string}
+   */
+  get traceparent() {
+    return formatTraceparent(this);
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, attributes, timeNs: nowNs() });
+    return this;
+  }
+
+  /**
+   * @param {number} code - SpanStatusCode
+   * @param {string} [message]
+   */
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  /**
+   * 记录异常事件并把状态置为 ERROR
+   * @param {Error} error
+   */
+  recordException(error) {
+    this.addEvent('exception', {
+      'exception.type': error?.code || error?.name || 'Error',
+      'exception.message': error?.message || String(error),
+    });
+    return this.setStatus(SpanStatusCode.ERROR, error?.message || String(error));
+  }
+
+  /**
+   * 结束 Span 并交给 Tracer 导出（重复调用无效）
+   */
+  end() {
+    if (this.endTimeNs !== null) {
+      return;
+    }
+    this.endTimeNs = nowNs();
+    this.tracer._onEnd(this);
+  }
+
+  /**
+   * OTLP JSON 表示
+   * @returns {Object}
+   */
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId && { parentSpanId: this.parentSpanId }),
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: String(this.startTimeNs),
+      endTimeUnixNano: String(this.endTimeNs ?? nowNs()),
+      attributes: toKeyValues(this.attributes),
+      events: this.events.map(event => ({
+        name: event.name,
+        timeUnixNano: String(event.timeNs),
+        attributes: toKeyValues(event.attributes),
+      })),
+      status: this.status,
+    };
+  }
+}
+
+export class Tracer {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.serviceName] - 服务名（OTEL_SERVICE_NAME，默认 dpw-agent；AgentServer 会设置为 Agent 名称）
+   * @param {Object|null} [config.exporter] - { export(request) }，null 表示不导出（默认按 TRACING_EXPORTER）
+   * @param {number} [config.flushIntervalMs] - 批量导出间隔（TRACING_FLUSH_MS，默认 5 秒）
+   */
+  constructor(config = {}) {
+    this.serviceName = config.serviceName || process.env.OTEL_SERVICE_NAME || DEFAULT_SERVICE_NAME;
+    this.exporter = config.exporter !== undefined ? config.exporter : createExporter();
+    this.flushIntervalMs = config.flushIntervalMs ?? (parseInt(process.env.TRACING_FLUSH_MS) || DEFAULT_FLUSH_INTERVAL_MS);
+    this.pending = [];
+    this.flushTimer = null;
+  }
+
+  /**
+   * 设置服务名（OTEL_SERVICE_NAME 优先）
+   * @param {string} name
+   */
+  setServiceName(name) {
+    if (!process.env.OTEL_SERVICE_NAME) {
+      this.serviceName = name;
+    }
+  }
+
+  /**
+   * 创建 Span（不改变当前上下文）
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {number} [options.kind] - SpanKind（默认 INTERNAL）
+   * @param {Object} [options.attributes]
+   * @param {{ traceId: string, spanId: string }|null} [options.parent] - 父 Span 上下文；省略时使用当前活动 Span，null 表示新建 trace
+   * @returns {Span}
+   */
+  startSpan(name, options = {}) {
+    const parent = options.parent !== undefined ? options.parent : getActiveSpan();
+    return new Span(this, {
+      name,
+      kind: options.kind ?? SpanKind.INTERNAL,
+      traceId: parent?.traceId || randomId(16),
+      parentSpanId: parent?.spanId,
+      attributes: options.attributes,
+    });
+  }
+
+  /**
+   * 创建 Span 并在其上下文中运行 fn(span)：fn 结束（含异步）时自动结束 Span，抛出的异常记录到 Span 后继续抛出
+   * @param {string} name
+   * @param {Object} options - 同 startSpan
+   * @param {Function} fn - (span) => result
+   * @returns {Promise<*>}
+   */
+  async startActiveSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      return await runWithSpan(span, () => fn(span));
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * 当前活动 Span
+   * @returns {Span|null}
+   */
+  getActiveSpan() {
+    return getActiveSpan();
+  }
+
+  /**
+   * 把当前 trace 上下文写入请求头（没有活动 Span 时原样返回）
+   * @param {Object} [headers]
+   * @returns {Object}
+   */
+  inject(headers = {}) {
+    const span = getActiveSpan();
+    return span ? { ...headers, traceparent: span.traceparent } : headers;
+  }
+
+  /**
+   * 从 traceparent 解析父 Span 上下文
+   * @param {string} [traceparent]
+   * @returns {{ traceId: string, spanId: string }|null}
+   */
+  extract(traceparent) {
+    return parseTraceparent(traceparent);
+  }
+
+  /**
+   * @private
+   */
+  _onEnd(span) {
+    if (!this.exporter) {
+      return;
+    }
+    this.pending.push(span);
+    if (this.pending.length >= MAX_BATCH_SIZE) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * 立即导出已结束的 Span
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.exporter || this.pending.length === 0) {
+      return;
+    }
+
+    const spans = this.pending.splice(0);
+    await this.exporter.export({
+      resourceSpans: [{
+        resource: { attributes: toKeyValues({ 'service.name': this.serviceName }) },
+        scopeSpans: [{
+          scope: { name: 'dpw-agent' },
+          spans: spans.map(span => span.toOtlp()),
+        }],
+      }],
+    });
+  }
+}
+
+// 单例
+let instance = null;
+
+/**
+ * 获取 Tracer 单例
+ * @param {Object} [config] - 配置（仅首次调用时生效）
+ * @returns {Tracer}
+ */
+export function getTracer(config) {
+  if (!instance) {
+    instance = new Tracer(config);
+  }
+  return instance;
+}
+
+/**
+ * 重置单例（用于测试）
+ */
+export function resetTracer() {
+  instance = null;
+}
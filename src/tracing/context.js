@@ -0,0 +1,53 @@
+/**
+ * Trace Context
+ * 当前 Span 的异步上下文（AsyncLocalStorage）与 W3C traceparent 的格式化 / 解析
+ * 不依赖其他模块，logger 也从这里读取当前 traceId
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * 当前异步上下文中的 Span
+ * @returns {Span|null}
+ */
+export function getActiveSpan() {
+  return storage.getStore() ?? null;
+}
+
+/**
+ * 在指定 Span 的上下文中运行 fn（fn 内创建的 Span 以它为父 Span）
+ * @param {Span|null} span
+ * @param {Function} fn
+ * @returns {*} - fn 的返回值
+ */
+export function runWithSpan(span, fn) {
+  return storage.run(span, fn);
+}
+
+/**
+ * 格式化为 W3C traceparent（00-<traceId>-<spanId>-01）
+ * @param {{ traceId: string, spanId: string }} spanContext
+ * @returns {string}
+ */
+export function formatTraceparent(spanContext) {
+  return `00-${spanContext.traceId}-${spanContext.spanId}-01`;
+}
+
+/**
+ * 解析 W3C traceparent，格式不合法时返回 null
+ * @param {string} [value]
+ * @returns {{ traceId: string, spanId: string }|null}
+ */
+export function parseTraceparent(value) {
+  const match = typeof value === 'string' ? value.trim().toLowerCase().match(TRACEPARENT_PATTERN) : null;
+  if (!match || match[1] === INVALID_TRACE_ID || match[2] === INVALID_SPAN_ID) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2] };
+}
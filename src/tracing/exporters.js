@@ -0,0 +1,94 @@
+/**
+ * Span Exporters
+ * 把结束的 Span 以 OTLP JSON（ExportTraceServiceRequest）导出：
+ * - otlp：POST 到 OTLP/HTTP 接收端（Jaeger、OpenTelemetry Collector 的 4318 端口）
+ * - file：每批一行追加到本地文件，可用 Collector 的 otlpjsonfile receiver 导入 Jaeger
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const DEFAULT_OTLP_ENDPOINT = 'http://localhost:4318';
+const DEFAULT_TRACE_FILE = 'data/traces.jsonl';
+const EXPORT_TIMEOUT_MS = 5000;
+
+export class OtlpHttpExporter {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.endpoint] - OTLP/HTTP 地址（OTEL_EXPORTER_OTLP_ENDPOINT，默认 http://localhost:4318，请求发往 /v1/traces）
+   */
+  constructor(config = {}) {
+    const endpoint = (config.endpoint || process.env.OTEL_EXPORTER_OTLP_ENDPOINT || DEFAULT_OTLP_ENDPOINT).replace(/\/+$/, '');
+    this.url = `${endpoint}/v1/traces`;
+    this.logger = createLogger('OtlpHttpExporter');
+    this.failing = false;
+  }
+
+  /**
+   * @param {Object} request - OTLP ExportTraceServiceRequest
+   * @returns {Promise<void>}
+   */
+  async export(request) {
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request),
+        signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${await response.text()}`);
+      }
+      this.failing = false;
+    } catch (error) {
+      // 接收端不可用时只在第一次失败时告警，避免每个批次刷屏
+      if (!this.failing) {
+        this.logger.warn(`Failed to export spans to ${this.url}: ${error.message}`);
+      }
+      this.failing = true;
+    }
+  }
+}
+
+export class FileExporter {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.path] - 输出文件（TRACING_FILE，默认 data/traces.jsonl）
+   */
+  constructor(config = {}) {
+    this.path = config.path || process.env.TRACING_FILE || DEFAULT_TRACE_FILE;
+    this.logger = createLogger('FileExporter');
+  }
+
+  /**
+   * @param {Object} request - OTLP ExportTraceServiceRequest
+   * @returns {Promise<void>}
+   */
+  async export(request) {
+    try {
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.appendFile(this.path, `${JSON.stringify(request)}\n`);
+    } catch (error) {
+      this.logger.warn(`Failed to write spans to ${this.path}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * 按 TRACING_EXPORTER 创建 Exporter（none / 未设置时返回 null，只生成和传播 trace，不导出）
+ * @param {string} [type] - otlp | file | none
+ * @returns {OtlpHttpExporter|FileExporter|null}
+ */
+export function createExporter(type = process.env.TRACING_EXPORTER || 'none') {
+  switch (type.toLowerCase()) {
+    case 'otlp':
+      return new OtlpHttpExporter();
+    case 'file':
+      return new FileExporter();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown TRACING_EXPORTER: ${type} (expected otlp | file | none)`);
+  }
+}
@@ -0,0 +1,7 @@
+/**
+ * Tracing 模块导出（分布式追踪、traceparent 传播与 OTLP 导出）
+ */
+
+export { Tracer, Span, SpanKind, SpanStatusCode, getTracer, resetTracer } from './Tracer.js';
+export { getActiveSpan, runWithSpan, formatTraceparent, parseTraceparent } from './context.js';
+export { OtlpHttpExporter, FileExporter, createExporter } from './exporters.js';
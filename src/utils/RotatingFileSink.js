@@ -0,0 +1,128 @@
+/**
+ * Rotating File Sink
+ * 按大小轮转的日志文件：超过 maxBytes 时 app.log → app.log.1 → app.log.2 …，最多保留 maxFiles 个历史文件
+ * 同步写入，保证进程退出前的日志不会丢失
+ *
+ * 多个进程可以共用同一个文件（如 Supervisor 下 LOG_FILE 未使用 {service}）：
+ * 每次写入前按路径重新 stat，大小按文件实际大小计算；文件已被其他进程轮转（inode 变化或不存在）时重新打开
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * 重命名文件，源文件不存在时忽略（共用文件时可能已被其他进程轮转）
+ * @private
+ */
+function renameIfExists(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+export class RotatingFileSink {
+  /**
+   * @param {Object} config
+   * @param {string} config.path - 日志文件路径
+   * @param {number} [config.maxBytes] - 单个文件上限（默认 10MB）
+   * @param {number} [config.maxFiles] - 保留的历史文件数（默认 5，0 表示超过上限时直接清空）
+   */
+  constructor(config) {
+    this.path = config.path;
+    this.maxBytes = config.maxBytes || DEFAULT_MAX_BYTES;
+    this.maxFiles = config.maxFiles ?? DEFAULT_MAX_FILES;
+    this.fd = null;
+    this.ino = null;
+    this.size = 0;
+    this.failed = false;
+  }
+
+  /**
+   * 写入一行（自动追加换行）
+   * @param {string} line
+   */
+  write(line) {
+    if (this.failed) {
+      return;
+    }
+    const data = `${line}\n`;
+    const bytes = Buffer.byteLength(data);
+    try {
+      this._open();
+      this._sync();
+      if (this.size > 0 && this.size + bytes > this.maxBytes) {
+        this._rotate();
+      }
+      fs.writeSync(this.fd, data);
+      this.size += bytes;
+    } catch (error) {
+      // 日志文件不可写时只提示一次，之后只输出到控制台
+      this.failed = true;
+      process.stderr.write(`Log file ${this.path} is not writable: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * 关闭文件
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _open() {
+    if (this.fd !== null) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.fd = fs.openSync(this.path, 'a');
+    const stat = fs.fstatSync(this.fd);
+    this.ino = stat.ino;
+    this.size = stat.size;
+  }
+
+  /**
+   * 与路径上的文件同步：读取实际大小（包含其他进程的写入），文件被其他进程轮转后重新打开
+   * @private
+   */
+  _sync() {
+    let stat = null;
+    try {
+      stat = fs.statSync(this.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (!stat || stat.ino !== this.ino) {
+      this.close();
+      this._open();
+      return;
+    }
+    this.size = stat.size;
+  }
+
+  /**
+   * @private
+   */
+  _rotate() {
+    this.close();
+    if (this.maxFiles > 0) {
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        renameIfExists(`${this.path}.${i}`, `${this.path}.${i + 1}`);
+      }
+      renameIfExists(this.path, `${this.path}.1`);
+    } else {
+      fs.truncateSync(this.path, 0);
+    }
+    this._open();
+  }
+}
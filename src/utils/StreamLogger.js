@@ -31,6 +31,7 @@
  */
 
 import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
 
 /**
  * 事件类型定义
@@ -40,6 +41,7 @@ export const LogEventType = {
   REQUEST_START: 'request:start',
   REQUEST_END: 'request:end',
   REQUEST_ERROR: 'request:error',
+  REQUEST_ABORT: 'request:abort',              // 紧急中止
 
   // Agent 调用链路
   AGENT_CALL_START: 'agent:call:start',
@@ -62,6 +64,16 @@ export const LogEventType = {
   PLANNER_LLM_RESPONSE: 'planner:llm:response',
   PLANNER_RESULT: 'planner:result',
 
+  // 安全校验（规划之后、执行之前）
+  SAFETY_RESULT: 'safety:result',
+
+  // 计划预演（dryRun）
+  DRY_RUN_RESULT: 'dryrun:result',
+
+  // 人工审批
+  PLAN_PENDING_APPROVAL: 'plan:pending',       // 计划已挂起，等待审批
+  PLAN_DECISION: 'plan:decision',              // 审批决定（批准 / 修改 / 拒绝）
+
   // ReAct 反思相关
   REFLECT_START: 'reflect:start',
   REFLECT_RESULT: 'reflect:result',
@@ -73,6 +85,7 @@ export const LogEventType = {
   EXECUTOR_MCP_CALL: 'executor:mcp:call',
   EXECUTOR_MCP_RESPONSE: 'executor:mcp:response',
   EXECUTOR_RESULT: 'executor:result',
+  EXECUTOR_RECOVERY: 'executor:recovery',      // 紧急中止后的安全恢复序列
 
   // 通用日志
   LOG: 'log',
@@ -107,6 +120,39 @@ class StreamLogger extends EventEmitter {
     super();
     this.setMaxListeners(100); // 允许多个订阅者
     this._requestContexts = new Map(); // 存储请求上下文
+    this._scope = new AsyncLocalStorage(); // 子 Agent 进程中当前 A2A 任务的事件收集范围
+  }
+
+  /**
+   * 在事件收集范围内运行 fn：范围内发出的事件会同时交给 onEvent（AgentServer 用它把子 Agent 的事件带回调用方）
+   * @param {Object} scope
+   * @param {string} [scope.requestId] - 调用方（Orchestrator）的请求 ID
+   * @param {Function} scope.onEvent - (event) => void
+   * @param {Function} fn
+   * @returns {*} - fn 的返回值
+   */
+  runInScope(scope, fn) {
+    return this._scope.run(scope, fn);
+  }
+
+  /**
+   * 当前事件收集范围的请求 ID（不在范围内时为 undefined）
+   * @returns {string|undefined}
+   */
+  currentRequestId() {
+    return this._scope.getStore()?.requestId;
+  }
+
+  /**
+   * 转发其他进程的事件：按本进程的请求 ID 重新发出，保留原始时间戳和 Agent 名称，并标记 remote
+   * @param {string} requestId - 本进程的请求 ID
+   * @param {Object} event - 子 Agent 发出的事件
+   */
+  forward(requestId, event) {
+    if (!event?.type) {
+      return;
+    }
+    this.log(event.type, { ...event, requestId, remote: true });
   }
 
   /**
@@ -162,6 +208,9 @@ class StreamLogger extends EventEmitter {
     // 发出事件
     this.emit(eventType, event);
     this.emit('*', event); // 通配符事件，用于订阅所有事件
+
+    // 转交给当前 A2A 任务的收集范围
+    this._scope.getStore()?.onEvent(event);
   }
 
   // ==================== 便捷方法 ====================
@@ -198,6 +247,19 @@ class StreamLogger extends EventEmitter {
     this.clearContext(requestId);
   }
 
+  /**
+   * 请求被紧急中止
+   */
+  requestAbort(requestId, sessionId) {
+    this.log(LogEventType.REQUEST_ABORT, {
+      requestId,
+      sessionId,
+      agent: AgentName.ORCHESTRATOR,
+      phase: '紧急中止',
+      level: LogLevel.WARN,
+    });
+  }
+
   /**
    * Agent 调用开始
    */
@@ -338,19 +400,22 @@ class StreamLogger extends EventEmitter {
     });
   }
 
-  plannerLLMCall(requestId) {
+  plannerLLMCall(requestId, provider, purpose) {
     this.log(LogEventType.PLANNER_LLM_CALL, {
       requestId,
       agent: AgentName.PLANNER,
-      phase: '调用 Gemini LLM',
+      phase: `调用 ${provider || 'LLM'}`,
+      provider,
+      purpose,
     });
   }
 
-  plannerLLMResponse(requestId, durationMs) {
+  plannerLLMResponse(requestId, durationMs, purpose) {
     this.log(LogEventType.PLANNER_LLM_RESPONSE, {
       requestId,
       agent: AgentName.PLANNER,
       phase: 'LLM 响应',
+      purpose,
       durationMs,
     });
   }
@@ -373,6 +438,70 @@ class StreamLogger extends EventEmitter {
     });
   }
 
+  // ==================== 安全校验 ====================
+
+  safetyResult(requestId, report) {
+    this.log(LogEventType.SAFETY_RESULT, {
+      requestId,
+      agent: AgentName.ORCHESTRATOR,
+      phase: report.approved ? (report.repaired ? '安全校验：已自动修正' : '安全校验通过') : '安全校验未通过',
+      mode: report.mode,
+      approved: report.approved,
+      repaired: report.repaired,
+      violationCount: report.violations.length,
+      violations: report.violations,
+      stepCount: report.steps.length,
+    });
+  }
+
+  // ==================== 计划预演 ====================
+
+  dryRunResult(requestId, simulation) {
+    this.log(LogEventType.DRY_RUN_RESULT, {
+      requestId,
+      agent: AgentName.ORCHESTRATOR,
+      phase: simulation.allSuccess ? '计划预演通过' : '计划预演失败',
+      success: simulation.allSuccess,
+      stepCount: simulation.results.length,
+      estimatedDurationMs: simulation.estimatedDurationMs,
+      pathLength: simulation.pathLength,
+      results: simulation.results.map(r => ({
+        step: r.step,
+        tool: r.tool,
+        success: r.success,
+        error: r.error,
+        estimatedDurationMs: r.estimatedDurationMs,
+        distance: r.distance,
+      })),
+    });
+  }
+
+  // ==================== 人工审批 ====================
+
+  planPendingApproval(requestId, pendingPlan) {
+    this.log(LogEventType.PLAN_PENDING_APPROVAL, {
+      requestId,
+      agent: AgentName.ORCHESTRATOR,
+      phase: '计划等待审批',
+      planId: pendingPlan.planId,
+      stepCount: pendingPlan.plan.steps.length,
+      steps: pendingPlan.plan.steps,
+    });
+  }
+
+  planDecision(requestId, decision) {
+    const labels = { approved: '计划已批准', edited: '计划已修改并批准', rejected: '计划已拒绝' };
+    this.log(LogEventType.PLAN_DECISION, {
+      requestId,
+      agent: AgentName.ORCHESTRATOR,
+      phase: labels[decision.decision] || decision.decision,
+      planId: decision.planId,
+      decision: decision.decision,
+      by: decision.by,
+      comment: decision.comment,
+    });
+  }
+
   // ==================== ReAct 反思相关 ====================
 
   reflectStart(requestId, iteration) {
@@ -459,6 +588,17 @@ class StreamLogger extends EventEmitter {
     });
   }
 
+  executorRecovery(requestId, recovery) {
+    this.log(LogEventType.EXECUTOR_RECOVERY, {
+      requestId,
+      agent: AgentName.EXECUTOR,
+      phase: '安全恢复',
+      tools: recovery?.tools || [],
+      success: Boolean(recovery?.allSuccess),
+      error: recovery?.error,
+    });
+  }
+
   executorResult(requestId, result) {
     this.log(LogEventType.EXECUTOR_RESULT, {
       requestId,
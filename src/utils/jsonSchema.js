@@ -0,0 +1,215 @@
+/**
+ * JSON Schema 校验（子集）
+ * 覆盖 MCP 工具 inputSchema 与 AgentCard 技能 schema 中实际用到的关键字：
+ * type、properties、required、items、enum、minimum / maximum、exclusiveMinimum / exclusiveMaximum、
+ * minLength / maxLength、minItems / maxItems、additionalProperties、default
+ *
+ * coerceToSchema 在校验前修正 LLM 常见的参数错误（"1.5" → 1.5、"true" → true、缺省字段补 default 等）
+ */
+
+/**
+ * 值的 JSON 类型（integer 单独区分，数组 / null 不算 object）
+ * @param {*} value
+ * @returns {string}
+ */
+export function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * 值是否满足 type 约束（integer 也满足 number）
+ * @private
+ */
+function matchesType(value, type) {
+  const actual = jsonTypeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * 按 schema 校验值
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - 待校验的值
+ * @param {string} [path] - 错误路径前缀（如 "args"）
+ * @returns {Array<{ path: string, message: string }>} - 空数组表示通过
+ */
+export function validateSchema(schema, value, path = '') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  const label = path || 'value';
+  const fail = (message) => errors.push({ path: label, message: `${label} ${message}` });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' | ')}, got ${jsonTypeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must have at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${label}[${index}]`));
+      });
+    }
+  }
+
+  if (jsonTypeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${label}.${key}`, message: `${label}.${key} is required` });
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], propertyValue, `${label}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${label}.${key}`, message: `${label}.${key} is not allowed` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, `${label}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+const NUMERIC_STRING = /^\s*(-?\d+(?:\.\d+)?|-?\.\d+)\s*(?:m|米)?\s*$/i;
+
+/**
+ * 按 schema 修正值的类型（不修改入参，返回新值）
+ * - 数字字符串（可带 "m" / "米" 单位）→ number / integer
+ * - "true" / "false" → boolean
+ * - number / boolean → string
+ * - JSON 字符串 → object / array；单个元素 → 数组
+ * - 枚举大小写不一致 → 枚举值
+ * - 对象缺省字段 → schema.default
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - 原始值
+ * @param {string} [path] - 路径前缀（用于记录修正项）
+ * @returns {{ value: *, coercions: Array<{ path: string, from: *, to: * }> }}
+ */
+export function coerceToSchema(schema, value, path = '') {
+  const coercions = [];
+  const label = path || 'value';
+
+  const coerce = (currentSchema, currentValue, currentPath) => {
+    if (!currentSchema || typeof currentSchema !== 'object' || currentValue === undefined) {
+      return currentValue;
+    }
+
+    let result = currentValue;
+    const types = currentSchema.type
+      ? (Array.isArray(currentSchema.type) ? currentSchema.type : [currentSchema.type])
+      : [];
+
+    if (types.length > 0 && !types.some(type => matchesType(result, type))) {
+      const converted = convertType(result, types, currentSchema);
+      if (converted !== undefined) {
+        coercions.push({ path: currentPath, from: result, to: converted });
+        result = converted;
+      }
+    }
+
+    if (currentSchema.enum && typeof result === 'string' && !currentSchema.enum.includes(result)) {
+      const match = currentSchema.enum.find(option =>
+        typeof option === 'string' && option.toLowerCase() === result.trim().toLowerCase()
+      );
+      if (match !== undefined) {
+        coercions.push({ path: currentPath, from: result, to: match });
+        result = match;
+      }
+    }
+
+    if (Array.isArray(result) && currentSchema.items) {
+      result = result.map((item, index) => coerce(currentSchema.items, item, `${currentPath}[${index}]`));
+    } else if (jsonTypeOf(result) === 'object' && currentSchema.properties) {
+      const next = { ...result };
+      for (const [key, propertySchema] of Object.entries(currentSchema.properties)) {
+        if (next[key] === undefined && propertySchema?.default !== undefined) {
+          next[key] = propertySchema.default;
+          coercions.push({ path: `${currentPath}.${key}`, from: undefined, to: propertySchema.default });
+        } else if (next[key] !== undefined) {
+          next[key] = coerce(propertySchema, next[key], `${currentPath}.${key}`);
+        }
+      }
+      result = next;
+    }
+
+    return result;
+  };
+
+  return { value: coerce(schema, value, label), coercions };
+}
+
+/**
+ * 尝试把值转换为目标类型之一，无法转换时返回 undefined
+ * @private
+ */
+function convertType(value, types, schema) {
+  for (const type of types) {
+    if ((type === 'number' || type === 'integer') && typeof value === 'string') {
+      const match = value.match(NUMERIC_STRING);
+      const num = match ? Number(match[1]) : NaN;
+      if (Number.isFinite(num) && (type === 'number' || Number.isInteger(num))) {
+        return num;
+      }
+    }
+    if (type === 'boolean' && typeof value === 'string') {
+      const text = value.trim().toLowerCase();
+      if (text === 'true') return true;
+      if (text === 'false') return false;
+    }
+    if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+      return String(value);
+    }
+    if ((type === 'object' || type === 'array') && typeof value === 'string') {
+      try {
+        const parsed = JSON.parse(value);
+        if (matchesType(parsed, type)) return parsed;
+      } catch {
+        // 不是 JSON，继续尝试其他类型
+      }
+    }
+    if (type === 'array' && jsonTypeOf(value) === 'object' && (!schema.items?.type || matchesType(value, schema.items.type))) {
+      return [value];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * 校验错误的文本表示
+ * @param {Array<{ message: string }>} errors
+ * @returns {string}
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(error => error.message).join('; ');
+}
@@ -1,7 +1,20 @@
 /**
- * 简单的日志工具
+ * 日志工具
+ * - 格式：pretty（默认，`[时间] [级别] [组件] [trace:…] 消息`）或 json（每行一个 JSON：timestamp / level / component / requestId / sessionId / traceId …）
+ * - 级别：LOG_LEVEL 全局默认（DEBUG=true 等同 debug），LOG_LEVELS="RagAgent=debug,McpClient=warn" 按组件覆盖
+ * - 文件：LOG_FILE 设置后同时以 JSON 写入按大小轮转的日志文件
+ * - 脱敏：输出前替换 API Key、Supabase service-role key 等密钥（见 redact.js）
+ *
+ * 请求上下文（requestId / sessionId / taskId）通过 runWithLogContext 在异步调用链中传递，
+ * 处于追踪上下文中时同时带上 traceId，便于跨 Agent 关联同一次请求的日志
  */
 
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getActiveSpan } from '../tracing/context.js';
+import { Redactor } from './redact.js';
+import { RotatingFileSink } from './RotatingFileSink.js';
+
 const LOG_LEVELS = {
   DEBUG: 0,
   INFO: 1,
@@ -9,18 +22,155 @@ const LOG_LEVELS = {
   ERROR: 3,
 };
 
+const logContext = new AsyncLocalStorage();
+
+/**
+ * 在日志上下文中运行 fn：fn 内（含异步）输出的日志带上这些字段（与外层上下文合并）
+ * @param {Object} fields - { requestId, sessionId, taskId, ... }
+ * @param {Function} fn
+ * @returns {*} - fn 的返回值
+ */
+export function runWithLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * 当前日志上下文
+ * @returns {Object}
+ */
+export function getLogContext() {
+  return logContext.getStore() || {};
+}
+
+/**
+ * 解析级别名（大小写不敏感），无法识别时返回 fallback
+ * @private
+ */
+function parseLevel(name, fallback) {
+  const level = LOG_LEVELS[String(name || '').trim().toUpperCase()];
+  return level ?? fallback;
+}
+
+/**
+ * 解析 LOG_LEVELS="组件=级别,…"
+ * @private
+ */
+function parseComponentLevels(value) {
+  const levels = new Map();
+  for (const item of (value || '').split(',')) {
+    const [component, level] = item.split('=').map(part => part?.trim());
+    if (component && level && LOG_LEVELS[level.toUpperCase()] !== undefined) {
+      levels.set(component, LOG_LEVELS[level.toUpperCase()]);
+    }
+  }
+  return levels;
+}
+
+/**
+ * 读取日志配置（环境变量）
+ * @private
+ */
+function loadConfig(env = process.env) {
+  const service = env.LOG_SERVICE || undefined;
+  const filePath = env.LOG_FILE ? env.LOG_FILE.replace('{service}', service || 'dpw-agent') : null;
+  return {
+    format: env.LOG_FORMAT === 'json' ? 'json' : 'pretty',
+    defaultLevel: parseLevel(env.LOG_LEVEL, env.DEBUG === 'true' ? LOG_LEVELS.DEBUG : LOG_LEVELS.INFO),
+    componentLevels: parseComponentLevels(env.LOG_LEVELS),
+    console: env.LOG_CONSOLE !== 'false',
+    service,
+    redactor: new Redactor(),
+    fileSink: filePath
+      ? new RotatingFileSink({
+        path: filePath,
+        maxBytes: parseInt(env.LOG_FILE_MAX_BYTES) || undefined,
+        maxFiles: env.LOG_FILE_MAX_FILES !== undefined ? parseInt(env.LOG_FILE_MAX_FILES) : undefined,
+      })
+      : null,
+  };
+}
+
+let config = null;
+
+function getConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+}
+
+/**
+ * 重新读取日志配置（用于测试；会关闭已打开的日志文件）
+ */
+export function resetLogConfig() {
+  config?.fileSink?.close();
+  config = null;
+}
+
 class Logger {
-  constructor(name, level = 'INFO') {
+  /**
+   * @param {string} name - 组件名
+   * @param {string} [level] - 级别（省略时按 LOG_LEVELS / LOG_LEVEL / DEBUG）
+   */
+  constructor(name, level) {
     this.name = name;
-    this.level = LOG_LEVELS[level] ?? LOG_LEVELS.INFO;
+    const { componentLevels, defaultLevel } = getConfig();
+    this.level = level !== undefined
+      ? parseLevel(level, LOG_LEVELS.INFO)
+      : (componentLevels.get(name) ?? defaultLevel);
   }
 
   _log(level, levelName, ...args) {
-    if (level >= this.level) {
-      const timestamp = new Date().toISOString();
-      const prefix = `[${timestamp}] [${levelName}] [${this.name}]`;
-      console.log(prefix, ...args);
+    if (level < this.level) {
+      return;
     }
+    const { format, redactor, fileSink, console: toConsole } = getConfig();
+    const timestamp = new Date().toISOString();
+    const span = getActiveSpan();
+    const record = format === 'json' || fileSink ? JSON.stringify(this._record(timestamp, levelName, span, args)) : null;
+
+    if (toConsole) {
+      if (format === 'json') {
+        console.log(record);
+      } else {
+        const prefix = `[${timestamp}] [${levelName}] [${this.name}]${span ? ` [trace:${span.traceId}]` : ''}`;
+        console.log(prefix, ...args.map(arg => (arg instanceof Error ? redactor.redactString(arg.stack || arg.message) : redactor.redact(arg))));
+      }
+    }
+    fileSink?.write(record);
+  }
+
+  /**
+   * 结构化日志记录：字符串参数拼成 message，Error 放入 error，其他对象放入 data
+   * @private
+   */
+  _record(timestamp, levelName, span, args) {
+    const { redactor, service } = getConfig();
+    const parts = [];
+    const data = [];
+    let error;
+    for (const arg of args) {
+      if (arg instanceof Error) {
+        error ??= redactor.redact(arg);
+        parts.push(arg.message);
+      } else if (arg !== null && typeof arg === 'object') {
+        data.push(redactor.redact(arg));
+      } else {
+        parts.push(typeof arg === 'string' ? arg : util.inspect(arg));
+      }
+    }
+
+    return {
+      timestamp,
+      level: levelName.toLowerCase(),
+      component: this.name,
+      ...(service && { service }),
+      message: redactor.redactString(parts.join(' ')),
+      ...getLogContext(),
+      ...(span && { traceId: span.traceId, spanId: span.spanId }),
+      ...(error && { error }),
+      ...(data.length > 0 && { data: data.length === 1 ? data[0] : data }),
+    };
   }
 
   debug(...args) {
@@ -41,9 +191,7 @@ class Logger {
 }
 
 export function createLogger(name) {
-  const level = process.env.DEBUG === 'true' ? 'DEBUG' : 'INFO';
-  return new Logger(name, level);
+  return new Logger(name);
 }
 
 export { Logger };
-
@@ -0,0 +1,123 @@
+/**
+ * 日志脱敏
+ * 写出日志前把密钥替换为 [REDACTED]：
+ * - 环境变量中的密钥值（*_API_KEY、SUPABASE_SERVICE_ROLE_KEY、*_SECRET、*_TOKEN、*_PASSWORD，以及 API_KEYS 中的各个 key）
+ * - 常见密钥格式（Bearer 凭据、Google API Key、sk- 开头的密钥、JWT（Supabase anon / service-role key）、Supabase sb_secret_ 密钥）
+ * - 对象中名为 authorization / apiKey / password / token 等的字段
+ */
+
+export const REDACTED = '[REDACTED]';
+
+const SECRET_ENV_PATTERN = /(^|_)(KEY|SECRET|TOKEN|PASSWORD)$/;
+const MIN_SECRET_LENGTH = 8; // 太短的值（如 "true"）不作为密钥匹配，避免误伤普通文本
+const MAX_DEPTH = 6;
+
+const SECRET_PATTERNS = [
+  [/\bBearer\s+[A-Za-z0-9._~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/\bAIza[0-9A-Za-z_-]{35}\b/g, REDACTED],
+  [/\bsk-[A-Za-z0-9_-]{16,}/g, REDACTED],
+  [/\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]+/g, REDACTED],
+  [/\bsb_secret_[A-Za-z0-9_-]+/g, REDACTED],
+];
+
+const SECRET_FIELD_PATTERN = /^(authorization|x-api-key|api[-_]?key|password|secret|(access[-_]?|refresh[-_]?)?token|service[-_]?role[-_]?key)$/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 从环境变量收集密钥值
+ * @private
+ */
+function collectEnvSecrets(env) {
+  const secrets = [];
+  for (const [name, value] of Object.entries(env)) {
+    if (value && SECRET_ENV_PATTERN.test(name)) {
+      secrets.push(value);
+    }
+  }
+  // API_KEYS="name:key:scope,..." 中的 key
+  for (const item of (env.API_KEYS || '').split(',')) {
+    const key = item.split(':')[1]?.trim();
+    if (key) {
+      secrets.push(key);
+    }
+  }
+  return secrets;
+}
+
+export class Redactor {
+  /**
+   * @param {Object} [config]
+   * @param {Array<string>} [config.secrets] - 需要脱敏的字面值（默认从环境变量收集）
+   */
+  constructor(config = {}) {
+    const secrets = [...new Set(config.secrets ?? collectEnvSecrets(process.env))]
+      .filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH)
+      .sort((a, b) => b.length - a.length); // 长的优先，避免只替换掉一部分
+    this.secretPattern = secrets.length > 0 ? new RegExp(secrets.map(escapeRegExp).join('|'), 'g') : null;
+  }
+
+  /**
+   * 字符串脱敏
+   * @param {string} text
+   * @returns {string}
+   */
+  redactString(text) {
+    let result = this.secretPattern ? text.replace(this.secretPattern, REDACTED) : text;
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  }
+
+  /**
+   * 任意值脱敏（返回副本，不修改原对象；Error 转为 { name, message, code, stack }）
+   * @param {*} value
+   * @returns {*}
+   */
+  redact(value) {
+    return this._redact(value, 0, new WeakSet());
+  }
+
+  /**
+   * @private
+   */
+  _redact(value, depth, seen) {
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+      return Array.isArray(value) ? '[Array]' : '[Object]';
+    }
+    seen.add(value);
+
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: this.redactString(value.message || ''),
+        ...(value.code !== undefined && { code: value.code }),
+        ...(value.stack && { stack: this.redactString(value.stack) }),
+      };
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this._redact(item, depth + 1, seen));
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = SECRET_FIELD_PATTERN.test(key) && item ? REDACTED : this._redact(item, depth + 1, seen);
+    }
+    return result;
+  }
+}
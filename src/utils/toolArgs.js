@@ -0,0 +1,84 @@
+/**
+ * 工具参数校验
+ * 按 MCP Server 暴露的 inputSchema 检查计划步骤的参数，先修正 LLM 常见错误再校验
+ * Planner（生成后修复）、Executor（调用 MCP 前拦截）与 dryRun 预演共用
+ */
+
+import { coerceToSchema, validateSchema, formatSchemaErrors } from './jsonSchema.js';
+
+/**
+ * 工具的参数 schema（兼容 inputSchema / parameters / schema 字段）
+ * @param {Object} tool - MCP 工具描述
+ * @returns {Object|null}
+ */
+export function getToolSchema(tool) {
+  return tool?.inputSchema ?? tool?.parameters ?? tool?.schema ?? null;
+}
+
+/**
+ * 校验单个工具调用的参数
+ * @param {Object} tool - MCP 工具描述（含 inputSchema）
+ * @param {Object} [args] - 参数
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce=true] - 是否先做类型修正
+ * @returns {{ valid: boolean, args: Object, errors: Array<Object>, coercions: Array<Object> }}
+ */
+export function validateToolArgs(tool, args = {}, options = {}) {
+  const { coerce = true } = options;
+  const schema = getToolSchema(tool);
+  const input = args && typeof args === 'object' && !Array.isArray(args) ? args : {};
+
+  if (!schema) {
+    return { valid: true, args: input, errors: [], coercions: [] };
+  }
+
+  const { value, coercions } = coerce ? coerceToSchema(schema, input, 'args') : { value: input, coercions: [] };
+  const errors = validateSchema(schema, value, 'args');
+  return { valid: errors.length === 0, args: value, errors, coercions };
+}
+
+/**
+ * 校验计划中的所有步骤
+ * @param {Array<Object>} steps - [{ tool, args, description }]
+ * @param {Array<Object>} availableTools - MCP 工具列表
+ * @param {Object} [options] - { coerce }
+ * @returns {{ valid: boolean, steps: Array<Object>, issues: Array<Object>, coercions: Array<Object> }}
+ *   steps 为修正后的步骤；issues 为仍未通过校验的步骤 [{ stepIndex, tool, errors }]
+ */
+export function validatePlanSteps(steps, availableTools = [], options = {}) {
+  const toolsByName = new Map(availableTools.map(tool => [tool?.name, tool]));
+  const issues = [];
+  const coercions = [];
+
+  const checkedSteps = steps.map((step, stepIndex) => {
+    const tool = toolsByName.get(step.tool);
+    if (!tool) {
+      if (availableTools.length > 0) {
+        issues.push({ stepIndex, tool: step.tool, errors: [{ path: 'tool', message: `Unknown tool: ${step.tool}` }] });
+      }
+      return step;
+    }
+
+    const result = validateToolArgs(tool, step.args, options);
+    for (const coercion of result.coercions) {
+      coercions.push({ stepIndex, tool: step.tool, ...coercion });
+    }
+    if (!result.valid) {
+      issues.push({ stepIndex, tool: step.tool, errors: result.errors });
+    }
+    return { ...step, args: result.args };
+  });
+
+  return { valid: issues.length === 0, steps: checkedSteps, issues, coercions };
+}
+
+/**
+ * 校验问题的文本表示（用于日志与 Planner 修复提示词）
+ * @param {Array<Object>} issues - validatePlanSteps 返回的 issues
+ * @returns {string}
+ */
+export function formatStepIssues(issues) {
+  return issues
+    .map(issue => `- 第 ${issue.stepIndex + 1} 步 ${issue.tool}: ${formatSchemaErrors(issue.errors)}`)
+    .join('\n');
+}
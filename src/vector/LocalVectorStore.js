@@ -0,0 +1,207 @@
+/**
+ * Local Vector Store
+ * 基于本地 JSON 文件的向量库，无需 Supabase / pgvector：
+ * 余弦相似度检索 + map_id 过滤 + 相似度阈值，语义与 supabase/schema.sql 中的 match_documents 一致
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { VectorStore } from './VectorStore.js';
+import { createLogger } from '../utils/logger.js';
+
+const DEFAULT_PATH = 'data/vectors.json';
+
+export class LocalVectorStore extends VectorStore {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.filePath] - JSON 文件路径（LOCAL_VECTOR_STORE_PATH，默认 data/vectors.json）
+   */
+  constructor(config = {}) {
+    super();
+    this.filePath = path.resolve(config.filePath || process.env.LOCAL_VECTOR_STORE_PATH || DEFAULT_PATH);
+    this.documents = null; // 首次使用时加载
+    this.logger = createLogger('LocalVectorStore');
+
+    this.logger.info(`Initialized with file: ${this.filePath}`);
+  }
+
+  /**
+   * 加载文件（不存在时视为空库）
+   * @private
+   */
+  _load() {
+    if (this.documents) {
+      return this.documents;
+    }
+
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      this.documents = Array.isArray(data.documents) ? data.documents : [];
+      // 预计算向量模长，避免每次检索重复计算
+      for (const doc of this.documents) {
+        doc._norm = this._norm(doc.embedding);
+      }
+    } else {
+      this.documents = [];
+    }
+
+    this.logger.debug(`Loaded ${this.documents.length} documents`);
+    return this.documents;
+  }
+
+  /**
+   * 写回文件（先写临时文件再重命名，避免中途崩溃损坏数据）
+   * @private
+   */
+  _save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const documents = this.documents.map(({ _norm, ...doc }) => doc);
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, documents }));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /** @private */
+  _norm(vector) {
+    let sum = 0;
+    for (const v of vector) sum += v * v;
+    return Math.sqrt(sum);
+  }
+
+  /**
+   * 向量检索
+   * @param {number[]} queryEmbedding - 查询向量
+   * @param {Object} [options] - 检索选项
+   * @param {string} [options.mapId] - 地图 ID 过滤
+   * @param {number} [options.topK=5] - 返回数量
+   * @param {number} [options.threshold=0.5] - 相似度阈值
+   * @returns {Promise<Array>} - 检索结果
+   */
+  async search(queryEmbedding, options = {}) {
+    return this._recordSearch(queryEmbedding, options, () => this._search(queryEmbedding, options));
+  }
+
+  /**
+   * @private
+   */
+  async _search(queryEmbedding, options) {
+    const {
+      mapId,
+      topK = 5,
+      threshold = 0.5,
+    } = options;
+
+    this.logger.debug(`Searching with topK=${topK}, threshold=${threshold}, mapId=${mapId}`);
+
+    const documents = this._load();
+    const queryNorm = this._norm(queryEmbedding);
+    if (queryNorm === 0) {
+      throw new Error('query_embedding is required');
+    }
+
+    const results = [];
+    for (const doc of documents) {
+      if (mapId && doc.mapId !== mapId) continue;
+
+      if (doc.embedding.length !== queryEmbedding.length) {
+        throw new Error(`Embedding dimension mismatch: query ${queryEmbedding.length}, stored ${doc.embedding.length}`);
+      }
+
+      let dot = 0;
+      for (let i = 0; i < queryEmbedding.length; i++) {
+        dot += queryEmbedding[i] * doc.embedding[i];
+      }
+      const score = doc._norm === 0 ? 0 : dot / (queryNorm * doc._norm);
+
+      if (score >= threshold) {
+        results.push({
+          id: doc.id,
+          chunkText: doc.chunkText,
+          score,
+          mapId: doc.mapId,
+        });
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    const hits = results.slice(0, Math.max(topK, 1));
+
+    this.logger.debug(`Found ${hits.length} results`);
+    return hits;
+  }
+
+  /**
+   * 插入文档
+   * @param {Object} doc - 文档
+   * @param {string} doc.chunkText - 文本内容
+   * @param {number[]} doc.embedding - 向量
+   * @param {string} [doc.mapId] - 地图 ID
+   * @returns {Promise<Object>}
+   */
+  async insert(doc) {
+    const [row] = await this.insertBatch([doc]);
+    return row;
+  }
+
+  /**
+   * 批量插入文档
+   * @param {Array<Object>} docs - 文档数组
+   * @returns {Promise<Array>}
+   */
+  async insertBatch(docs) {
+    const documents = this._load();
+
+    const rows = docs.map(doc => {
+      if (!doc.chunkText || !Array.isArray(doc.embedding) || doc.embedding.length === 0) {
+        throw new Error('Insert failed: chunkText and embedding are required');
+      }
+      return {
+        id: randomUUID(),
+        chunkText: doc.chunkText,
+        embedding: doc.embedding,
+        mapId: doc.mapId || null,
+        createdAt: new Date().toISOString(),
+      };
+    });
+
+    for (const row of rows) {
+      documents.push({ ...row, _norm: this._norm(row.embedding) });
+    }
+    this._save();
+
+    // 返回与 Supabase 插入结果一致的行结构
+    return rows.map(row => ({
+      id: row.id,
+      chunk_text: row.chunkText,
+      map_id: row.mapId,
+      created_at: row.createdAt,
+    }));
+  }
+
+  /**
+   * 删除文档
+   * @param {Object} [filter]
+   * @param {string} [filter.mapId] - 只删除该地图的文档；不传则清空
+   * @returns {Promise<number>} - 删除数量
+   */
+  async deleteDocuments(filter = {}) {
+    const documents = this._load();
+    const before = documents.length;
+    this.documents = filter.mapId
+      ? documents.filter(doc => doc.mapId !== filter.mapId)
+      : [];
+    this._save();
+    return before - this.documents.length;
+  }
+
+  /**
+   * 文档数量
+   * @param {Object} [filter] - { mapId }
+   * @returns {Promise<number>}
+   */
+  async count(filter = {}) {
+    const documents = this._load();
+    return filter.mapId ? documents.filter(doc => doc.mapId === filter.mapId).length : documents.length;
+  }
+}
@@ -1,28 +1,33 @@
 /**
  * Supabase Vector Store Client
- * 对接 Supabase RPC (match_documents) 进行向量检索
+ * 对接 Supabase RPC (match_documents) 进行向量检索（VectorStore 实现之一）
  * 极简结构：chunk_text + embedding + map_id
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { VectorStore } from './VectorStore.js';
 import { createLogger } from '../utils/logger.js';
+import { isReplaying } from '../replay/ReplaySource.js';
 
-export class SupabaseVectorClient {
+export class SupabaseVectorClient extends VectorStore {
   /**
    * @param {Object} config
    * @param {string} config.url - Supabase URL
-   * @param {string} config.serviceRoleKey - Supabase Service Role Key
+   * @param {string} config.serviceRoleKey - Supabase Service Role Key（回放模式下可省略）
    * @param {string} [config.rpcFunction] - RPC 函数名，默认 'match_documents'
    */
   constructor(config = {}) {
+    super();
+
     const url = config.url || process.env.SUPABASE_URL;
     const key = config.serviceRoleKey || process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-    if (!url || !key) {
+    if ((!url || !key) && !isReplaying()) {
       throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
     }
 
-    this.client = createClient(url, key);
+    // 回放模式下检索结果来自记录文件，没有凭据时不创建客户端
+    this.client = url && key ? createClient(url, key) : null;
     this.rpcFunction = config.rpcFunction || 'match_documents';
     this.logger = createLogger('SupabaseVector');
 
@@ -39,6 +44,13 @@ export class SupabaseVectorClient {
    * @returns {Promise<Array>} - 检索结果
    */
   async search(queryEmbedding, options = {}) {
+    return this._recordSearch(queryEmbedding, options, () => this._rpcSearch(queryEmbedding, options));
+  }
+
+  /**
+   * @private
+   */
+  async _rpcSearch(queryEmbedding, options) {
     const {
       mapId,
       topK = 5,
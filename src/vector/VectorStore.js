@@ -0,0 +1,59 @@
+/**
+ * Vector Store 基类
+ * 定义 RAG 检索所需的统一接口：search / insert / insertBatch
+ *
+ * 检索结果统一为极简结构：{ id, chunkText, score, mapId }
+ * 实现类的 search 经由 _recordSearch 访问存储，以支持请求记录与离线回放（见 src/replay）
+ */
+
+import { recordCall } from '../replay/recordCall.js';
+import { hashInput } from '../replay/Recorder.js';
+
+export class VectorStore {
+  /**
+   * 向量检索
+   * @param {number[]} queryEmbedding - 查询向量
+   * @param {Object} [options] - 检索选项
+   * @param {string} [options.mapId] - 地图 ID 过滤
+   * @param {number} [options.topK=5] - 返回数量
+   * @param {number} [options.threshold=0.5] - 相似度阈值
+   * @returns {Promise<Array<{id: string, chunkText: string, score: number, mapId: string|null}>>}
+   */
+  async search(queryEmbedding, options = {}) {
+    throw new Error(`${this.constructor.name}.search is not implemented`);
+  }
+
+  /**
+   * 检索调用的记录 / 回放包装：子类的 search 经由它访问存储（查询向量只以指纹记录，完整向量已在 embed 记录中）
+   * @param {number[]} queryEmbedding
+   * @param {Object} options
+   * @param {Function} search - 实际检索 () => Promise<Array>
+   * @returns {Promise<Array>}
+   * @protected
+   */
+  _recordSearch(queryEmbedding, options, search) {
+    return recordCall('vector', 'search', { embedding: hashInput(queryEmbedding ?? null), options }, search);
+  }
+
+  /**
+   * 插入文档
+   * @param {Object} doc - { chunkText, embedding, mapId? }
+   * @returns {Promise<Object>}
+   */
+  async insert(doc) {
+    throw new Error(`${this.constructor.name}.insert is not implemented`);
+  }
+
+  /**
+   * 批量插入文档（默认逐条调用 insert）
+   * @param {Array<Object>} docs - 文档数组
+   * @returns {Promise<Array>}
+   */
+  async insertBatch(docs) {
+    const rows = [];
+    for (const doc of docs) {
+      rows.push(await this.insert(doc));
+    }
+    return rows;
+  }
+}
@@ -2,5 +2,7 @@
  * Vector 模块导出
  */
 
+export { VectorStore } from './VectorStore.js';
 export { SupabaseVectorClient, getSupabaseClient, resetSupabaseClient } from './SupabaseClient.js';
-
+export { LocalVectorStore } from './LocalVectorStore.js';
+export { createVectorStore, getVectorStore, resetVectorStore } from './stores.js';
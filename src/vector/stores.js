@@ -0,0 +1,54 @@
+/**
+ * Vector Store 选择
+ * 根据 VECTOR_STORE 环境变量（或 config.store）创建对应的 VectorStore：
+ * - supabase（默认）：Supabase pgvector + match_documents RPC
+ * - local：本地 JSON 文件（LOCAL_VECTOR_STORE_PATH），无需任何外部服务
+ */
+
+import { SupabaseVectorClient } from './SupabaseClient.js';
+import { LocalVectorStore } from './LocalVectorStore.js';
+
+const DEFAULT_STORE = 'supabase';
+
+/**
+ * 创建 Vector Store
+ * @param {Object} [config] - 配置，会透传给具体实现
+ * @param {string} [config.store] - supabase | local
+ * @returns {import('./VectorStore.js').VectorStore}
+ */
+export function createVectorStore(config = {}) {
+  const store = (config.store || process.env.VECTOR_STORE || DEFAULT_STORE).toLowerCase();
+
+  switch (store) {
+    case 'supabase':
+      return new SupabaseVectorClient(config);
+
+    case 'local':
+      return new LocalVectorStore(config);
+
+    default:
+      throw new Error(`Unknown VECTOR_STORE: ${store} (expected supabase | local)`);
+  }
+}
+
+// 单例实例
+let instance = null;
+
+/**
+ * 获取 Vector Store 单例
+ * @param {Object} [config] - 配置（仅首次调用时生效）
+ * @returns {import('./VectorStore.js').VectorStore}
+ */
+export function getVectorStore(config) {
+  if (!instance) {
+    instance = createVectorStore(config);
+  }
+  return instance;
+}
+
+/**
+ * 重置单例（用于测试）
+ */
+export function resetVectorStore() {
+  instance = null;
+}
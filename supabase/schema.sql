@@ -81,3 +81,34 @@ $$;
 -- RLS（可选）
 -- 你们当前用的是 SUPABASE_SERVICE_ROLE_KEY（服务端），会绕过 RLS。
 -- alter table public.documents enable row level security;
+
+-- 会话存储（SESSION_STORE=supabase 时使用）
+-- data 为完整会话 JSON（history + 每轮 turns 产物），其余列用于列表与过期清理
+create table if not exists public.agent_sessions (
+  id text primary key,
+  data jsonb not null,
+  turn_count int not null default 0,
+  last_message text null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  expires_at timestamptz null
+);
+
+create index if not exists idx_agent_sessions_updated_at on public.agent_sessions (updated_at desc);
+create index if not exists idx_agent_sessions_expires_at on public.agent_sessions (expires_at);
+
+-- 结构化地图点位表（RAG lookupLandmark 精确解析；MAP_STORE=supabase 时使用）
+-- 由 scripts/seed-map-objects.js 从 docs/map-info.md 的 JSON objects 表导入
+create table if not exists public.map_objects (
+  map_id text not null default '',
+  object_id text not null,
+  type text not null,
+  color text null,
+  x double precision not null,
+  y double precision null,
+  z double precision not null,
+  name text null,
+  aliases jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now(),
+  primary key (map_id, object_id)
+);
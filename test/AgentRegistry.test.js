@@ -0,0 +1,232 @@
+/**
+ * AgentRegistry：按技能 ID 路由、多实例轮询 / 主备、健康标记，以及注册接口在认证关闭时只接受本机请求
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import { AgentRegistry, LoadBalancing, createRegistryRouter } from '../src/a2a/AgentRegistry.js';
+import { ApiKeyAuth } from '../src/auth/ApiKeyAuth.js';
+
+const ADMIN_KEY = 'sk-registry-admin';
+
+// 本地 Agent：/ping 与 /.well-known/agent.json
+const AGENT_CARD = { name: 'executor', version: '1.0.0', skills: [{ id: 'execute' }, { id: 'recover' }] };
+let agentServer = null;
+let agentUrl = null;
+let deadUrl = null;
+
+/**
+ * 卡片只声明给定技能的 AgentCard
+ */
+function cardWith(name, ...skills) {
+  return { name, skills: skills.map(id => ({ id })) };
+}
+
+/**
+ * 候选实例的 URL 列表
+ */
+function candidateUrls(registry, skill, agentName) {
+  return registry.candidates(skill, agentName).map(instance => instance.url);
+}
+
+/**
+ * 启动挂载注册接口的临时服务器
+ * 请求头 X-Test-Remote-Address 模拟来自其他主机的连接（注册接口按 TCP 连接地址判断来源）
+ */
+async function startRegistryServer(registry, auth) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    const remoteAddress = req.get('x-test-remote-address');
+    if (remoteAddress) {
+      Object.defineProperty(req, 'socket', { value: { remoteAddress } });
+    }
+    next();
+  });
+  app.use(createRegistryRouter(registry, { auth }));
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * POST JSON
+ */
+async function post(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  agentServer = http.createServer((req, res) => {
+    if (req.url === '/ping') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ status: 'ok' }));
+    }
+    if (req.url === '/.well-known/agent.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(AGENT_CARD));
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => agentServer.listen(0, '127.0.0.1', resolve));
+  agentUrl = `http://127.0.0.1:${agentServer.address().port}`;
+
+  // 监听后立即关闭的端口，连接会被拒绝
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  deadUrl = `http://127.0.0.1:${closed.address().port}`;
+  await new Promise(resolve => closed.close(resolve));
+});
+
+after(async () => {
+  await new Promise(resolve => agentServer.close(resolve));
+});
+
+describe('AgentRegistry 路由', () => {
+  test('已获取 AgentCard 的实例按技能 ID 匹配，尚未获取的按名称匹配', () => {
+    const registry = new AgentRegistry({ healthCheckMs: 0 });
+    registry.register('http://planner:9002/', { card: cardWith('planner', 'plan') });
+    registry.register('http://executor:9003', { card: cardWith('executor', 'execute', 'recover') });
+    registry.register('http://executor-2:9003', { name: 'executor', source: 'config' });
+
+    assert.deepEqual(candidateUrls(registry, 'plan'), ['http://planner:9002']);
+    assert.deepEqual(candidateUrls(registry, 'recover'), ['http://executor:9003']);
+    assert.deepEqual(candidateUrls(registry, 'recover', 'executor'), ['http://executor:9003', 'http://executor-2:9003']);
+    assert.deepEqual(candidateUrls(registry, 'unknownSkill'), []);
+  });
+
+  test('failover 始终优先最早注册的健康实例，不健康的实例排在最后', () => {
+    const registry = new AgentRegistry({ strategy: LoadBalancing.FAILOVER, healthCheckMs: 0 });
+    registry.register('http://a:9003', { card: cardWith('executor', 'execute') });
+    registry.register('http://b:9003', { card: cardWith('executor', 'execute') });
+
+    assert.deepEqual(candidateUrls(registry, 'execute'), ['http://a:9003', 'http://b:9003']);
+    assert.deepEqual(candidateUrls(registry, 'execute'), ['http://a:9003', 'http://b:9003']);
+
+    registry.markFailure('http://a:9003', new Error('ECONNREFUSED'));
+    assert.deepEqual(candidateUrls(registry, 'execute'), ['http://b:9003', 'http://a:9003']);
+
+    registry.markSuccess('http://a:9003');
+    assert.deepEqual(candidateUrls(registry, 'execute'), ['http://a:9003', 'http://b:9003']);
+  });
+
+  test('round-robin 在健康实例间轮流', () => {
+    const registry = new AgentRegistry({ strategy: LoadBalancing.ROUND_ROBIN, healthCheckMs: 0 });
+    registry.register('http://a:9003', { card: cardWith('executor', 'execute') });
+    registry.register('http://b:9003', { card: cardWith('executor', 'execute') });
+    registry.register('http://c:9003', { card: cardWith('executor', 'execute') });
+    registry.markFailure('http://c:9003');
+
+    assert.deepEqual(candidateUrls(registry, 'execute'), ['http://a:9003', 'http://b:9003', 'http://c:9003']);
+    assert.deepEqual(candidateUrls(registry, 'execute'), ['http://b:9003', 'http://a:9003', 'http://c:9003']);
+    assert.deepEqual(candidateUrls(registry, 'execute'), ['http://a:9003', 'http://b:9003', 'http://c:9003']);
+  });
+});
+
+describe('AgentRegistry 健康检查', () => {
+  test('checkHealth 标记可达与不可达的实例，并为恢复的实例获取 AgentCard', async () => {
+    const registry = new AgentRegistry({ healthCheckMs: 0 });
+    registry.register(agentUrl, { name: 'executor' });
+    registry.register(deadUrl, { name: 'executor' });
+
+    const list = await registry.checkHealth();
+    const live = list.find(item => item.url === agentUrl);
+    const dead = list.find(item => item.url === deadUrl);
+
+    assert.equal(live.healthy, true);
+    assert.deepEqual(live.skills, ['execute', 'recover']);
+    assert.equal(dead.healthy, false);
+    assert.equal(dead.failures, 1);
+    assert.equal(dead.lastError, 'ECONNREFUSED');
+    assert.deepEqual(candidateUrls(registry, 'execute', 'executor'), [agentUrl, deadUrl]);
+
+    const summary = registry.summarize();
+    assert.equal(summary.executor.available, true);
+    assert.equal(summary.executor.instances.length, 2);
+  });
+
+  test('markFailure 累计失败次数，markSuccess 清零', () => {
+    const registry = new AgentRegistry({ healthCheckMs: 0 });
+    registry.register('http://a:9003', { name: 'executor' });
+
+    registry.markFailure('http://a:9003', new Error('timeout'));
+    registry.markFailure('http://a:9003', new Error('timeout'));
+    let [instance] = registry.list();
+    assert.equal(instance.healthy, false);
+    assert.equal(instance.failures, 2);
+    assert.equal(instance.lastError, 'timeout');
+
+    registry.markSuccess('http://a:9003');
+    [instance] = registry.list();
+    assert.equal(instance.healthy, true);
+    assert.equal(instance.failures, 0);
+    assert.equal(instance.lastError, null);
+  });
+});
+
+describe('注册接口', () => {
+  test('认证关闭时接受本机注册，拒绝其他主机的注册与注销', async () => {
+    const registry = new AgentRegistry({ healthCheckMs: 0 });
+    const { server, baseUrl } = await startRegistryServer(registry, new ApiKeyAuth({ keys: [] }));
+    try {
+      const card = cardWith('executor', 'execute', 'recover');
+
+      const remote = await post(`${baseUrl}/agents/register`, { url: 'http://attacker:9003', card }, {
+        'X-Test-Remote-Address': '10.0.0.8',
+      });
+      assert.equal(remote.status, 403);
+      assert.equal(remote.body.code, 'FORBIDDEN');
+      assert.deepEqual(candidateUrls(registry, 'execute'), []);
+
+      const local = await post(`${baseUrl}/agents/register`, { url: 'http://127.0.0.1:9003', card });
+      assert.equal(local.status, 200);
+      assert.deepEqual(local.body.skills, ['execute', 'recover']);
+      assert.deepEqual(candidateUrls(registry, 'execute'), ['http://127.0.0.1:9003']);
+
+      const remoteDeregister = await post(`${baseUrl}/agents/deregister`, { url: 'http://127.0.0.1:9003' }, {
+        'X-Test-Remote-Address': '::ffff:10.0.0.8',
+      });
+      assert.equal(remoteDeregister.status, 403);
+      assert.equal(registry.list().length, 1);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('认证开启时其他主机使用 admin 密钥可以注册', async () => {
+    const registry = new AgentRegistry({ healthCheckMs: 0 });
+    const auth = new ApiKeyAuth({
+      keys: [
+        { name: 'agents', key: ADMIN_KEY, scopes: ['admin'] },
+        { name: 'web', key: 'sk-registry-execute', scopes: ['execute'] },
+      ],
+    });
+    const { server, baseUrl } = await startRegistryServer(registry, auth);
+    try {
+      const body = { url: 'http://10.0.0.9:9003', card: cardWith('executor', 'execute') };
+      const remote = { 'X-Test-Remote-Address': '10.0.0.9' };
+
+      assert.equal((await post(`${baseUrl}/agents/register`, body, remote)).status, 401);
+      assert.equal((await post(`${baseUrl}/agents/register`, body, {
+        ...remote, Authorization: 'Bearer sk-registry-execute',
+      })).status, 403);
+      assert.deepEqual(registry.list(), []);
+
+      const accepted = await post(`${baseUrl}/agents/register`, body, { ...remote, Authorization: `Bearer ${ADMIN_KEY}` });
+      assert.equal(accepted.status, 200);
+      assert.equal(accepted.body.source, 'self');
+      assert.deepEqual(candidateUrls(registry, 'execute'), ['http://10.0.0.9:9003']);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * API Key 认证：A2A 按技能 scope 校验权限（AgentServer）、Web API 的路由权限（dryRun 只需 read），
+ * 以及 AgentCard 中的认证方式声明
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { AgentServer } from '../src/a2a/AgentServer.js';
+import { ApiKeyAuth, Scope } from '../src/auth/ApiKeyAuth.js';
+import { OrchestratorAgentCard, ExecutorAgentCard } from '../src/agents/definitions.js';
+
+const AGENT_PORT = 19294;
+const WEB_PORT = 19295;
+const AGENT_URL = `http://127.0.0.1:${AGENT_PORT}`;
+const WEB_URL = `http://127.0.0.1:${WEB_PORT}`;
+const WEB_SERVER = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src/interfaces/webServer.js');
+
+const KEYS = {
+  read: 'sk-auth-test-read',
+  execute: 'sk-auth-test-execute',
+  admin: 'sk-auth-test-admin',
+};
+const API_KEYS = Object.entries(KEYS).map(([scope, key]) => `${scope}:${key}:${scope}`).join(',');
+
+// 使用 AgentCard 中实际声明的技能与 scope
+const SKILLS = [
+  OrchestratorAgentCard.skills.find(skill => skill.id === 'approvePlan'),
+  ExecutorAgentCard.skills.find(skill => skill.id === 'execute'),
+  ExecutorAgentCard.skills.find(skill => skill.id === 'getDroneState'),
+];
+
+let agentServer = null;
+let webServer = null;
+
+/**
+ * 发起 JSON 请求，key 为 null 时不带凭据
+ */
+async function request(url, { method = 'POST', body, key = null, header = 'authorization' } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key) {
+    headers[header] = header === 'authorization' ? `Bearer ${key}` : key;
+  }
+  const response = await fetch(url, { method, headers, body: body && JSON.stringify(body) });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * 向测试 Agent 提交任务
+ */
+function submitTask(skill, key, options = {}) {
+  return request(`${AGENT_URL}/tasks`, { body: { id: `task-${skill}`, skill, input: {} }, key, ...options });
+}
+
+/**
+ * 等待 Web 服务器开始监听（未认证的 /metrics 返回 401 即可）
+ */
+async function waitForWebServer(timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (webServer.exitCode !== null) {
+      throw new Error(`webServer exited with code ${webServer.exitCode}`);
+    }
+    try {
+      await fetch(`${WEB_URL}/metrics`);
+      return;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('webServer did not start in time');
+}
+
+before(async () => {
+  agentServer = new AgentServer({
+    agentCard: { name: 'auth-test-agent', url: AGENT_URL, skills: SKILLS },
+    port: AGENT_PORT,
+    registryUrl: '',
+    validateInput: false,
+    auth: new ApiKeyAuth({ keys: Object.entries(KEYS).map(([scope, key]) => ({ name: scope, key, scopes: [scope] })) }),
+    skillHandlers: Object.fromEntries(SKILLS.map(skill => [skill.id, async () => ({ skill: skill.id })])),
+  });
+  await agentServer.start();
+
+  // Web 服务器独立进程：Agent 地址不可达也能启动，这里只验证认证在路由处理前生效
+  const env = {
+    ...process.env,
+    WEB_API_PORT: String(WEB_PORT),
+    API_KEYS,
+    SESSION_STORE: 'memory',
+    A2A_HEALTH_CHECK_MS: '0',
+    TRACING_EXPORTER: 'none',
+    LOG_LEVEL: 'error',
+    LOG_LEVELS: '',
+  };
+  for (const name of ['API_KEYS_FILE', 'A2A_AGENTS_FILE', 'A2A_AGENT_URLS', 'A2A_REGISTRY_URL', 'LOG_FILE', 'RECORD_REQUESTS']) {
+    delete env[name];
+  }
+  webServer = spawn(process.execPath, [WEB_SERVER], { env, stdio: 'ignore' });
+  await waitForWebServer();
+});
+
+after(async () => {
+  await agentServer?.stop();
+  if (webServer && webServer.exitCode === null) {
+    const exited = new Promise(resolve => webServer.once('exit', resolve));
+    webServer.kill('SIGTERM');
+    await exited;
+  }
+});
+
+describe('A2A 技能权限', () => {
+  test('缺少或无效的密钥返回 401', async () => {
+    const missing = await submitTask('getDroneState', null);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'UNAUTHORIZED');
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+    const invalid = await submitTask('getDroneState', 'sk-not-a-key');
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.code, 'UNAUTHORIZED');
+  });
+
+  test('read 密钥不能调用 execute / approvePlan，可以调用只读技能', async () => {
+    for (const skill of ['execute', 'approvePlan']) {
+      const denied = await submitTask(skill, KEYS.read);
+      assert.equal(denied.status, 403, skill);
+      assert.equal(denied.body.code, 'FORBIDDEN');
+      assert.match(denied.body.error, /lacks scope: execute/);
+    }
+
+    const allowed = await submitTask('getDroneState', KEYS.read);
+    assert.equal(allowed.status, 200);
+    assert.deepEqual(allowed.body.output, { skill: 'getDroneState' });
+  });
+
+  test('execute / admin 密钥可以调用 execute，X-API-Key 与 Bearer 等效', async () => {
+    assert.equal((await submitTask('execute', KEYS.execute)).body.success, true);
+    assert.equal((await submitTask('approvePlan', KEYS.admin)).body.success, true);
+    assert.equal((await submitTask('execute', KEYS.execute, { header: 'x-api-key' })).status, 200);
+  });
+
+  test('AgentCard 公开，并声明认证方式与每个技能所需的 scope', async () => {
+    const { status, body: card } = await request(`${AGENT_URL}/.well-known/agent.json`, { method: 'GET' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(card.securitySchemes), ['bearer', 'apiKey']);
+    assert.deepEqual(card.security, [{ bearer: [] }, { apiKey: [] }]);
+    assert.deepEqual(card.scopes, [Scope.READ, Scope.EXECUTE, Scope.ADMIN]);
+    assert.deepEqual(
+      Object.fromEntries(card.skills.map(skill => [skill.id, skill.scope])),
+      { approvePlan: 'execute', execute: 'execute', getDroneState: 'read' },
+    );
+    assert.equal((await request(`${AGENT_URL}/ping`, { method: 'GET' })).status, 200);
+  });
+
+  test('认证关闭时 describe() 为空，AgentCard 不声明认证方式', () => {
+    const auth = new ApiKeyAuth({ keys: [] });
+    const server = new AgentServer({
+      agentCard: { name: 'auth-disabled-agent', skills: SKILLS },
+      port: 0,
+      registryUrl: '',
+      auth,
+    });
+
+    assert.deepEqual(auth.describe(), {});
+    const card = server.getPublicCard();
+    assert.equal(card.securitySchemes, undefined);
+    assert.equal(card.security, undefined);
+    assert.equal(card.skills.length, SKILLS.length);
+  });
+});
+
+describe('Web API 权限', () => {
+  test('缺少密钥返回 401', async () => {
+    const chat = await request(`${WEB_URL}/api/chat`, { body: { message: '起飞' } });
+    assert.equal(chat.status, 401);
+    assert.equal(chat.body.code, 'UNAUTHORIZED');
+
+    assert.equal((await request(`${WEB_URL}/api/sessions`, { method: 'GET' })).status, 401);
+  });
+
+  test('read 密钥可以 dryRun，不能执行或审批', async () => {
+    // 缺少 message 的 dryRun 请求通过认证后由路由返回 400
+    const dryRun = await request(`${WEB_URL}/api/chat`, { body: { dryRun: true }, key: KEYS.read });
+    assert.equal(dryRun.status, 400);
+    assert.equal(dryRun.body.error, 'message is required');
+
+    const chat = await request(`${WEB_URL}/api/chat`, { body: { message: '起飞' }, key: KEYS.read });
+    assert.equal(chat.status, 403);
+    assert.equal(chat.body.code, 'FORBIDDEN');
+
+    const approve = await request(`${WEB_URL}/api/sessions/s1/plans/p1/approve`, { body: {}, key: KEYS.read });
+    assert.equal(approve.status, 403);
+    assert.equal(approve.body.code, 'FORBIDDEN');
+
+    assert.equal((await request(`${WEB_URL}/api/sessions`, { method: 'GET', key: KEYS.read })).status, 200);
+  });
+
+  test('execute 密钥可以审批（会话不存在时由路由返回 404）', async () => {
+    const approve = await request(`${WEB_URL}/api/sessions/missing/plans/p1/approve`, { body: {}, key: KEYS.execute });
+    assert.equal(approve.status, 404);
+    assert.equal(approve.body.code, 'SESSION_NOT_FOUND');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * CircuitBreaker 状态机，以及 AgentClient 的 bypassBreaker（安全类调用绕过熔断）
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, CircuitState } from '../src/a2a/CircuitBreaker.js';
+import { AgentClient } from '../src/a2a/AgentClient.js';
+import { AgentServer } from '../src/a2a/AgentServer.js';
+
+const AGENT_PORT = 19292;
+
+/**
+ * 让熔断器的冷却期立即结束
+ */
+function expireCooldown(breaker) {
+  breaker.openedAt = Date.now() - breaker.resetTimeoutMs - 1;
+}
+
+describe('CircuitBreaker', () => {
+  test('连续失败达到阈值后熔断，冷却期内拒绝调用', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60000 });
+
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.recordFailure(new Error('ECONNREFUSED')), false);
+    assert.equal(breaker.state, CircuitState.CLOSED);
+    assert.equal(breaker.recordFailure(new Error('ECONNREFUSED')), true);
+    assert.equal(breaker.state, CircuitState.OPEN);
+    assert.equal(breaker.allowRequest(), false);
+
+    const snapshot = breaker.toJSON();
+    assert.equal(snapshot.state, CircuitState.OPEN);
+    assert.equal(snapshot.failures, 2);
+    assert.equal(snapshot.lastError, 'ECONNREFUSED');
+    assert.equal(typeof snapshot.openedAt, 'string');
+  });
+
+  test('成功调用清零连续失败次数', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60000 });
+    breaker.recordFailure(new Error('timeout'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('timeout'));
+
+    assert.equal(breaker.state, CircuitState.CLOSED);
+    assert.equal(breaker.failures, 1);
+  });
+
+  test('冷却期结束后只放行一次试探调用，成功则恢复', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 60000 });
+    breaker.recordFailure(new Error('down'));
+    expireCooldown(breaker);
+
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.state, CircuitState.HALF_OPEN);
+    assert.equal(breaker.allowRequest(), false);
+
+    breaker.recordSuccess();
+    assert.deepEqual(breaker.toJSON(), { state: CircuitState.CLOSED, failures: 0, openedAt: null, lastError: null });
+    assert.equal(breaker.allowRequest(), true);
+  });
+
+  test('试探调用失败重新熔断', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 60000 });
+    for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('down'));
+    expireCooldown(breaker);
+
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.recordFailure(new Error('still down')), true);
+    assert.equal(breaker.state, CircuitState.OPEN);
+    assert.equal(breaker.allowRequest(), false);
+  });
+
+  test('release 释放试探名额但不改变状态', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 60000 });
+    breaker.recordFailure(new Error('down'));
+    expireCooldown(breaker);
+
+    assert.equal(breaker.allowRequest(), true);
+    breaker.release();
+    assert.equal(breaker.state, CircuitState.HALF_OPEN);
+    assert.equal(breaker.allowRequest(), true);
+  });
+
+  test('未配置时读取环境变量，缺省为 5 次 / 30 秒', () => {
+    const saved = { threshold: process.env.A2A_BREAKER_THRESHOLD, reset: process.env.A2A_BREAKER_RESET_MS };
+    process.env.A2A_BREAKER_THRESHOLD = '3';
+    delete process.env.A2A_BREAKER_RESET_MS;
+    try {
+      const breaker = new CircuitBreaker();
+      assert.equal(breaker.failureThreshold, 3);
+      assert.equal(breaker.resetTimeoutMs, 30000);
+    } finally {
+      if (saved.threshold === undefined) delete process.env.A2A_BREAKER_THRESHOLD;
+      else process.env.A2A_BREAKER_THRESHOLD = saved.threshold;
+      if (saved.reset !== undefined) process.env.A2A_BREAKER_RESET_MS = saved.reset;
+    }
+  });
+});
+
+describe('AgentClient 熔断', () => {
+  test('熔断后普通调用快速失败，bypassBreaker 的调用仍然发出并在成功后恢复', async () => {
+    const url = `http://127.0.0.1:${AGENT_PORT}`;
+    const client = new AgentClient('breaker-test', {
+      apiKey: '',
+      retry: { maxRetries: 0 },
+      breaker: { failureThreshold: 1, resetTimeoutMs: 60000 },
+    });
+
+    // Agent 未启动：第一次调用失败并熔断
+    await assert.rejects(client.submitTask(url, 'recover', {}));
+    assert.equal(client.getCircuitStates()[url].state, CircuitState.OPEN);
+    await assert.rejects(client.submitTask(url, 'recover', {}), error => error.code === 'CIRCUIT_OPEN');
+
+    const server = new AgentServer({
+      agentCard: { name: 'breaker-test-agent', url, skills: [{ id: 'recover', scope: 'read', safety: true }] },
+      port: AGENT_PORT,
+      skillHandlers: { recover: async () => ({ recovered: true }) },
+    });
+    await server.start();
+    try {
+      await assert.rejects(client.submitTask(url, 'recover', {}), error => error.code === 'CIRCUIT_OPEN');
+
+      const result = await client.submitTask(url, 'recover', {}, { bypassBreaker: true });
+      assert.equal(result.success, true);
+      assert.deepEqual(result.output, { recovered: true });
+      assert.equal(client.getCircuitStates()[url].state, CircuitState.CLOSED);
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * IdempotencyStore：重复提交、key 冲突、失败不缓存、保留窗口与容量；
+ * 以及冲突错误码经 AgentServer 返回给调用方
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IdempotencyStore } from '../src/agents/executor/IdempotencyStore.js';
+import { AgentClient } from '../src/a2a/AgentClient.js';
+import { AgentServer } from '../src/a2a/AgentServer.js';
+
+const AGENT_PORT = 19293;
+const STEPS = { steps: [{ tool: 'drone.take_off', args: { altitude: 1 } }], stopOnError: true };
+
+/**
+ * 记录调用次数的执行函数
+ */
+function counter(result = { allSuccess: true }) {
+  const fn = async () => {
+    fn.calls++;
+    return result;
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+describe('IdempotencyStore', () => {
+  test('同一 key 重复提交返回首次结果，不再执行', async () => {
+    const store = new IdempotencyStore({ windowMs: 60000, maxEntries: 10 });
+    const fn = counter();
+
+    const first = await store.run('req-1:1', STEPS, fn);
+    const second = await store.run('req-1:1', STEPS, fn);
+
+    assert.equal(fn.calls, 1);
+    assert.equal(first.replayed, false);
+    assert.equal(second.replayed, true);
+    assert.equal(second.result, first.result);
+  });
+
+  test('并发的重复提交等待同一次执行', async () => {
+    const store = new IdempotencyStore({ windowMs: 60000, maxEntries: 10 });
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    let calls = 0;
+    const fn = async () => {
+      calls++;
+      await gate;
+      return { allSuccess: true };
+    };
+
+    const pending = [store.run('k', STEPS, fn), store.run('k', STEPS, fn)];
+    release();
+    const [first, second] = await Promise.all(pending);
+
+    assert.equal(calls, 1);
+    assert.deepEqual([first.replayed, second.replayed], [false, true]);
+  });
+
+  test('同一 key 对应不同步骤时抛出可暴露的 IDEMPOTENCY_CONFLICT', async () => {
+    const store = new IdempotencyStore({ windowMs: 60000, maxEntries: 10 });
+    await store.run('k', STEPS, counter());
+
+    await assert.rejects(
+      store.run('k', { ...STEPS, stopOnError: false }, counter()),
+      error => error.code === 'IDEMPOTENCY_CONFLICT' && error.expose === true,
+    );
+  });
+
+  test('执行抛出异常时不缓存，允许用同一 key 重试', async () => {
+    const store = new IdempotencyStore({ windowMs: 60000, maxEntries: 10 });
+    await assert.rejects(store.run('k', STEPS, async () => { throw new Error('MCP not connected'); }), /MCP not connected/);
+
+    const fn = counter();
+    const retry = await store.run('k', STEPS, fn);
+    assert.equal(fn.calls, 1);
+    assert.equal(retry.replayed, false);
+  });
+
+  test('超过保留窗口的结果被清理', async () => {
+    const store = new IdempotencyStore({ windowMs: 1000, maxEntries: 10 });
+    const fn = counter();
+    await store.run('k', STEPS, fn);
+    store.entries.get('k').completedAt -= 2000;
+
+    const again = await store.run('k', STEPS, fn);
+    assert.equal(fn.calls, 2);
+    assert.equal(again.replayed, false);
+  });
+
+  test('超出容量时丢弃最早完成的结果，进行中的执行保留', async () => {
+    const store = new IdempotencyStore({ windowMs: 60000, maxEntries: 2 });
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const running = store.run('running', STEPS, () => gate.then(() => ({ allSuccess: true })));
+
+    await store.run('a', STEPS, counter());
+    await store.run('b', STEPS, counter());
+
+    assert.deepEqual([...store.entries.keys()], ['running', 'b']);
+    release();
+    assert.equal((await running).replayed, false);
+  });
+});
+
+describe('AgentServer 业务错误码', () => {
+  test('只返回 createSkillError 标记的错误码', async () => {
+    const url = `http://127.0.0.1:${AGENT_PORT}`;
+    const store = new IdempotencyStore({ windowMs: 60000, maxEntries: 10 });
+    const server = new AgentServer({
+      agentCard: { name: 'idempotency-test-agent', url, skills: [{ id: 'execute' }, { id: 'connect' }] },
+      port: AGENT_PORT,
+      skillHandlers: {
+        execute: async (input) => (await store.run(input.idempotencyKey, input.steps, async () => ({ allSuccess: true }))).result,
+        connect: async () => {
+          const error = new Error('connect ECONNREFUSED 127.0.0.1:1');
+          error.code = 'ECONNREFUSED';
+          throw error;
+        },
+      },
+    });
+    const client = new AgentClient('idempotency-test', { apiKey: '', retry: { maxRetries: 0 } });
+
+    await server.start();
+    try {
+      await client.submitTask(url, 'execute', { idempotencyKey: 'k', steps: [1] });
+      const conflict = await client.submitTask(url, 'execute', { idempotencyKey: 'k', steps: [2] });
+      assert.equal(conflict.success, false);
+      assert.equal(conflict.code, 'IDEMPOTENCY_CONFLICT');
+
+      const internal = await client.submitTask(url, 'connect', {});
+      assert.equal(internal.success, false);
+      assert.equal(internal.code, undefined);
+      assert.match(internal.error, /ECONNREFUSED/);
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * MapRegistry：编号 / 别名 / 颜色+形状解析，以及 "点位N" 与数量、高度等数字的区分
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MapRegistry } from '../src/map/MapRegistry.js';
+import { normalizeMapObject } from '../src/map/mapObjects.js';
+
+const OBJECTS = [
+  { id: '1', type: 'square', color: 'red', x: 0, z: 0 },
+  { id: '2', type: 'square', color: 'green', x: 1, z: 0 },
+  { id: '3', type: 'circle', color: 'blue', x: 2, z: 1 },
+  { id: '5', type: 'triangle', color: 'yellow', x: 3, z: 2 },
+  { id: 'landing_pad', type: 'landing', color: null, x: -1, z: -1, aliases: ['着陆标'] },
+].map(raw => normalizeMapObject(raw, 'demo'));
+
+/**
+ * 使用内存点位表的 MapRegistry
+ */
+function createRegistry() {
+  return new MapRegistry({ store: { list: async () => OBJECTS }, cacheMs: 0 });
+}
+
+/**
+ * 解析结果中的 objectId 列表
+ */
+async function lookupIds(target) {
+  const result = await createRegistry().lookup(target, { mapId: 'demo' });
+  return result.objects.map(obj => obj.objectId);
+}
+
+describe('MapRegistry 编号解析', () => {
+  test('N号、编号N、点位N、第N个', async () => {
+    assert.deepEqual(await lookupIds('3号'), ['3']);
+    assert.deepEqual(await lookupIds('编号5'), ['5']);
+    assert.deepEqual(await lookupIds('飞到点位3'), ['3']);
+    assert.deepEqual(await lookupIds('点位 5'), ['5']);
+    assert.deepEqual(await lookupIds('第2个'), ['2']);
+    assert.deepEqual(await lookupIds('3'), ['3']);
+  });
+
+  test('一句话中的多个编号按出现顺序全部返回', async () => {
+    assert.deepEqual(await lookupIds('5号和3号之间'), ['5', '3']);
+    assert.deepEqual(await lookupIds('从点位2飞到点位5'), ['2', '5']);
+  });
+
+  test('N号点位后面的高度、次数等数字不是编号', async () => {
+    assert.deepEqual(await lookupIds('3号点位1米高'), ['3']);
+    assert.deepEqual(await lookupIds('3号 点位 2次'), ['3']);
+    assert.deepEqual(await lookupIds('3号点位1'), ['3']);
+  });
+
+  test('点位后带单位的数字不是编号', async () => {
+    assert.deepEqual(await lookupIds('点位1米'), []);
+    assert.deepEqual(await lookupIds('点位 2 m'), []);
+    assert.deepEqual(await lookupIds('点位1.5m高'), []);
+    assert.deepEqual(await lookupIds('点位3次'), []);
+    assert.deepEqual(await lookupIds('点位12米'), []);
+  });
+});
+
+describe('MapRegistry 别名与属性解析', () => {
+  test('完整 objectId、别名与包含的别名', async () => {
+    assert.deepEqual(await lookupIds('landing_pad'), ['landing_pad']);
+    assert.deepEqual(await lookupIds('着陆标'), ['landing_pad']);
+    assert.deepEqual(await lookupIds('降落在着陆标上'), ['landing_pad']);
+  });
+
+  test('颜色 + 形状过滤，可能返回多个候选', async () => {
+    assert.deepEqual(await lookupIds('蓝色圆形'), ['3']);
+    assert.deepEqual(await lookupIds('正方形'), ['1', '2']);
+  });
+
+  test('toHit 把坐标放在 metadata 中', async () => {
+    const registry = createRegistry();
+    const [obj] = (await registry.lookup('3号', { mapId: 'demo' })).objects;
+    const hit = registry.toHit(obj, 'id');
+
+    assert.equal(hit.id, 'map:demo:3');
+    assert.equal(hit.score, 1);
+    assert.equal(hit.metadata.objectId, '3');
+    assert.equal(hit.metadata.worldX, 2);
+    assert.equal(hit.metadata.worldZ, 1);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Metrics：Counter / Gauge / Histogram、MetricsRegistry 登记与 Prometheus 文本输出
+ */
+
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Counter, Gauge, Histogram, MetricsRegistry, getMetrics, resetMetrics } from '../src/metrics/Metrics.js';
+
+describe('Counter', () => {
+  test('按标签组合累加，未声明的标签被忽略', () => {
+    const counter = new Counter({ name: 'a2a_tasks_total', help: 'Tasks', labelNames: ['skill', 'status'] });
+    counter.inc({ skill: 'plan', status: 'completed' });
+    counter.inc({ skill: 'plan', status: 'completed', extra: 'x' }, 2);
+    counter.inc({ skill: 'execute' });
+
+    assert.equal(counter.get({ skill: 'plan', status: 'completed' }), 3);
+    assert.equal(counter.get({ skill: 'execute', status: '' }), 1);
+    assert.equal(counter.get({ skill: 'rag' }), 0);
+    assert.equal(counter.render(), [
+      '# HELP a2a_tasks_total Tasks',
+      '# TYPE a2a_tasks_total counter',
+      'a2a_tasks_total{skill="plan",status="completed"} 3',
+      'a2a_tasks_total{skill="execute",status=""} 1',
+    ].join('\n'));
+  });
+
+  test('不能减少，指标名必须合法', () => {
+    const counter = new Counter({ name: 'c_total', help: 'c' });
+    assert.throws(() => counter.inc({}, -1), /cannot be decreased/);
+    assert.throws(() => new Counter({ name: 'bad-name', help: 'x' }), /Invalid metric name/);
+  });
+
+  test('标签值转义反斜杠、双引号与换行', () => {
+    const counter = new Counter({ name: 'c_total', help: 'c', labelNames: ['error'] });
+    counter.inc({ error: 'say "hi"\\\nbye' });
+    assert.match(counter.render(), /c_total\{error="say \\"hi\\"\\\\\\nbye"\} 1$/);
+  });
+});
+
+describe('Gauge', () => {
+  test('set / inc / dec，输出前调用 collect', () => {
+    let collected = 0;
+    const gauge = new Gauge({ name: 'active_tasks', help: 'Active', collect: g => { collected++; g.set({}, 7); } });
+    gauge.inc();
+    gauge.dec({}, 3);
+    assert.equal(gauge.get(), -2);
+
+    assert.match(gauge.render(), /^active_tasks 7$/m);
+    assert.equal(collected, 1);
+  });
+});
+
+describe('Histogram', () => {
+  test('分桶累计计数，输出 +Inf / sum / count', () => {
+    const histogram = new Histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['tool'], buckets: [1, 0.1] });
+    histogram.observe({ tool: 'land' }, 0.05);
+    histogram.observe({ tool: 'land' }, 0.5);
+    histogram.observe({ tool: 'land' }, 3);
+
+    assert.deepEqual(histogram.buckets, [0.1, 1]);
+    assert.deepEqual(histogram.render().split('\n').slice(2), [
+      'latency_seconds_bucket{tool="land",le="0.1"} 1',
+      'latency_seconds_bucket{tool="land",le="1"} 2',
+      'latency_seconds_bucket{tool="land",le="+Inf"} 3',
+      'latency_seconds_sum{tool="land"} 3.55',
+      'latency_seconds_count{tool="land"} 3',
+    ]);
+  });
+
+  test('startTimer 记录经过的秒数并可补充标签', () => {
+    const histogram = new Histogram({ name: 'call_seconds', help: 'Calls', labelNames: ['status'] });
+    const end = histogram.startTimer();
+    const seconds = end({ status: 'ok' });
+
+    assert.ok(seconds >= 0);
+    assert.match(histogram.render(), /^call_seconds_count\{status="ok"\} 1$/m);
+  });
+
+  test('不能使用 le 作为标签', () => {
+    assert.throws(() => new Histogram({ name: 'h', help: 'h', labelNames: ['le'] }), /cannot use "le"/);
+  });
+});
+
+describe('MetricsRegistry', () => {
+  afterEach(() => resetMetrics());
+
+  test('同名重复登记返回同一实例，类型不同时报错', () => {
+    const registry = new MetricsRegistry({ processMetrics: false });
+    const counter = registry.counter('requests_total', 'Requests', ['route']);
+
+    assert.equal(registry.counter('requests_total', 'Requests', ['route']), counter);
+    assert.equal(registry.get('requests_total'), counter);
+    assert.throws(() => registry.gauge('requests_total', 'Requests'), /already registered as a counter/);
+  });
+
+  test('同名 Gauge 以最后登记的 collect 为准', () => {
+    const registry = new MetricsRegistry({ processMetrics: false });
+    registry.gauge('workers', 'Workers', [], g => g.set({}, 1));
+    registry.gauge('workers', 'Workers', [], g => g.set({}, 2));
+    assert.match(registry.render(), /^workers 2$/m);
+  });
+
+  test('render 输出全部指标并附带进程指标', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('requests_total', 'Requests').inc();
+    const text = registry.render();
+
+    assert.ok(text.endsWith('\n'));
+    assert.match(text, /^# TYPE process_start_time_seconds gauge$/m);
+    assert.match(text, /^process_resident_memory_bytes \d+$/m);
+    assert.match(text, /^requests_total 1$/m);
+  });
+
+  test('getMetrics 返回进程内单例，resetMetrics 后重建', () => {
+    const registry = getMetrics();
+    assert.equal(getMetrics(), registry);
+    resetMetrics();
+    assert.notEqual(getMetrics(), registry);
+  });
+});
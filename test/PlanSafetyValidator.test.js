@@ -0,0 +1,196 @@
+/**
+ * PlanSafetyValidator：地理围栏、高度、航段长度、先起飞、禁飞区与 repair / reject / off 模式
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlanSafetyValidator, SafetyViolation } from '../src/safety/PlanSafetyValidator.js';
+
+const GEOFENCE = { minX: -2.72, maxX: 2.72, minZ: -2, maxZ: 2 };
+const LANDED = { position: { x: 0, y: 0, z: 0 }, heading: 0, flying: false };
+
+function createValidator(config = {}) {
+  return new PlanSafetyValidator({
+    mode: 'repair',
+    geofence: GEOFENCE,
+    margin: 0.1,
+    minAltitude: 0.3,
+    maxAltitude: 3,
+    maxSegment: 4,
+    defaultAltitude: 1,
+    forbiddenZones: [],
+    ...config,
+  });
+}
+
+function flyingAt(x, y, z, heading = 0) {
+  return { position: { x, y, z }, heading, flying: true };
+}
+
+describe('PlanSafetyValidator', () => {
+  test('合法计划原样通过', () => {
+    const steps = [
+      { tool: 'drone.take_off', args: { altitude: 1 } },
+      { tool: 'drone.move_to', args: { x: 2, z: 1 } },
+      { tool: 'drone.land', args: {} },
+    ];
+    const result = createValidator().validate(steps, { droneState: LANDED });
+
+    assert.equal(result.approved, true);
+    assert.equal(result.repaired, false);
+    assert.deepEqual(result.violations, []);
+    assert.deepEqual(result.steps, steps);
+  });
+
+  test('off 模式不校验', () => {
+    const steps = [{ tool: 'drone.move_to', args: { x: 100, z: 100 } }];
+    const result = createValidator({ mode: 'off' }).validate(steps, { droneState: LANDED });
+    assert.equal(result.approved, true);
+    assert.equal(result.steps, steps);
+  });
+
+  test('未知模式在构造时报错', () => {
+    assert.throws(() => createValidator({ mode: 'loose' }), /Unknown SAFETY_MODE: loose/);
+  });
+
+  test('默认从 docs/map-info.md 推导围栏', () => {
+    const { SAFETY_GEOFENCE } = process.env;
+    delete process.env.SAFETY_GEOFENCE;
+    try {
+      assert.deepEqual(new PlanSafetyValidator({ mode: 'repair' }).geofence, GEOFENCE);
+    } finally {
+      if (SAFETY_GEOFENCE !== undefined) process.env.SAFETY_GEOFENCE = SAFETY_GEOFENCE;
+    }
+  });
+
+  test('越出围栏的目标夹紧到围栏内', () => {
+    const result = createValidator().validate(
+      [{ tool: 'drone.move_to', args: { x: 5, z: 1 }, description: '飞到右侧' }],
+      { droneState: flyingAt(0, 1, 0) },
+    );
+
+    assert.equal(result.approved, true);
+    assert.equal(result.repaired, true);
+    assert.deepEqual(result.steps, [{ tool: 'drone.move_to', args: { x: 2.62, z: 1 }, description: '飞到右侧' }]);
+    assert.equal(result.violations.length, 1);
+    assert.equal(result.violations[0].code, SafetyViolation.GEOFENCE);
+    assert.equal(result.violations[0].fix, '修正为 (2.62, 1)');
+    assert.equal(result.violations[0].repaired, true);
+  });
+
+  test('起飞高度夹紧到高度范围', () => {
+    const result = createValidator().validate([{ tool: 'drone.take_off', args: { altitude: 5 } }], { droneState: LANDED });
+    assert.deepEqual(result.steps[0].args, { altitude: 3 });
+    assert.equal(result.violations[0].code, SafetyViolation.ALTITUDE_MAX);
+
+    const low = createValidator().validate([{ tool: 'drone.take_off', args: { altitude: 0.1 } }], { droneState: LANDED });
+    assert.deepEqual(low.steps[0].args, { altitude: 0.3 });
+    assert.equal(low.violations[0].code, SafetyViolation.ALTITUDE_MIN);
+  });
+
+  test('地面移动前补充起飞', () => {
+    const result = createValidator().validate([{ tool: 'drone.move_to', args: { x: 1, z: 0 } }], { droneState: LANDED });
+
+    assert.equal(result.approved, true);
+    assert.deepEqual(result.steps, [
+      { tool: 'drone.take_off', args: { altitude: 1 }, description: '安全校验：移动前先起飞' },
+      { tool: 'drone.move_to', args: { x: 1, z: 0 } },
+    ]);
+    assert.equal(result.violations[0].code, SafetyViolation.TAKEOFF_REQUIRED);
+    assert.equal(result.violations[0].stepIndex, 0);
+  });
+
+  test('没有可用的起飞工具时无法修复，整体拒绝', () => {
+    const steps = [{ tool: 'drone.move_to', args: { x: 1, z: 0 } }];
+    const result = createValidator().validate(steps, { droneState: LANDED, availableTools: [{ name: 'drone.move_to' }] });
+
+    assert.equal(result.approved, false);
+    assert.equal(result.steps, steps);
+    assert.equal(result.violations[0].fix, null);
+  });
+
+  test('超长航段按上限均分', () => {
+    const result = createValidator().validate(
+      [{ tool: 'drone.move_to', args: { x: 2.5, z: 0 }, description: '横穿地图' }],
+      { droneState: flyingAt(-2.5, 1, 0) },
+    );
+
+    assert.equal(result.approved, true);
+    assert.deepEqual(result.steps, [
+      { tool: 'drone.move_to', args: { x: 0, z: 0 }, description: '横穿地图（分段 1/2）' },
+      { tool: 'drone.move_to', args: { x: 2.5, z: 0 }, description: '横穿地图（分段 2/2）' },
+    ]);
+    assert.equal(result.violations[0].code, SafetyViolation.SEGMENT_TOO_LONG);
+    assert.equal(result.violations[0].fix, '拆分为 2 段');
+  });
+
+  test('body 参考系的相对位移按机头朝向换算，修复后改用 world', () => {
+    // 机头朝 +X，向前 1m 会越过 x 方向围栏
+    const result = createValidator().validate(
+      [{ tool: 'drone.move_relative', args: { dz: -1, frame: 'body' } }],
+      { droneState: flyingAt(2, 1, 0, 90) },
+    );
+
+    assert.equal(result.violations[0].code, SafetyViolation.GEOFENCE);
+    const { args } = result.steps[0];
+    assert.equal(args.frame, 'world');
+    assert.equal(args.dx, 0.62);
+    assert.ok(Math.abs(args.dz) < 1e-9);
+  });
+
+  test('航线任务的越界航点被夹紧', () => {
+    const result = createValidator().validate(
+      [{ tool: 'drone.run_mission', args: { waypoints: [{ x: 1, z: 0 }, { x: 1, z: -3 }], altitude: 1 } }],
+      { droneState: LANDED },
+    );
+
+    assert.equal(result.approved, true);
+    assert.deepEqual(result.steps[0].args.waypoints, [{ x: 1, z: 0 }, { x: 1, z: -1.9 }]);
+  });
+
+  test('穿越圆形禁飞区不可修复', () => {
+    const steps = [{ tool: 'drone.move_to', args: { x: 2, z: 0 } }];
+    const result = createValidator({ forbiddenZones: [{ name: '塔', x: 0, z: 0, radius: 0.5 }] })
+      .validate(steps, { droneState: flyingAt(-2, 1, 0) });
+
+    assert.equal(result.approved, false);
+    assert.equal(result.steps, steps);
+    assert.equal(result.violations[0].code, SafetyViolation.FORBIDDEN_ZONE);
+    assert.equal(result.violations[0].message, '航线穿越禁飞区 "塔"');
+  });
+
+  test('起点未知时检查目标是否落入矩形禁飞区', () => {
+    const zone = { minX: 0.5, maxX: 1.5, minZ: -0.5, maxZ: 0.5 };
+    const result = createValidator({ forbiddenZones: [zone] })
+      .validate([{ tool: 'drone.move_to', args: { x: 1, z: 0 } }], {});
+
+    assert.equal(result.approved, false);
+    assert.equal(result.violations[0].message, '目标位于禁飞区');
+
+    const outside = createValidator({ forbiddenZones: [zone] })
+      .validate([{ tool: 'drone.move_to', args: { x: -1, z: 0 } }], {});
+    assert.equal(outside.approved, true);
+  });
+
+  test('reject 模式下任何违规都拒绝执行', () => {
+    const steps = [{ tool: 'drone.move_to', args: { x: 5, z: 1 } }];
+    const result = createValidator({ mode: 'reject' }).validate(steps, { droneState: flyingAt(0, 1, 0) });
+
+    assert.equal(result.approved, false);
+    assert.equal(result.repaired, false);
+    assert.equal(result.steps, steps);
+    assert.equal(result.violations[0].repaired, false);
+  });
+
+  test('无效参数不可修复', () => {
+    const result = createValidator().validate([{ tool: 'drone.move_to', args: { x: 'east', z: 0 } }], { droneState: flyingAt(0, 1, 0) });
+    assert.equal(result.approved, false);
+    assert.equal(result.violations[0].code, SafetyViolation.INVALID_ARGS);
+  });
+
+  test('formatViolations 输出中文摘要', () => {
+    const validator = createValidator();
+    const { violations } = validator.validate([{ tool: 'drone.take_off', args: { altitude: 5 } }], { droneState: LANDED });
+    assert.equal(validator.formatViolations(violations), '- 第 1 步 drone.take_off: 高度 5m 超过上限 3m（已自动调整为 3m）');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * RotatingFileSink：按大小轮转，以及多个进程共用同一个日志文件时的轮转（每个 sink 模拟一个进程）
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RotatingFileSink } from '../src/utils/RotatingFileSink.js';
+
+let dir = null;
+let logPath = null;
+const sinks = [];
+
+/**
+ * 创建 sink（afterEach 中统一关闭）
+ */
+function createSink(config = {}) {
+  const sink = new RotatingFileSink({ path: logPath, maxBytes: 100, maxFiles: 2, ...config });
+  sinks.push(sink);
+  return sink;
+}
+
+/**
+ * 读取日志文件的行（不存在时为空）
+ */
+function readLines(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean) : [];
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dpw-log-'));
+  logPath = path.join(dir, 'logs', 'app.log');
+});
+
+afterEach(() => {
+  for (const sink of sinks.splice(0)) sink.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('RotatingFileSink', () => {
+  test('超过 maxBytes 时轮转，最多保留 maxFiles 个历史文件', () => {
+    const sink = createSink();
+    for (let i = 0; i < 20; i++) {
+      sink.write(`line-${String(i).padStart(2, '0')}-${'x'.repeat(10)}`); // 每行 19 字节
+    }
+
+    assert.ok(fs.statSync(logPath).size <= 100);
+    assert.deepEqual(readLines(logPath).at(-1), `line-19-${'x'.repeat(10)}`);
+    assert.equal(readLines(`${logPath}.1`).length, 5);
+    assert.equal(readLines(`${logPath}.2`).length, 5);
+    assert.equal(fs.existsSync(`${logPath}.3`), false);
+  });
+
+  test('maxFiles 为 0 时超过上限直接清空', () => {
+    const sink = createSink({ maxFiles: 0 });
+    for (let i = 0; i < 4; i++) {
+      sink.write('y'.repeat(29)); // 每行 30 字节，第 4 行写入前清空
+    }
+
+    assert.equal(readLines(logPath).length, 1);
+    assert.equal(fs.existsSync(`${logPath}.1`), false);
+  });
+
+  test('多个进程共用同一文件时按实际大小轮转，不会超过 maxBytes', () => {
+    const writers = [createSink(), createSink(), createSink()];
+    for (let i = 0; i < 30; i++) {
+      writers[i % writers.length].write(`w${i % writers.length}-${String(i).padStart(2, '0')}-${'z'.repeat(12)}`);
+      assert.ok(fs.statSync(logPath).size <= 100, `app.log grew to ${fs.statSync(logPath).size} bytes`);
+    }
+  });
+
+  test('其他进程轮转后继续写入新文件，而不是已改名的 .1', () => {
+    const a = createSink();
+    const b = createSink();
+    b.write('b-before');
+
+    for (let i = 0; i < 6; i++) {
+      a.write(`a-${i}-${'x'.repeat(14)}`);
+    }
+    assert.ok(readLines(`${logPath}.1`).includes('b-before'));
+
+    b.write('b-after');
+    assert.ok(readLines(logPath).includes('b-after'));
+    assert.equal(readLines(`${logPath}.1`).includes('b-after'), false);
+  });
+
+  test('文件被外部删除后重新创建', () => {
+    const sink = createSink();
+    sink.write('first');
+    fs.rmSync(logPath);
+    sink.write('second');
+
+    assert.deepEqual(readLines(logPath), ['second']);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * ExecutorAgent 对接内置模拟器（MCP_SERVER_PATH=simulator）：执行、参数校验、故障、幂等与紧急恢复；
+ * 以及 MCP Server 缺失时不回退到模拟器
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SIM_TIME_SCALE = '0';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+delete process.env.REPLAY_FILE;
+
+const { ExecutorAgent } = await import('../src/agents/executor/ExecutorAgent.js');
+const { McpClientWrapper } = await import('../src/agents/executor/McpClientWrapper.js');
+
+/**
+ * 连接一个独立的模拟器进程（SIM_* 在连接时读取）
+ */
+async function createExecutor(simEnv = {}) {
+  const saved = {};
+  for (const [name, value] of Object.entries(simEnv)) {
+    saved[name] = process.env[name];
+    process.env[name] = value;
+  }
+  try {
+    const executor = new ExecutorAgent({ mcpClient: new McpClientWrapper({ serverPath: 'simulator' }) });
+    await executor.initialize();
+    return executor;
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+describe('ExecutorAgent + 模拟器', () => {
+  let executor = null;
+
+  before(async () => {
+    executor = await createExecutor();
+  });
+
+  after(async () => {
+    await executor?.shutdown();
+  });
+
+  test('通过 MCP 协议发现模拟器工具', async () => {
+    const names = (await executor.listTools()).map(tool => tool.name);
+    for (const name of ['drone.get_state', 'drone.take_off', 'drone.move_to', 'drone.land', 'drone.hover', 'drone.stop']) {
+      assert.ok(names.includes(name), `missing ${name}`);
+    }
+  });
+
+  test('依次执行步骤并汇报进度', async () => {
+    const progress = [];
+    const result = await executor.execute([
+      { tool: 'drone.take_off', args: { altitude: 1 } },
+      { tool: 'drone.move_to', args: { x: '1.5', z: -1 } }, // 字符串数字按 inputSchema 修正
+    ], { onProgress: p => progress.push(`${p.current}:${p.status}`) });
+
+    assert.equal(result.allSuccess, true);
+    assert.equal(result.completedSteps, 2);
+    assert.deepEqual(progress, ['1:running', '1:completed', '2:running', '2:completed']);
+    // 结果记录实际发给模拟器的（修正后的）参数
+    assert.equal(result.results[1].args.x, 1.5);
+
+    const state = await executor.getDroneState();
+    assert.deepEqual(state.position, { x: 1.5, y: 1, z: -1 });
+    assert.equal(state.flying, true);
+  });
+
+  test('参数不合法或工具不存在时不调用模拟器并停止后续步骤', async () => {
+    const result = await executor.execute([
+      { tool: 'drone.move_to', args: { z: 0 } },
+      { tool: 'drone.land', args: {} },
+    ]);
+    assert.equal(result.allSuccess, false);
+    assert.equal(result.results.length, 1);
+    assert.match(result.results[0].error, /Invalid arguments for drone\.move_to/);
+
+    const unknown = await executor.execute([{ tool: 'drone.flip', args: {} }]);
+    assert.match(unknown.results[0].error, /Unknown MCP tool: drone\.flip/);
+  });
+
+  test('模拟器报错记为失败步骤；stopOnError=false 时继续执行', async () => {
+    const result = await executor.execute([
+      { tool: 'drone.take_off', args: { altitude: '1' } }, // 已在空中
+      { tool: 'drone.land', args: {} },
+    ], { stopOnError: false });
+
+    assert.equal(result.allSuccess, false);
+    assert.equal(result.results[0].success, false);
+    assert.match(result.results[0].error, /already airborne/);
+    assert.deepEqual(result.results[0].args, { altitude: 1 });
+    assert.equal(result.results[1].success, true);
+    assert.equal((await executor.getDroneState()).flying, false);
+  });
+
+  test('已中止的信号不再执行任何步骤', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const result = await executor.execute([{ tool: 'drone.take_off', args: { altitude: 1 } }], { signal: controller.signal });
+
+    assert.equal(result.aborted, true);
+    assert.equal(result.results.length, 0);
+    assert.equal((await executor.getDroneState()).flying, false);
+  });
+
+  test('相同幂等键重复提交返回首次结果，不重复执行', async () => {
+    const steps = [{ tool: 'drone.take_off', args: { altitude: 1 } }];
+    const first = await executor.execute(steps, { idempotencyKey: 'takeoff-1' });
+    const second = await executor.execute(steps, { idempotencyKey: 'takeoff-1' });
+
+    assert.equal(first.allSuccess, true);
+    assert.equal(first.replayed, false);
+    assert.equal(second.replayed, true);
+    assert.deepEqual(second.results, first.results);
+
+    await assert.rejects(
+      executor.execute([{ tool: 'drone.land', args: {} }], { idempotencyKey: 'takeoff-1' }),
+      error => error.code === 'IDEMPOTENCY_CONFLICT',
+    );
+  });
+
+  test('空中紧急恢复依次执行 stop / hover / land', async () => {
+    assert.equal((await executor.getDroneState()).flying, true);
+    const result = await executor.recover();
+
+    assert.equal(result.airborne, true);
+    assert.equal(result.allSuccess, true);
+    assert.ok(result.results.every(r => !r.skipped));
+    assert.equal((await executor.getDroneState()).flying, false);
+  });
+
+  test('地面紧急恢复跳过悬停 / 降落', async () => {
+    const result = await executor.recover();
+
+    assert.equal(result.airborne, false);
+    assert.equal(result.allSuccess, true);
+    const skipped = result.results.filter(r => r.skipped).map(r => r.tool);
+    assert.ok(skipped.includes('drone.hover') && skipped.includes('drone.land'));
+  });
+});
+
+describe('ExecutorAgent + 故障注入的模拟器', () => {
+  let executor = null;
+
+  before(async () => {
+    executor = await createExecutor({ SIM_FAIL_TOOLS: 'drone.move_to' });
+  });
+
+  after(async () => {
+    await executor?.shutdown();
+  });
+
+  test('注入故障的步骤失败后停止执行', async () => {
+    const result = await executor.execute([
+      { tool: 'drone.take_off', args: { altitude: 1 } },
+      { tool: 'drone.move_to', args: { x: 1, z: 1 } },
+      { tool: 'drone.land', args: {} },
+    ]);
+
+    assert.equal(result.allSuccess, false);
+    assert.equal(result.completedSteps, 1);
+    assert.equal(result.results.length, 2);
+    assert.match(result.results[1].error, /Simulated failure: drone\.move_to/);
+    assert.equal((await executor.getDroneState()).flying, true);
+  });
+});
+
+describe('McpClientWrapper', () => {
+  test('MCP Server 路径不存在时连接失败，不回退到模拟器', async () => {
+    const client = new McpClientWrapper({ serverPath: 'missing/DronePilotWeb/mcp/server.js' });
+    assert.equal(client.isSimulator, false);
+
+    await assert.rejects(
+      client.connect(),
+      error => error.code === 'MCP_SERVER_NOT_FOUND' && /MCP_SERVER_PATH=simulator/.test(error.message),
+    );
+    assert.equal(client.connected, false);
+  });
+});
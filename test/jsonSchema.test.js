@@ -0,0 +1,159 @@
+/**
+ * JSON Schema 子集校验 / 类型修正，以及基于 inputSchema 的工具参数校验
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jsonTypeOf, validateSchema, coerceToSchema, formatSchemaErrors } from '../src/utils/jsonSchema.js';
+import { getToolSchema, validateToolArgs, validatePlanSteps, formatStepIssues } from '../src/utils/toolArgs.js';
+
+const MOVE_TO = {
+  name: 'drone.move_to',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      x: { type: 'number' },
+      y: { type: 'number', minimum: 0, maximum: 10 },
+      z: { type: 'number' },
+    },
+    required: ['x', 'z'],
+    additionalProperties: false,
+  },
+};
+
+const RUN_MISSION = {
+  name: 'drone.run_mission',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      waypoints: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'object', properties: { x: { type: 'number' }, z: { type: 'number' } }, required: ['x', 'z'] },
+      },
+      landAtEnd: { type: 'boolean', default: false },
+      mode: { type: 'string', enum: ['fast', 'safe'] },
+    },
+    required: ['waypoints'],
+  },
+};
+
+describe('jsonSchema', () => {
+  test('jsonTypeOf 区分 integer / array / null', () => {
+    assert.equal(jsonTypeOf(1), 'integer');
+    assert.equal(jsonTypeOf(1.5), 'number');
+    assert.equal(jsonTypeOf([]), 'array');
+    assert.equal(jsonTypeOf(null), 'null');
+    assert.equal(jsonTypeOf({}), 'object');
+  });
+
+  test('合法值没有错误，integer 满足 number', () => {
+    assert.deepEqual(validateSchema(MOVE_TO.inputSchema, { x: 1, y: 2.5, z: -1 }), []);
+    assert.deepEqual(validateSchema({ type: ['string', 'null'] }, null), []);
+    assert.deepEqual(validateSchema(null, 'anything'), []);
+  });
+
+  test('报告类型、必填、范围与多余字段，带路径', () => {
+    const errors = validateSchema(MOVE_TO.inputSchema, { x: 'a', y: 11, speed: 2 }, 'args');
+    assert.deepEqual(errors.map(error => error.path).sort(), ['args.speed', 'args.x', 'args.y', 'args.z']);
+    assert.equal(
+      formatSchemaErrors(errors.filter(error => error.path === 'args.x')),
+      'args.x must be number, got string',
+    );
+  });
+
+  test('校验枚举、字符串长度、数组长度与数组元素', () => {
+    assert.match(validateSchema({ enum: ['a', 'b'] }, 'c')[0].message, /must be one of "a", "b"/);
+    assert.match(validateSchema({ type: 'string', maxLength: 2 }, 'abc')[0].message, /at most 2 characters/);
+    assert.match(validateSchema({ type: 'number', exclusiveMinimum: 0 }, 0)[0].message, /must be > 0/);
+
+    const errors = validateSchema(RUN_MISSION.inputSchema, { waypoints: [{ x: 1, z: 1 }, { x: 1 }] }, 'args');
+    assert.deepEqual(errors.map(error => error.path), ['args.waypoints[1].z']);
+    assert.match(validateSchema(RUN_MISSION.inputSchema, { waypoints: [] })[0].message, /at least 1 items/);
+  });
+
+  test('additionalProperties 为 schema 时校验多余字段', () => {
+    const schema = { type: 'object', additionalProperties: { type: 'number' } };
+    assert.deepEqual(validateSchema(schema, { a: 1 }), []);
+    assert.equal(validateSchema(schema, { a: 'x' })[0].path, 'value.a');
+  });
+
+  test('coerceToSchema 修正数字字符串（含单位）、布尔、枚举大小写并补 default', () => {
+    const { value, coercions } = coerceToSchema(RUN_MISSION.inputSchema, {
+      waypoints: [{ x: '1.5m', z: ' 2米 ' }],
+      mode: 'FAST',
+    }, 'args');
+
+    assert.deepEqual(value, { waypoints: [{ x: 1.5, z: 2 }], mode: 'fast', landAtEnd: false });
+    assert.deepEqual(coercions.map(c => c.path).sort(), [
+      'args.landAtEnd', 'args.mode', 'args.waypoints[0].x', 'args.waypoints[0].z',
+    ]);
+  });
+
+  test('coerceToSchema 解析 JSON 字符串并把单个对象包成数组', () => {
+    const schema = RUN_MISSION.inputSchema;
+    assert.deepEqual(coerceToSchema(schema, { waypoints: '[{"x":1,"z":2}]' }).value.waypoints, [{ x: 1, z: 2 }]);
+    assert.deepEqual(coerceToSchema(schema, { waypoints: { x: 1, z: 2 } }).value.waypoints, [{ x: 1, z: 2 }]);
+    assert.equal(coerceToSchema({ type: 'boolean' }, 'TRUE').value, true);
+    assert.equal(coerceToSchema({ type: 'string' }, 3).value, '3');
+  });
+
+  test('coerceToSchema 不修改入参，无法转换时保持原值', () => {
+    const input = { x: 'north', z: '1' };
+    const { value, coercions } = coerceToSchema(MOVE_TO.inputSchema, input);
+    assert.deepEqual(input, { x: 'north', z: '1' });
+    assert.deepEqual(value, { x: 'north', z: 1 });
+    assert.equal(coercions.length, 1);
+    assert.equal(coerceToSchema({ type: 'integer' }, '1.5').value, '1.5');
+  });
+});
+
+describe('toolArgs', () => {
+  test('getToolSchema 兼容 inputSchema / parameters / schema', () => {
+    assert.equal(getToolSchema(MOVE_TO), MOVE_TO.inputSchema);
+    assert.deepEqual(getToolSchema({ parameters: { type: 'object' } }), { type: 'object' });
+    assert.equal(getToolSchema({ name: 'drone.hover' }), null);
+  });
+
+  test('validateToolArgs 先修正再校验', () => {
+    const ok = validateToolArgs(MOVE_TO, { x: '2', z: 1 });
+    assert.equal(ok.valid, true);
+    assert.deepEqual(ok.args, { x: 2, z: 1 });
+    assert.equal(ok.coercions.length, 1);
+
+    const strict = validateToolArgs(MOVE_TO, { x: '2', z: 1 }, { coerce: false });
+    assert.equal(strict.valid, false);
+    assert.equal(strict.errors[0].path, 'args.x');
+  });
+
+  test('validateToolArgs 没有 schema 时放行，非对象参数视为空对象', () => {
+    assert.equal(validateToolArgs({ name: 'drone.hover' }, { any: 1 }).valid, true);
+    const result = validateToolArgs(MOVE_TO, ['x']);
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.args, {});
+  });
+
+  test('validatePlanSteps 返回修正后的步骤和问题列表', () => {
+    const tools = [MOVE_TO, RUN_MISSION, { name: 'drone.land' }];
+    const result = validatePlanSteps([
+      { tool: 'drone.move_to', args: { x: '1', z: '2' }, description: '移动' },
+      { tool: 'drone.move_to', args: { x: 1 } },
+      { tool: 'drone.flip', args: {} },
+      { tool: 'drone.land' },
+    ], tools);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.steps[0], { tool: 'drone.move_to', args: { x: 1, z: 2 }, description: '移动' });
+    assert.deepEqual(result.coercions.map(c => `${c.stepIndex}:${c.path}`), ['0:args.x', '0:args.z']);
+    assert.deepEqual(result.issues.map(issue => issue.stepIndex), [1, 2]);
+    assert.equal(
+      formatStepIssues(result.issues),
+      '- 第 2 步 drone.move_to: args.z is required\n- 第 3 步 drone.flip: Unknown tool: drone.flip',
+    );
+  });
+
+  test('validatePlanSteps 在没有工具列表时不报告未知工具', () => {
+    const result = validatePlanSteps([{ tool: 'drone.flip', args: {} }], []);
+    assert.equal(result.valid, true);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * 端到端冒烟测试：离线跑通 RAG → Planner → 安全校验 → Executor 全链路
+ * LLM 使用 Mock Provider（test/fixtures/mock-llm.json），向量库 / 地图物体表使用本地 JSON 文件，
+ * 无人机使用内置模拟器，不访问 Gemini、Supabase 或真实 MCP Server；
+ * 同时在这条链路上覆盖会话占用、会话记录合并与计划审批等编排层行为
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SRC_DIR = path.resolve(__dirname, '../src');
+const FIXTURES_FILE = path.join(__dirname, 'fixtures/mock-llm.json');
+
+const MAP_ID = 'demo';
+const REQUEST = '起飞到1米，飞到3号点位，然后降落';
+const SUB_AGENTS = ['rag', 'planner', 'executor'];
+const PORTS = { planner: 19201, rag: 19202, executor: 19203 };
+
+let dataDir = null;
+let supervisor = null;
+let orchestrator = null;
+let modules = null;
+const orchestrators = [];
+
+/**
+ * 创建连接测试子 Agent 的 Orchestrator（after 中统一停止健康检查）
+ */
+function createOrchestrator(config = {}) {
+  const agent = new modules.OrchestratorAgent({
+    sessionStore: new modules.MemorySessionStore(),
+    agentsFile: '',
+    agentUrls: '',
+    ragUrl: `http://localhost:${PORTS.rag}`,
+    plannerUrl: `http://localhost:${PORTS.planner}`,
+    executorUrl: `http://localhost:${PORTS.executor}`,
+    ...config,
+  });
+  orchestrators.push(agent);
+  return agent;
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dpw-pipeline-'));
+
+  // 子 Agent 继承这些环境变量：Mock LLM、本地存储、即时完成的模拟器、独立端口，不向注册中心自注册
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    MOCK_LLM_FIXTURES: FIXTURES_FILE,
+    VECTOR_STORE: 'local',
+    LOCAL_VECTOR_STORE_PATH: path.join(dataDir, 'vectors.json'),
+    MAP_STORE: 'local',
+    LOCAL_MAP_STORE_PATH: path.join(dataDir, 'map-objects.json'),
+    MCP_SERVER_PATH: 'simulator',
+    SIM_TIME_SCALE: '0',
+    A2A_RAG_PORT: String(PORTS.rag),
+    A2A_PLANNER_PORT: String(PORTS.planner),
+    A2A_EXECUTOR_PORT: String(PORTS.executor),
+    APPROVAL_MODE: 'false',
+    TRACING_EXPORTER: 'none',
+    LOG_LEVEL: 'warn',
+    LOG_LEVELS: '',
+  });
+  for (const name of ['A2A_AGENTS_FILE', 'A2A_AGENT_URLS', 'A2A_REGISTRY_URL', 'LOG_FILE', 'RECORD_REQUESTS']) {
+    delete process.env[name];
+  }
+
+  // 环境变量设置后再加载（端口等配置在模块加载时读取）
+  const { MockLlmProvider } = await import('../src/llm/MockLlmProvider.js');
+  const { LocalVectorStore } = await import('../src/vector/LocalVectorStore.js');
+  const { LocalMapObjectStore } = await import('../src/map/LocalMapObjectStore.js');
+  const { normalizeMapObject } = await import('../src/map/mapObjects.js');
+  const { Supervisor } = await import('../src/supervisor/index.js');
+  const { OrchestratorAgent } = await import('../src/agents/orchestrator/OrchestratorAgent.js');
+  const { MemorySessionStore, FileSessionStore } = await import('../src/session/index.js');
+  modules = { OrchestratorAgent, MemorySessionStore, FileSessionStore };
+
+  await new LocalMapObjectStore().upsert([
+    normalizeMapObject({ id: '3', type: 'circle', color: 'blue', x: 2, z: 1 }, MAP_ID),
+  ]);
+  const chunkText = '3号点位是一个蓝色圆形，世界坐标 x=2, z=1';
+  await new LocalVectorStore().insert({
+    chunkText,
+    embedding: await new MockLlmProvider().embed(chunkText),
+    mapId: MAP_ID,
+  });
+
+  supervisor = new Supervisor({
+    port: 0,
+    maxRestarts: 0,
+    services: SUB_AGENTS.map(name => ({
+      name,
+      script: path.join(SRC_DIR, `agents/${name}/server.js`),
+      healthUrl: `http://localhost:${PORTS[name]}/ping`,
+    })),
+  });
+  await supervisor.start();
+
+  orchestrator = createOrchestrator();
+});
+
+after(async () => {
+  for (const agent of orchestrators) {
+    agent.agentRegistry.stopHealthChecks();
+  }
+  await supervisor?.stop();
+  if (dataDir) {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('请求经 RAG、规划、执行后飞到 3 号点位并降落', async () => {
+  const response = await orchestrator.chat({ message: REQUEST, mapId: MAP_ID });
+
+  assert.equal(response.error, undefined, response.error);
+  assert.ok(
+    response.ragHits.some(hit => hit.metadata?.objectId === '3' && hit.metadata?.worldX === 2),
+    `RAG 应命中 3 号点位: ${JSON.stringify(response.ragHits)}`,
+  );
+
+  assert.deepEqual(response.toolCalls.map(call => call.tool), ['drone.take_off', 'drone.move_to', 'drone.land']);
+  assert.ok(response.toolCalls.every(call => call.success), JSON.stringify(response.toolCalls));
+  assert.equal(response.executionSuccess, true);
+  assert.equal(response.goalAchieved, true);
+
+  const moved = response.toolCalls[1].result?.state;
+  assert.equal(moved.position.x, 2);
+  assert.equal(moved.position.z, 1);
+  assert.equal(response.toolCalls[2].result?.state.flying, false);
+});
+
+test('同一会话已有请求进行中时，新请求以 SESSION_BUSY 拒绝', async () => {
+  const sessionId = 'pipeline-busy';
+  const first = orchestrator.chat({ message: REQUEST, mapId: MAP_ID, sessionId, dryRun: true });
+
+  await assert.rejects(
+    orchestrator.chat({ message: REQUEST, mapId: MAP_ID, sessionId, dryRun: true }),
+    error => error.code === 'SESSION_BUSY',
+  );
+  const response = await first;
+  assert.equal(response.error, undefined, response.error);
+  assert.equal(response.dryRun, true);
+
+  // 前一个请求结束后会话被释放
+  const next = await orchestrator.chat({ message: REQUEST, mapId: MAP_ID, sessionId, dryRun: true });
+  assert.equal(next.error, undefined, next.error);
+});
+
+test('两个 Orchestrator 交错处理同一会话时两轮记录都保留', async () => {
+  // 共用同一个 file 存储（如 Web API 与 A2A 入口），两轮都在对方保存之前读取了会话
+  const sessionStore = new modules.FileSessionStore({ dir: path.join(dataDir, 'sessions'), autoPrune: false });
+  const agents = [createOrchestrator({ sessionStore }), createOrchestrator({ sessionStore })];
+  const sessionId = 'pipeline-shared';
+
+  const responses = await Promise.all(
+    agents.map(agent => agent.chat({ message: REQUEST, mapId: MAP_ID, sessionId, dryRun: true })),
+  );
+
+  const session = await sessionStore.get(sessionId);
+  assert.deepEqual(
+    session.turns.map(turn => turn.requestId).sort(),
+    responses.map(response => response.requestId).sort(),
+  );
+  assert.deepEqual(session.history.map(entry => entry.role), ['user', 'assistant', 'user', 'assistant']);
+});
+
+test('并发批准同一计划时只执行一次', async () => {
+  const approver = createOrchestrator({ approvalMode: true });
+  const sessionId = 'pipeline-approve-twice';
+  const pending = await approver.chat({ message: REQUEST, mapId: MAP_ID, sessionId });
+  assert.equal(pending.pendingApproval, true);
+  assert.deepEqual(pending.toolCalls, []);
+
+  const attempts = await Promise.allSettled([
+    approver.approvePlan(sessionId, pending.planId),
+    approver.approvePlan(sessionId, pending.planId),
+  ]);
+  const executed = attempts.filter(attempt => attempt.status === 'fulfilled');
+  const rejected = attempts.filter(attempt => attempt.status === 'rejected');
+  assert.equal(executed.length, 1);
+  assert.equal(rejected[0].reason.code, 'SESSION_BUSY');
+  assert.equal(executed[0].value.executionSuccess, true, executed[0].value.error);
+  assert.deepEqual(executed[0].value.toolCalls.map(call => call.tool), ['drone.take_off', 'drone.move_to', 'drone.land']);
+
+  // 执行完成后计划已被消费，再次批准不会重复飞行
+  await assert.rejects(approver.approvePlan(sessionId, pending.planId), error => error.code === 'PLAN_NOT_FOUND');
+});
+
+test('APPROVAL_MODE 开启时请求传 requireApproval: false 仍需审批', async () => {
+  const approver = createOrchestrator({ approvalMode: true });
+  const response = await approver.chat({
+    message: REQUEST,
+    mapId: MAP_ID,
+    sessionId: 'pipeline-approval-bypass',
+    requireApproval: false,
+  });
+
+  assert.equal(response.pendingApproval, true);
+  assert.equal(response.status, 'pendingApproval');
+  assert.deepEqual(response.toolCalls, []);
+});
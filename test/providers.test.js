@@ -0,0 +1,84 @@
+/**
+ * LLM Provider 选择：local 后端不会带上 OPENAI_API_KEY（在本地 HTTP 服务上检查实际发出的请求头）
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createLlmProvider } from '../src/llm/providers.js';
+
+const OPENAI_KEY = 'sk-openai-secret-should-not-leak';
+const ENV_NAMES = ['LLM_PROVIDER', 'OPENAI_API_KEY', 'OPENAI_BASE_URL', 'LOCAL_LLM_BASE_URL', 'LOCAL_LLM_API_KEY'];
+
+let server = null;
+let baseUrl = null;
+const requests = [];
+const savedEnv = {};
+
+/**
+ * 临时设置环境变量后创建 Provider（未列出的相关变量被清除）
+ */
+function providerWithEnv(env) {
+  for (const name of ENV_NAMES) {
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  }
+  return createLlmProvider();
+}
+
+before(async () => {
+  for (const name of ENV_NAMES) savedEnv[name] = process.env[name];
+
+  // 模拟 OpenAI 兼容服务：记录请求头，返回固定回答
+  server = http.createServer((req, res) => {
+    requests.push({ url: req.url, authorization: req.headers.authorization });
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: 'ok' } }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+describe('createLlmProvider', () => {
+  test('local 后端未设置 LOCAL_LLM_API_KEY 时不发送 Authorization，即使设置了 OPENAI_API_KEY', async () => {
+    requests.length = 0;
+    const provider = providerWithEnv({ LLM_PROVIDER: 'local', OPENAI_API_KEY: OPENAI_KEY, LOCAL_LLM_BASE_URL: baseUrl });
+
+    assert.equal(await provider.generateText('hi'), 'ok');
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.equal(requests[0].authorization, undefined);
+  });
+
+  test('local 后端使用 LOCAL_LLM_API_KEY', async () => {
+    requests.length = 0;
+    const provider = providerWithEnv({
+      LLM_PROVIDER: 'local',
+      OPENAI_API_KEY: OPENAI_KEY,
+      LOCAL_LLM_BASE_URL: baseUrl,
+      LOCAL_LLM_API_KEY: 'local-key',
+    });
+
+    await provider.generateText('hi');
+    assert.equal(requests[0].authorization, 'Bearer local-key');
+  });
+
+  test('openai 后端仍然使用 OPENAI_API_KEY', async () => {
+    requests.length = 0;
+    const provider = providerWithEnv({ LLM_PROVIDER: 'openai', OPENAI_API_KEY: OPENAI_KEY, OPENAI_BASE_URL: baseUrl });
+
+    await provider.generateText('hi');
+    assert.equal(requests[0].authorization, `Bearer ${OPENAI_KEY}`);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * DroneSimulator：运动学、电量与故障注入
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DroneSimulator, DroneStatus } from '../src/simulator/DroneSimulator.js';
+
+/**
+ * 瞬时完成、默认耗电参数的模拟器
+ */
+function createSimulator(config = {}) {
+  return new DroneSimulator({
+    timeScale: 0,
+    speed: 1,
+    verticalSpeed: 0.5,
+    battery: 100,
+    drainPerSecond: 0.05,
+    drainPerMeter: 0.2,
+    lowBattery: 15,
+    criticalBattery: 5,
+    maxAltitude: 10,
+    failureRate: 0,
+    failTools: [],
+    ...config,
+  });
+}
+
+describe('DroneSimulator 运动学', () => {
+  test('初始状态在原点着陆', () => {
+    const state = createSimulator().getState();
+    assert.deepEqual(state.position, { x: 0, y: 0, z: 0 });
+    assert.equal(state.status, DroneStatus.LANDED);
+    assert.equal(state.flying, false);
+    assert.equal(state.battery, 100);
+  });
+
+  test('起飞按垂直速度计时并耗电', async () => {
+    const sim = createSimulator();
+    const result = await sim.callTool('drone.take_off', { altitude: 1 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.action, 'take_off');
+    assert.equal(result.state.position.y, 1);
+    assert.equal(result.state.status, DroneStatus.HOVERING);
+    assert.equal(result.state.flying, true);
+    assert.equal(result.state.simulatedTimeMs, 2000); // 1m / 0.5m/s
+    assert.equal(result.state.battery, 99.7); // 2s × 0.05 + 1m × 0.2
+  });
+
+  test('move_to 保持高度、机头对准移动方向', async () => {
+    const sim = createSimulator();
+    await sim.takeOff({ altitude: 1 });
+    const result = await sim.callTool('drone.move_to', { x: 2, z: 0 });
+
+    assert.deepEqual(result.state.position, { x: 2, y: 1, z: 0 });
+    assert.equal(result.state.heading, 90); // +X 为右，0° 指向 -Z
+    assert.equal(result.state.status, DroneStatus.HOVERING);
+    assert.ok(Math.abs(sim.distanceTravelled - 3) < 1e-9);
+  });
+
+  test('move_relative 的 body 坐标系按机头朝向换算', async () => {
+    const sim = createSimulator();
+    await sim.takeOff({ altitude: 1 });
+    await sim.moveTo({ x: 1, z: 0 }); // 机头朝 +X
+    const { state } = await sim.callTool('drone.move_relative', { dz: -1, frame: 'body' }); // 向前 1m
+
+    assert.equal(state.position.x, 2);
+    assert.ok(Math.abs(state.position.z) < 1e-3);
+    assert.equal(state.position.y, 1);
+  });
+
+  test('航线任务在地面自动起飞并可在结束时降落', async () => {
+    const sim = createSimulator();
+    const progress = [];
+    const result = await sim.callTool(
+      'drone.run_mission',
+      { waypoints: [{ x: 1, z: 0 }, { x: 1, z: 1 }], altitude: 2, landAtEnd: true },
+      { onProgress: p => progress.push(p) },
+    );
+
+    assert.equal(result.waypoints, 2);
+    assert.deepEqual(result.state.position, { x: 1, y: 0, z: 1 });
+    assert.equal(result.state.status, DroneStatus.LANDED);
+    assert.equal(result.state.mission, null);
+    assert.deepEqual(progress, [{ progress: 1, total: 2 }, { progress: 2, total: 2 }]);
+  });
+
+  test('loadState 从 drone.get_state 结构恢复', () => {
+    const sim = createSimulator();
+    sim.loadState({ position: { x: 1, y: 2, z: -1 }, heading: 180, flying: true, battery: 50 });
+
+    const state = sim.getState();
+    assert.deepEqual(state.position, { x: 1, y: 2, z: -1 });
+    assert.equal(state.heading, 180);
+    assert.equal(state.status, DroneStatus.HOVERING);
+    assert.equal(state.battery, 50);
+  });
+
+  test('地面降落直接返回，悬停 / 移动需要先起飞', async () => {
+    const sim = createSimulator();
+    assert.equal((await sim.land()).message, 'Already landed');
+    await assert.rejects(sim.hover(), /take off first/);
+    await assert.rejects(sim.moveTo({ x: 1, z: 1 }), /take off first/);
+  });
+
+  test('参数与高度校验', async () => {
+    const sim = createSimulator();
+    await assert.rejects(sim.takeOff({ altitude: 20 }), /altitude must be in/);
+    await sim.takeOff({ altitude: 1 });
+    await assert.rejects(sim.takeOff({ altitude: 1 }), /already airborne/);
+    await assert.rejects(sim.moveTo({ x: 'abc', z: 0 }), /x must be a number/);
+    await assert.rejects(sim.moveTo({ x: 0, y: 11, z: 0 }), /out of range/);
+    await assert.rejects(sim.moveRelative({ dx: 1, frame: 'polar' }), /frame must be/);
+    await assert.rejects(sim.callTool('drone.flip'), /Unknown tool/);
+  });
+
+  test('中止信号让移动停在当前位置并转为悬停', async () => {
+    const sim = createSimulator();
+    await sim.takeOff({ altitude: 1 });
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(sim.moveTo({ x: 2, z: 0 }, { signal: controller.signal }), /Movement cancelled/);
+    const state = sim.getState();
+    assert.deepEqual(state.position, { x: 0, y: 1, z: 0 });
+    assert.equal(state.status, DroneStatus.HOVERING);
+  });
+
+  test('stop 把状态收敛为悬停', async () => {
+    const sim = createSimulator();
+    await sim.takeOff({ altitude: 1 });
+    const { state } = await sim.stop();
+    assert.equal(state.status, DroneStatus.HOVERING);
+    assert.equal(state.isActive, false);
+  });
+});
+
+describe('DroneSimulator 电量', () => {
+  test('低电量拒绝新的移动指令', async () => {
+    const sim = createSimulator({ battery: 15 });
+    await assert.rejects(sim.takeOff({ altitude: 1 }), /Battery too low/);
+  });
+
+  test('严重低电量时原地强制降落', async () => {
+    const sim = createSimulator({ battery: 20, drainPerMeter: 20 });
+
+    await assert.rejects(sim.takeOff({ altitude: 1 }), /Critical battery/);
+    const state = sim.getState();
+    assert.equal(state.status, DroneStatus.LANDED);
+    assert.equal(state.position.y, 0);
+    assert.ok(state.battery <= 5);
+  });
+});
+
+describe('DroneSimulator 故障注入', () => {
+  test('failTools 中的工具总是失败，且不改变状态', async () => {
+    const sim = createSimulator({ failTools: ['drone.land'] });
+    await sim.takeOff({ altitude: 1 });
+
+    await assert.rejects(sim.callTool('drone.land'), /Simulated failure: drone\.land/);
+    assert.equal(sim.getState().position.y, 1);
+    assert.equal(sim.getState().flying, true);
+  });
+
+  test('failureRate=1 时每次指令都失败', async () => {
+    const sim = createSimulator({ failureRate: 1 });
+    await assert.rejects(sim.takeOff({ altitude: 1 }), /Simulated random failure: drone\.take_off/);
+  });
+
+  test('相同种子的随机故障可复现', async () => {
+    const outcomes = async seed => {
+      const sim = createSimulator({ failureRate: 0.5, seed });
+      const results = [];
+      for (let i = 0; i < 20; i++) {
+        results.push(await sim.stop().then(() => true, () => false));
+      }
+      return results;
+    };
+
+    const first = await outcomes(7);
+    assert.deepEqual(await outcomes(7), first);
+    assert.ok(first.includes(true) && first.includes(false));
+  });
+});